@@ -46,10 +46,54 @@
 // }
 
 // export default App
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import AudioRecorder from './components/AudioRecorder'
+import ProcessingPanel from './components/ProcessingPanel'
+import LectureLibrary from './components/LectureLibrary'
+import LectureDetail from './components/LectureDetail'
+import TemplateManager from './components/TemplateManager'
+import AuthForm from './components/AuthForm'
+import { getCurrentUser, logout } from './api/auth'
+import { UNAUTHORIZED_EVENT } from './api/client'
 
 function App() {
+  // undefined while the session is being checked, null when signed out
+  const [user, setUser] = useState(undefined)
+  const [selectedLectureId, setSelectedLectureId] = useState(null)
+  const [libraryVersion, setLibraryVersion] = useState(0)
+  const [recording, setRecording] = useState(null)
+  const [templatesVersion, setTemplatesVersion] = useState(0)
+
+  useEffect(() => {
+    getCurrentUser()
+      .then((data) => setUser(data.user))
+      .catch(() => setUser(null))
+
+    // Any request rejected with 401 means the session has expired
+    const handleUnauthorized = () => setUser(null)
+    window.addEventListener(UNAUTHORIZED_EVENT, handleUnauthorized)
+    return () => window.removeEventListener(UNAUTHORIZED_EVENT, handleUnauthorized)
+  }, [])
+
+  const handleSignOut = async () => {
+    try {
+      await logout()
+    } finally {
+      setUser(null)
+      setSelectedLectureId(null)
+      setRecording(null)
+    }
+  }
+
+  // Bump to make the library reload after a lecture changes
+  const refreshLibrary = () => setLibraryVersion((version) => version + 1)
+
+  // Show a newly processed lecture and add it to the library
+  const handleSaved = (lectureId) => {
+    setSelectedLectureId(lectureId)
+    refreshLibrary()
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
       <div className="container mx-auto px-4 py-8">
@@ -60,11 +104,49 @@ function App() {
           <p className="text-xl text-gray-600">
             Transform your lectures into structured notes with AI
           </p>
+          {user && (
+            <p className="mt-4 text-sm text-gray-600">
+              Signed in as <span className="font-medium text-gray-800">{user.name || user.email}</span>
+              {' · '}
+              <button onClick={handleSignOut} className="font-medium text-indigo-600 hover:text-indigo-800">
+                Sign out
+              </button>
+            </p>
+          )}
         </header>
-        
-        <main className="max-w-4xl mx-auto">
-          <AudioRecorder />
-        </main>
+
+        {user === null && <AuthForm onSignedIn={setUser} />}
+
+        {user && (
+          <main className="max-w-6xl mx-auto grid gap-6 lg:grid-cols-3">
+            <div className="lg:col-span-2">
+              <AudioRecorder onUseRecording={setRecording} />
+              <ProcessingPanel
+                recording={recording}
+                onSaved={handleSaved}
+                templatesKey={templatesVersion}
+              />
+              {selectedLectureId && (
+                <LectureDetail
+                  lectureId={selectedLectureId}
+                  onClose={() => setSelectedLectureId(null)}
+                  onChange={refreshLibrary}
+                />
+              )}
+            </div>
+            <aside>
+              <LectureLibrary
+                selectedId={selectedLectureId}
+                onSelect={setSelectedLectureId}
+                refreshKey={libraryVersion}
+              />
+              <TemplateManager
+                refreshKey={templatesVersion}
+                onChange={() => setTemplatesVersion((version) => version + 1)}
+              />
+            </aside>
+          </main>
+        )}
       </div>
     </div>
   )
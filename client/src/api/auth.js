@@ -0,0 +1,18 @@
+import { apiRequest } from './client';
+
+// Resolves with { user }; rejects with status 401 when no one is signed in
+export const getCurrentUser = () => apiRequest('/api/auth/me');
+
+export const signup = ({ email, password, name }) => apiRequest('/api/auth/signup', {
+  method: 'POST',
+  body: { email, password, name }
+});
+
+export const login = ({ email, password }) => apiRequest('/api/auth/login', {
+  method: 'POST',
+  body: { email, password }
+});
+
+export const logout = () => apiRequest('/api/auth/logout', {
+  method: 'POST'
+});
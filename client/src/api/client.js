@@ -0,0 +1,46 @@
+// Dispatched on window when the server rejects a request because the session
+// has ended, so the app can show the sign-in form again
+export const UNAUTHORIZED_EVENT = 'api:unauthorized';
+
+export const notifyUnauthorized = (path, status) => {
+  if (status === 401 && !path.startsWith('/api/auth/')) {
+    window.dispatchEvent(new Event(UNAUTHORIZED_EVENT));
+  }
+};
+
+/**
+ * Call a JSON API route and return the parsed body.
+ * Throws an Error carrying the server's `message` when the request fails.
+ */
+export const apiRequest = async (path, options = {}) => {
+  const { body, headers, ...rest } = options;
+  // Binary bodies (FormData, file chunks) are sent as-is
+  const isJsonBody = body !== undefined
+    && !(body instanceof FormData || body instanceof Blob || body instanceof ArrayBuffer);
+
+  const response = await fetch(path, {
+    ...rest,
+    headers: {
+      ...(isJsonBody && { 'Content-Type': 'application/json' }),
+      ...headers
+    },
+    body: isJsonBody ? JSON.stringify(body) : body
+  });
+
+  let data = null;
+  try {
+    data = await response.json();
+  } catch (parseError) {
+    // Non-JSON response (e.g. proxy error page)
+  }
+
+  if (!response.ok) {
+    notifyUnauthorized(path, response.status);
+    const error = new Error((data && data.message) || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    error.data = data;
+    throw error;
+  }
+
+  return data;
+};
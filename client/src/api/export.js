@@ -0,0 +1,58 @@
+import { notifyUnauthorized } from './client';
+
+// Pull the filename out of a Content-Disposition header
+const getFilename = (response, fallback) => {
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+  return match ? match[1] : fallback;
+};
+
+// POST a JSON body to an export route and save the response as a file
+const downloadExport = async (path, body, fallbackFilename) => {
+  const response = await fetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    notifyUnauthorized(path, response.status);
+    let message = `Export failed with status ${response.status}`;
+    try {
+      message = (await response.json()).message || message;
+    } catch (parseError) {
+      // Keep the generic message
+    }
+    throw new Error(message);
+  }
+
+  const blob = await response.blob();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = getFilename(response, fallbackFilename);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Render notes on the server in the given format and download the file.
+ * Throws an Error carrying the server's `message` when the export fails.
+ */
+export const downloadNotes = ({ notes, format, title }) => downloadExport(
+  '/api/export-notes',
+  { notes, format, title },
+  `lecture-notes.${format}`
+);
+
+/**
+ * Download study materials as an Anki-ready CSV deck.
+ * Throws an Error carrying the server's `message` when the export fails.
+ */
+export const downloadStudyDeck = ({ materials, title }) => downloadExport(
+  '/api/study-materials/export',
+  { materials, title },
+  'study-deck.csv'
+);
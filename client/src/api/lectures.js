@@ -0,0 +1,30 @@
+import { apiRequest } from './client';
+
+export const listLectures = ({ q, course } = {}) => {
+  const params = new URLSearchParams();
+  if (q) params.set('q', q);
+  if (course) params.set('course', course);
+  const query = params.toString();
+
+  return apiRequest(`/api/lectures${query ? `?${query}` : ''}`);
+};
+
+export const getLecture = (id) => apiRequest(`/api/lectures/${id}`);
+
+export const createLecture = (lecture) => apiRequest('/api/lectures', {
+  method: 'POST',
+  body: lecture
+});
+
+export const updateLecture = (id, changes) => apiRequest(`/api/lectures/${id}`, {
+  method: 'PATCH',
+  body: changes
+});
+
+export const deleteLectureAudio = (id) => apiRequest(`/api/lectures/${id}/audio`, {
+  method: 'DELETE'
+});
+
+export const deleteLecture = (id) => apiRequest(`/api/lectures/${id}`, {
+  method: 'DELETE'
+});
@@ -0,0 +1,16 @@
+import { apiRequest } from './client';
+
+/**
+ * Turn a transcript into structured markdown notes.
+ *
+ * @param {Object} data
+ * @param {string} data.transcript - Transcript text from /api/transcribe
+ * @param {Array} [data.speakerTurns] - Speaker turns from a diarized transcription
+ * @param {Object} [data.speakers] - Speaker names keyed by speaker tag
+ * @param {string} [data.provider] - Notes provider; defaults to the server's LLM_PROVIDER
+ * @param {boolean} [data.forceRefresh] - Ask the model again instead of reusing cached notes
+ */
+export const structureNotes = (data) => apiRequest('/api/structure-notes', {
+  method: 'POST',
+  body: data
+});
@@ -0,0 +1,16 @@
+import { apiRequest } from './client';
+
+/**
+ * Generate multiple-choice questions, short-answer questions and flashcards
+ * from a lecture. Each item cites the transcript passage it came from.
+ *
+ * @param {Object} data
+ * @param {string} data.transcript - Lecture transcript
+ * @param {string} data.notes - Notes markdown
+ * @param {Array} [data.sentences] - Timed sentences, so citations carry a time
+ * @param {Object} [data.counts] - { multipleChoice, shortAnswer, flashcards }
+ */
+export const generateStudyMaterials = (data) => apiRequest('/api/study-materials', {
+  method: 'POST',
+  body: data
+});
@@ -0,0 +1,17 @@
+import { apiRequest } from './client';
+
+export const listTemplates = () => apiRequest('/api/templates');
+
+export const createTemplate = (template) => apiRequest('/api/templates', {
+  method: 'POST',
+  body: template
+});
+
+export const updateTemplate = (id, changes) => apiRequest(`/api/templates/${id}`, {
+  method: 'PATCH',
+  body: changes
+});
+
+export const deleteTemplate = (id) => apiRequest(`/api/templates/${id}`, {
+  method: 'DELETE'
+});
@@ -0,0 +1,12 @@
+import { apiRequest } from './client';
+
+/**
+ * Transcribe an uploaded file by the id returned from an upload.
+ *
+ * @param {string} uploadId - Upload's id
+ * @param {Object} [options] - Extra /api/transcribe fields (keepAudio, diarization, provider, forceRefresh)
+ */
+export const transcribeUpload = (uploadId, options = {}) => apiRequest('/api/transcribe', {
+  method: 'POST',
+  body: { uploadId, ...options }
+});
@@ -0,0 +1,144 @@
+import { apiRequest } from './client';
+
+// Remembers the upload id for each file so a dropped upload can resume
+const RESUME_KEY_PREFIX = 'lecture-upload:';
+const MAX_CHUNK_ATTEMPTS = 5;
+const MAX_RETRY_DELAY_MS = 30000;
+
+const getResumeKey = (file) => `${RESUME_KEY_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Upload paused', 'AbortError'));
+    }, { once: true });
+  }
+});
+
+// SHA-256 of a chunk as hex. crypto.subtle only exists in secure contexts
+// (https or localhost); elsewhere chunks are sent without a checksum.
+const sha256Hex = async (buffer) => {
+  if (!window.crypto || !window.crypto.subtle) {
+    return null;
+  }
+  const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+// Network failures, timeouts, rate limits and server errors are worth retrying
+const isRetryable = (error) => !error.status || error.status === 408 || error.status === 429 || error.status >= 500;
+
+// Resume this file's previous upload if the server still has it
+const findUpload = async (file) => {
+  const uploadId = localStorage.getItem(getResumeKey(file));
+  if (!uploadId) {
+    return null;
+  }
+
+  try {
+    const data = await apiRequest(`/api/uploads/${uploadId}`);
+    return data.upload;
+  } catch (err) {
+    localStorage.removeItem(getResumeKey(file));
+    return null;
+  }
+};
+
+/**
+ * Upload a file in checksummed chunks. Each chunk is retried with backoff,
+ * and calling this again for the same file after a failure, a pause (abort)
+ * or a page reload continues from the last chunk the server stored.
+ *
+ * @param {File} file - Recording or video to upload
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { uploadedBytes, totalBytes, chunkIndex, totalChunks }
+ * @param {AbortSignal} [options.signal] - Pauses the upload
+ * @returns {Promise<Object>} The /api/uploads/:id/complete response ({ file: { id, ... } })
+ */
+export const uploadFileResumable = async (file, { onProgress, signal } = {}) => {
+  let upload = await findUpload(file);
+
+  if (!upload) {
+    const data = await apiRequest('/api/uploads', {
+      method: 'POST',
+      body: { filename: file.name, size: file.size, mimetype: file.type },
+      signal
+    });
+    upload = data.upload;
+    localStorage.setItem(getResumeKey(file), upload.id);
+  }
+
+  const totalChunks = Math.ceil(file.size / upload.chunkSize);
+  let offset = upload.offset;
+
+  const reportProgress = () => {
+    if (onProgress) {
+      onProgress({
+        uploadedBytes: offset,
+        totalBytes: file.size,
+        chunkIndex: Math.floor(offset / upload.chunkSize),
+        totalChunks: totalChunks
+      });
+    }
+  };
+
+  reportProgress();
+
+  while (offset < file.size) {
+    const buffer = await file.slice(offset, offset + upload.chunkSize).arrayBuffer();
+    const checksum = await sha256Hex(buffer);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const data = await apiRequest(`/api/uploads/${upload.id}?offset=${offset}`, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            ...(checksum && { 'X-Chunk-SHA256': checksum })
+          },
+          body: buffer,
+          signal
+        });
+        offset = data.upload.offset;
+        break;
+      } catch (err) {
+        if (err.name === 'AbortError') {
+          throw err;
+        }
+        // The server already has a different amount of the file (e.g. a
+        // retried chunk had arrived); continue from its offset
+        if (err.status === 409 && err.data && typeof err.data.offset === 'number') {
+          offset = err.data.offset;
+          break;
+        }
+        // A corrupted chunk is resent like a network failure
+        if ((!isRetryable(err) && err.status !== 422) || attempt >= MAX_CHUNK_ATTEMPTS) {
+          throw err;
+        }
+        await wait(Math.min(1000 * 2 ** attempt, MAX_RETRY_DELAY_MS), signal);
+      }
+    }
+
+    reportProgress();
+  }
+
+  const result = await apiRequest(`/api/uploads/${upload.id}/complete`, {
+    method: 'POST',
+    signal
+  });
+  localStorage.removeItem(getResumeKey(file));
+  return result;
+};
+
+// Abandon a file's unfinished upload on the server
+export const cancelUpload = async (file) => {
+  const uploadId = localStorage.getItem(getResumeKey(file));
+  localStorage.removeItem(getResumeKey(file));
+  if (uploadId) {
+    await apiRequest(`/api/uploads/${uploadId}`, { method: 'DELETE' }).catch(() => {});
+  }
+};
@@ -1,16 +1,117 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
+import useLiveTranscription from '../hooks/useLiveTranscription';
+import useAudioInputs from '../hooks/useAudioInputs';
+import useInputLevel, { CLIPPING_WARNING_SECONDS, SILENCE_WARNING_SECONDS } from '../hooks/useInputLevel';
+import LiveTranscript from './LiveTranscript';
+import BookmarkPanel from './BookmarkPanel';
+import {
+  appendRecordingChunk,
+  createRecordingSession,
+  deleteRecordingSession,
+  listRecordingSessions,
+  loadRecording,
+  updateRecordingSession
+} from '../storage/recordings';
 
-const AudioRecorder = () => {
+// How often MediaRecorder emits a chunk while streaming live (ms)
+const STREAM_TIMESLICE_MS = 250;
+
+// How often chunks are saved to IndexedDB otherwise (ms); at most this much
+// audio is lost if the tab crashes
+const PERSIST_TIMESLICE_MS = 1000;
+
+// Input picker value for recording another tab's or the system's audio
+const SYSTEM_AUDIO_INPUT = 'system-audio';
+// Remembers the chosen input between visits
+const INPUT_STORAGE_KEY = 'recorder-input';
+
+const canCaptureSystemAudio = () => Boolean(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia);
+
+// Open the chosen input: a microphone by device id ('' for the default) or
+// the audio of a shared tab or screen
+const openInputStream = async (inputId) => {
+  if (inputId === SYSTEM_AUDIO_INPUT) {
+    // Browsers only offer audio sharing alongside video
+    const display = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+    display.getVideoTracks().forEach(track => track.stop());
+
+    const audioTracks = display.getAudioTracks();
+    if (audioTracks.length === 0) {
+      const error = new Error('No audio was shared');
+      error.name = 'NoSharedAudioError';
+      throw error;
+    }
+    return new MediaStream(audioTracks);
+  }
+
+  return navigator.mediaDevices.getUserMedia({
+    audio: {
+      ...(inputId && { deviceId: { exact: inputId } }),
+      echoCancellation: true,
+      noiseSuppression: true,
+      sampleRate: 44100,
+    }
+  });
+};
+
+// Hand a finished recording to the processing pipeline as a regular file
+const toRecordingFile = (blob) => {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return new File([blob], `recording-${timestamp}.webm`, { type: 'audio/webm' });
+};
+
+const AudioRecorder = ({ onUseRecording }) => {
   // State management
-  const [recordingState, setRecordingState] = useState('idle'); // idle, recording, stopped
+  const [recordingState, setRecordingState] = useState('idle'); // idle, recording, paused, stopped
   const [audioBlob, setAudioBlob] = useState(null);
   const [error, setError] = useState(null);
   const [recordingTime, setRecordingTime] = useState(0);
+  const [liveMode, setLiveMode] = useState(false);
+  // Recordings left in IndexedDB by an earlier visit
+  const [recoverable, setRecoverable] = useState([]);
+  // IndexedDB session of the recording in the preview
+  const [storedSessionId, setStoredSessionId] = useState(null);
+  const [backupWarning, setBackupWarning] = useState(null);
+  // Timestamped "Important!" marks and notes for the current recording
+  const [bookmarks, setBookmarks] = useState([]);
+  const [inputId, setInputId] = useState(() => localStorage.getItem(INPUT_STORAGE_KEY) || '');
+  // Input being recorded, measured by the level meter
+  const [inputStream, setInputStream] = useState(null);
+
+  const audioInputs = useAudioInputs();
+  const input = useInputLevel(inputStream, { active: recordingState === 'recording' });
+
+  // Live transcription over WebSocket
+  const live = useLiveTranscription();
 
   // Refs
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
   const timerRef = useRef(null);
+  const recordingTimeRef = useRef(0);
+  const sessionIdRef = useRef(null);
+  // IndexedDB writes run one at a time, in chunk order
+  const persistQueueRef = useRef(Promise.resolve());
+
+  // Offer to recover recordings from a crashed or closed tab
+  useEffect(() => {
+    listRecordingSessions()
+      .then(setRecoverable)
+      .catch((err) => console.error('Could not read saved recordings:', err));
+  }, []);
+
+  const persist = (task) => {
+    persistQueueRef.current = persistQueueRef.current
+      .then(task)
+      .catch((err) => {
+        console.error('Could not save recording to IndexedDB:', err);
+        setBackupWarning('The recording is not being backed up in this browser. It will be lost if the tab closes before you process it.');
+      });
+  };
+
+  const discardStoredRecording = (id) => {
+    persist(() => deleteRecordingSession(id));
+  };
 
   // Get status message based on state
   const getStatusMessage = () => {
@@ -19,6 +120,8 @@ const AudioRecorder = () => {
         return audioBlob ? 'Recording ready to process' : 'Ready to Record';
       case 'recording':
         return 'Recording...';
+      case 'paused':
+        return 'Paused';
       case 'stopped':
         return 'Processing...';
       default:
@@ -33,11 +136,13 @@ const AudioRecorder = () => {
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
   };
 
-  // Start recording timer
-  const startTimer = () => {
-    setRecordingTime(0);
+  // Start recording timer, continuing from the given time after a pause
+  const startTimer = (fromSeconds = 0) => {
+    recordingTimeRef.current = fromSeconds;
+    setRecordingTime(fromSeconds);
     timerRef.current = setInterval(() => {
-      setRecordingTime((prev) => prev + 1);
+      recordingTimeRef.current += 1;
+      setRecordingTime(recordingTimeRef.current);
     }, 1000);
   };
 
@@ -49,19 +154,21 @@ const AudioRecorder = () => {
     }
   };
 
+  const selectInput = (value) => {
+    setInputId(value);
+    localStorage.setItem(INPUT_STORAGE_KEY, value);
+  };
+
   // Start recording
   const startRecording = async () => {
+    let stream = null;
     try {
       setError(null);
 
-      // Request microphone access
-      const stream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          sampleRate: 44100,
-        }
-      });
+      // Request access to the chosen input
+      stream = await openInputStream(inputId);
+      // Device names are only available once access has been granted
+      audioInputs.refresh();
 
       // Create MediaRecorder instance
       const mediaRecorder = new MediaRecorder(stream, {
@@ -70,11 +177,51 @@ const AudioRecorder = () => {
 
       mediaRecorderRef.current = mediaRecorder;
       audioChunksRef.current = [];
+      setBookmarks([]);
+
+      // The new recording replaces the one in the preview
+      if (storedSessionId) {
+        discardStoredRecording(storedSessionId);
+        setStoredSessionId(null);
+      }
+
+      // Back the recording up chunk by chunk; if IndexedDB is unavailable the
+      // recording is kept in memory only
+      sessionIdRef.current = null;
+      setBackupWarning(null);
+      try {
+        const session = await createRecordingSession({ mimeType: mediaRecorder.mimeType || 'audio/webm' });
+        sessionIdRef.current = session.id;
+      } catch (storageError) {
+        console.error('Could not start recording backup:', storageError);
+        setBackupWarning('The recording is not being backed up in this browser. It will be lost if the tab closes before you process it.');
+      }
+      const sessionId = sessionIdRef.current;
+
+      // Connect live transcription first so no audio is missed. If it fails
+      // the error is shown under the recorder and recording carries on.
+      let streaming = false;
+      if (liveMode) {
+        try {
+          await live.connect();
+          streaming = true;
+        } catch (liveError) {
+          console.error('Live transcription unavailable:', liveError);
+        }
+      }
 
       // Handle data available event
       mediaRecorder.addEventListener('dataavailable', (event) => {
         if (event.data.size > 0) {
           audioChunksRef.current.push(event.data);
+          if (sessionId) {
+            const chunk = event.data;
+            const elapsedSeconds = recordingTimeRef.current;
+            persist(() => appendRecordingChunk(sessionId, chunk, { elapsedSeconds }));
+          }
+          if (streaming) {
+            live.sendChunk(event.data);
+          }
         }
       });
 
@@ -83,22 +230,52 @@ const AudioRecorder = () => {
         const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/webm' });
         setAudioBlob(audioBlob);
         setRecordingState('idle');
+        setInputStream(null);
         stopTimer();
 
+        if (sessionId) {
+          const elapsedSeconds = recordingTimeRef.current;
+          persist(() => updateRecordingSession(sessionId, { status: 'stopped', elapsedSeconds }));
+          setStoredSessionId(sessionId);
+        }
+
         // Stop all audio tracks
         stream.getTracks().forEach(track => track.stop());
+
+        if (streaming) {
+          live.finish();
+        }
       });
 
-      // Start recording
-      mediaRecorder.start();
+      // Stop when the input goes away (mic unplugged, screen sharing ended)
+      stream.getAudioTracks().forEach(track => track.addEventListener('ended', () => {
+        if (mediaRecorder.state !== 'inactive') {
+          setRecordingState('stopped');
+          mediaRecorder.stop();
+        }
+      }));
+
+      // Start recording; timesliced so chunks can be saved (and streamed) as they arrive
+      mediaRecorder.start(streaming ? STREAM_TIMESLICE_MS : PERSIST_TIMESLICE_MS);
       setRecordingState('recording');
+      setInputStream(stream);
       startTimer();
 
     } catch (err) {
       console.error('Error accessing microphone:', err);
 
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+      }
+
       // Provide user-friendly error messages
-      if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
+      if (err.name === 'NoSharedAudioError') {
+        setError('No audio was shared. Choose a tab or screen again and turn on "Share audio".');
+      } else if (inputId === SYSTEM_AUDIO_INPUT && err.name === 'NotAllowedError') {
+        setError('Screen sharing was cancelled or blocked. Allow it to record system audio.');
+      } else if (err.name === 'OverconstrainedError') {
+        setError('The selected microphone is not available. Please choose another input.');
+      } else if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
         setError('Microphone access denied. Please allow microphone permissions in your browser settings.');
       } else if (err.name === 'NotFoundError' || err.name === 'DevicesNotFoundError') {
         setError('No microphone found. Please connect a microphone and try again.');
@@ -112,9 +289,39 @@ const AudioRecorder = () => {
     }
   };
 
+  // Pause recording; flush what has been recorded so far to storage first
+  const pauseRecording = () => {
+    if (mediaRecorderRef.current && recordingState === 'recording') {
+      mediaRecorderRef.current.requestData();
+      mediaRecorderRef.current.pause();
+      setRecordingState('paused');
+      stopTimer();
+
+      const sessionId = sessionIdRef.current;
+      if (sessionId) {
+        const elapsedSeconds = recordingTimeRef.current;
+        persist(() => updateRecordingSession(sessionId, { status: 'paused', elapsedSeconds }));
+      }
+    }
+  };
+
+  // Resume a paused recording into the same file
+  const resumeRecording = () => {
+    if (mediaRecorderRef.current && recordingState === 'paused') {
+      mediaRecorderRef.current.resume();
+      setRecordingState('recording');
+      startTimer(recordingTimeRef.current);
+
+      const sessionId = sessionIdRef.current;
+      if (sessionId) {
+        persist(() => updateRecordingSession(sessionId, { status: 'recording' }));
+      }
+    }
+  };
+
   // Stop recording
   const stopRecording = () => {
-    if (mediaRecorderRef.current && recordingState === 'recording') {
+    if (mediaRecorderRef.current && (recordingState === 'recording' || recordingState === 'paused')) {
       setRecordingState('stopped');
       mediaRecorderRef.current.stop();
     }
@@ -122,9 +329,72 @@ const AudioRecorder = () => {
 
   // Clear recording
   const clearRecording = () => {
+    if (storedSessionId) {
+      discardStoredRecording(storedSessionId);
+      setStoredSessionId(null);
+    }
     setAudioBlob(null);
     setRecordingTime(0);
+    setBookmarks([]);
     setError(null);
+    live.reset();
+  };
+
+  // Bookmarks are saved with the recording so they survive a crash too
+  const saveBookmarks = (next) => {
+    setBookmarks(next);
+    const sessionId = recordingState === 'idle' ? storedSessionId : sessionIdRef.current;
+    if (sessionId) {
+      persist(() => updateRecordingSession(sessionId, { bookmarks: next }));
+    }
+  };
+
+  const addBookmark = (bookmark) => {
+    saveBookmarks([...bookmarks, bookmark].sort((a, b) => a.time - b.time));
+  };
+
+  const removeBookmark = (index) => {
+    saveBookmarks(bookmarks.filter((_, i) => i !== index));
+  };
+
+  // Load a recording saved by an earlier visit into the preview
+  const recoverRecording = async (session) => {
+    try {
+      const blob = await loadRecording(session.id);
+      if (!blob) {
+        throw new Error('Recording not found');
+      }
+
+      if (storedSessionId) {
+        discardStoredRecording(storedSessionId);
+      }
+      setAudioBlob(blob);
+      setRecordingTime(session.elapsedSeconds);
+      setBookmarks(session.bookmarks || []);
+      setStoredSessionId(session.id);
+      setError(null);
+      setRecoverable((sessions) => sessions.filter(item => item.id !== session.id));
+    } catch (err) {
+      console.error('Could not recover recording:', err);
+      setError('The saved recording could not be loaded. It may have been removed by the browser.');
+    }
+  };
+
+  const discardRecoverable = (session) => {
+    if (!window.confirm('Discard this recording? It cannot be recovered afterwards.')) {
+      return;
+    }
+    discardStoredRecording(session.id);
+    setRecoverable((sessions) => sessions.filter(item => item.id !== session.id));
+  };
+
+  // Hand the recording to processing; it no longer needs to be kept in storage
+  const processRecording = () => {
+    onUseRecording({ file: toRecordingFile(audioBlob), bookmarks });
+    if (storedSessionId) {
+      discardStoredRecording(storedSessionId);
+      setStoredSessionId(null);
+    }
   };
 
   return (
@@ -139,6 +409,75 @@ const AudioRecorder = () => {
         </p>
       </div>
 
+      {/* Input picker */}
+      <label className="block mb-4 text-sm text-gray-700">
+        <span className="block mb-1 font-medium">Input</span>
+        <select
+          value={inputId}
+          onChange={(e) => selectInput(e.target.value)}
+          disabled={recordingState !== 'idle'}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        >
+          <option value="">Default microphone</option>
+          {audioInputs.devices.map((device) => (
+            <option key={device.deviceId} value={device.deviceId}>
+              {device.label}
+            </option>
+          ))}
+          {canCaptureSystemAudio() && (
+            <option value={SYSTEM_AUDIO_INPUT}>System audio (share a tab or screen)</option>
+          )}
+        </select>
+      </label>
+
+      {/* Live transcription toggle */}
+      <label className="flex items-center space-x-2 mb-6 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={liveMode}
+          onChange={(e) => setLiveMode(e.target.checked)}
+          disabled={recordingState !== 'idle'}
+          className="h-4 w-4 rounded border-gray-300 text-indigo-600"
+        />
+        <span>Show live transcript while recording</span>
+      </label>
+
+      {/* Recordings saved by an earlier visit */}
+      {recordingState === 'idle' && recoverable.length > 0 && (
+        <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <h3 className="text-sm font-medium text-yellow-800 mb-2">
+            Unprocessed recordings were found from an earlier session
+          </h3>
+          <ul className="space-y-2">
+            {recoverable.map((session) => (
+              <li key={session.id} className="flex flex-wrap items-center justify-between gap-2 text-sm text-gray-700">
+                <span>
+                  {new Date(session.startedAt).toLocaleString()}
+                  <span className="text-gray-500">
+                    {' '}· {formatTime(session.elapsedSeconds)} · {(session.size / 1024 / 1024).toFixed(2)} MB
+                    {session.status !== 'stopped' && ' · interrupted'}
+                  </span>
+                </span>
+                <span className="flex gap-2">
+                  <button
+                    onClick={() => recoverRecording(session)}
+                    className="px-3 py-1 bg-indigo-600 text-white rounded-lg text-xs font-medium hover:bg-indigo-700 transition-all"
+                  >
+                    Recover
+                  </button>
+                  <button
+                    onClick={() => discardRecoverable(session)}
+                    className="px-3 py-1 bg-gray-200 text-gray-700 rounded-lg text-xs font-medium hover:bg-gray-300 transition-all"
+                  >
+                    Discard
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Status Indicator */}
       <div className="mb-6">
         <div className="flex items-center justify-between mb-2">
@@ -149,7 +488,7 @@ const AudioRecorder = () => {
                 className={`w-3 h-3 rounded-full ${
                   recordingState === 'recording'
                     ? 'bg-red-500 animate-pulse'
-                    : recordingState === 'stopped'
+                    : recordingState === 'stopped' || recordingState === 'paused'
                     ? 'bg-yellow-500'
                     : 'bg-green-500'
                 }`}
@@ -166,19 +505,36 @@ const AudioRecorder = () => {
           </div>
 
           {/* Recording timer */}
-          {recordingState === 'recording' && (
-            <span className="text-xl font-mono font-bold text-red-600">
+          {(recordingState === 'recording' || recordingState === 'paused') && (
+            <span className={`text-xl font-mono font-bold ${recordingState === 'paused' ? 'text-yellow-600' : 'text-red-600'}`}>
               {formatTime(recordingTime)}
             </span>
           )}
         </div>
 
-        {/* Progress bar */}
-        {recordingState === 'recording' && (
-          <div className="w-full bg-gray-200 rounded-full h-2 overflow-hidden">
-            <div className="bg-red-500 h-2 animate-pulse" style={{ width: '100%' }} />
+        {/* Input level meter */}
+        {(recordingState === 'recording' || recordingState === 'paused') && (
+          <div className="w-full bg-gray-200 rounded-full h-2 overflow-hidden" title="Input level">
+            <div
+              className={`h-2 transition-all duration-100 ${
+                input.clipping ? 'bg-red-600' : input.level > 0.9 ? 'bg-yellow-500' : 'bg-green-500'
+              }`}
+              style={{ width: `${Math.round(input.level * 100)}%` }}
+            />
           </div>
         )}
+
+        {/* Input warnings */}
+        {recordingState === 'recording' && input.silent && (
+          <p className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+            No sound for over {SILENCE_WARNING_SECONDS} seconds. Check that the right input is selected and not muted.
+          </p>
+        )}
+        {recordingState === 'recording' && input.clipping && (
+          <p className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            The input has been clipping for {CLIPPING_WARNING_SECONDS} seconds. Lower the microphone gain or move it further from the speaker.
+          </p>
+        )}
       </div>
 
       {/* Error Message */}
@@ -206,10 +562,17 @@ const AudioRecorder = () => {
         </div>
       )}
 
+      {/* Backup Warning */}
+      {backupWarning && (
+        <div className="mb-6 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          {backupWarning}
+        </div>
+      )}
+
       {/* Control Buttons */}
       <div className="flex flex-wrap gap-3">
         {/* Record/Stop Button */}
-        {recordingState !== 'recording' ? (
+        {recordingState === 'idle' || recordingState === 'stopped' ? (
           <button
             onClick={startRecording}
             disabled={recordingState === 'stopped'}
@@ -248,6 +611,39 @@ const AudioRecorder = () => {
           </button>
         )}
 
+        {/* Pause/Resume Button */}
+        {recordingState === 'recording' && (
+          <button
+            onClick={pauseRecording}
+            className="flex items-center space-x-2 px-6 py-3 bg-yellow-500 text-white rounded-lg font-medium hover:bg-yellow-600 transition-all shadow-md hover:shadow-lg"
+          >
+            <svg
+              className="w-5 h-5"
+              fill="currentColor"
+              viewBox="0 0 20 20"
+            >
+              <rect x="6" y="5" width="3" height="10" rx="1" />
+              <rect x="11" y="5" width="3" height="10" rx="1" />
+            </svg>
+            <span>Pause</span>
+          </button>
+        )}
+        {recordingState === 'paused' && (
+          <button
+            onClick={resumeRecording}
+            className="flex items-center space-x-2 px-6 py-3 bg-red-600 text-white rounded-lg font-medium hover:bg-red-700 transition-all shadow-md hover:shadow-lg"
+          >
+            <svg
+              className="w-5 h-5"
+              fill="currentColor"
+              viewBox="0 0 20 20"
+            >
+              <path d="M6 4.5v11a1 1 0 001.5.86l9-5.5a1 1 0 000-1.72l-9-5.5A1 1 0 006 4.5z" />
+            </svg>
+            <span>Resume</span>
+          </button>
+        )}
+
         {/* Clear Button */}
         {audioBlob && recordingState === 'idle' && (
           <button
@@ -272,6 +668,28 @@ const AudioRecorder = () => {
         )}
       </div>
 
+      {/* Bookmarks */}
+      {(recordingState !== 'idle' || audioBlob) && (
+        <BookmarkPanel
+          bookmarks={bookmarks}
+          canAdd={recordingState === 'recording' || recordingState === 'paused'}
+          getTime={() => recordingTimeRef.current}
+          onAdd={addBookmark}
+          onRemove={removeBookmark}
+        />
+      )}
+
+      {/* Live Transcript */}
+      {liveMode && (recordingState !== 'idle' || live.finalSegments.length > 0 || live.error) && (
+        <LiveTranscript
+          finalSegments={live.finalSegments}
+          interimText={live.interimText}
+          status={live.status}
+          error={live.error}
+          restarts={live.restarts}
+        />
+      )}
+
       {/* Audio Preview */}
       {audioBlob && recordingState === 'idle' && (
         <div className="mt-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
@@ -283,8 +701,16 @@ const AudioRecorder = () => {
             src={URL.createObjectURL(audioBlob)}
             className="w-full"
           />
-          <div className="mt-3 text-sm text-gray-600">
-            Size: {(audioBlob.size / 1024 / 1024).toFixed(2)} MB
+          <div className="mt-3 flex items-center justify-between text-sm text-gray-600">
+            <span>Size: {(audioBlob.size / 1024 / 1024).toFixed(2)} MB</span>
+            {onUseRecording && (
+              <button
+                onClick={processRecording}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700 transition-all"
+              >
+                Transcribe & Generate Notes
+              </button>
+            )}
           </div>
         </div>
       )}
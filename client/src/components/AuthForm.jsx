@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { login, signup } from '../api/auth';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Sign in to an existing account or create a new one.
+ *
+ * @param {Function} onSignedIn - Called with the signed-in user
+ */
+const AuthForm = ({ onSignedIn }) => {
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ name: '', email: '', password: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isSignup = mode === 'signup';
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const data = isSignup ? await signup(form) : await login(form);
+      onSignedIn(data.user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(isSignup ? 'login' : 'signup');
+    setError(null);
+  };
+
+  const inputStyle = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div className="max-w-md mx-auto bg-white rounded-lg shadow-lg p-8">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-2">
+        {isSignup ? 'Create an account' : 'Sign in'}
+      </h2>
+      <p className="text-gray-600 mb-6">
+        {isSignup ? 'Your lectures and templates are private to your account' : 'Sign in to see your lectures'}
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={submit} className="space-y-3">
+        {isSignup && (
+          <input
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Name (optional)"
+            maxLength={80}
+            autoComplete="name"
+            className={inputStyle}
+          />
+        )}
+        <input
+          type="email"
+          value={form.email}
+          onChange={(e) => setForm({ ...form, email: e.target.value })}
+          placeholder="Email"
+          required
+          autoComplete="email"
+          className={inputStyle}
+        />
+        <input
+          type="password"
+          value={form.password}
+          onChange={(e) => setForm({ ...form, password: e.target.value })}
+          placeholder={isSignup ? `Password (at least ${MIN_PASSWORD_LENGTH} characters)` : 'Password'}
+          required
+          minLength={isSignup ? MIN_PASSWORD_LENGTH : undefined}
+          autoComplete={isSignup ? 'new-password' : 'current-password'}
+          className={inputStyle}
+        />
+        <button
+          type="submit"
+          disabled={submitting}
+          className={`w-full px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+            submitting
+              ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+              : 'bg-indigo-600 text-white hover:bg-indigo-700'
+          }`}
+        >
+          {submitting ? 'Please wait...' : isSignup ? 'Create account' : 'Sign in'}
+        </button>
+      </form>
+
+      <p className="mt-4 text-sm text-gray-600 text-center">
+        {isSignup ? 'Already have an account?' : 'New here?'}{' '}
+        <button onClick={switchMode} className="font-medium text-indigo-600 hover:text-indigo-800">
+          {isSignup ? 'Sign in' : 'Create an account'}
+        </button>
+      </p>
+    </div>
+  );
+};
+
+export default AuthForm;
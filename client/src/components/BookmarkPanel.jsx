@@ -0,0 +1,97 @@
+import { useState, useRef } from 'react';
+
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+/**
+ * "Important!" marks and quick notes anchored to the recording time.
+ *
+ * @param {Array} bookmarks - { time, type: 'important'|'note', text? }, in time order
+ * @param {boolean} canAdd - Whether a recording is in progress
+ * @param {Function} getTime - Current recording time in seconds
+ * @param {Function} onAdd - Called with a new bookmark
+ * @param {Function} onRemove - Called with the index of a bookmark to remove
+ */
+const BookmarkPanel = ({ bookmarks, canAdd, getTime, onAdd, onRemove }) => {
+  const [noteText, setNoteText] = useState('');
+  // A note belongs where the student started typing it, not where they finished
+  const noteTimeRef = useRef(null);
+
+  const changeNote = (value) => {
+    if (!noteText && value) {
+      noteTimeRef.current = getTime();
+    }
+    setNoteText(value);
+  };
+
+  const addNote = (event) => {
+    event.preventDefault();
+    const text = noteText.trim();
+    if (!text) {
+      return;
+    }
+    onAdd({ time: noteTimeRef.current ?? getTime(), type: 'note', text });
+    setNoteText('');
+    noteTimeRef.current = null;
+  };
+
+  if (!canAdd && bookmarks.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h3 className="text-sm font-medium text-gray-700 mb-3">
+        Bookmarks
+      </h3>
+
+      {canAdd && (
+        <form onSubmit={addNote} className="flex flex-wrap gap-2 mb-3">
+          <button
+            type="button"
+            onClick={() => onAdd({ time: getTime(), type: 'important' })}
+            className="px-4 py-2 bg-yellow-400 text-gray-900 rounded-lg text-sm font-medium hover:bg-yellow-500 transition-all"
+          >
+            ⭐ Important!
+          </button>
+          <input
+            value={noteText}
+            onChange={(e) => changeNote(e.target.value)}
+            placeholder="Type a quick note and press Enter"
+            maxLength={500}
+            className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+        </form>
+      )}
+
+      {bookmarks.length > 0 ? (
+        <ul className="space-y-1 max-h-48 overflow-y-auto">
+          {bookmarks.map((bookmark, index) => (
+            <li key={`${bookmark.time}-${index}`} className="flex items-start justify-between gap-2 text-sm text-gray-700">
+              <span>
+                <span className="font-mono text-gray-500 mr-2">{formatTime(bookmark.time)}</span>
+                {bookmark.type === 'important' ? '⭐ Important' : `📝 ${bookmark.text}`}
+              </span>
+              <button
+                onClick={() => onRemove(index)}
+                className="text-gray-400 hover:text-red-600"
+                aria-label="Remove bookmark"
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 italic">
+          Mark important moments or add notes; they are woven into the generated notes.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BookmarkPanel;
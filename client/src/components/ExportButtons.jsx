@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import { downloadNotes } from '../api/export';
+
+const FORMATS = [
+  { format: 'md', label: 'Markdown' },
+  { format: 'pdf', label: 'PDF' },
+  { format: 'docx', label: 'Word' },
+  { format: 'html', label: 'HTML' },
+  { format: 'txt', label: 'Text' },
+  { format: 'csv', label: 'Anki CSV' },
+];
+
+const ExportButtons = ({ notes, title }) => {
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState(null);
+
+  const exportAs = async (format) => {
+    setExporting(format);
+    setError(null);
+    try {
+      await downloadNotes({ notes, format, title });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2">
+        {FORMATS.map(({ format, label }) => (
+          <button
+            key={format}
+            onClick={() => exportAs(format)}
+            disabled={exporting !== null}
+            className={`flex items-center space-x-1 px-3 py-1.5 rounded-lg text-xs font-medium transition-all ${
+              exporting !== null
+                ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                : 'bg-gray-100 text-gray-700 hover:bg-indigo-100 hover:text-indigo-700'
+            }`}
+          >
+            <svg
+              className="w-4 h-4"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"
+              />
+            </svg>
+            <span>{exporting === format ? 'Exporting...' : label}</span>
+          </button>
+        ))}
+      </div>
+      {error && (
+        <p className="text-sm text-red-700 mt-2">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default ExportButtons;
@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react';
+import SourceCitation from './SourceCitation';
+import { REVIEW_GRADES, isDue, loadProgress, saveProgress, scheduleReview } from '../storage/studyProgress';
+
+const formatDue = (due) => new Date(due).toLocaleDateString(undefined, {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * Review the flashcards that are due, scheduling each card's next review
+ * with spaced repetition. Progress is stored in this browser.
+ *
+ * @param {string} userId - User reviewing the cards
+ * @param {string} lectureId - Lecture the cards belong to
+ * @param {Array} flashcards - { id, front, back, source }
+ */
+const FlashcardReview = ({ userId, lectureId, flashcards }) => {
+  const [progress, setProgress] = useState({});
+  // Ids of the cards left in this session; "again" sends a card to the back
+  const [queue, setQueue] = useState([]);
+  const [showBack, setShowBack] = useState(false);
+
+  useEffect(() => {
+    // Progress of cards replaced by regenerating is dropped on the next save
+    const stored = Object.fromEntries(Object.entries(loadProgress(userId, lectureId))
+      .filter(([id]) => flashcards.some(card => card.id === id)));
+    setProgress(stored);
+    setQueue(flashcards.filter(card => isDue(stored[card.id])).map(card => card.id));
+    setShowBack(false);
+  }, [userId, lectureId, flashcards]);
+
+  const card = flashcards.find(item => item.id === queue[0]);
+  const nextDue = flashcards
+    .map(item => progress[item.id])
+    .filter(Boolean)
+    .reduce((earliest, entry) => Math.min(earliest, entry.due), Infinity);
+
+  const grade = (value) => {
+    const updated = { ...progress, [card.id]: scheduleReview(progress[card.id], value) };
+    setProgress(updated);
+    saveProgress(userId, lectureId, updated);
+    setQueue(value === 'again' ? [...queue.slice(1), card.id] : queue.slice(1));
+    setShowBack(false);
+  };
+
+  if (!card) {
+    return (
+      <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+        All caught up!{Number.isFinite(nextDue) && ` Next review: ${formatDue(nextDue)}.`}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <p className="text-xs text-gray-500 mb-2">
+        {queue.length} card{queue.length === 1 ? '' : 's'} left in this session · {flashcards.length} in total
+      </p>
+
+      <div className="p-6 bg-gray-50 border border-gray-200 rounded-lg">
+        <p className="text-lg font-medium text-gray-800 text-center">{card.front}</p>
+        {showBack && (
+          <div className="mt-4 pt-4 border-t border-gray-200">
+            <p className="text-gray-700 text-center">{card.back}</p>
+            <SourceCitation source={card.source} />
+          </div>
+        )}
+      </div>
+
+      <div className="flex flex-wrap justify-center gap-2 mt-4">
+        {showBack ? (
+          REVIEW_GRADES.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => grade(value)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+                value === 'again'
+                  ? 'bg-red-50 text-red-700 hover:bg-red-100'
+                  : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+            >
+              {label}
+            </button>
+          ))
+        ) : (
+          <button
+            onClick={() => setShowBack(true)}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700 transition-all"
+          >
+            Show answer
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FlashcardReview;
@@ -0,0 +1,266 @@
+import { useState, useEffect } from 'react';
+import { getLecture, updateLecture, deleteLecture, deleteLectureAudio } from '../api/lectures';
+import TranscriptPlayer from './TranscriptPlayer';
+import SpeakerNames from './SpeakerNames';
+import ExportButtons from './ExportButtons';
+import MarkdownNotes from './MarkdownNotes';
+import StudyPanel from './StudyPanel';
+import { clearProgress } from '../storage/studyProgress';
+
+const LectureDetail = ({ lectureId, onClose, onChange }) => {
+  const [lecture, setLecture] = useState(null);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({ title: '', course: '', date: '' });
+  const [showTranscript, setShowTranscript] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLecture(null);
+    setError(null);
+    setEditing(false);
+    setShowTranscript(false);
+
+    getLecture(lectureId)
+      .then((data) => {
+        if (!cancelled) {
+          setLecture(data.lecture);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.message);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [lectureId]);
+
+  const startEditing = () => {
+    setForm({
+      title: lecture.title,
+      course: lecture.course,
+      date: lecture.date
+    });
+    setEditing(true);
+  };
+
+  const saveChanges = async () => {
+    try {
+      const data = await updateLecture(lecture.id, form);
+      setLecture(data.lecture);
+      setEditing(false);
+      setError(null);
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const saveSpeakers = async (speakers) => {
+    try {
+      const data = await updateLecture(lecture.id, { speakers });
+      setLecture(data.lecture);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const saveStudyMaterials = async (studyMaterials) => {
+    const data = await updateLecture(lecture.id, { studyMaterials });
+    setLecture(data.lecture);
+  };
+
+  // Free the recording's disk space; the transcript and notes stay
+  const removeAudio = async () => {
+    if (!window.confirm('Delete the recording of this lecture? The transcript and notes are kept.')) {
+      return;
+    }
+
+    try {
+      const data = await deleteLectureAudio(lecture.id);
+      setLecture(data.lecture);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const removeLecture = async () => {
+    if (!window.confirm(`Delete "${lecture.title}"? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await deleteLecture(lecture.id);
+      clearProgress(lecture.userId, lecture.id);
+      onChange();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      {/* Error Message */}
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {!lecture ? (
+        !error && <p className="text-sm text-gray-500">Loading lecture...</p>
+      ) : (
+        <>
+          {/* Header */}
+          <div className="flex items-start justify-between mb-6">
+            {editing ? (
+              <div className="flex-1 space-y-2 mr-4">
+                <input
+                  value={form.title}
+                  onChange={(e) => setForm({ ...form, title: e.target.value })}
+                  placeholder="Title"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                />
+                <div className="flex gap-2">
+                  <input
+                    value={form.course}
+                    onChange={(e) => setForm({ ...form, course: e.target.value })}
+                    placeholder="Course"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  />
+                  <input
+                    type="date"
+                    value={form.date}
+                    onChange={(e) => setForm({ ...form, date: e.target.value })}
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  />
+                </div>
+              </div>
+            ) : (
+              <div>
+                <h2 className="text-2xl font-semibold text-gray-800 mb-1">
+                  {lecture.title}
+                </h2>
+                <p className="text-sm text-gray-600">
+                  {lecture.course && <span className="mr-2">{lecture.course}</span>}
+                  <span>{lecture.date}</span>
+                </p>
+              </div>
+            )}
+
+            <div className="flex gap-2">
+              {editing ? (
+                <>
+                  <button
+                    onClick={saveChanges}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700 transition-all"
+                  >
+                    Save
+                  </button>
+                  <button
+                    onClick={() => setEditing(false)}
+                    className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-300 transition-all"
+                  >
+                    Cancel
+                  </button>
+                </>
+              ) : (
+                <>
+                  <button
+                    onClick={startEditing}
+                    className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-300 transition-all"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={removeLecture}
+                    className="px-4 py-2 bg-red-50 text-red-700 rounded-lg text-sm font-medium hover:bg-red-100 transition-all"
+                  >
+                    Delete
+                  </button>
+                  <button
+                    onClick={onClose}
+                    className="px-4 py-2 text-gray-500 rounded-lg text-sm font-medium hover:text-gray-700 transition-all"
+                  >
+                    Close
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+
+          {/* Notes */}
+          {lecture.notes ? (
+            <div className="mb-6">
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                <h3 className="text-sm font-medium text-gray-700">Notes</h3>
+                <ExportButtons notes={lecture.notes} title={lecture.title} />
+              </div>
+              <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                <MarkdownNotes notes={lecture.notes} />
+              </div>
+            </div>
+          ) : (
+            <p className="mb-6 text-sm text-gray-500 italic">No notes for this lecture yet.</p>
+          )}
+
+          {/* Quiz and flashcards */}
+          {lecture.notes && lecture.transcript && (
+            <StudyPanel lecture={lecture} onSave={saveStudyMaterials} />
+          )}
+
+          {/* Timed transcript with click-to-seek playback */}
+          {lecture.sentences && lecture.sentences.length > 0 && (
+            <div>
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-sm font-medium text-gray-700">Transcript</h3>
+                {lecture.audio && (
+                  <button
+                    onClick={removeAudio}
+                    className="text-xs text-gray-500 hover:text-red-600"
+                  >
+                    Delete recording
+                  </button>
+                )}
+              </div>
+              {lecture.speakers && Object.keys(lecture.speakers).length > 0 && (
+                <SpeakerNames speakers={lecture.speakers} onSave={saveSpeakers} />
+              )}
+              <TranscriptPlayer
+                audioUrl={lecture.audio ? `/api/lectures/${lecture.id}/audio` : null}
+                sentences={lecture.sentences}
+                speakers={lecture.speakers}
+              />
+            </div>
+          )}
+
+          {/* Plain transcript for lectures without word timings */}
+          {lecture.transcript && !(lecture.sentences && lecture.sentences.length > 0) && (
+            <div>
+              <button
+                onClick={() => setShowTranscript(!showTranscript)}
+                className="text-sm font-medium text-indigo-600 hover:text-indigo-800"
+              >
+                {showTranscript ? 'Hide transcript' : 'Show transcript'}
+              </button>
+              {showTranscript && (
+                <div className="mt-3 p-4 bg-gray-50 rounded-lg border border-gray-200 whitespace-pre-wrap text-sm text-gray-700 max-h-96 overflow-y-auto">
+                  {lecture.transcript}
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LectureDetail;
@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { listLectures } from '../api/lectures';
+
+// Wait this long after typing stops before searching (ms)
+const SEARCH_DEBOUNCE_MS = 300;
+
+const formatDate = (date) => {
+  const parsed = new Date(date);
+  return Number.isNaN(parsed.getTime())
+    ? date
+    : parsed.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+const LectureLibrary = ({ selectedId, onSelect, refreshKey }) => {
+  const [lectures, setLectures] = useState([]);
+  const [courses, setCourses] = useState([]);
+  const [query, setQuery] = useState('');
+  const [course, setCourse] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Load lectures whenever the search, course filter or library contents change
+  useEffect(() => {
+    let cancelled = false;
+
+    const timeout = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const data = await listLectures({ q: query.trim(), course });
+        if (!cancelled) {
+          setLectures(data.lectures);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message);
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    }, query ? SEARCH_DEBOUNCE_MS : 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [query, course, refreshKey]);
+
+  // Course filter options come from the unfiltered library
+  useEffect(() => {
+    listLectures()
+      .then((data) => {
+        const names = data.lectures.map((lecture) => lecture.course).filter(Boolean);
+        setCourses([...new Set(names)].sort());
+      })
+      .catch(() => setCourses([]));
+  }, [refreshKey]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      {/* Header */}
+      <div className="mb-4">
+        <h2 className="text-2xl font-semibold text-gray-800 mb-2">
+          Lecture Library
+        </h2>
+        <p className="text-gray-600">
+          Your saved transcripts and notes
+        </p>
+      </div>
+
+      {/* Search and filter */}
+      <div className="space-y-2 mb-4">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search transcripts and notes..."
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        {courses.length > 0 && (
+          <select
+            value={course}
+            onChange={(e) => setCourse(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            <option value="">All courses</option>
+            {courses.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {/* Lecture list */}
+      {loading && lectures.length === 0 ? (
+        <p className="text-sm text-gray-500">Loading lectures...</p>
+      ) : lectures.length === 0 ? (
+        <p className="text-sm text-gray-500 italic">
+          {query || course ? 'No lectures match your search.' : 'No lectures saved yet.'}
+        </p>
+      ) : (
+        <ul className="space-y-2 max-h-[32rem] overflow-y-auto">
+          {lectures.map((lecture) => (
+            <li key={lecture.id}>
+              <button
+                onClick={() => onSelect(lecture.id)}
+                className={`w-full text-left p-3 rounded-lg border transition-all ${
+                  lecture.id === selectedId
+                    ? 'border-indigo-500 bg-indigo-50'
+                    : 'border-gray-200 hover:border-indigo-300 hover:bg-gray-50'
+                }`}
+              >
+                <div className="font-medium text-gray-800">{lecture.title}</div>
+                <div className="text-xs text-gray-500 mt-1">
+                  {lecture.course && <span className="mr-2">{lecture.course}</span>}
+                  <span>{formatDate(lecture.date)}</span>
+                </div>
+                {lecture.snippet && (
+                  <p className="text-xs text-gray-600 mt-2">{lecture.snippet}</p>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LectureLibrary;
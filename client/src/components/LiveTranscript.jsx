@@ -0,0 +1,48 @@
+const LiveTranscript = ({ finalSegments, interimText, status, error, restarts = 0 }) => {
+  const isEmpty = finalSegments.length === 0 && !interimText;
+
+  return (
+    <div className="mt-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-gray-700">
+          Live Transcript
+        </h3>
+        {status === 'streaming' && (
+          <span className="flex items-center space-x-2 text-xs font-medium text-red-600">
+            <span className="w-2 h-2 rounded-full bg-red-500 animate-pulse" />
+            <span>Live</span>
+            {restarts > 0 && (
+              <span className="text-gray-400 font-normal" title="Long recordings are transcribed in several parts">
+                · part {restarts + 1}
+              </span>
+            )}
+          </span>
+        )}
+        {status === 'finishing' && (
+          <span className="text-xs font-medium text-gray-500">Finishing...</span>
+        )}
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-700 mb-2">{error}</p>
+      )}
+
+      <div className="max-h-64 overflow-y-auto text-gray-800 leading-relaxed">
+        {isEmpty ? (
+          <p className="text-sm text-gray-500 italic">
+            {status === 'connecting' ? 'Connecting...' : 'Waiting for speech...'}
+          </p>
+        ) : (
+          <p>
+            {finalSegments.join(' ')}
+            {interimText && (
+              <span className="text-gray-400"> {interimText}</span>
+            )}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LiveTranscript;
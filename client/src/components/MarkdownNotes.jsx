@@ -0,0 +1,21 @@
+import { useMemo } from 'react';
+import { Marked } from 'marked';
+import { SAFE_MARKDOWN_OPTIONS } from '../../../shared/markdownSafety';
+
+const markdown = new Marked(SAFE_MARKDOWN_OPTIONS);
+
+/**
+ * Render generated markdown notes.
+ */
+const MarkdownNotes = ({ notes, className = '' }) => {
+  const html = useMemo(() => markdown.parse(notes || ''), [notes]);
+
+  return (
+    <div
+      className={`markdown-notes text-gray-800 ${className}`}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+export default MarkdownNotes;
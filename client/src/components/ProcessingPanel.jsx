@@ -0,0 +1,489 @@
+import { useState, useRef, useEffect } from 'react';
+import { uploadFileResumable, cancelUpload } from '../api/uploads';
+import { transcribeUpload } from '../api/transcription';
+import { structureNotes } from '../api/notes';
+import { createLecture } from '../api/lectures';
+import { listTemplates } from '../api/templates';
+import MarkdownNotes from './MarkdownNotes';
+
+const formatMB = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+const STEPS = [
+  { key: 'upload', label: 'Upload' },
+  { key: 'transcribe', label: 'Transcribe' },
+  { key: 'notes', label: 'Generate notes' }
+];
+
+const INITIAL_STEPS = { upload: 'pending', transcribe: 'pending', notes: 'pending' };
+
+const BADGE_STYLES = {
+  pending: 'bg-gray-100 text-gray-600',
+  running: 'bg-indigo-100 text-indigo-700',
+  paused: 'bg-yellow-100 text-yellow-800',
+  done: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700'
+};
+
+const DETAIL_LEVELS = [
+  { value: 'brief', label: 'Brief' },
+  { value: 'standard', label: 'Standard' },
+  { value: 'detailed', label: 'Detailed' }
+];
+
+// Offered with the templates; asks the server for notes in its JSON schema
+// (title, summary, timestamped sections, takeaways, glossary) instead
+const STRUCTURED_OPTION = { id: 'structured', name: 'Structured (JSON)' };
+
+const BADGE_LABELS = {
+  pending: 'Pending',
+  running: 'In progress',
+  paused: 'Paused',
+  done: 'Done',
+  failed: 'Failed'
+};
+
+/**
+ * Upload a recording (picked, dropped, or handed over by the recorder), then
+ * transcribe it, generate notes and save the result to the library.
+ *
+ * @param {Object|null} recording - A finished recording to process: { file, bookmarks }
+ * @param {Function} onSaved - Called with the new lecture's id
+ * @param {number} templatesKey - Changes when note templates are edited
+ */
+const ProcessingPanel = ({ recording, onSaved, templatesKey }) => {
+  const [file, setFile] = useState(null);
+  const [steps, setSteps] = useState(INITIAL_STEPS);
+  const [progress, setProgress] = useState(null);
+  const [uploaded, setUploaded] = useState(null);
+  const [transcription, setTranscription] = useState(null);
+  const [notesResult, setNotesResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [options, setOptions] = useState({ keepAudio: true, diarization: false });
+  // Bookmarks made while recording; dropped files have none
+  const [bookmarks, setBookmarks] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [noteStyle, setNoteStyle] = useState({ template: 'standard', detailLevel: 'standard', language: '' });
+
+  const abortRef = useRef(null);
+
+  const running = Object.values(steps).includes('running');
+
+  const setStep = (key, status) => setSteps((current) => ({ ...current, [key]: status }));
+
+  // Start over with another file (or none)
+  const reset = (nextFile, nextBookmarks = []) => {
+    setFile(nextFile);
+    setBookmarks(nextBookmarks);
+    setSteps(INITIAL_STEPS);
+    setProgress(null);
+    setUploaded(null);
+    setTranscription(null);
+    setNotesResult(null);
+    setError(null);
+  };
+
+  const selectFile = (selected, selectedBookmarks) => {
+    if (selected && !running) {
+      reset(selected, selectedBookmarks);
+    }
+  };
+
+  // Fall back to the default template if the chosen one was deleted
+  useEffect(() => {
+    listTemplates()
+      .then((data) => {
+        setTemplates(data.templates);
+        setNoteStyle((current) => (current.template === STRUCTURED_OPTION.id || data.templates.some(template => template.id === current.template)
+          ? current
+          : { ...current, template: 'standard' }));
+      })
+      .catch((err) => console.error('Could not load note templates:', err));
+  }, [templatesKey]);
+
+  // Recordings from the recorder go through the same pipeline
+  useEffect(() => {
+    if (recording) {
+      selectFile(recording.file, recording.bookmarks);
+    }
+  }, [recording]);
+
+  const handleInput = (event) => {
+    const selected = event.target.files[0];
+    event.target.value = '';
+    selectFile(selected);
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragging(false);
+    selectFile(event.dataTransfer.files[0]);
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    if (!running) {
+      setDragging(true);
+    }
+  };
+
+  // Run every step that has not finished yet, stopping at the first failure
+  const process = async () => {
+    setError(null);
+    let uploadedFile = uploaded;
+    let transcript = transcription;
+
+    try {
+      if (!uploadedFile) {
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setStep('upload', 'running');
+        try {
+          const result = await uploadFileResumable(file, {
+            onProgress: setProgress,
+            signal: controller.signal
+          });
+          uploadedFile = result.file;
+        } catch (err) {
+          if (err.name === 'AbortError') {
+            setStep('upload', 'paused');
+            return;
+          }
+          throw Object.assign(err, { step: 'upload' });
+        } finally {
+          abortRef.current = null;
+        }
+        setUploaded(uploadedFile);
+        setStep('upload', 'done');
+      }
+
+      if (!transcript) {
+        setStep('transcribe', 'running');
+        try {
+          transcript = await transcribeUpload(uploadedFile.id, {
+            keepAudio: options.keepAudio,
+            ...(options.diarization && { diarization: { enabled: true } })
+          });
+        } catch (err) {
+          // The server discards the upload when transcription fails
+          setUploaded(null);
+          setStep('upload', 'pending');
+          throw Object.assign(err, { step: 'transcribe' });
+        }
+        setTranscription(transcript);
+        setStep('transcribe', 'done');
+      }
+
+      if (!transcript.transcript) {
+        setError(transcript.message);
+        return;
+      }
+
+      setStep('notes', 'running');
+      try {
+        const structured = noteStyle.template === STRUCTURED_OPTION.id;
+        const result = await structureNotes({
+          transcript: transcript.transcript,
+          ...(structured ? { format: 'json' } : { template: noteStyle.template }),
+          detailLevel: noteStyle.detailLevel,
+          ...(noteStyle.language.trim() && { language: noteStyle.language.trim() }),
+          ...(transcript.speakerTurns.length > 0 && {
+            speakerTurns: transcript.speakerTurns,
+            speakers: transcript.speakers
+          }),
+          // Sentence timings place the bookmarks in the transcript and give
+          // structured notes' sections their start times
+          ...((bookmarks.length > 0 || structured) && {
+            bookmarks: bookmarks,
+            sentences: transcript.sentences
+          })
+        });
+        setNotesResult(result);
+      } catch (err) {
+        throw Object.assign(err, { step: 'notes' });
+      }
+      setStep('notes', 'done');
+    } catch (err) {
+      setStep(err.step, 'failed');
+      setError(err.message);
+    }
+  };
+
+  const pauseUpload = () => {
+    if (abortRef.current) {
+      abortRef.current.abort();
+    }
+  };
+
+  const discard = async () => {
+    pauseUpload();
+    if (steps.upload !== 'done') {
+      await cancelUpload(file);
+    }
+    reset(null);
+  };
+
+  const saveLecture = async () => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const data = await createLecture({
+        transcript: transcription.transcript,
+        notes: notesResult.notes,
+        ...(notesResult.structuredNotes && { structuredNotes: notesResult.structuredNotes }),
+        words: transcription.words,
+        sentences: transcription.sentences,
+        speakerTurns: transcription.speakerTurns,
+        speakers: transcription.speakers,
+        bookmarks: bookmarks,
+        metadata: {
+          ...notesResult.metadata,
+          transcriptionProvider: transcription.provider,
+          confidence: transcription.confidence
+        },
+        ...(transcription.audioKept && {
+          audioUploadId: transcription.uploadId
+        })
+      });
+      reset(null);
+      onSaved(data.lecture.id);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const percent = progress && progress.totalBytes > 0
+    ? Math.round((progress.uploadedBytes / progress.totalBytes) * 100)
+    : 0;
+
+  const started = Object.values(steps).some((status) => status !== 'pending');
+  const finished = steps.notes === 'done';
+  // Nothing to generate notes from; only discarding makes sense
+  const noSpeech = transcription !== null && !transcription.transcript;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      {/* Header */}
+      <div className="mb-6">
+        <h2 className="text-2xl font-semibold text-gray-800 mb-2">
+          Process a Recording
+        </h2>
+        <p className="text-gray-600">
+          Audio or video files of any length. Interrupted uploads resume where they stopped.
+        </p>
+      </div>
+
+      {/* Drop zone / file picker */}
+      <label
+        onDragOver={handleDragOver}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        className={`block mb-4 p-6 border-2 border-dashed rounded-lg text-center transition-all ${
+          running
+            ? 'border-gray-200 bg-gray-50 cursor-not-allowed'
+            : dragging
+            ? 'border-indigo-500 bg-indigo-50 cursor-copy'
+            : 'border-gray-300 hover:border-indigo-400 cursor-pointer'
+        }`}
+      >
+        <input
+          type="file"
+          accept="audio/*,video/*,.mkv,.flac"
+          onChange={handleInput}
+          disabled={running}
+          className="sr-only"
+        />
+        {file ? (
+          <span className="text-sm text-gray-700">
+            {file.name} <span className="text-gray-500">({formatMB(file.size)} MB)</span>
+          </span>
+        ) : (
+          <span className="text-sm text-gray-600">
+            Drop a recording here, or <span className="text-indigo-600 font-medium">choose a file</span>
+          </span>
+        )}
+      </label>
+
+      {/* Options */}
+      {file && !started && (
+        <div className="flex flex-wrap gap-6 mb-4 text-sm text-gray-700">
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={options.keepAudio}
+              onChange={(e) => setOptions({ ...options, keepAudio: e.target.checked })}
+              className="h-4 w-4 rounded border-gray-300 text-indigo-600"
+            />
+            <span>Keep audio for playback</span>
+          </label>
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={options.diarization}
+              onChange={(e) => setOptions({ ...options, diarization: e.target.checked })}
+              className="h-4 w-4 rounded border-gray-300 text-indigo-600"
+            />
+            <span>Label speakers</span>
+          </label>
+        </div>
+      )}
+
+      {/* Note style; can be changed until notes are generated */}
+      {file && steps.notes !== 'running' && !finished && (
+        <div className="grid gap-3 sm:grid-cols-3 mb-4 text-sm text-gray-700">
+          <label className="block">
+            <span className="block mb-1 font-medium">Template</span>
+            <select
+              value={noteStyle.template}
+              onChange={(e) => setNoteStyle({ ...noteStyle, template: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+              {templates.map((template) => (
+                <option key={template.id} value={template.id}>{template.name}</option>
+              ))}
+              <option value={STRUCTURED_OPTION.id}>{STRUCTURED_OPTION.name}</option>
+            </select>
+          </label>
+          <label className="block">
+            <span className="block mb-1 font-medium">Detail</span>
+            <select
+              value={noteStyle.detailLevel}
+              onChange={(e) => setNoteStyle({ ...noteStyle, detailLevel: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+              {DETAIL_LEVELS.map((level) => (
+                <option key={level.value} value={level.value}>{level.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <span className="block mb-1 font-medium">Language</span>
+            <input
+              value={noteStyle.language}
+              onChange={(e) => setNoteStyle({ ...noteStyle, language: e.target.value })}
+              placeholder="Same as lecture"
+              maxLength={40}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+          </label>
+        </div>
+      )}
+
+      {file && bookmarks.length > 0 && (
+        <p className="mb-4 text-sm text-gray-600">
+          {bookmarks.length} bookmark{bookmarks.length === 1 ? '' : 's'} from the recording will be included in the notes.
+        </p>
+      )}
+
+      {/* Step status */}
+      {file && started && (
+        <ol className="mb-4 space-y-2">
+          {STEPS.map(({ key, label }) => (
+            <li key={key} className="flex items-center justify-between text-sm">
+              <span className="text-gray-700">{label}</span>
+              <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${BADGE_STYLES[steps[key]]}`}>
+                {BADGE_LABELS[steps[key]]}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {/* Per-chunk progress */}
+      {progress && (steps.upload === 'running' || steps.upload === 'paused') && (
+        <div className="mb-4">
+          <div className="flex justify-between text-xs text-gray-600 mb-1">
+            <span>
+              Chunk {Math.min(progress.chunkIndex + 1, progress.totalChunks)} of {progress.totalChunks}
+            </span>
+            <span>
+              {formatMB(progress.uploadedBytes)} / {formatMB(progress.totalBytes)} MB ({percent}%)
+            </span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2 overflow-hidden">
+            <div
+              className={`h-2 transition-all ${steps.upload === 'paused' ? 'bg-yellow-500' : 'bg-indigo-600'}`}
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {/* Control Buttons */}
+      {file && (
+        <div className="flex flex-wrap gap-3">
+          {!running && !finished && !noSpeech && (
+            <button
+              onClick={process}
+              className="px-6 py-3 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 transition-all shadow-md hover:shadow-lg"
+            >
+              {!started ? 'Upload & Process' : steps.upload === 'paused' ? 'Resume Upload' : 'Retry'}
+            </button>
+          )}
+          {steps.upload === 'running' && (
+            <button
+              onClick={pauseUpload}
+              className="px-6 py-3 bg-gray-200 text-gray-700 rounded-lg font-medium hover:bg-gray-300 transition-all"
+            >
+              Pause
+            </button>
+          )}
+          {finished && (
+            <button
+              onClick={saveLecture}
+              disabled={saving}
+              className="px-6 py-3 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 transition-all shadow-md hover:shadow-lg disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save to Library'}
+            </button>
+          )}
+          {!running && !saving && (
+            <button
+              onClick={discard}
+              className="px-6 py-3 bg-red-50 text-red-700 rounded-lg font-medium hover:bg-red-100 transition-all"
+            >
+              Discard
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Notes */}
+      {notesResult && (
+        <div className="mt-6">
+          <h3 className="text-sm font-medium text-gray-700 mb-2">
+            Notes <span className="text-gray-500 font-normal">({notesResult.metadata.template.name}, {notesResult.metadata.outputWords} words)</span>
+          </h3>
+          <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 max-h-[32rem] overflow-y-auto">
+            <MarkdownNotes notes={notesResult.notes} />
+          </div>
+        </div>
+      )}
+
+      {/* Transcript */}
+      {transcription && (
+        <div className="mt-6">
+          <h3 className="text-sm font-medium text-gray-700 mb-2">
+            Transcript <span className="text-gray-500 font-normal">({transcription.wordCount} words)</span>
+          </h3>
+          <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 whitespace-pre-wrap text-sm text-gray-700 max-h-96 overflow-y-auto">
+            {transcription.transcript || transcription.message}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProcessingPanel;
@@ -0,0 +1,141 @@
+import { useState } from 'react';
+import SourceCitation from './SourceCitation';
+
+/**
+ * Multiple-choice questions checked all at once, and short-answer questions
+ * the student answers for themselves before revealing the model answer.
+ *
+ * @param {Array} multipleChoice - { id, question, options, answerIndex, explanation, source }
+ * @param {Array} shortAnswer - { id, question, answer, source }
+ */
+const QuizMode = ({ multipleChoice, shortAnswer }) => {
+  // Chosen option index by question id
+  const [answers, setAnswers] = useState({});
+  const [checked, setChecked] = useState(false);
+  // Short-answer ids whose model answer is shown
+  const [revealed, setRevealed] = useState({});
+
+  const score = multipleChoice.filter(question => answers[question.id] === question.answerIndex).length;
+
+  const restart = () => {
+    setAnswers({});
+    setChecked(false);
+    setRevealed({});
+  };
+
+  const optionStyle = (question, index) => {
+    if (!checked) {
+      return answers[question.id] === index ? 'border-indigo-400 bg-indigo-50' : 'border-gray-200 hover:bg-gray-50';
+    }
+    if (index === question.answerIndex) {
+      return 'border-green-400 bg-green-50';
+    }
+    return answers[question.id] === index ? 'border-red-400 bg-red-50' : 'border-gray-200';
+  };
+
+  return (
+    <div className="space-y-6">
+      {multipleChoice.length > 0 && (
+        <div>
+          <ol className="space-y-5">
+            {multipleChoice.map((question, questionIndex) => (
+              <li key={question.id}>
+                <p className="text-sm font-medium text-gray-800 mb-2">
+                  {questionIndex + 1}. {question.question}
+                </p>
+                <div className="space-y-1">
+                  {question.options.map((option, index) => (
+                    <label
+                      key={index}
+                      className={`flex items-center gap-2 px-3 py-2 border rounded-lg text-sm text-gray-700 ${optionStyle(question, index)} ${checked ? '' : 'cursor-pointer'}`}
+                    >
+                      <input
+                        type="radio"
+                        name={question.id}
+                        checked={answers[question.id] === index}
+                        onChange={() => setAnswers({ ...answers, [question.id]: index })}
+                        disabled={checked}
+                      />
+                      {option}
+                    </label>
+                  ))}
+                </div>
+                {checked && (
+                  <div className="mt-2">
+                    {question.explanation && (
+                      <p className="text-sm text-gray-600">{question.explanation}</p>
+                    )}
+                    <SourceCitation source={question.source} />
+                  </div>
+                )}
+              </li>
+            ))}
+          </ol>
+
+          <div className="flex items-center gap-3 mt-4">
+            {checked ? (
+              <>
+                <span className="text-sm font-medium text-gray-800">
+                  Score: {score} / {multipleChoice.length}
+                </span>
+                <button
+                  onClick={restart}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-300 transition-all"
+                >
+                  Try again
+                </button>
+              </>
+            ) : (
+              <button
+                onClick={() => setChecked(true)}
+                disabled={Object.keys(answers).length === 0}
+                className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+                  Object.keys(answers).length === 0
+                    ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                    : 'bg-indigo-600 text-white hover:bg-indigo-700'
+                }`}
+              >
+                Check answers
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {shortAnswer.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-3">Short answer</h4>
+          <ol className="space-y-4">
+            {shortAnswer.map((question, questionIndex) => (
+              <li key={question.id}>
+                <p className="text-sm font-medium text-gray-800 mb-2">
+                  {questionIndex + 1}. {question.question}
+                </p>
+                <textarea
+                  rows={2}
+                  placeholder="Your answer"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                />
+                {revealed[question.id] ? (
+                  <div className="mt-1 p-3 bg-green-50 border border-green-200 rounded-lg">
+                    <p className="text-sm text-gray-800">{question.answer}</p>
+                    <SourceCitation source={question.source} />
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => setRevealed({ ...revealed, [question.id]: true })}
+                    className="text-sm font-medium text-indigo-600 hover:text-indigo-800"
+                  >
+                    Show answer
+                  </button>
+                )}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuizMode;
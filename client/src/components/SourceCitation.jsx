@@ -0,0 +1,31 @@
+// Format seconds as mm:ss (or h:mm:ss for long lectures)
+const formatTimestamp = (seconds) => {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  const mmss = `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  return hours > 0 ? `${hours}:${mmss}` : mmss;
+};
+
+/**
+ * The transcript passage a question or flashcard was based on.
+ *
+ * @param {Object} source - { passage, startTime, text } from /api/study-materials
+ */
+const SourceCitation = ({ source }) => {
+  if (!source) {
+    return null;
+  }
+
+  return (
+    <blockquote className="mt-2 pl-3 border-l-4 border-indigo-200 text-xs text-gray-500">
+      <span className="font-medium text-gray-600">
+        {source.startTime !== null ? `From the lecture at ${formatTimestamp(source.startTime)}` : 'From the lecture'}:
+      </span>{' '}
+      “{source.text}”
+    </blockquote>
+  );
+};
+
+export default SourceCitation;
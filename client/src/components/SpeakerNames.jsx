@@ -0,0 +1,58 @@
+import { useState, useEffect } from 'react';
+
+// Rename diarized speakers, e.g. "Speaker 1" → "Professor"
+const SpeakerNames = ({ speakers, onSave }) => {
+  const [names, setNames] = useState(speakers);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setNames(speakers);
+  }, [speakers]);
+
+  const changed = Object.keys(names).some((tag) => names[tag] !== speakers[tag]);
+  const valid = Object.values(names).every((name) => name.trim().length > 0);
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await onSave(Object.fromEntries(
+        Object.entries(names).map(([tag, name]) => [tag, name.trim()])
+      ));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mb-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h4 className="text-sm font-medium text-gray-700 mb-3">Speakers</h4>
+      <div className="grid gap-2 sm:grid-cols-2">
+        {Object.keys(names).map((tag) => (
+          <label key={tag} className="flex items-center space-x-2 text-sm">
+            <span className="text-gray-500 w-20 shrink-0">Speaker {tag}</span>
+            <input
+              value={names[tag]}
+              onChange={(e) => setNames({ ...names, [tag]: e.target.value })}
+              className="flex-1 px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+          </label>
+        ))}
+      </div>
+      {changed && (
+        <button
+          onClick={save}
+          disabled={!valid || saving}
+          className={`mt-3 px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+            !valid || saving
+              ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+              : 'bg-indigo-600 text-white hover:bg-indigo-700'
+          }`}
+        >
+          {saving ? 'Saving...' : 'Save names'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SpeakerNames;
@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { generateStudyMaterials } from '../api/study';
+import { downloadStudyDeck } from '../api/export';
+import QuizMode from './QuizMode';
+import FlashcardReview from './FlashcardReview';
+
+/**
+ * Generate a quiz and flashcards from a lecture, take the quiz, review the
+ * flashcards and export them to Anki.
+ *
+ * @param {Object} lecture - Lecture with transcript, notes and studyMaterials
+ * @param {Function} onSave - Called with newly generated study materials
+ */
+const StudyPanel = ({ lecture, onSave }) => {
+  const [mode, setMode] = useState('quiz');
+  const [generating, setGenerating] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const materials = lecture.studyMaterials;
+
+  const generate = async () => {
+    if (materials && !window.confirm('Replace the current quiz and flashcards? Your flashcard progress will be reset.')) {
+      return;
+    }
+
+    setGenerating(true);
+    setError(null);
+    try {
+      const data = await generateStudyMaterials({
+        transcript: lecture.transcript,
+        notes: lecture.notes,
+        ...(lecture.sentences && lecture.sentences.length > 0 && { sentences: lecture.sentences })
+      });
+      await onSave(data.materials);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const exportDeck = async () => {
+    setExporting(true);
+    setError(null);
+    try {
+      await downloadStudyDeck({ materials, title: lecture.title });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const tabStyle = (tab) => `px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${
+    mode === tab ? 'bg-indigo-100 text-indigo-700' : 'text-gray-600 hover:text-gray-800'
+  }`;
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="text-sm font-medium text-gray-700">Study</h3>
+        <div className="flex gap-2">
+          {materials && (
+            <button
+              onClick={exportDeck}
+              disabled={exporting}
+              className="px-3 py-1.5 rounded-lg text-xs font-medium bg-gray-100 text-gray-700 hover:bg-indigo-100 hover:text-indigo-700 transition-all"
+            >
+              {exporting ? 'Exporting...' : 'Anki deck (CSV)'}
+            </button>
+          )}
+          <button
+            onClick={generate}
+            disabled={generating}
+            className={`px-3 py-1.5 rounded-lg text-xs font-medium transition-all ${
+              generating
+                ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                : 'bg-indigo-600 text-white hover:bg-indigo-700'
+            }`}
+          >
+            {generating ? 'Generating...' : materials ? 'Regenerate' : 'Generate quiz & flashcards'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {materials && (
+        <>
+          <div className="flex gap-2 mb-4">
+            <button onClick={() => setMode('quiz')} className={tabStyle('quiz')}>
+              Quiz ({materials.multipleChoice.length + materials.shortAnswer.length})
+            </button>
+            <button onClick={() => setMode('flashcards')} className={tabStyle('flashcards')}>
+              Flashcards ({materials.flashcards.length})
+            </button>
+          </div>
+
+          {mode === 'quiz' ? (
+            <QuizMode
+              key={materials.generatedAt}
+              multipleChoice={materials.multipleChoice}
+              shortAnswer={materials.shortAnswer}
+            />
+          ) : (
+            <FlashcardReview userId={lecture.userId} lectureId={lecture.id} flashcards={materials.flashcards} />
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StudyPanel;
@@ -0,0 +1,191 @@
+import { useState, useEffect } from 'react';
+import { listTemplates, createTemplate, updateTemplate, deleteTemplate } from '../api/templates';
+
+const EMPTY_FORM = { name: '', description: '', instructions: '' };
+
+/**
+ * List note templates and create, edit or delete user templates.
+ * Built-in templates are read-only but can be copied.
+ *
+ * @param {number} refreshKey - Change to reload the templates
+ * @param {Function} onChange - Called after a template is saved or deleted
+ */
+const TemplateManager = ({ refreshKey, onChange }) => {
+  const [templates, setTemplates] = useState([]);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(false);
+  // null when not editing; { id: null } for a new template
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    listTemplates()
+      .then((data) => {
+        setTemplates(data.templates);
+        setError(null);
+      })
+      .catch((err) => setError(err.message));
+  }, [refreshKey]);
+
+  const startEditing = (template, copy = false) => {
+    setEditing({ id: copy ? null : template.id });
+    setForm({
+      name: copy ? `${template.name} (copy)` : template.name,
+      description: template.description,
+      instructions: template.instructions
+    });
+    setError(null);
+  };
+
+  const startNew = () => {
+    setEditing({ id: null });
+    setForm(EMPTY_FORM);
+    setError(null);
+  };
+
+  const saveTemplate = async () => {
+    try {
+      if (editing.id) {
+        await updateTemplate(editing.id, form);
+      } else {
+        await createTemplate(form);
+      }
+      setEditing(null);
+      setError(null);
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const removeTemplate = async (template) => {
+    if (!window.confirm(`Delete the "${template.name}" template?`)) {
+      return;
+    }
+
+    try {
+      await deleteTemplate(template.id);
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      {/* Header */}
+      <div className="flex items-start justify-between mb-2">
+        <div>
+          <h2 className="text-2xl font-semibold text-gray-800 mb-2">
+            Note Templates
+          </h2>
+          <p className="text-gray-600">
+            The shape of your generated notes
+          </p>
+        </div>
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="text-sm font-medium text-indigo-600 hover:text-indigo-800"
+        >
+          {expanded ? 'Hide' : 'Manage'}
+        </button>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {expanded && !editing && (
+        <div className="mt-4">
+          <ul className="divide-y divide-gray-100 mb-4">
+            {templates.map((template) => (
+              <li key={template.id} className="py-3">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-medium text-gray-800">
+                    {template.name}
+                    {template.builtIn && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full bg-gray-100 text-gray-500 text-xs font-normal">
+                        Built-in
+                      </span>
+                    )}
+                  </span>
+                  <span className="flex gap-2 text-xs font-medium">
+                    <button onClick={() => startEditing(template, true)} className="text-indigo-600 hover:text-indigo-800">
+                      Copy
+                    </button>
+                    {!template.builtIn && (
+                      <>
+                        <button onClick={() => startEditing(template)} className="text-indigo-600 hover:text-indigo-800">
+                          Edit
+                        </button>
+                        <button onClick={() => removeTemplate(template)} className="text-red-600 hover:text-red-800">
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </span>
+                </div>
+                {template.description && (
+                  <p className="text-sm text-gray-500 mt-1">{template.description}</p>
+                )}
+              </li>
+            ))}
+          </ul>
+          <button
+            onClick={startNew}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700 transition-all"
+          >
+            New template
+          </button>
+        </div>
+      )}
+
+      {/* Template form */}
+      {expanded && editing && (
+        <div className="mt-4 space-y-2">
+          <input
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Name"
+            maxLength={80}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          <input
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            placeholder="Short description (optional)"
+            maxLength={300}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          <textarea
+            value={form.instructions}
+            onChange={(e) => setForm({ ...form, instructions: e.target.value })}
+            placeholder="Describe the sections and formatting the notes should have"
+            rows={10}
+            maxLength={5000}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          <div className="flex gap-2">
+            <button
+              onClick={saveTemplate}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-medium hover:bg-indigo-700 transition-all"
+            >
+              Save
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-300 transition-all"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TemplateManager;
@@ -0,0 +1,98 @@
+import { useState, useRef, useEffect } from 'react';
+
+// Format seconds as mm:ss (or h:mm:ss for long lectures)
+const formatTimestamp = (seconds) => {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  const mmss = `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  return hours > 0 ? `${hours}:${mmss}` : mmss;
+};
+
+// Index of the sentence playing at the given time, or -1
+const findActiveSentence = (sentences, time) => sentences.findIndex(
+  (sentence) => time >= sentence.startTime && time < sentence.endTime
+);
+
+const TranscriptPlayer = ({ audioUrl, sentences, speakers = {} }) => {
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const audioRef = useRef(null);
+  const sentenceRefs = useRef([]);
+
+  // Keep the highlighted sentence visible while the lecture plays
+  useEffect(() => {
+    const element = sentenceRefs.current[activeIndex];
+    if (element) {
+      element.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [activeIndex]);
+
+  const handleTimeUpdate = () => {
+    const index = findActiveSentence(sentences, audioRef.current.currentTime);
+    if (index !== -1 && index !== activeIndex) {
+      setActiveIndex(index);
+    }
+  };
+
+  // Jump playback to the start of a sentence
+  const seekTo = (sentence) => {
+    setActiveIndex(sentence.index);
+    if (audioRef.current) {
+      audioRef.current.currentTime = sentence.startTime;
+      audioRef.current.play();
+    }
+  };
+
+  return (
+    <div>
+      {audioUrl ? (
+        <audio
+          ref={audioRef}
+          controls
+          src={audioUrl}
+          onTimeUpdate={handleTimeUpdate}
+          className="w-full mb-4"
+        />
+      ) : (
+        <p className="text-sm text-gray-500 italic mb-4">
+          The recording was not kept for this lecture, so playback is unavailable.
+        </p>
+      )}
+
+      <div className="max-h-96 overflow-y-auto p-4 bg-gray-50 rounded-lg border border-gray-200 text-sm leading-relaxed">
+        {sentences.map((sentence, i) => {
+          // Start a new labelled paragraph whenever the speaker changes
+          const previous = sentences[i - 1];
+          const newSpeaker = sentence.speakerTag
+            && (!previous || previous.speakerTag !== sentence.speakerTag);
+
+          return (
+            <span key={sentence.index}>
+              {newSpeaker && (
+                <span className={`block font-semibold text-indigo-700 ${i > 0 ? 'mt-3' : ''}`}>
+                  {speakers[sentence.speakerTag] || `Speaker ${sentence.speakerTag}`}
+                </span>
+              )}
+              <span
+                ref={(element) => { sentenceRefs.current[sentence.index] = element; }}
+                onClick={() => seekTo(sentence)}
+                title={formatTimestamp(sentence.startTime)}
+                className={`rounded px-0.5 transition-colors ${
+                  audioUrl ? 'cursor-pointer hover:bg-indigo-100' : ''
+                } ${
+                  sentence.index === activeIndex ? 'bg-yellow-200 text-gray-900' : 'text-gray-700'
+                }`}
+              >
+                {sentence.text}{' '}
+              </span>
+            </span>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TranscriptPlayer;
@@ -0,0 +1,44 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Lists the audio input devices (microphones, USB interfaces).
+ *
+ * Browsers hide device names until microphone access has been granted, so
+ * call refresh() after getUserMedia succeeds. The list also updates when
+ * devices are plugged in or removed.
+ */
+const useAudioInputs = () => {
+  const [devices, setDevices] = useState([]);
+
+  const refresh = useCallback(async () => {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+      return;
+    }
+
+    try {
+      const all = await navigator.mediaDevices.enumerateDevices();
+      setDevices(all
+        .filter(device => device.kind === 'audioinput' && device.deviceId !== 'default')
+        .map((device, index) => ({
+          deviceId: device.deviceId,
+          label: device.label || `Microphone ${index + 1}`
+        })));
+    } catch (err) {
+      console.error('Could not list audio inputs:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!navigator.mediaDevices) {
+      return undefined;
+    }
+
+    refresh();
+    navigator.mediaDevices.addEventListener('devicechange', refresh);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', refresh);
+  }, [refresh]);
+
+  return { devices, refresh };
+};
+
+export default useAudioInputs;
@@ -0,0 +1,103 @@
+import { useState, useEffect, useRef } from 'react';
+
+// How often the input is sampled (ms)
+const SAMPLE_INTERVAL_MS = 100;
+
+// Levels are shown on a -60..0 dBFS scale
+const METER_FLOOR_DB = -60;
+
+// Quieter than this counts as silence (room noise on a working mic is louder)
+const SILENCE_THRESHOLD_DB = -50;
+export const SILENCE_WARNING_SECONDS = 10;
+
+// Samples this close to full scale are treated as clipped
+const CLIPPING_PEAK = 0.99;
+// Clipping is intermittent; it is ongoing while clips keep arriving this often
+const CLIPPING_GAP_MS = 500;
+export const CLIPPING_WARNING_SECONDS = 3;
+
+const toDecibels = (value) => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+
+/**
+ * Measures a MediaStream's input level with the Web Audio API and flags
+ * inputs that have been silent or clipping for several seconds.
+ *
+ * @param {MediaStream|null} stream - Input to measure; null stops measuring
+ * @param {Object} [options]
+ * @param {boolean} [options.active] - Whether to check for silence and clipping (off while paused)
+ * @returns {{ level: number, silent: boolean, clipping: boolean }} level is 0..1 on the meter's dB scale
+ */
+const useInputLevel = (stream, { active = true } = {}) => {
+  const [level, setLevel] = useState(0);
+  const [silent, setSilent] = useState(false);
+  const [clipping, setClipping] = useState(false);
+
+  const activeRef = useRef(active);
+  activeRef.current = active;
+
+  useEffect(() => {
+    setLevel(0);
+    setSilent(false);
+    setClipping(false);
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!stream || !AudioContextClass) {
+      return undefined;
+    }
+
+    const context = new AudioContextClass();
+    const source = context.createMediaStreamSource(stream);
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 2048;
+    source.connect(analyser);
+
+    const samples = new Float32Array(analyser.fftSize);
+    let silentSince = null;
+    let clippingSince = null;
+    let lastClipAt = 0;
+
+    const interval = setInterval(() => {
+      analyser.getFloatTimeDomainData(samples);
+
+      let sumOfSquares = 0;
+      let peak = 0;
+      for (const sample of samples) {
+        sumOfSquares += sample * sample;
+        peak = Math.max(peak, Math.abs(sample));
+      }
+      const rmsDb = toDecibels(Math.sqrt(sumOfSquares / samples.length));
+      setLevel(Math.min(1, Math.max(0, (rmsDb - METER_FLOOR_DB) / -METER_FLOOR_DB)));
+
+      if (!activeRef.current) {
+        silentSince = null;
+        clippingSince = null;
+        setSilent(false);
+        setClipping(false);
+        return;
+      }
+
+      const now = Date.now();
+
+      silentSince = rmsDb < SILENCE_THRESHOLD_DB ? (silentSince ?? now) : null;
+      setSilent(silentSince !== null && now - silentSince >= SILENCE_WARNING_SECONDS * 1000);
+
+      if (peak >= CLIPPING_PEAK) {
+        lastClipAt = now;
+        clippingSince = clippingSince ?? now;
+      } else if (now - lastClipAt > CLIPPING_GAP_MS) {
+        clippingSince = null;
+      }
+      setClipping(clippingSince !== null && now - clippingSince >= CLIPPING_WARNING_SECONDS * 1000);
+    }, SAMPLE_INTERVAL_MS);
+
+    return () => {
+      clearInterval(interval);
+      source.disconnect();
+      context.close();
+    };
+  }, [stream]);
+
+  return { level, silent, clipping };
+};
+
+export default useInputLevel;
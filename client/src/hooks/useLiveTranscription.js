@@ -0,0 +1,125 @@
+import { useState, useRef, useCallback } from 'react';
+
+const STREAM_PATH = '/api/stream';
+
+// Build the WebSocket URL for the current host (proxied to Express by Vite in dev)
+const getStreamUrl = () => {
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${window.location.host}${STREAM_PATH}`;
+};
+
+/**
+ * Streams MediaRecorder chunks to the server and collects live transcript text.
+ *
+ * Call connect() before recording starts, sendChunk() from the recorder's
+ * dataavailable handler and finish() once recording stops.
+ */
+const useLiveTranscription = () => {
+  const [finalSegments, setFinalSegments] = useState([]);
+  const [interimText, setInterimText] = useState('');
+  const [status, setStatus] = useState('idle'); // idle, connecting, streaming, finishing, error
+  const [error, setError] = useState(null);
+  // How often the server moved recognition to a new upstream stream
+  const [restarts, setRestarts] = useState(0);
+
+  const socketRef = useRef(null);
+
+  const reset = useCallback(() => {
+    setFinalSegments([]);
+    setInterimText('');
+    setError(null);
+    setRestarts(0);
+    setStatus('idle');
+  }, []);
+
+  // Open the socket and wait until the server's recognizer is ready
+  const connect = useCallback((languageCode = 'en-US') => {
+    reset();
+    setStatus('connecting');
+
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(getStreamUrl());
+      socketRef.current = socket;
+
+      socket.addEventListener('open', () => {
+        socket.send(JSON.stringify({ type: 'start', languageCode }));
+      });
+
+      socket.addEventListener('message', (event) => {
+        const message = JSON.parse(event.data);
+
+        switch (message.type) {
+          case 'ready':
+            setStatus('streaming');
+            resolve();
+            break;
+          case 'transcript':
+            if (message.isFinal) {
+              setFinalSegments((prev) => [...prev, message.text]);
+              setInterimText('');
+            } else {
+              setInterimText(message.text);
+            }
+            break;
+          case 'restarted':
+            // Long recordings continue on a fresh recognizer; finished text is kept
+            setRestarts(message.restarts);
+            break;
+          case 'error':
+            setError(message.message);
+            setStatus('error');
+            reject(new Error(message.message));
+            break;
+          case 'end':
+            setInterimText('');
+            setStatus('idle');
+            socket.close();
+            break;
+          default:
+            break;
+        }
+      });
+
+      socket.addEventListener('error', () => {
+        setError('Could not connect to the live transcription server.');
+        setStatus('error');
+        reject(new Error('WebSocket connection failed'));
+      });
+
+      socket.addEventListener('close', () => {
+        socketRef.current = null;
+        setStatus((prev) => (prev === 'error' ? prev : 'idle'));
+      });
+    });
+  }, [reset]);
+
+  const sendChunk = useCallback((chunk) => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(chunk);
+    }
+  }, []);
+
+  // Ask the server to flush the recognizer; the socket closes on 'end'
+  const finish = useCallback(() => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      setStatus('finishing');
+      socket.send(JSON.stringify({ type: 'stop' }));
+    }
+  }, []);
+
+  return {
+    finalSegments,
+    interimText,
+    status,
+    error,
+    restarts,
+    connect,
+    sendChunk,
+    finish,
+    reset
+  };
+};
+
+export default useLiveTranscription;
@@ -0,0 +1,169 @@
+// Recordings are written to IndexedDB chunk by chunk while they are made, so
+// a crashed tab or a sleeping laptop does not lose the lecture.
+const DB_NAME = 'lecture-recorder';
+const DB_VERSION = 1;
+const SESSIONS = 'sessions';
+const CHUNKS = 'chunks';
+
+let dbPromise = null;
+
+// Resolve an IndexedDB request or transaction as a promise
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+});
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser.'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(SESSIONS, { keyPath: 'id' });
+        const chunks = db.createObjectStore(CHUNKS, { autoIncrement: true });
+        chunks.createIndex('sessionId', 'sessionId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later call to retry (e.g. after the user frees up storage)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Start persisting a new recording.
+ *
+ * @param {Object} data
+ * @param {string} data.mimeType - MediaRecorder's MIME type
+ * @returns {Promise<Object>} The stored session
+ */
+export const createRecordingSession = async ({ mimeType }) => {
+  const db = await openDatabase();
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomUUID(),
+    mimeType: mimeType,
+    status: 'recording', // recording, paused, stopped
+    startedAt: now,
+    updatedAt: now,
+    elapsedSeconds: 0,
+    chunkCount: 0,
+    size: 0
+  };
+
+  const transaction = db.transaction(SESSIONS, 'readwrite');
+  transaction.objectStore(SESSIONS).put(session);
+  await transactionDone(transaction);
+  return session;
+};
+
+/**
+ * Store a chunk and update the session in one transaction, so a crash never
+ * leaves the session describing chunks that were not written.
+ *
+ * @param {string} id - Session id
+ * @param {Blob} chunk - Data from MediaRecorder's dataavailable event
+ * @param {Object} [changes] - Session fields to update (status, elapsedSeconds)
+ */
+export const appendRecordingChunk = async (id, chunk, changes = {}) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SESSIONS, CHUNKS], 'readwrite');
+  const sessions = transaction.objectStore(SESSIONS);
+
+  const session = await requestToPromise(sessions.get(id));
+  if (session) {
+    transaction.objectStore(CHUNKS).add({ sessionId: id, index: session.chunkCount, blob: chunk });
+    sessions.put({
+      ...session,
+      ...changes,
+      chunkCount: session.chunkCount + 1,
+      size: session.size + chunk.size,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  await transactionDone(transaction);
+};
+
+/**
+ * Update a session's status or elapsed time without adding a chunk.
+ */
+export const updateRecordingSession = async (id, changes) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(SESSIONS, 'readwrite');
+  const sessions = transaction.objectStore(SESSIONS);
+
+  const session = await requestToPromise(sessions.get(id));
+  if (session) {
+    sessions.put({ ...session, ...changes, updatedAt: new Date().toISOString() });
+  }
+
+  await transactionDone(transaction);
+};
+
+/**
+ * Recordings still stored from an earlier visit, newest first. Sessions
+ * without any audio are removed rather than offered for recovery.
+ */
+export const listRecordingSessions = async () => {
+  const db = await openDatabase();
+  const sessions = await requestToPromise(db.transaction(SESSIONS).objectStore(SESSIONS).getAll());
+
+  const empty = sessions.filter(session => session.chunkCount === 0);
+  await Promise.all(empty.map(session => deleteRecordingSession(session.id)));
+
+  return sessions
+    .filter(session => session.chunkCount > 0)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+/**
+ * Reassemble a stored recording into a single Blob.
+ */
+export const loadRecording = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SESSIONS, CHUNKS]);
+
+  const session = await requestToPromise(transaction.objectStore(SESSIONS).get(id));
+  if (!session) {
+    return null;
+  }
+
+  const chunks = await requestToPromise(
+    transaction.objectStore(CHUNKS).index('sessionId').getAll(id)
+  );
+  chunks.sort((a, b) => a.index - b.index);
+
+  return new Blob(chunks.map(chunk => chunk.blob), { type: session.mimeType });
+};
+
+/**
+ * Delete a stored recording and its chunks.
+ */
+export const deleteRecordingSession = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SESSIONS, CHUNKS], 'readwrite');
+  transaction.objectStore(SESSIONS).delete(id);
+
+  const chunks = transaction.objectStore(CHUNKS);
+  const keys = await requestToPromise(chunks.index('sessionId').getAllKeys(id));
+  keys.forEach(key => chunks.delete(key));
+
+  await transactionDone(transaction);
+};
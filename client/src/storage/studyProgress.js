@@ -0,0 +1,63 @@
+// Flashcard review progress is kept in this browser only, per user and
+// lecture so people sharing a browser keep their own:
+// { [cardId]: { repetitions, interval, ease, due, lastReviewed } } with the
+// interval in days and times in milliseconds.
+const STORAGE_PREFIX = 'study-progress:';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Review answers and the SM-2 quality (0-5) each one stands for
+export const REVIEW_GRADES = [
+  { value: 'again', label: 'Again', quality: 1 },
+  { value: 'hard', label: 'Hard', quality: 3 },
+  { value: 'good', label: 'Good', quality: 4 },
+  { value: 'easy', label: 'Easy', quality: 5 }
+];
+
+const NEW_CARD = { repetitions: 0, interval: 0, ease: 2.5 };
+const MIN_EASE = 1.3;
+
+const storageKey = (userId, lectureId) => `${STORAGE_PREFIX}${userId}:${lectureId}`;
+
+export const loadProgress = (userId, lectureId) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(userId, lectureId))) || {};
+  } catch (parseError) {
+    return {};
+  }
+};
+
+export const saveProgress = (userId, lectureId, progress) => {
+  localStorage.setItem(storageKey(userId, lectureId), JSON.stringify(progress));
+};
+
+export const clearProgress = (userId, lectureId) => {
+  localStorage.removeItem(storageKey(userId, lectureId));
+};
+
+// New cards are always due
+export const isDue = (entry, now = Date.now()) => !entry || entry.due <= now;
+
+/**
+ * Schedule a card's next review with the SM-2 algorithm: a card answered
+ * "again" starts over, otherwise its interval grows 1 day → 6 days → by
+ * its ease factor, which easier answers raise and harder ones lower.
+ *
+ * @param {Object} [entry] - The card's current progress; undefined for a new card
+ * @param {string} grade - One of REVIEW_GRADES' values
+ * @param {number} [now] - Review time in milliseconds
+ * @returns {Object} The card's new progress
+ */
+export const scheduleReview = (entry, grade, now = Date.now()) => {
+  const { quality } = REVIEW_GRADES.find(item => item.value === grade);
+  const previous = entry || NEW_CARD;
+  const ease = Math.max(MIN_EASE, previous.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+
+  if (quality < 3) {
+    return { repetitions: 0, interval: 0, ease, due: now, lastReviewed: now };
+  }
+
+  const repetitions = previous.repetitions + 1;
+  const interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(previous.interval * ease);
+
+  return { repetitions, interval, ease, due: now + interval * DAY_MS, lastReviewed: now };
+};
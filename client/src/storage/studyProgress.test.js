@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isDue, scheduleReview } from './studyProgress.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 8, 15);
+
+test('new cards are due', () => {
+  assert.ok(isDue(undefined, NOW));
+  assert.ok(isDue({ due: NOW }, NOW));
+  assert.ok(!isDue({ due: NOW + 1 }, NOW));
+});
+
+test('scheduleReview grows the interval 1 day, then 6 days, then by the ease factor', () => {
+  const first = scheduleReview(undefined, 'good', NOW);
+  assert.equal(first.repetitions, 1);
+  assert.equal(first.interval, 1);
+  assert.equal(first.due, NOW + DAY_MS);
+  assert.equal(first.lastReviewed, NOW);
+
+  const second = scheduleReview(first, 'good', first.due);
+  assert.equal(second.repetitions, 2);
+  assert.equal(second.interval, 6);
+
+  const third = scheduleReview(second, 'good', second.due);
+  assert.equal(third.repetitions, 3);
+  assert.equal(third.interval, Math.round(6 * third.ease));
+  assert.equal(third.due, second.due + third.interval * DAY_MS);
+});
+
+test('scheduleReview raises the ease for easy answers and lowers it for hard ones', () => {
+  assert.equal(scheduleReview(undefined, 'good', NOW).ease, 2.5);
+  assert.ok(Math.abs(scheduleReview(undefined, 'easy', NOW).ease - 2.6) < 1e-9);
+  assert.ok(Math.abs(scheduleReview(undefined, 'hard', NOW).ease - 2.36) < 1e-9);
+});
+
+test('scheduleReview restarts a card answered "again" and keeps it due', () => {
+  const learned = { repetitions: 4, interval: 30, ease: 2.5, due: NOW, lastReviewed: NOW - 30 * DAY_MS };
+  const again = scheduleReview(learned, 'again', NOW);
+
+  assert.equal(again.repetitions, 0);
+  assert.equal(again.interval, 0);
+  assert.ok(isDue(again, NOW));
+  assert.ok(again.ease < learned.ease);
+});
+
+test('scheduleReview never lowers the ease below 1.3', () => {
+  let entry;
+  for (let i = 0; i < 20; i++) {
+    entry = scheduleReview(entry, 'again', NOW);
+  }
+  assert.equal(entry.ease, 1.3);
+});
@@ -1,15 +1,79 @@
+// Loaded before anything else so every module sees .env settings
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import speech from '@google-cloud/speech';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-
-// Load environment variables
-dotenv.config();
+import {
+  createTranscriptionProviders,
+  getDefaultProviderName,
+  parseDiarizationOptions,
+  resolveProvider,
+  transcribeAudioFile
+} from './services/transcription/index.js';
+import {
+  checkTranscriptLimits,
+  countWords,
+  generateNotes
+} from './services/notes.js';
+import { createLlmProviders, getDefaultLlmProviderName, resolveLlmProvider } from './services/llm/index.js';
+import {
+  AUDIO_EXTENSIONS,
+  UNSUPPORTED_UPLOAD_MESSAGE,
+  createUploadFilename,
+  describeUploadMessage,
+  getMediaErrorResponse,
+  getUserUploadsDir,
+  isSupportedUpload,
+  prepareUploadedMedia
+} from './services/media.js';
+import { createUploadSessionStore } from './services/uploads.js';
+import { createUploadsRouter } from './routes/uploads.js';
+import {
+  createStorageLimitMiddleware,
+  createUploadStorage,
+  createUploadedFileLimitMiddleware,
+  toPublicUpload
+} from './services/storage.js';
+import { createResultCache, getNotesCacheKey, getTranscriptCacheKey } from './services/cache.js';
+import { hashFile } from './utils/hash.js';
+import { createJobQueue } from './services/jobs.js';
+import { createPipelineHandlers } from './services/pipeline.js';
+import { createJobsRouter } from './routes/jobs.js';
+import { createLectureStore } from './services/lectures.js';
+import { createLecturesRouter } from './routes/lectures.js';
+import { createExportRouter } from './routes/export.js';
+import { parseBookmarks } from './services/bookmarks.js';
+import { createTemplateStore, resolveNoteStyle } from './services/templates.js';
+import { createTemplatesRouter } from './routes/templates.js';
+import { createStudyMaterialsRouter } from './routes/studyMaterials.js';
+import {
+  authenticateRequest,
+  createAuthMiddleware,
+  createUserStore,
+  isLegacyDataOwner,
+  loadAuthSecret,
+  ownedBy
+} from './services/auth.js';
+import { createAuthRouter } from './routes/auth.js';
+import {
+  createQuotaMiddleware,
+  createTokenUsage,
+  createUsageLedger,
+  findExhaustedQuota,
+  meterProvider
+} from './services/usage.js';
+import { createUsageRouter } from './routes/usage.js';
+import { createRateLimiter } from './services/rateLimit.js';
+import {
+  STREAMING_PATH,
+  attachStreamingServer,
+  createFakeRecognizer,
+  createGoogleRecognizer
+} from './services/streaming.js';
 
 // Get __dirname in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -26,82 +90,206 @@ if (process.env.GOOGLE_SPEECH_API_KEY) {
   console.warn('⚠️  GOOGLE_SPEECH_API_KEY not found in environment variables');
 }
 
-// Initialize Google Gemini API client (Free Tier)
-let geminiModel = null;
-if (process.env.GEMINI_API_KEY) {
-  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-  // Use gemini-1.5-flash for free tier (faster and free)
-  geminiModel = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-  console.log('✅ Google Gemini API configured (using free tier model: gemini-1.5-flash)');
+// Transcription backends (Google, local whisper.cpp, fixture). Requests pick
+// one by name; TRANSCRIPTION_PROVIDER sets the default.
+const transcriptionProviders = createTranscriptionProviders({ speechClient });
+console.log(`🎙️  Default transcription provider: ${getDefaultProviderName()}`);
+
+// Note structuring models (Gemini, OpenAI-compatible, Ollama, mock). Requests
+// pick one by name; LLM_PROVIDER sets the default.
+const llmProviders = createLlmProviders();
+const defaultLlmProvider = llmProviders[getDefaultLlmProviderName()];
+if (!defaultLlmProvider) {
+  console.warn(`⚠️  Unknown LLM_PROVIDER '${getDefaultLlmProviderName()}'`);
+} else if (defaultLlmProvider.isConfigured()) {
+  console.log(`✅ Notes provider configured: ${defaultLlmProvider.name} (model: ${defaultLlmProvider.model})`);
 } else {
-  console.warn('⚠️  GEMINI_API_KEY not found in environment variables');
+  console.warn(`⚠️  ${defaultLlmProvider.notConfiguredMessage}`);
 }
 
-// Free tier limits to prevent unexpected costs
-const MAX_TRANSCRIPT_LENGTH = 100000; // characters (~25k words)
-const MAX_TRANSCRIPT_WORDS = 25000; // words
-
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
+// Persistent server state (jobs, etc.) lives in the data directory
+const dataDir = path.join(__dirname, 'data');
+if (!fs.existsSync(dataDir)) {
+  fs.mkdirSync(dataDir, { recursive: true });
+}
+
+// User accounts; sessions are signed with AUTH_SECRET
+const userStore = createUserStore({
+  storePath: path.join(dataDir, 'users.json')
+});
+const authSecret = loadAuthSecret(path.join(dataDir, 'auth-secret'));
+
+// Audio seconds and model tokens used per request, checked against quotas
+const usageLedger = createUsageLedger({
+  storePath: path.join(dataDir, 'usage.json')
+});
+
+// Transcripts keyed by audio content and notes keyed by transcript and
+// prompt, so identical requests are not paid for twice
+const resultCache = createResultCache({
+  cacheDir: path.join(dataDir, 'cache')
+});
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadsDir);
+    cb(null, getUserUploadsDir(uploadsDir, req.user.id));
   },
   filename: (req, file, cb) => {
     // Create unique filename with timestamp
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'audio-' + uniqueSuffix + path.extname(file.originalname));
+    cb(null, createUploadFilename(file.originalname));
   }
 });
 
-// File filter - only accept audio files
+// File filter - only accept audio files and lecture videos
 const fileFilter = (req, file, cb) => {
-  const allowedMimeTypes = [
-    'audio/webm',
-    'audio/wav',
-    'audio/wave',
-    'audio/x-wav',
-    'audio/mpeg',
-    'audio/mp3',
-    'audio/ogg',
-    'audio/opus'
-  ];
-
-  const allowedExtensions = ['.webm', '.wav', '.mp3', '.ogg', '.opus'];
-  const fileExtension = path.extname(file.originalname).toLowerCase();
-
-  if (allowedMimeTypes.includes(file.mimetype) || allowedExtensions.includes(fileExtension)) {
+  if (isSupportedUpload(file)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only audio files (webm, wav, mp3, ogg) are allowed.'), false);
+    cb(new Error(UNSUPPORTED_UPLOAD_MESSAGE), false);
   }
 };
 
-// Configure multer with size limits (50MB max)
+// Lecture videos are much larger than audio recordings. Multer streams
+// uploads to disk, so the limit does not affect memory use.
+const MAX_UPLOAD_SIZE_MB = Number(process.env.MAX_UPLOAD_SIZE_MB) || 2048;
+
+// Configure multer with size limits
 const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 50 * 1024 * 1024 // 50MB in bytes
+    fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024
+  }
+});
+
+// Resumable chunked uploads for long recordings
+const uploadSessions = createUploadSessionStore({
+  storePath: path.join(dataDir, 'uploads.json'),
+  partialDir: path.join(uploadsDir, 'partial'),
+  uploadsDir: uploadsDir
+});
+
+// Uploaded audio waiting to be transcribed, addressed by opaque ids. Uploads
+// past UPLOAD_RETENTION_HOURS and files nothing refers to are swept away.
+const uploadStorage = createUploadStorage({
+  storePath: path.join(dataDir, 'stored-uploads.json'),
+  uploadsDir: uploadsDir,
+  partialDir: path.join(uploadsDir, 'partial'),
+  uploadSessions: uploadSessions,
+  // Keeps the uploads of queued and running jobs, including jobs from before
+  // job uploads were registered
+  isInUse: (filePath) => jobQueue.isUsingFile(filePath)
+});
+
+// Note templates (built-in and user-defined)
+const templateStore = createTemplateStore({
+  storePath: path.join(dataDir, 'templates.json')
+});
+
+// Lecture library (transcripts, notes and metadata)
+const lectureStore = createLectureStore({
+  storePath: path.join(dataDir, 'lectures.json'),
+  audioDir: path.join(dataDir, 'audio')
+});
+
+// Lectures and templates saved before accounts existed go to the account
+// named by LEGACY_DATA_OWNER, once it exists
+const claimLegacyData = (user) => {
+  if (!isLegacyDataOwner(user)) {
+    return;
+  }
+  const lectures = lectureStore.claimUnowned(user.id);
+  const templates = templateStore.claimUnowned(user.id);
+  if (lectures + templates > 0) {
+    console.log(`📦 Assigned ${lectures} lecture(s) and ${templates} template(s) to ${user.email}`);
+  }
+};
+
+if (process.env.LEGACY_DATA_OWNER) {
+  const legacyOwner = userStore.findByEmail(process.env.LEGACY_DATA_OWNER);
+  if (legacyOwner) {
+    claimLegacyData(legacyOwner);
+  }
+}
+
+// Background job queue for the upload → transcribe → structure pipeline.
+// Completed jobs are saved to the lecture library.
+const jobQueue = createJobQueue({
+  storePath: path.join(dataDir, 'jobs.json'),
+  handlers: createPipelineHandlers({ transcriptionProviders, llmProviders, usageLedger, resultCache }),
+  onComplete: (job) => {
+    const { transcribe, structure } = job.outputs;
+    if (!transcribe.transcript) {
+      return;
+    }
+
+    const lecture = lectureStore.create({
+      title: job.options.title,
+      course: job.options.course,
+      transcript: transcribe.transcript,
+      notes: structure.notes,
+      structuredNotes: structure.structuredNotes,
+      words: transcribe.words,
+      sentences: transcribe.sentences,
+      speakerTurns: transcribe.speakerTurns,
+      speakers: transcribe.speakers,
+      bookmarks: job.options.bookmarks,
+      metadata: {
+        ...structure.metadata,
+        wordCount: transcribe.wordCount,
+        confidence: transcribe.confidence,
+        originalName: job.file.originalName,
+        ...(job.file.media && { duration: job.file.media.duration }),
+        jobId: job.id
+      }
+    }, job.userId);
+    if (job.options.keepAudio && fs.existsSync(job.file.path)) {
+      lectureStore.attachAudio(lecture.id, job.file.path, job.file.mimetype);
+      uploadStorage.release(job.file.uploadId);
+    }
+
+    job.lectureId = lecture.id;
+    console.log(`📚 Job ${job.id} saved as lecture ${lecture.id}`);
+  },
+  // Whatever the outcome, the upload is gone unless it moved to the lecture
+  onFinish: (job) => {
+    if (job.file.uploadId) {
+      uploadStorage.remove(job.file.uploadId);
+    }
   }
 });
 
+uploadStorage.startSweeper();
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Vite dev server, which serves the client from its own origin
+const CLIENT_DEV_ORIGIN = 'http://localhost:5173';
+
+// Behind a reverse proxy, rate limits need the client IP from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  // "true", a hop count such as "1", or addresses/subnets such as "loopback, 10.0.0.0/8"
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // CORS configuration - allow requests from Vite dev server
 app.use(cors({
-  origin: 'http://localhost:5173',
+  origin: CLIENT_DEV_ORIGIN,
   credentials: true
 }));
 
 // Body parser middleware
-app.use(express.json());
+// Long lecture transcripts (with word timings) exceed the 100kb default
+app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -119,6 +307,22 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Sign up, sign in and out
+app.post(['/api/auth/signup', '/api/auth/login'], createRateLimiter('auth'));
+app.use('/api/auth', createAuthRouter({
+  userStore,
+  secret: authSecret,
+  onSignup: claimLegacyData
+}));
+
+// Everything else under /api requires a signed-in user (req.user)
+app.use('/api', createAuthMiddleware({ userStore, secret: authSecret }));
+
+// Per-user rate limits; the routes that call paid APIs get tighter ones
+app.use('/api', createRateLimiter('api'));
+app.post(['/api/upload-audio', '/api/transcribe', '/api/uploads', '/api/jobs'], createRateLimiter('transcription'));
+app.post(['/api/structure-notes', '/api/study-materials'], createRateLimiter('notes'));
+
 // API routes placeholder
 app.get('/api', (req, res) => {
   res.json({
@@ -126,15 +330,37 @@ app.get('/api', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/api/health',
+      signup: 'POST /api/auth/signup',
+      login: 'POST /api/auth/login',
+      logout: 'POST /api/auth/logout',
+      logoutEverywhere: 'POST /api/auth/logout-all',
+      currentUser: 'GET /api/auth/me',
+      usage: 'GET /api/usage',
+      usageByUser: 'GET /api/usage/users (admins)',
       uploadAudio: 'POST /api/upload-audio',
+      resumableUpload: 'POST /api/uploads, GET/PUT/DELETE /api/uploads/:id, POST /api/uploads/:id/complete',
       transcribe: 'POST /api/transcribe',
       structureNotes: 'POST /api/structure-notes',
+      createJob: 'POST /api/jobs',
+      listJobs: 'GET /api/jobs',
+      jobStatus: 'GET /api/jobs/:id',
+      cancelJob: 'POST /api/jobs/:id/cancel',
+      liveTranscription: `WS ${STREAMING_PATH}`,
+      lectures: 'GET/POST /api/lectures',
+      lecture: 'GET/PATCH/DELETE /api/lectures/:id',
+      lectureAudio: 'GET/DELETE /api/lectures/:id/audio',
+      exportNotes: 'POST /api/export-notes',
+      templates: 'GET/POST /api/templates',
+      template: 'GET/PATCH/DELETE /api/templates/:id',
+      studyMaterials: 'POST /api/study-materials',
+      exportStudyDeck: 'POST /api/study-materials/export',
     }
   });
 });
 
-// Audio upload endpoint
-app.post('/api/upload-audio', upload.single('audio'), (req, res) => {
+// Audio upload endpoint. Videos are accepted too; their audio track is
+// extracted and the returned upload id refers to the extracted audio.
+app.post('/api/upload-audio', createStorageLimitMiddleware(uploadStorage), upload.single('audio'), createUploadedFileLimitMiddleware(uploadStorage), async (req, res) => {
   try {
     // Check if file was uploaded
     if (!req.file) {
@@ -144,27 +370,32 @@ app.post('/api/upload-audio', upload.single('audio'), (req, res) => {
       });
     }
 
+    const file = await prepareUploadedMedia(req.file);
+    const stored = uploadStorage.register(file, req.user.id);
+
     // File uploaded successfully
     const fileInfo = {
       success: true,
-      message: 'Audio file uploaded successfully',
-      file: {
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        path: req.file.path,
-        size: req.file.size,
-        sizeInMB: (req.file.size / (1024 * 1024)).toFixed(2),
-        mimetype: req.file.mimetype,
-        uploadedAt: new Date().toISOString()
-      }
+      message: describeUploadMessage(file),
+      file: toPublicUpload(stored)
     };
 
-    console.log(`✅ File uploaded: ${req.file.filename} (${fileInfo.file.sizeInMB} MB)`);
+    const durationInfo = file.media && file.media.duration !== null ? `, ${file.media.duration}s` : '';
+    console.log(`✅ File uploaded: ${file.filename} (${fileInfo.file.sizeInMB} MB${durationInfo})`);
 
     res.status(200).json(fileInfo);
 
   } catch (error) {
     console.error('Upload error:', error);
+
+    const mediaError = getMediaErrorResponse(error);
+    if (mediaError) {
+      return res.status(mediaError.status).json({
+        error: true,
+        message: mediaError.message
+      });
+    }
+
     res.status(500).json({
       error: true,
       message: 'Failed to process uploaded file',
@@ -174,43 +405,59 @@ app.post('/api/upload-audio', upload.single('audio'), (req, res) => {
 });
 
 // Transcription endpoint
-app.post('/api/transcribe', async (req, res) => {
-  const { filename } = req.body;
-  let filePath = null;
+app.post('/api/transcribe', createQuotaMiddleware(usageLedger, ['audio']), async (req, res) => {
+  // keepAudio leaves the upload in place so it can be attached to a lecture;
+  // forceRefresh transcribes again even when the same audio was transcribed before
+  const { uploadId, keepAudio, forceRefresh } = req.body;
+  // Optional speaker diarization: { enabled, minSpeakers, maxSpeakers }
+  const { diarization, error: diarizationError } = parseDiarizationOptions(req.body.diarization);
+  // Optional provider name; defaults to TRANSCRIPTION_PROVIDER
+  const { provider, status: providerStatus, error: providerError } = resolveProvider(transcriptionProviders, req.body.provider);
+  let stored = null;
 
   try {
     console.log('\n🎙️  Starting transcription process...');
 
-    // Validate Speech API client
-    if (!speechClient) {
-      console.error('❌ Speech API not configured');
-      return res.status(500).json({
+    // Validate transcription provider
+    if (providerError) {
+      console.error(`❌ ${providerError}`);
+      return res.status(providerStatus).json({
         error: true,
-        message: 'Speech-to-Text API is not configured. Please add GOOGLE_SPEECH_API_KEY to your environment variables.'
+        message: providerError
       });
     }
 
-    // Validate filename provided
-    if (!filename) {
-      console.error('❌ No filename provided');
+    if (diarizationError) {
+      console.error(`❌ Invalid diarization options: ${diarizationError}`);
       return res.status(400).json({
         error: true,
-        message: 'Filename is required. Please provide the filename of the uploaded audio file.'
+        message: diarizationError
       });
     }
 
-    // Construct file path
-    filePath = path.join(uploadsDir, filename);
+    // Validate upload id provided
+    if (!uploadId) {
+      console.error('❌ No upload id provided');
+      return res.status(400).json({
+        error: true,
+        message: 'uploadId is required. Please provide the id returned when the audio file was uploaded.'
+      });
+    }
 
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
-      console.error(`❌ File not found: ${filename}`);
+    // Uploads are looked up by id, never by path; users can only transcribe their own
+    const upload = uploadStorage.get(uploadId);
+    const filePath = ownedBy(upload, req.user) ? uploadStorage.getPath(uploadId) : null;
+
+    if (!filePath) {
+      console.error(`❌ Upload not found: ${uploadId}`);
       return res.status(404).json({
         error: true,
-        message: `Audio file '${filename}' not found. Please upload the file first.`,
-        filename: filename
+        message: `Upload '${uploadId}' not found. It may have expired; please upload the file again.`,
+        uploadId: uploadId
       });
     }
+    stored = upload;
+    const filename = upload.filename;
 
     // Get file stats
     const stats = fs.statSync(filePath);
@@ -219,63 +466,47 @@ app.post('/api/transcribe', async (req, res) => {
 
     // Validate audio file
     const fileExtension = path.extname(filename).toLowerCase();
-    const validExtensions = ['.webm', '.wav', '.mp3', '.ogg', '.opus'];
-    if (!validExtensions.includes(fileExtension)) {
+    if (!AUDIO_EXTENSIONS.includes(fileExtension)) {
       console.error(`❌ Invalid file type: ${fileExtension}`);
       return res.status(400).json({
         error: true,
-        message: `Invalid audio file type '${fileExtension}'. Supported formats: ${validExtensions.join(', ')}`
+        message: `Invalid audio file type '${fileExtension}'. Supported formats: ${AUDIO_EXTENSIONS.join(', ')}. Upload videos through /api/upload-audio to extract their audio first.`
       });
     }
 
-    // Read audio file
-    console.log('📖 Reading audio file...');
-    const audioBytes = fs.readFileSync(filePath);
+    // Transcribe in time-bounded segments so full-length lectures are supported
+    console.log(`🚀 Transcribing audio with the ${provider.name} provider...`);
+    const startTime = Date.now();
 
-    // Determine audio encoding based on file extension
-    let encoding = 'LINEAR16';
-    if (fileExtension === '.webm') {
-      encoding = 'WEBM_OPUS';
-    } else if (fileExtension === '.mp3') {
-      encoding = 'MP3';
-    } else if (fileExtension === '.ogg' || fileExtension === '.opus') {
-      encoding = 'OGG_OPUS';
+    if (diarization) {
+      console.log(`🗣️  Speaker diarization enabled (${diarization.minSpeakers}-${diarization.maxSpeakers} speakers)`);
     }
 
-    console.log(`🔧 Audio encoding: ${encoding}`);
-
-    // Configure Speech-to-Text request
-    const audio = {
-      content: audioBytes.toString('base64'),
-    };
-
-    const config = {
-      encoding: encoding,
-      sampleRateHertz: 48000, // Default for web recordings
-      languageCode: 'en-US',
-      enableAutomaticPunctuation: true,
-      model: 'default',
-      useEnhanced: true,
-    };
-
-    const request = {
-      audio: audio,
-      config: config,
-    };
-
-    // Send to Google Speech-to-Text API
-    console.log('🚀 Sending audio to Google Speech-to-Text API...');
-    const startTime = Date.now();
-
-    const [response] = await speechClient.recognize(request);
+    // Uploads from before audio was hashed on upload are hashed now
+    const contentHash = stored.contentHash || await hashFile(filePath);
+    const { value: result, cache } = await resultCache.getOrCompute(
+      'transcripts',
+      getTranscriptCacheKey(contentHash, provider, { diarization }),
+      () => transcribeAudioFile(provider, filePath, {
+        diarization,
+        onProgress: ({ completed, total }) => {
+          if (completed < total) {
+            console.log(`🧩 Transcribing segment ${completed + 1}/${total}...`);
+          }
+        }
+      }),
+      { forceRefresh: Boolean(forceRefresh), isCacheable: (transcription) => Boolean(transcription.transcript) }
+    );
 
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`✅ Transcription completed in ${duration}s`);
+    console.log(`✅ Transcription completed in ${duration}s (${result.segments.length} segment(s), ${result.method}${cache.hit ? ', cached' : ''})`);
+
+    // Cached transcripts cost nothing
+    if (!cache.hit) {
+      usageLedger.record({ userId: req.user.id, kind: 'transcription', provider: result.provider, audioSeconds: result.audioSeconds });
+    }
 
-    // Extract transcription results
-    const transcription = response.results
-      .map(result => result.alternatives[0].transcript)
-      .join('\n');
+    const transcription = result.transcript;
 
     if (!transcription || transcription.trim().length === 0) {
       console.warn('⚠️  No speech detected in audio');
@@ -283,33 +514,40 @@ app.post('/api/transcribe', async (req, res) => {
         success: true,
         message: 'No speech detected in the audio file',
         transcript: '',
+        segments: [],
+        words: [],
+        sentences: [],
+        speakerTurns: [],
+        speakers: {},
         wordCount: 0,
         confidence: 0,
-        processingTime: duration
+        processingTime: duration,
+        provider: result.provider,
+        audioSeconds: result.audioSeconds,
+        cache: cache
       });
     }
 
-    // Calculate average confidence
-    const confidences = response.results
-      .map(result => result.alternatives[0].confidence || 0)
-      .filter(conf => conf > 0);
-
-    const avgConfidence = confidences.length > 0
-      ? (confidences.reduce((sum, conf) => sum + conf, 0) / confidences.length * 100).toFixed(2)
-      : 0;
+    const avgConfidence = (result.confidence * 100).toFixed(2);
 
     const wordCount = transcription.split(/\s+/).filter(word => word.length > 0).length;
 
     console.log(`📝 Transcript length: ${transcription.length} characters, ${wordCount} words`);
     console.log(`🎯 Average confidence: ${avgConfidence}%`);
 
-    // Delete the audio file after successful transcription
-    try {
-      fs.unlinkSync(filePath);
-      console.log(`🗑️  Deleted audio file: ${filename}`);
-    } catch (deleteError) {
-      console.error(`⚠️  Failed to delete audio file: ${deleteError.message}`);
-      // Don't fail the request if deletion fails
+    // Delete the audio file after successful transcription unless asked to keep it
+    if (keepAudio) {
+      // The retention period restarts so there is time to save the lecture
+      uploadStorage.touch(stored.id);
+      console.log(`💾 Keeping audio file: ${filename}`);
+    } else {
+      try {
+        uploadStorage.remove(stored.id);
+        console.log(`🗑️  Deleted audio file: ${filename}`);
+      } catch (deleteError) {
+        console.error(`⚠️  Failed to delete audio file: ${deleteError.message}`);
+        // Don't fail the request if deletion fails
+      }
     }
 
     // Return successful response
@@ -319,23 +557,43 @@ app.post('/api/transcribe', async (req, res) => {
       transcript: transcription,
       wordCount: wordCount,
       confidence: parseFloat(avgConfidence),
+      segments: result.segments,
+      words: result.words,
+      sentences: result.sentences,
+      speakerTurns: result.speakerTurns,
+      speakers: result.speakers,
       processingTime: duration,
-      filename: filename
+      provider: result.provider,
+      method: result.method,
+      audioSeconds: result.audioSeconds,
+      cache: cache,
+      uploadId: stored.id,
+      audioKept: Boolean(keepAudio)
     });
 
   } catch (error) {
     console.error('❌ Transcription error:', error);
 
-    // Clean up file on error if it exists
-    if (filePath && fs.existsSync(filePath)) {
+    // Clean up the upload on error
+    if (stored) {
       try {
-        fs.unlinkSync(filePath);
-        console.log(`🗑️  Cleaned up file after error: ${filename}`);
+        uploadStorage.remove(stored.id);
+        console.log(`🗑️  Cleaned up file after error: ${stored.filename}`);
       } catch (deleteError) {
         console.error(`⚠️  Failed to cleanup file: ${deleteError.message}`);
       }
     }
 
+    // Refused without calling the service: it failed repeatedly just before
+    if (error.code === 'CIRCUIT_OPEN') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(503).json({
+        error: true,
+        message: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+
     // Handle specific error types
     if (error.code === 'ENOENT') {
       return res.status(404).json({
@@ -344,6 +602,13 @@ app.post('/api/transcribe', async (req, res) => {
       });
     }
 
+    if (error.code === 'COMMAND_NOT_FOUND') {
+      return res.status(500).json({
+        error: true,
+        message: error.message
+      });
+    }
+
     if (error.message && error.message.includes('API key')) {
       return res.status(401).json({
         error: true,
@@ -362,7 +627,7 @@ app.post('/api/transcribe', async (req, res) => {
     if (error.code === 8 || error.code === 'RESOURCE_EXHAUSTED') {
       return res.status(429).json({
         error: true,
-        message: 'API quota exceeded. Please try again later or check your Google Cloud quota.'
+        message: 'Google Speech-to-Text is still rate limiting requests after several retries. Please try again later or check your Google Cloud quota.'
       });
     }
 
@@ -383,19 +648,38 @@ app.post('/api/transcribe', async (req, res) => {
   }
 });
 
-// Structure notes endpoint using Gemini AI
-app.post('/api/structure-notes', async (req, res) => {
-  const { transcript } = req.body;
+// Structure notes endpoint
+app.post('/api/structure-notes', createQuotaMiddleware(usageLedger, ['tokens']), async (req, res) => {
+  // speakerTurns/speakers come from a diarized /api/transcribe response;
+  // bookmarks made while recording are placed in the transcript using sentences
+  const { transcript, speakerTurns, speakers, sentences } = req.body;
+  // forceRefresh asks the model again even when identical notes are cached
+  const forceRefresh = Boolean(req.body.forceRefresh);
+  // Optional provider name; defaults to LLM_PROVIDER
+  const { provider, status: providerStatus, error: providerError } = resolveLlmProvider(llmProviders, req.body.provider);
+  // Optional template id, detailLevel (brief, standard, detailed), output
+  // language and format ("json" returns notes in a fixed schema as well)
+  const { style, status: styleStatus, error: styleError } = resolveNoteStyle(templateStore, req.body, req.user.id);
+  const tokens = createTokenUsage();
 
   try {
     console.log('\n📝 Starting note structuring process...');
 
-    // Validate Gemini API client
-    if (!geminiModel) {
-      console.error('❌ Gemini API not configured');
-      return res.status(500).json({
+    // Validate notes provider
+    if (providerError) {
+      console.error(`❌ ${providerError}`);
+      return res.status(providerStatus).json({
         error: true,
-        message: 'Gemini AI is not configured. Please add GEMINI_API_KEY to your environment variables.'
+        message: providerError
+      });
+    }
+
+    // Validate note style
+    if (styleError) {
+      console.error(`❌ ${styleError}`);
+      return res.status(styleStatus).json({
+        error: true,
+        message: styleError
       });
     }
 
@@ -417,83 +701,78 @@ app.post('/api/structure-notes', async (req, res) => {
       });
     }
 
-    // Check free tier limits to prevent unexpected costs
-    const transcriptLength = transcript.length;
-    const transcriptWords = transcript.split(/\s+/).filter(word => word.length > 0).length;
-
-    console.log(`📊 Transcript stats: ${transcriptLength} characters, ${transcriptWords} words`);
-
-    if (transcriptLength > MAX_TRANSCRIPT_LENGTH) {
-      console.error(`❌ Transcript too long: ${transcriptLength} characters (max: ${MAX_TRANSCRIPT_LENGTH})`);
+    // Validate optional speaker labels
+    if ((speakerTurns !== undefined && !Array.isArray(speakerTurns))
+      || (speakers !== undefined && (typeof speakers !== 'object' || speakers === null))) {
+      console.error('❌ Invalid speaker data');
       return res.status(400).json({
         error: true,
-        message: `Transcript is too long (${transcriptLength} characters). Maximum allowed is ${MAX_TRANSCRIPT_LENGTH} characters to stay within free tier limits.`,
-        currentLength: transcriptLength,
-        maxLength: MAX_TRANSCRIPT_LENGTH
+        message: 'speakerTurns must be an array and speakers an object of names keyed by speaker tag.'
       });
     }
 
-    if (transcriptWords > MAX_TRANSCRIPT_WORDS) {
-      console.error(`❌ Transcript too long: ${transcriptWords} words (max: ${MAX_TRANSCRIPT_WORDS})`);
+    // Validate optional bookmarks
+    const { bookmarks, error: bookmarksError } = parseBookmarks(req.body.bookmarks);
+    if (bookmarksError || (sentences !== undefined && !Array.isArray(sentences))) {
+      console.error('❌ Invalid bookmarks');
       return res.status(400).json({
         error: true,
-        message: `Transcript is too long (${transcriptWords} words). Maximum allowed is ${MAX_TRANSCRIPT_WORDS} words to stay within free tier limits.`,
-        currentWords: transcriptWords,
-        maxWords: MAX_TRANSCRIPT_WORDS
+        message: bookmarksError || 'sentences must be an array of timed sentences from /api/transcribe.'
       });
     }
 
-    // Check if transcript is too short
-    if (transcriptWords < 10) {
-      console.warn('⚠️  Transcript is very short');
+    // Check the chunk budget to prevent unexpected costs
+    const transcriptLength = transcript.length;
+    const transcriptWords = countWords(transcript);
+
+    console.log(`📊 Transcript stats: ${transcriptLength} characters, ${transcriptWords} words`);
+
+    const limitError = checkTranscriptLimits(transcript, { speakerTurns, speakers, sentences, bookmarks, style });
+    if (limitError) {
+      console.error(`❌ Transcript rejected: ${limitError.message}`);
       return res.status(400).json({
         error: true,
-        message: 'Transcript is too short (less than 10 words). Please provide a longer transcript.'
+        ...limitError
       });
     }
 
-    // Create detailed prompt for Gemini
-    const prompt = `You are an expert note-taker and educational content organizer. Your task is to transform the following lecture transcript into well-structured, organized notes.
-
-Please create notes that include:
-
-1. **Main Title**: A clear, descriptive title for the lecture based on the content
-2. **Overview/Summary**: A brief 2-3 sentence overview of what the lecture covers
-3. **Main Sections**: Organize the content into logical sections with clear headers
-4. **Bullet Points**: Use bullet points to highlight key concepts, important facts, and main ideas
-5. **Key Takeaways**: A dedicated section at the end listing 3-5 key takeaways
-6. **Formatting**: Use proper markdown formatting with headers (##, ###), bullet points (-), and emphasis (**bold** for important terms)
-
-Make the notes clear, concise, and easy to study from. Focus on the most important information and maintain logical flow.
-
-Here is the transcript:
-
-${transcript}
-
-Please provide the structured notes now:`;
-
-    console.log('🚀 Sending transcript to Gemini AI...');
+    console.log(`🚀 Sending transcript to ${provider.name} (${provider.model}) with the ${style.template.name} template...`);
     const startTime = Date.now();
 
-    // Generate content using Gemini
-    const result = await geminiModel.generateContent(prompt);
-    const response = await result.response;
-    const structuredNotes = response.text();
+    // Long transcripts are summarized in overlapping chunks and then merged
+    if (bookmarks.length > 0) {
+      console.log(`🔖 Including ${bookmarks.length} bookmark(s)`);
+    }
+
+    const notesOptions = { speakerTurns, speakers, sentences, bookmarks, style };
+    const { value: result, cache } = await resultCache.getOrCompute(
+      'notes',
+      getNotesCacheKey(transcript, provider, notesOptions),
+      () => generateNotes(meterProvider(provider, tokens), transcript, notesOptions),
+      { forceRefresh, isCacheable: (generated) => Boolean(generated.notes && generated.notes.trim()) }
+    );
+    const { notes, structuredNotes, schemaRepairs, chunking } = result;
 
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`✅ Note structuring completed in ${duration}s`);
+    console.log(cache.hit
+      ? `✅ Note structuring completed in ${duration}s (cached)`
+      : `✅ Note structuring completed in ${duration}s (${chunking.strategy}, ${chunking.modelCalls} model call(s))`);
+
+    if (structuredNotes) {
+      console.log(`🧱 JSON notes validated: ${structuredNotes.sections.length} section(s), ${schemaRepairs} repair request(s)`);
+    }
 
     // Validate response
-    if (!structuredNotes || structuredNotes.trim().length === 0) {
-      console.error('❌ Empty response from Gemini');
+    if (!notes || notes.trim().length === 0) {
+      console.error(`❌ Empty response from ${provider.name}`);
       return res.status(500).json({
         error: true,
-        message: 'Failed to generate structured notes. Received empty response from Gemini AI.'
+        message: `Failed to generate structured notes. Received empty response from ${provider.name}.`
       });
     }
 
-    const notesWordCount = structuredNotes.split(/\s+/).filter(word => word.length > 0).length;
-    const notesCharCount = structuredNotes.length;
+    const notesWordCount = countWords(notes);
+    const notesCharCount = notes.length;
 
     console.log(`📄 Generated notes: ${notesCharCount} characters, ${notesWordCount} words`);
 
@@ -501,20 +780,41 @@ Please provide the structured notes now:`;
     res.status(200).json({
       success: true,
       message: 'Notes structured successfully',
-      notes: structuredNotes,
+      notes: notes,
+      ...(structuredNotes && { structuredNotes }),
       metadata: {
         inputWords: transcriptWords,
         inputCharacters: transcriptLength,
         outputWords: notesWordCount,
         outputCharacters: notesCharCount,
         processingTime: duration,
-        model: 'gemini-1.5-flash'
+        provider: provider.name,
+        model: provider.model,
+        chunking: chunking,
+        bookmarks: bookmarks.length,
+        template: { id: style.template.id, name: style.template.name },
+        detailLevel: style.detailLevel,
+        language: style.language,
+        format: style.format,
+        ...(structuredNotes && { schemaRepairs }),
+        usage: tokens,
+        cache: cache
       }
     });
 
   } catch (error) {
     console.error('❌ Note structuring error:', error);
 
+    // Refused without calling the service: it failed repeatedly just before
+    if (error.code === 'CIRCUIT_OPEN') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(503).json({
+        error: true,
+        message: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+
     // Handle specific Gemini API errors
     if (error.message && error.message.includes('API_KEY_INVALID')) {
       return res.status(401).json({
@@ -537,7 +837,15 @@ Please provide the structured notes now:`;
       });
     }
 
-    if (error.message && error.message.includes('rate limit')) {
+    // HTTP errors from OpenAI-compatible and Ollama servers
+    if (error.status === 401 || error.status === 403) {
+      return res.status(401).json({
+        error: true,
+        message: `The ${provider.name} server rejected the request. Please check its API key.`
+      });
+    }
+
+    if (error.status === 429 || (error.message && error.message.includes('rate limit'))) {
       return res.status(429).json({
         error: true,
         message: 'Rate limit exceeded. Please wait a moment and try again.'
@@ -551,9 +859,39 @@ Please provide the structured notes now:`;
       details: error.message,
       ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
     });
+  } finally {
+    // Calls that completed are billed even when a later one failed
+    if (tokens.modelCalls > 0) {
+      usageLedger.record({ userId: req.user.id, kind: 'notes', provider: provider.name, model: provider.model, tokens });
+    }
   }
 });
 
+// Resumable uploads
+app.use('/api/uploads', createUploadsRouter({
+  uploadSessions,
+  uploadStorage,
+  maxUploadBytes: MAX_UPLOAD_SIZE_MB * 1024 * 1024
+}));
+
+// Background processing jobs
+app.use('/api/jobs', createJobsRouter({ upload, uploadStorage, jobQueue, transcriptionProviders, llmProviders, templateStore, usageLedger }));
+
+// Lecture library
+app.use('/api/lectures', createLecturesRouter({ lectureStore, uploadStorage }));
+
+// Note templates
+app.use('/api/templates', createTemplatesRouter({ templateStore }));
+
+// Notes export (md, txt, html, pdf, docx, Anki csv)
+app.use('/api/export-notes', createExportRouter());
+
+// Quizzes and flashcards generated from a lecture's transcript and notes
+app.use('/api/study-materials', createStudyMaterialsRouter({ llmProviders, usageLedger }));
+
+// Usage report and quotas
+app.use('/api/usage', createUsageRouter({ usageLedger, userStore }));
+
 // 404 handler - must be after all routes
 app.use((req, res, next) => {
   res.status(404).json({
@@ -572,7 +910,7 @@ app.use((err, req, res, next) => {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         error: true,
-        message: 'File too large. Maximum file size is 50MB.',
+        message: `File too large. Maximum file size is ${MAX_UPLOAD_SIZE_MB}MB.`,
         code: err.code
       });
     }
@@ -611,10 +949,47 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`\n🚀 Server is running on port ${PORT}`);
   console.log(`📍 Health check: http://localhost:${PORT}/api/health`);
-  console.log(`🌐 CORS enabled for: http://localhost:5173\n`);
+  console.log(`🎙️  Live transcription: ws://localhost:${PORT}${STREAMING_PATH}`);
+  console.log(`🌐 CORS enabled for: ${CLIENT_DEV_ORIGIN}\n`);
+});
+
+// Live transcription over WebSocket. Set STREAMING_RECOGNIZER=fake to use
+// the local fake recognizer instead of Google's streamingRecognize.
+attachStreamingServer(server, {
+  createRecognizer: (options) => {
+    if (process.env.STREAMING_RECOGNIZER === 'fake') {
+      return createFakeRecognizer(options);
+    }
+    if (!speechClient) {
+      return null;
+    }
+    return createGoogleRecognizer(speechClient, options);
+  },
+  authenticate: (req) => authenticateRequest(req, { userStore, secret: authSecret }),
+  allowedOrigins: [CLIENT_DEV_ORIGIN],
+  checkQuota: (req, pending) => {
+    const user = authenticateRequest(req, { userStore, secret: authSecret });
+    if (!user) {
+      return 'Your session has ended. Please sign in again.';
+    }
+    const exhausted = findExhaustedQuota(usageLedger, user, ['audio'], pending);
+    return exhausted ? exhausted.message : null;
+  },
+  // Live audio is billed by the audio forwarded to the recognizer
+  onStreamEnd: (req, { audioSeconds }) => {
+    const user = authenticateRequest(req, { userStore, secret: authSecret });
+    if (user) {
+      usageLedger.record({
+        userId: user.id,
+        kind: 'liveTranscription',
+        provider: process.env.STREAMING_RECOGNIZER === 'fake' ? 'fake' : 'google',
+        audioSeconds
+      });
+    }
+  }
 });
 
 export default app;
@@ -0,0 +1,159 @@
+import express from 'express';
+import {
+  SESSION_COOKIE,
+  SESSION_TTL_SECONDS,
+  authenticateRequest,
+  getRequestSession,
+  hashPassword,
+  signSessionToken,
+  toPublicUser,
+  validateCredentials,
+  verifyUserPassword
+} from '../services/auth.js';
+
+/**
+ * Account routes. Sessions are kept in an httpOnly cookie; API clients can
+ * send the returned token as "Authorization: Bearer <token>" instead.
+ *
+ *   POST /api/auth/signup  { email, password, name? } → 201, signed in
+ *   POST /api/auth/login   { email, password }
+ *   POST /api/auth/logout      ends the session of the token presented
+ *   POST /api/auth/logout-all  ends every session of the signed-in user, on all devices
+ *   GET  /api/auth/me          the signed-in user, or 401
+ *
+ * Set AUTH_ALLOW_SIGNUP=false to stop new accounts being created.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.userStore - Store created by createUserStore()
+ * @param {string} deps.secret - From loadAuthSecret()
+ * @param {Function} [deps.onSignup] - Called with each account created
+ */
+export const createAuthRouter = ({ userStore, secret, onSignup }) => {
+  const router = express.Router();
+
+  const cookieOptions = () => ({
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/'
+  });
+
+  const signIn = (res, user, status = 200, message = 'Signed in') => {
+    const token = signSessionToken(user, secret);
+    res.cookie(SESSION_COOKIE, token, { ...cookieOptions(), maxAge: SESSION_TTL_SECONDS * 1000 });
+    res.status(status).json({
+      success: true,
+      message: message,
+      user: toPublicUser(user),
+      token: token
+    });
+  };
+
+  router.post('/signup', async (req, res) => {
+    if (process.env.AUTH_ALLOW_SIGNUP === 'false') {
+      return res.status(403).json({
+        error: true,
+        message: 'Signing up is disabled on this server. Ask an administrator for an account.'
+      });
+    }
+
+    const validationError = validateCredentials(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        error: true,
+        message: validationError
+      });
+    }
+
+    const emailTaken = () => res.status(409).json({
+      error: true,
+      message: 'An account with this email already exists. Please sign in.'
+    });
+
+    const { email, password, name } = req.body;
+    if (userStore.findByEmail(email)) {
+      return emailTaken();
+    }
+
+    // A signup for the same email may have finished while the password was hashed
+    const user = userStore.create({ email, name, passwordHash: await hashPassword(password) });
+    if (!user) {
+      return emailTaken();
+    }
+    console.log(`👤 Account created: ${user.email} (${user.id})`);
+
+    if (onSignup) {
+      onSignup(user);
+    }
+
+    signIn(res, user, 201, 'Account created');
+  });
+
+  router.post('/login', async (req, res) => {
+    const validationError = validateCredentials(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: true,
+        message: validationError
+      });
+    }
+
+    const user = userStore.findByEmail(req.body.email);
+    if (!(await verifyUserPassword(user, req.body.password))) {
+      return res.status(401).json({
+        error: true,
+        message: 'Incorrect email or password.'
+      });
+    }
+
+    signIn(res, user);
+  });
+
+  router.post('/logout', (req, res) => {
+    // Revoke the token too, so a copy of it stops working
+    const current = getRequestSession(req, { userStore, secret });
+    if (current) {
+      userStore.revokeToken(current.user.id, current.session.tokenId, current.session.expiresAt);
+    }
+    res.clearCookie(SESSION_COOKIE, cookieOptions());
+    res.json({
+      success: true,
+      message: 'Signed out'
+    });
+  });
+
+  router.post('/logout-all', (req, res) => {
+    const user = authenticateRequest(req, { userStore, secret });
+    if (!user) {
+      return res.status(401).json({
+        error: true,
+        message: 'Not signed in.'
+      });
+    }
+
+    userStore.revokeSessions(user.id);
+    console.log(`👤 Signed out everywhere: ${user.email}`);
+    res.clearCookie(SESSION_COOKIE, cookieOptions());
+    res.json({
+      success: true,
+      message: 'Signed out on all devices'
+    });
+  });
+
+  router.get('/me', (req, res) => {
+    const user = authenticateRequest(req, { userStore, secret });
+    if (!user) {
+      return res.status(401).json({
+        error: true,
+        message: 'Not signed in.'
+      });
+    }
+
+    res.json({
+      success: true,
+      user: toPublicUser(user)
+    });
+  });
+
+  return router;
+};
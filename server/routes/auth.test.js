@@ -0,0 +1,96 @@
+import { after, before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createUserStore } from '../services/auth.js';
+import { createAuthRouter } from './auth.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-routes-test-'));
+const signups = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', createAuthRouter({
+    userStore: createUserStore({ storePath: path.join(tempDir, 'users.json') }),
+    secret: 'test-secret',
+    onSignup: (user) => signups.push(user.email)
+  }));
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+const post = (route, body, token) => fetch(`${baseUrl}${route}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+  body: JSON.stringify(body || {})
+});
+
+const me = (token) => fetch(`${baseUrl}/me`, { headers: { Authorization: `Bearer ${token}` } });
+
+const login = async (email) => (await (await post('/login', { email, password: 'correct horse' })).json()).token;
+
+test('signing up creates an account, signs it in and reports it to onSignup', async () => {
+  const response = await post('/signup', { email: 'first@uni.edu', password: 'correct horse', name: 'First' });
+  const body = await response.json();
+
+  assert.equal(response.status, 201);
+  assert.equal(body.user.email, 'first@uni.edu');
+  assert.equal(body.user.passwordHash, undefined);
+  assert.match(response.headers.get('set-cookie'), /^session=.+HttpOnly/i);
+  assert.equal((await me(body.token)).status, 200);
+  assert.deepEqual(signups, ['first@uni.edu']);
+});
+
+test('signing up again with the same email gets 409, even when concurrent', async () => {
+  const responses = await Promise.all([1, 2, 3].map(() => post('/signup', { email: 'race@uni.edu', password: 'correct horse' })));
+  assert.deepEqual(responses.map(response => response.status).sort(), [201, 409, 409]);
+  assert.equal((await post('/signup', { email: 'RACE@uni.edu', password: 'correct horse' })).status, 409);
+});
+
+test('signing in needs the right password', async () => {
+  await post('/signup', { email: 'login@uni.edu', password: 'correct horse' });
+
+  assert.equal((await post('/login', { email: 'login@uni.edu', password: 'wrong horse' })).status, 401);
+  assert.equal((await post('/login', { email: 'nobody@uni.edu', password: 'correct horse' })).status, 401);
+  assert.equal((await post('/login', { email: 'login@uni.edu' })).status, 400);
+  assert.ok(await login('login@uni.edu'));
+});
+
+test('signing out ends only the session it was sent with', async () => {
+  await post('/signup', { email: 'devices@uni.edu', password: 'correct horse' });
+  const laptop = await login('devices@uni.edu');
+  const phone = await login('devices@uni.edu');
+
+  const response = await post('/logout', {}, laptop);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('set-cookie'), /^session=;/);
+  assert.equal((await me(laptop)).status, 401);
+  assert.equal((await me(phone)).status, 200);
+});
+
+test('signing out everywhere ends every session', async () => {
+  await post('/signup', { email: 'everywhere@uni.edu', password: 'correct horse' });
+  const laptop = await login('everywhere@uni.edu');
+  const phone = await login('everywhere@uni.edu');
+
+  assert.equal((await post('/logout-all', {}, laptop)).status, 200);
+  assert.equal((await me(laptop)).status, 401);
+  assert.equal((await me(phone)).status, 401);
+  assert.equal((await post('/logout-all', {}, phone)).status, 401);
+  assert.equal((await me(await login('everywhere@uni.edu'))).status, 200);
+});
@@ -0,0 +1,52 @@
+import express from 'express';
+import { EXPORT_FORMATS, exportNotes, toFilename } from '../services/export.js';
+
+/**
+ * POST /api/export-notes
+ * Body: { notes, format, title } → file download in the requested format.
+ */
+export const createExportRouter = () => {
+  const router = express.Router();
+
+  router.post('/', async (req, res) => {
+    const { notes, title } = req.body;
+    const format = String(req.body.format || 'md').toLowerCase();
+
+    try {
+      if (!notes || typeof notes !== 'string') {
+        return res.status(400).json({
+          error: true,
+          message: 'Notes are required. Please provide the notes markdown to export.'
+        });
+      }
+
+      if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+          error: true,
+          message: `Unsupported export format '${format}'. Supported formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+        });
+      }
+
+      const { extension, contentType } = EXPORT_FORMATS[format];
+      const output = await exportNotes(notes, format, title || undefined);
+
+      console.log(`📤 Exported notes as ${format.toUpperCase()} (${output.length} bytes)`);
+
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${toFilename(title)}.${extension}"`
+      });
+      res.send(output);
+
+    } catch (error) {
+      console.error('❌ Export error:', error);
+      res.status(500).json({
+        error: true,
+        message: 'Failed to export notes',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+};
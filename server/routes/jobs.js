@@ -0,0 +1,206 @@
+import express from 'express';
+import fs from 'fs';
+import { parseDiarizationOptions, resolveProvider } from '../services/transcription/index.js';
+import { resolveLlmProvider } from '../services/llm/index.js';
+import { getMediaErrorResponse, prepareUploadedMedia } from '../services/media.js';
+import { parseBookmarks } from '../services/bookmarks.js';
+import { resolveNoteStyle } from '../services/templates.js';
+import { ownedBy } from '../services/auth.js';
+import { createQuotaMiddleware } from '../services/usage.js';
+import { createStorageLimitMiddleware, createUploadedFileLimitMiddleware } from '../services/storage.js';
+import { toPublicJob } from '../services/jobs.js';
+
+// Decode a JSON multipart field; invalid JSON is returned as-is for the
+// field's validator to reject
+const parseJsonField = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (parseError) {
+    return value;
+  }
+};
+
+/**
+ * Routes for background processing jobs.
+ *
+ * POST /api/jobs accepts the same multipart "audio" field as /api/upload-audio
+ * (audio or video), returns the job id once any video's audio is extracted and runs transcription and note structuring
+ * in the background. Clients poll GET /api/jobs/:id for status.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.upload - Configured multer instance
+ * @param {Object} deps.uploadStorage - Storage created by createUploadStorage(); holds job uploads until the job ends
+ * @param {Object} deps.jobQueue - Queue created by createJobQueue()
+ * @param {Object} deps.transcriptionProviders - From createTranscriptionProviders()
+ * @param {Object} deps.llmProviders - From createLlmProviders()
+ * @param {Object} deps.templateStore - Store created by createTemplateStore()
+ * @param {Object} deps.usageLedger - Ledger created by createUsageLedger()
+ */
+export const createJobsRouter = ({ upload, uploadStorage, jobQueue, transcriptionProviders, llmProviders, templateStore, usageLedger }) => {
+  const router = express.Router();
+
+  // Create a job from an uploaded audio or video file. Quotas and disk limits
+  // are checked before the upload is accepted.
+  router.post('/', createQuotaMiddleware(usageLedger, ['audio', 'tokens']), createStorageLimitMiddleware(uploadStorage), upload.single('audio'), createUploadedFileLimitMiddleware(uploadStorage), async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        error: true,
+        message: 'No audio file provided. Please upload an audio file.'
+      });
+    }
+
+    // Optional library details for the lecture saved when the job completes.
+    // keepAudio stores the recording with the lecture for playback.
+    // provider selects the transcription backend (default TRANSCRIPTION_PROVIDER)
+    // and llmProvider the notes model (default LLM_PROVIDER). template,
+    // detailLevel, language and format shape the notes as for /api/structure-notes.
+    // forceRefresh skips cached transcripts and notes.
+    const { title, course, provider, llmProvider } = req.body;
+    const keepAudio = req.body.keepAudio === 'true';
+    const forceRefresh = req.body.forceRefresh === 'true';
+
+    // Multipart fields arrive as strings: diarization=true, minSpeakers, maxSpeakers
+    const { diarization, error: diarizationError } = parseDiarizationOptions({
+      enabled: req.body.diarization === 'true',
+      minSpeakers: req.body.minSpeakers,
+      maxSpeakers: req.body.maxSpeakers
+    });
+
+    if (diarizationError) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(400).json({
+        error: true,
+        message: diarizationError
+      });
+    }
+
+    // Bookmarks made while recording, as a JSON-encoded array
+    const { bookmarks, error: bookmarksError } = parseBookmarks(parseJsonField(req.body.bookmarks));
+
+    if (bookmarksError) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(400).json({
+        error: true,
+        message: bookmarksError
+      });
+    }
+
+    // The template is copied into the job so later edits do not affect it
+    const { style, status: styleStatus, error: styleError } = resolveNoteStyle(templateStore, req.body, req.user.id);
+    if (styleError) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(styleStatus).json({
+        error: true,
+        message: styleError
+      });
+    }
+
+    // Reject unknown or unconfigured providers now rather than when the job runs
+    const transcriptionCheck = resolveProvider(transcriptionProviders, provider);
+    const { status: providerStatus, error: providerError } = transcriptionCheck.error
+      ? transcriptionCheck
+      : resolveLlmProvider(llmProviders, llmProvider);
+    if (providerError) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(providerStatus).json({
+        error: true,
+        message: providerError
+      });
+    }
+
+    let file;
+    try {
+      file = await prepareUploadedMedia(req.file);
+    } catch (error) {
+      console.error('❌ Audio extraction failed:', error.message);
+      const mediaError = getMediaErrorResponse(error) || { status: 500, message: `Failed to extract audio: ${error.message}` };
+      return res.status(mediaError.status).json({
+        error: true,
+        message: mediaError.message
+      });
+    }
+
+    // Registered like any upload, so disk limits and the sweep see it; the job
+    // removes it when it ends unless the audio moves to the lecture
+    const stored = uploadStorage.register(file, req.user.id);
+
+    const job = jobQueue.createJob({
+      uploadId: stored.id,
+      filename: file.filename,
+      originalName: file.originalname,
+      path: file.path,
+      size: file.size,
+      sizeInMB: (file.size / (1024 * 1024)).toFixed(2),
+      mimetype: file.mimetype,
+      contentHash: file.contentHash,
+      uploadedAt: new Date().toISOString(),
+      ...(file.media && { media: file.media }),
+      ...(file.extractedFrom && { extractedFrom: file.extractedFrom })
+    }, { title, course, keepAudio, forceRefresh, diarization, provider, llmProvider, bookmarks, style }, req.user.id);
+
+    console.log(`📥 Job ${job.id} queued for ${file.filename}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Job created. Poll the status URL for progress.',
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      job: toPublicJob(job)
+    });
+  });
+
+  const notFound = (res, id) => res.status(404).json({
+    error: true,
+    message: `Job '${id}' not found.`
+  });
+
+  // List the user's jobs, newest first
+  router.get('/', (req, res) => {
+    res.json({
+      success: true,
+      jobs: jobQueue.listJobs(req.user.id).map(toPublicJob)
+    });
+  });
+
+  // Job status, per-stage progress and outputs
+  router.get('/:id', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+
+    if (!ownedBy(job, req.user)) {
+      return notFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      job: toPublicJob(job)
+    });
+  });
+
+  // Cancel a queued or running job
+  router.post('/:id/cancel', (req, res) => {
+    if (!ownedBy(jobQueue.getJob(req.params.id), req.user)) {
+      return notFound(res, req.params.id);
+    }
+
+    const job = jobQueue.cancelJob(req.params.id);
+
+    if (!job.cancelRequested && job.status !== 'cancelled') {
+      return res.status(409).json({
+        error: true,
+        message: `Job '${job.id}' has already ${job.status} and cannot be cancelled.`,
+        status: job.status
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested',
+      job: toPublicJob(job)
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,182 @@
+import express from 'express';
+import fs from 'fs';
+import { validateLecture, validateLectureContent } from '../services/lectures.js';
+import { ownedBy } from '../services/auth.js';
+
+/**
+ * CRUD and search routes for the lecture library. Every user sees only the
+ * lectures they saved.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.lectureStore - Store created by createLectureStore()
+ * @param {Object} deps.uploadStorage - Storage created by createUploadStorage()
+ */
+export const createLecturesRouter = ({ lectureStore, uploadStorage }) => {
+  const router = express.Router();
+
+  const notFound = (res, id) => res.status(404).json({
+    error: true,
+    message: `Lecture '${id}' not found.`
+  });
+
+  // The lecture, if it exists and belongs to the signed-in user
+  const findLecture = (req) => {
+    const lecture = lectureStore.get(req.params.id);
+    return ownedBy(lecture, req.user) ? lecture : null;
+  };
+
+  // List lectures, optionally filtered by course and full-text query (?q=)
+  router.get('/', (req, res) => {
+    const { q, course } = req.query;
+
+    // Repeated (?q=a&q=b) or nested (?q[x]=a) parameters are parsed as arrays and objects
+    for (const [name, value] of Object.entries({ q, course })) {
+      if (value !== undefined && typeof value !== 'string') {
+        return res.status(400).json({
+          error: true,
+          message: `'${name}' must be given once, as text.`
+        });
+      }
+    }
+
+    const lectures = lectureStore.list({ q, course, userId: req.user.id });
+
+    res.json({
+      success: true,
+      count: lectures.length,
+      lectures: lectures
+    });
+  });
+
+  router.get('/:id', (req, res) => {
+    const lecture = findLecture(req);
+    if (!lecture) {
+      return notFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      lecture: lecture
+    });
+  });
+
+  // Save a lecture. An optional audioUploadId (an upload kept with
+  // keepAudio) is moved into the library for playback and no longer expires.
+  router.post('/', (req, res) => {
+    const validationError = validateLecture(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: true,
+        message: validationError
+      });
+    }
+
+    const { audioUploadId } = req.body;
+    const audioUpload = audioUploadId ? uploadStorage.get(audioUploadId) : null;
+    const audioPath = ownedBy(audioUpload, req.user) ? uploadStorage.getPath(audioUploadId) : null;
+
+    if (audioUploadId && !audioPath) {
+      return res.status(404).json({
+        error: true,
+        message: `Upload '${audioUploadId}' not found. Transcribe with keepAudio to keep the recording, and save the lecture before the upload expires.`
+      });
+    }
+
+    let lecture = lectureStore.create(req.body, req.user.id);
+    if (audioPath) {
+      lecture = lectureStore.attachAudio(lecture.id, audioPath, audioUpload.mimetype);
+      uploadStorage.release(audioUploadId);
+    }
+
+    console.log(`📚 Lecture saved: ${lecture.title} (${lecture.id})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Lecture saved',
+      lecture: lecture
+    });
+  });
+
+  // Stream the lecture's audio (supports range requests for seeking)
+  router.get('/:id/audio', (req, res) => {
+    const lecture = findLecture(req);
+    const audioPath = lecture && lectureStore.getAudioPath(lecture.id);
+
+    if (!audioPath || !fs.existsSync(audioPath)) {
+      return res.status(404).json({
+        error: true,
+        message: `No audio stored for lecture '${req.params.id}'.`
+      });
+    }
+
+    if (lecture.audio.mimetype) {
+      res.type(lecture.audio.mimetype);
+    }
+    res.sendFile(audioPath);
+  });
+
+  // Delete the lecture's recording but keep its transcript and notes
+  router.delete('/:id/audio', (req, res) => {
+    const lecture = findLecture(req);
+    if (!lecture || !lecture.audio) {
+      return res.status(404).json({
+        error: true,
+        message: `No audio stored for lecture '${req.params.id}'.`
+      });
+    }
+
+    console.log(`🗑️  Deleted audio of lecture ${lecture.id}`);
+
+    res.json({
+      success: true,
+      message: 'Lecture audio deleted',
+      lecture: lectureStore.detachAudio(lecture.id)
+    });
+  });
+
+  router.patch('/:id', (req, res) => {
+    const validationError = validateLecture(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        error: true,
+        message: validationError
+      });
+    }
+
+    const existing = findLecture(req);
+    if (!existing) {
+      return notFound(res, req.params.id);
+    }
+
+    const contentError = validateLectureContent({ ...existing, ...req.body });
+    if (contentError) {
+      return res.status(400).json({
+        error: true,
+        message: contentError
+      });
+    }
+    const lecture = lectureStore.update(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Lecture updated',
+      lecture: lecture
+    });
+  });
+
+  router.delete('/:id', (req, res) => {
+    if (!findLecture(req)) {
+      return notFound(res, req.params.id);
+    }
+    lectureStore.remove(req.params.id);
+
+    console.log(`🗑️  Lecture deleted: ${req.params.id}`);
+
+    res.json({
+      success: true,
+      message: 'Lecture deleted'
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,97 @@
+import { after, before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLectureStore } from '../services/lectures.js';
+import { createLecturesRouter } from './lectures.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lectures-routes-test-'));
+const lectureStore = createLectureStore({
+  storePath: path.join(tempDir, 'lectures.json'),
+  audioDir: path.join(tempDir, 'audio')
+});
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: req.headers['x-user'] || 'user-1' };
+    next();
+  });
+  app.use('/api/lectures', createLecturesRouter({ lectureStore, uploadStorage: { get: () => null } }));
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/lectures`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+const request = async (method, route, body) => {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('lectures can be listed and searched by course and text', async () => {
+  await request('POST', '/', { title: 'Sorting', course: 'CS101', notes: '# Sorting\n\nQuicksort and mergesort.' });
+  await request('POST', '/', { title: 'Graphs', course: 'CS102', transcript: 'Breadth-first search visits neighbours first.' });
+
+  const { body: byCourse } = await request('GET', '/?course=cs101');
+  assert.deepEqual(byCourse.lectures.map(lecture => lecture.title), ['Sorting']);
+
+  const { body: bySearch } = await request('GET', '/?q=breadth');
+  assert.deepEqual(bySearch.lectures.map(lecture => lecture.title), ['Graphs']);
+  assert.match(bySearch.lectures[0].snippet, /Breadth-first/);
+});
+
+test('repeated or nested query parameters get 400 instead of 500', async () => {
+  for (const query of ['?q=a&q=b', '?course=a&course=b', '?q[x]=a']) {
+    const { status, body } = await request('GET', `/${query}`);
+    assert.equal(status, 400, query);
+    assert.match(body.message, /must be given once/);
+  }
+});
+
+test('lectures are private to their owner', async () => {
+  const { body } = await request('POST', '/', { notes: '# Private' });
+  const response = await fetch(`${baseUrl}/${body.lecture.id}`, { headers: { 'X-User': 'user-2' } });
+  assert.equal(response.status, 404);
+});
+
+test('updates are validated like new lectures', async () => {
+  const { body: created } = await request('POST', '/', { title: 'Week 1', notes: '# Notes', transcript: 'Words' });
+  const id = created.lecture.id;
+
+  assert.equal((await request('PATCH', `/${id}`, { title: null })).status, 400);
+  assert.equal((await request('PATCH', `/${id}`, { date: 'yesterday' })).status, 400);
+
+  const cleared = await request('PATCH', `/${id}`, { notes: '', transcript: '' });
+  assert.equal(cleared.status, 400);
+  assert.equal(cleared.body.message, 'A lecture needs a transcript or notes.');
+
+  const updated = await request('PATCH', `/${id}`, { notes: '', title: 'Week one', date: '2024-09-15T10:00:00Z' });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.lecture.title, 'Week one');
+  assert.equal(updated.body.lecture.date, '2024-09-15');
+  assert.equal(updated.body.lecture.transcript, 'Words');
+});
+
+test('new lectures need content', async () => {
+  const { status, body } = await request('POST', '/', { title: 'Empty' });
+  assert.equal(status, 400);
+  assert.equal(body.message, 'A lecture needs a transcript or notes.');
+});
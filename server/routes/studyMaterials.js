@@ -0,0 +1,162 @@
+import express from 'express';
+import { resolveLlmProvider } from '../services/llm/index.js';
+import { countWords, MIN_TRANSCRIPT_WORDS } from '../services/notes.js';
+import {
+  checkStudyTranscript,
+  generateStudyMaterials,
+  parseStudyCounts,
+  STUDY_ITEM_KINDS
+} from '../services/studyMaterials.js';
+import { exportStudyDeck, EXPORT_FORMATS, toFilename } from '../services/export.js';
+import { createQuotaMiddleware, createTokenUsage, meterProvider } from '../services/usage.js';
+
+/**
+ * Quiz and flashcard routes.
+ *
+ * POST /api/study-materials
+ *   Body: { transcript, notes, sentences?, counts?, provider? } → multiple-choice
+ *   questions, short-answer questions and flashcards, each citing the
+ *   transcript passage it came from.
+ * POST /api/study-materials/export
+ *   Body: { materials, title } → Anki-ready CSV download.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.llmProviders - From createLlmProviders()
+ * @param {Object} deps.usageLedger - Ledger created by createUsageLedger()
+ */
+export const createStudyMaterialsRouter = ({ llmProviders, usageLedger }) => {
+  const router = express.Router();
+
+  router.post('/', createQuotaMiddleware(usageLedger, ['tokens']), async (req, res) => {
+    // sentences (from /api/transcribe) give each citation a time in the recording
+    const { transcript, notes, sentences } = req.body;
+    // Optional provider name; defaults to LLM_PROVIDER
+    const { provider, status: providerStatus, error: providerError } = resolveLlmProvider(llmProviders, req.body.provider);
+    // Optional { multipleChoice, shortAnswer, flashcards } item counts
+    const { counts, error: countsError } = parseStudyCounts(req.body.counts);
+
+    if (providerError) {
+      console.error(`❌ ${providerError}`);
+      return res.status(providerStatus).json({
+        error: true,
+        message: providerError
+      });
+    }
+
+    const validationError = countsError
+      || (typeof transcript !== 'string' || countWords(transcript) < MIN_TRANSCRIPT_WORDS
+        ? `A transcript of at least ${MIN_TRANSCRIPT_WORDS} words is required.`
+        : null)
+      || (typeof notes !== 'string' || !notes.trim() ? 'Notes are required. Please structure the notes first.' : null)
+      || (sentences !== undefined && !Array.isArray(sentences) ? 'sentences must be an array of timed sentences from /api/transcribe.' : null)
+      || checkStudyTranscript(transcript);
+
+    if (validationError) {
+      console.error(`❌ Study materials rejected: ${validationError}`);
+      return res.status(400).json({
+        error: true,
+        message: validationError
+      });
+    }
+
+    const tokens = createTokenUsage();
+
+    try {
+      console.log(`\n🎓 Generating study materials with ${provider.name} (${provider.model})...`);
+      const startTime = Date.now();
+
+      const { materials, repairs } = await generateStudyMaterials(meterProvider(provider, tokens), { transcript, notes, sentences }, counts);
+
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      const itemCounts = Object.fromEntries(STUDY_ITEM_KINDS.map(kind => [kind, materials[kind].length]));
+      console.log(`✅ Study materials generated in ${duration}s (${itemCounts.multipleChoice} multiple choice, ${itemCounts.shortAnswer} short answer, ${itemCounts.flashcards} flashcards)`);
+
+      res.json({
+        success: true,
+        message: 'Study materials generated successfully',
+        materials: materials,
+        metadata: {
+          ...itemCounts,
+          requested: counts,
+          schemaRepairs: repairs,
+          processingTime: duration,
+          provider: provider.name,
+          model: provider.model,
+          usage: tokens
+        }
+      });
+    } catch (error) {
+      console.error('❌ Study materials error:', error);
+
+      // Refused without calling the service: it failed repeatedly just before
+      if (error.code === 'CIRCUIT_OPEN') {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(503).json({
+          error: true,
+          message: error.message,
+          retryAfter: error.retryAfter
+        });
+      }
+
+      // HTTP errors from OpenAI-compatible and Ollama servers
+      if (error.status === 401 || error.status === 403) {
+        return res.status(401).json({
+          error: true,
+          message: `The ${provider.name} server rejected the request. Please check its API key.`
+        });
+      }
+
+      if (error.status === 429 || (error.message && (error.message.includes('quota') || error.message.includes('rate limit')))) {
+        return res.status(429).json({
+          error: true,
+          message: 'Rate limit exceeded. Please wait a moment and try again.'
+        });
+      }
+
+      res.status(500).json({
+        error: true,
+        message: 'Failed to generate study materials',
+        details: error.message
+      });
+    } finally {
+      // Calls that completed are billed even when a later one failed
+      if (tokens.modelCalls > 0) {
+        usageLedger.record({ userId: req.user.id, kind: 'studyMaterials', provider: provider.name, model: provider.model, tokens });
+      }
+    }
+  });
+
+  router.post('/export', (req, res) => {
+    const { materials, title } = req.body;
+
+    if (!materials || typeof materials !== 'object'
+      || !STUDY_ITEM_KINDS.every(kind => materials[kind] === undefined || Array.isArray(materials[kind]))) {
+      return res.status(400).json({
+        error: true,
+        message: 'Study materials are required. Please provide the materials returned by /api/study-materials.'
+      });
+    }
+
+    try {
+      const output = exportStudyDeck(materials, title || undefined);
+      const { contentType } = EXPORT_FORMATS.csv;
+
+      console.log(`📤 Exported study deck as CSV (${output.length} bytes)`);
+
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${toFilename(title)}-study-deck.csv"`
+      });
+      res.send(output);
+    } catch (error) {
+      console.error('❌ Study deck export error:', error);
+      res.status(500).json({
+        error: true,
+        message: 'Failed to export study materials',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+};
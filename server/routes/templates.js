@@ -0,0 +1,106 @@
+import express from 'express';
+import { validateTemplate } from '../services/templates.js';
+
+/**
+ * Note template routes. Templates are chosen with the `template` field of
+ * /api/structure-notes and /api/jobs; built-in templates are read-only and
+ * every user sees only their own templates besides them.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.templateStore - Store created by createTemplateStore()
+ */
+export const createTemplatesRouter = ({ templateStore }) => {
+  const router = express.Router();
+
+  const notFound = (res, id) => res.status(404).json({
+    error: true,
+    message: `Template '${id}' not found.`
+  });
+
+  const readOnly = (res, template) => res.status(403).json({
+    error: true,
+    message: `'${template.name}' is a built-in template and cannot be changed. Create a copy to customize it.`
+  });
+
+  router.get('/', (req, res) => {
+    res.json({
+      success: true,
+      templates: templateStore.list(req.user.id)
+    });
+  });
+
+  router.get('/:id', (req, res) => {
+    const template = templateStore.get(req.params.id, req.user.id);
+    if (!template) {
+      return notFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      template: template
+    });
+  });
+
+  router.post('/', (req, res) => {
+    const validationError = validateTemplate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: true,
+        message: validationError
+      });
+    }
+
+    const template = templateStore.create(req.body, req.user.id);
+    console.log(`🧩 Template saved: ${template.name} (${template.id})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Template saved',
+      template: template
+    });
+  });
+
+  router.patch('/:id', (req, res) => {
+    const existing = templateStore.get(req.params.id, req.user.id);
+    if (!existing) {
+      return notFound(res, req.params.id);
+    }
+    if (existing.builtIn) {
+      return readOnly(res, existing);
+    }
+
+    const validationError = validateTemplate(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        error: true,
+        message: validationError
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Template updated',
+      template: templateStore.update(req.params.id, req.body)
+    });
+  });
+
+  router.delete('/:id', (req, res) => {
+    const existing = templateStore.get(req.params.id, req.user.id);
+    if (!existing) {
+      return notFound(res, req.params.id);
+    }
+    if (existing.builtIn) {
+      return readOnly(res, existing);
+    }
+
+    templateStore.remove(req.params.id);
+    console.log(`🗑️  Template deleted: ${req.params.id}`);
+
+    res.json({
+      success: true,
+      message: 'Template deleted'
+    });
+  });
+
+  return router;
+};
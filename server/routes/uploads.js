@@ -0,0 +1,225 @@
+import express from 'express';
+import crypto from 'crypto';
+import { UPLOAD_CHUNK_SIZE } from '../services/uploads.js';
+import { toPublicUpload } from '../services/storage.js';
+import {
+  UNSUPPORTED_UPLOAD_MESSAGE,
+  describeUploadMessage,
+  getMediaErrorResponse,
+  isSupportedUpload,
+  prepareUploadedMedia
+} from '../services/media.js';
+import { ownedBy } from '../services/auth.js';
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/i;
+
+/**
+ * Resumable chunked upload routes for recordings too large or too slow to
+ * send in a single request.
+ *
+ *   POST   /api/uploads               { filename, size, mimetype?, checksum? } → upload session
+ *   GET    /api/uploads/:id           current offset, to resume after a dropped connection
+ *   PUT    /api/uploads/:id?offset=N  raw chunk bytes, optional X-Chunk-SHA256 header
+ *   POST   /api/uploads/:id/complete  verify and assemble; responds like /api/upload-audio
+ *   DELETE /api/uploads/:id           abandon the upload
+ *
+ * The completed file's `id` is passed to /api/transcribe as usual.
+ * Uploads are visible only to the user who started them.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.uploadSessions - Store created by createUploadSessionStore()
+ * @param {Object} deps.uploadStorage - Storage created by createUploadStorage()
+ * @param {number} deps.maxUploadBytes - Largest accepted file
+ */
+export const createUploadsRouter = ({ uploadSessions, uploadStorage, maxUploadBytes }) => {
+  const router = express.Router();
+
+  const notFound = (res, id) => res.status(404).json({
+    error: true,
+    message: `Upload '${id}' not found. It may have expired; please start the upload again.`
+  });
+
+  // Start an upload session
+  router.post('/', (req, res) => {
+    const { filename, size, mimetype, checksum } = req.body;
+
+    if (!filename || typeof filename !== 'string') {
+      return res.status(400).json({
+        error: true,
+        message: 'filename is required.'
+      });
+    }
+
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({
+        error: true,
+        message: 'size must be the file size in bytes.'
+      });
+    }
+
+    if (size > maxUploadBytes) {
+      return res.status(413).json({
+        error: true,
+        message: `File too large. Maximum file size is ${Math.round(maxUploadBytes / (1024 * 1024))}MB.`
+      });
+    }
+
+    if (!isSupportedUpload({ originalname: filename, mimetype: mimetype || '' })) {
+      return res.status(400).json({
+        error: true,
+        message: UNSUPPORTED_UPLOAD_MESSAGE
+      });
+    }
+
+    if (checksum !== undefined && !SHA256_PATTERN.test(checksum)) {
+      return res.status(400).json({
+        error: true,
+        message: 'checksum must be the SHA-256 of the file as 64 hex characters.'
+      });
+    }
+
+    const full = uploadStorage.checkSpace(req.user.id, size);
+    if (full) {
+      return res.status(full.status).json({
+        error: true,
+        message: full.error
+      });
+    }
+
+    const upload = uploadSessions.create({ originalName: filename, size, mimetype, checksum, userId: req.user.id });
+    console.log(`📤 Upload ${upload.id} started for ${filename} (${(size / (1024 * 1024)).toFixed(2)} MB)`);
+
+    res.status(201).json({
+      success: true,
+      upload: upload
+    });
+  });
+
+  // Upload status; offset is where the next chunk starts
+  router.get('/:id', (req, res) => {
+    const upload = uploadSessions.get(req.params.id);
+    if (!ownedBy(upload, req.user)) {
+      return notFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      upload: upload
+    });
+  });
+
+  // Append a chunk
+  router.put('/:id', express.raw({ type: () => true, limit: UPLOAD_CHUNK_SIZE }), (req, res) => {
+    const upload = uploadSessions.get(req.params.id);
+    if (!ownedBy(upload, req.user)) {
+      return notFound(res, req.params.id);
+    }
+
+    const offset = Number(req.query.offset);
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    // The client's view of the offset is stale (e.g. a retried chunk that
+    // did arrive); it should continue from the offset returned here
+    if (offset !== upload.offset) {
+      return res.status(409).json({
+        error: true,
+        message: `Chunk offset ${req.query.offset} does not match the upload offset ${upload.offset}.`,
+        offset: upload.offset
+      });
+    }
+
+    if (chunk.length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: 'Chunk is empty.'
+      });
+    }
+
+    if (offset + chunk.length > upload.size) {
+      return res.status(400).json({
+        error: true,
+        message: `Chunk ends at byte ${offset + chunk.length}, beyond the file size of ${upload.size} bytes.`
+      });
+    }
+
+    const expectedChecksum = req.get('X-Chunk-SHA256');
+    if (expectedChecksum) {
+      const checksum = crypto.createHash('sha256').update(chunk).digest('hex');
+      if (checksum !== expectedChecksum.toLowerCase()) {
+        return res.status(422).json({
+          error: true,
+          message: 'Chunk checksum mismatch. Please send the chunk again.',
+          offset: upload.offset
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      upload: uploadSessions.appendChunk(upload.id, chunk)
+    });
+  });
+
+  // Verify and assemble the file, then normalize it like /api/upload-audio
+  router.post('/:id/complete', async (req, res) => {
+    if (!ownedBy(uploadSessions.get(req.params.id), req.user)) {
+      return notFound(res, req.params.id);
+    }
+
+    try {
+      const result = await uploadSessions.complete(req.params.id);
+      if (!result) {
+        return notFound(res, req.params.id);
+      }
+
+      if (result.error) {
+        return res.status(result.status).json({
+          error: true,
+          message: result.error
+        });
+      }
+
+      const file = await prepareUploadedMedia(result.file);
+      const stored = uploadStorage.register(file, req.user.id);
+      console.log(`✅ Upload ${req.params.id} completed as ${file.filename}`);
+
+      res.json({
+        success: true,
+        message: describeUploadMessage(file),
+        file: {
+          ...toPublicUpload(stored),
+          checksum: result.checksum
+        }
+      });
+    } catch (error) {
+      console.error('Upload completion error:', error);
+
+      const mediaError = getMediaErrorResponse(error);
+      if (mediaError) {
+        return res.status(mediaError.status).json({
+          error: true,
+          message: mediaError.message
+        });
+      }
+
+      res.status(500).json({
+        error: true,
+        message: 'Failed to process uploaded file',
+        details: error.message
+      });
+    }
+  });
+
+  router.delete('/:id', (req, res) => {
+    if (!ownedBy(uploadSessions.get(req.params.id), req.user) || !uploadSessions.remove(req.params.id)) {
+      return notFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Upload cancelled'
+    });
+  });
+
+  return router;
+};
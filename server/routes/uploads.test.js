@@ -0,0 +1,161 @@
+import { after, before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createUploadSessionStore } from '../services/uploads.js';
+import { createUploadStorage } from '../services/storage.js';
+import { createUploadsRouter } from './uploads.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-routes-test-'));
+const uploadsDir = path.join(tempDir, 'uploads');
+const partialDir = path.join(uploadsDir, 'partial');
+const uploadSessions = createUploadSessionStore({ storePath: path.join(tempDir, 'uploads.json'), partialDir, uploadsDir });
+const uploadStorage = createUploadStorage({
+  storePath: path.join(tempDir, 'stored-uploads.json'),
+  uploadsDir,
+  partialDir,
+  uploadSessions,
+  isInUse: () => false
+});
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: req.headers['x-user'] || 'user-1' };
+    next();
+  });
+  app.use('/api/uploads', createUploadsRouter({ uploadSessions, uploadStorage, maxUploadBytes: 1024 * 1024 }));
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/uploads`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+const request = async (method, route, { json, body, headers = {} } = {}) => {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { ...(json && { 'Content-Type': 'application/json' }), ...headers },
+    body: json ? JSON.stringify(json) : body
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// One second of 16kHz mono silence as a WAV file
+const createWav = () => {
+  const data = Buffer.alloc(16000 * 2);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVEfmt ', 8);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(16000, 24);
+  header.writeUInt32LE(32000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const start = (fields, headers) => request('POST', '/', { json: { filename: 'lecture.wav', mimetype: 'audio/wav', ...fields }, headers });
+
+test('a file sent in chunks becomes an upload with an opaque id', async () => {
+  const wav = createWav();
+  const { status, body } = await start({ size: wav.length, checksum: sha256(wav) });
+  assert.equal(status, 201);
+  const { id } = body.upload;
+
+  const half = Math.floor(wav.length / 2);
+  const first = await request('PUT', `/${id}?offset=0`, { body: wav.subarray(0, half), headers: { 'X-Chunk-SHA256': sha256(wav.subarray(0, half)) } });
+  assert.equal(first.body.upload.offset, half);
+
+  // A retried chunk that already arrived is refused with the offset to continue from
+  const retried = await request('PUT', `/${id}?offset=0`, { body: wav.subarray(0, half) });
+  assert.equal(retried.status, 409);
+  assert.equal(retried.body.offset, half);
+
+  assert.equal((await request('GET', `/${id}`)).body.upload.offset, half);
+  await request('PUT', `/${id}?offset=${half}`, { body: wav.subarray(half) });
+
+  const completed = await request('POST', `/${id}/complete`);
+  assert.equal(completed.status, 200);
+  assert.equal(completed.body.file.checksum, sha256(wav));
+  assert.equal(completed.body.file.originalName, 'lecture.wav');
+  assert.ok(!('path' in completed.body.file));
+  assert.ok(uploadStorage.getPath(completed.body.file.id));
+  assert.equal(uploadStorage.get(completed.body.file.id).userId, 'user-1');
+});
+
+test('invalid upload sessions are refused', async () => {
+  assert.equal((await start({ filename: undefined, size: 10 })).status, 400);
+  assert.equal((await start({ size: 0 })).status, 400);
+  assert.equal((await start({ size: '10' })).status, 400);
+  assert.equal((await start({ size: 2 * 1024 * 1024 })).status, 413);
+  assert.equal((await start({ filename: 'notes.pdf', mimetype: 'application/pdf', size: 10 })).status, 400);
+  assert.equal((await start({ size: 10, checksum: 'abc' })).status, 400);
+});
+
+test('bad chunks are refused and leave the offset alone', async () => {
+  const { body } = await start({ size: 10 });
+  const { id } = body.upload;
+
+  assert.equal((await request('PUT', `/${id}?offset=0`, { body: Buffer.alloc(0) })).status, 400);
+  assert.equal((await request('PUT', `/${id}?offset=0`, { body: Buffer.alloc(11) })).status, 400);
+
+  const corrupted = await request('PUT', `/${id}?offset=0`, { body: Buffer.alloc(5), headers: { 'X-Chunk-SHA256': sha256('other') } });
+  assert.equal(corrupted.status, 422);
+  assert.equal(corrupted.body.offset, 0);
+
+  const incomplete = await request('POST', `/${id}/complete`);
+  assert.equal(incomplete.status, 409);
+  assert.equal((await request('GET', `/${id}`)).body.upload.offset, 0);
+});
+
+test('uploads are only visible to the user who started them', async () => {
+  const { body } = await start({ size: 10 });
+  const { id } = body.upload;
+  const asOther = { headers: { 'X-User': 'user-2' } };
+
+  assert.equal((await request('GET', `/${id}`, asOther)).status, 404);
+  assert.equal((await request('PUT', `/${id}?offset=0`, { body: Buffer.alloc(5), ...asOther })).status, 404);
+  assert.equal((await request('POST', `/${id}/complete`, asOther)).status, 404);
+  assert.equal((await request('DELETE', `/${id}`, asOther)).status, 404);
+
+  assert.equal((await request('DELETE', `/${id}`)).status, 200);
+  assert.equal((await request('GET', `/${id}`)).status, 404);
+});
+
+test('uploads that would go over the storage limit are refused before they start', async () => {
+  const saved = process.env.UPLOAD_USER_LIMIT_MB;
+  process.env.UPLOAD_USER_LIMIT_MB = '0.5';
+  try {
+    const { status, body } = await start({ size: 600 * 1024 }, { 'X-User': 'user-3' });
+    assert.equal(status, 507);
+    assert.match(body.message, /storage/);
+  } finally {
+    if (saved === undefined) {
+      delete process.env.UPLOAD_USER_LIMIT_MB;
+    } else {
+      process.env.UPLOAD_USER_LIMIT_MB = saved;
+    }
+  }
+});
@@ -0,0 +1,65 @@
+import express from 'express';
+import { isAdmin } from '../services/auth.js';
+import { getQuotaStatus } from '../services/usage.js';
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+/**
+ * Usage and quota routes.
+ *
+ *   GET /api/usage                   the signed-in user's usage today and this
+ *                                    month, their quotas and recent requests
+ *   GET /api/usage/users?month=YYYY-MM  usage per user for a month (default
+ *                                    the current one); administrators only
+ *
+ * @param {Object} deps
+ * @param {Object} deps.usageLedger - Ledger created by createUsageLedger()
+ * @param {Object} deps.userStore - Store created by createUserStore()
+ */
+export const createUsageRouter = ({ usageLedger, userStore }) => {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json({
+      success: true,
+      usage: {
+        ...getQuotaStatus(usageLedger, req.user),
+        recent: usageLedger.listRecent(req.user.id)
+      }
+    });
+  });
+
+  router.get('/users', (req, res) => {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({
+        error: true,
+        message: 'Only administrators can see the usage of other users.'
+      });
+    }
+
+    const month = req.query.month || new Date().toISOString().slice(0, 7);
+    if (!MONTH_PATTERN.test(month)) {
+      return res.status(400).json({
+        error: true,
+        message: `'month' must be a month such as ${new Date().toISOString().slice(0, 7)}.`
+      });
+    }
+
+    const users = usageLedger.summarizeByUser(month).map(totals => {
+      const user = userStore.get(totals.userId);
+      return {
+        ...totals,
+        email: user ? user.email : null,
+        name: user ? user.name : null
+      };
+    });
+
+    res.json({
+      success: true,
+      month: month,
+      users: users
+    });
+  });
+
+  return router;
+};
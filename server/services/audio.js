@@ -0,0 +1,256 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+const getFfmpegPath = () => process.env.FFMPEG_PATH || 'ffmpeg';
+const getFfprobePath = () => process.env.FFPROBE_PATH || 'ffprobe';
+
+// ffprobe reports numbers as strings and missing values as "N/A"
+const toNumber = (value) => {
+  const number = Number(value);
+  return value === undefined || value === 'N/A' || Number.isNaN(number) ? null : number;
+};
+
+/**
+ * Run a command line tool and collect its output.
+ * Rejects with code 'COMMAND_NOT_FOUND' when the executable is missing.
+ *
+ * @param {string} command - Executable to run
+ * @param {string[]} args - Command line arguments
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Kills the process when aborted
+ * @returns {Promise<{ stdout: string, stderr: string }>}
+ */
+export const runCommand = (command, args, options = {}) => {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { signal: options.signal });
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    child.on('error', (error) => {
+      if (error.code === 'ENOENT') {
+        error.code = 'COMMAND_NOT_FOUND';
+        error.message = `${path.basename(command)} not found. Install it or set its path in your environment variables.`;
+      }
+      reject(error);
+    });
+
+    child.on('close', (code) => {
+      if (code !== 0) {
+        return reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim()}`));
+      }
+      resolve({ stdout, stderr });
+    });
+  });
+};
+
+/**
+ * Split audio into mono FLAC segments of a fixed length using ffmpeg.
+ *
+ * @param {string} filePath - Source audio file
+ * @param {string} outputDir - Directory the segments are written to
+ * @param {Object} options
+ * @param {number} options.segmentSeconds - Length of each segment
+ * @param {number} options.sampleRate - Output sample rate in Hz
+ * @returns {Promise<string[]>} Segment paths in playback order
+ */
+export const splitAudio = async (filePath, outputDir, { segmentSeconds, sampleRate }) => {
+  await runCommand(getFfmpegPath(), [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-i', filePath,
+    '-vn',
+    '-ac', '1',
+    '-ar', String(sampleRate),
+    '-c:a', 'flac',
+    '-f', 'segment',
+    '-segment_time', String(segmentSeconds),
+    '-reset_timestamps', '1',
+    path.join(outputDir, 'segment-%04d.flac')
+  ]);
+
+  return fs.readdirSync(outputDir)
+    .filter(name => name.startsWith('segment-'))
+    .sort()
+    .map(name => path.join(outputDir, name));
+};
+
+// Offset and size of the samples in a WAV file, skipping any chunks
+// (such as ffmpeg's LIST chunk) between the header and the data
+const findWavData = (fd) => {
+  const fileSize = fs.fstatSync(fd).size;
+  const chunkHeader = Buffer.alloc(8);
+  let offset = 12; // after "RIFF", the file size and "WAVE"
+
+  while (offset + 8 <= fileSize) {
+    fs.readSync(fd, chunkHeader, 0, 8, offset);
+    const size = chunkHeader.readUInt32LE(4);
+    if (chunkHeader.toString('ascii', 0, 4) === 'data') {
+      return { dataOffset: offset + 8, dataSize: Math.min(size, fileSize - offset - 8) };
+    }
+    offset += 8 + size + (size % 2);
+  }
+  throw new Error('WAV file has no data chunk');
+};
+
+// 44-byte header of a 16-bit PCM mono WAV file
+const buildWavHeader = (dataSize, sampleRate) => {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataSize, 40);
+  return header;
+};
+
+/**
+ * Split audio into overlapping 16-bit PCM mono WAV windows using ffmpeg.
+ * Each window starts `segmentSeconds - overlapSeconds` after the previous
+ * one, so neighbouring windows share `overlapSeconds` of audio.
+ *
+ * @param {string} filePath - Source audio file
+ * @param {string} outputDir - Directory the windows are written to
+ * @param {Object} options
+ * @param {number} options.segmentSeconds - Length of each window
+ * @param {number} options.overlapSeconds - Audio shared by neighbouring windows
+ * @param {number} options.sampleRate - Output sample rate in Hz
+ * @returns {Promise<string[]>} Window paths in playback order
+ */
+export const splitAudioWithOverlap = async (filePath, outputDir, { segmentSeconds, overlapSeconds, sampleRate }) => {
+  const wavPath = await convertToWav(filePath, path.join(outputDir, 'audio.wav'), sampleRate);
+  const bytesPerSecond = sampleRate * 2;
+  const windowBytes = segmentSeconds * bytesPerSecond;
+  const stepBytes = (segmentSeconds - overlapSeconds) * bytesPerSecond;
+  const windowPaths = [];
+
+  const fd = fs.openSync(wavPath, 'r');
+  try {
+    const { dataOffset, dataSize } = findWavData(fd);
+
+    for (let start = 0; ; start += stepBytes) {
+      const samples = Buffer.alloc(Math.min(windowBytes, dataSize - start));
+      fs.readSync(fd, samples, 0, samples.length, dataOffset + start);
+
+      const windowPath = path.join(outputDir, `window-${String(windowPaths.length).padStart(4, '0')}.wav`);
+      fs.writeFileSync(windowPath, Buffer.concat([buildWavHeader(samples.length, sampleRate), samples]));
+      windowPaths.push(windowPath);
+
+      if (start + windowBytes >= dataSize) {
+        break;
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+    fs.rmSync(wavPath, { force: true });
+  }
+
+  return windowPaths;
+};
+
+/**
+ * Convert audio to 16-bit PCM mono WAV (the input local speech engines expect).
+ *
+ * @param {string} filePath - Source audio file
+ * @param {string} outputPath - WAV file to write
+ * @param {number} [sampleRate] - Output sample rate in Hz (default 16000)
+ */
+export const convertToWav = async (filePath, outputPath, sampleRate = 16000) => {
+  await runCommand(getFfmpegPath(), [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-y',
+    '-i', filePath,
+    '-vn',
+    '-ac', '1',
+    '-ar', String(sampleRate),
+    '-c:a', 'pcm_s16le',
+    outputPath
+  ]);
+  return outputPath;
+};
+
+/**
+ * Extract the first audio track of a media file (e.g. a lecture video) as
+ * mono FLAC. Rejects with code 'NO_AUDIO_TRACK' when the file has no audio.
+ *
+ * @param {string} filePath - Source audio or video file
+ * @param {string} outputPath - FLAC file to write
+ * @param {number} [sampleRate] - Output sample rate in Hz (default 16000)
+ */
+export const extractAudioTrack = async (filePath, outputPath, sampleRate = 16000) => {
+  try {
+    await runCommand(getFfmpegPath(), [
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-y',
+      '-i', filePath,
+      '-map', '0:a:0',
+      '-vn',
+      '-ac', '1',
+      '-ar', String(sampleRate),
+      '-c:a', 'flac',
+      outputPath
+    ]);
+  } catch (error) {
+    if (/matches no streams/.test(error.message)) {
+      error.code = 'NO_AUDIO_TRACK';
+      error.message = 'The uploaded file does not contain an audio track.';
+    }
+    throw error;
+  }
+  return outputPath;
+};
+
+/**
+ * Read a media file's container and stream details with ffprobe.
+ *
+ * @param {string} filePath - Audio or video file
+ * @returns {Promise<{ format: string, duration: number|null, hasVideo: boolean,
+ *   audio: { codec: string, sampleRate: number|null, channels: number|null, bitRate: number|null }|null }>}
+ *   `audio` describes the first audio stream, or is null when there is none
+ */
+export const probeMedia = async (filePath) => {
+  const { stdout } = await runCommand(getFfprobePath(), [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    filePath
+  ]);
+
+  const { format = {}, streams = [] } = JSON.parse(stdout);
+  const audioStream = streams.find(stream => stream.codec_type === 'audio');
+
+  return {
+    format: format.format_name || null,
+    // Browser WebM recordings have no duration in the container header
+    duration: toNumber(format.duration) !== null
+      ? toNumber(format.duration)
+      : toNumber(audioStream && audioStream.duration),
+    hasVideo: streams.some(stream => stream.codec_type === 'video'
+      && !(stream.disposition && stream.disposition.attached_pic)),
+    audio: audioStream ? {
+      codec: audioStream.codec_name,
+      sampleRate: toNumber(audioStream.sample_rate),
+      channels: toNumber(audioStream.channels),
+      bitRate: toNumber(audioStream.bit_rate) !== null ? toNumber(audioStream.bit_rate) : toNumber(format.bit_rate)
+    } : null
+  };
+};
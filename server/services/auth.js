@@ -0,0 +1,300 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { promisify } from 'util';
+import { readJsonFile, writeJsonFile } from '../utils/jsonStore.js';
+
+export const SESSION_COOKIE = 'session';
+export const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+export const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_NAME_LENGTH = 80;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const SCRYPT_KEY_LENGTH = 64;
+const scrypt = promisify(crypto.scrypt);
+
+// Stored as "scrypt$<salt>$<key>" (base64)
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+};
+
+// Checked instead of a real hash when no account has the email, so a failed
+// login takes as long whether or not the account exists
+const UNKNOWN_ACCOUNT_HASH = `scrypt$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(SCRYPT_KEY_LENGTH).toString('base64')}`;
+
+export const verifyPassword = async (password, passwordHash) => {
+  const [algorithm, salt, expected] = String(passwordHash).split('$');
+  if (algorithm !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+  const key = await scrypt(password, Buffer.from(salt, 'base64'), SCRYPT_KEY_LENGTH);
+  const expectedKey = Buffer.from(expected, 'base64');
+  return key.length === expectedKey.length && crypto.timingSafeEqual(key, expectedKey);
+};
+
+// Whether the password is the user's; runs scrypt even when there is no user
+export const verifyUserPassword = async (user, password) => {
+  const matches = await verifyPassword(password, user ? user.passwordHash : UNKNOWN_ACCOUNT_HASH);
+  return Boolean(user) && matches;
+};
+
+/**
+ * Session tokens are JWTs signed with HMAC-SHA256, carrying the user id
+ * (sub), a token id (jti), the user's session version (ver) and an expiry
+ * (exp, seconds since the epoch). Signing out revokes the token's id;
+ * signing out everywhere bumps the session version, which revokes every
+ * token issued before.
+ */
+export const signSessionToken = (user, secret) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify({
+    sub: user.id,
+    jti: crypto.randomBytes(16).toString('base64url'),
+    ver: user.sessionVersion || 0,
+    iat: now,
+    exp: now + SESSION_TTL_SECONDS
+  })).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+// Returns the token's { userId, tokenId, version, expiresAt }, or null when
+// it is malformed, forged or expired
+export const verifySessionToken = (token, secret) => {
+  const [header, payload, signature] = String(token || '').split('.');
+  if (!header || !payload || !signature) {
+    return null;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const { sub, jti, ver, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return typeof sub === 'string' && typeof jti === 'string' && exp > Date.now() / 1000
+      ? { userId: sub, tokenId: jti, version: ver || 0, expiresAt: exp }
+      : null;
+  } catch (parseError) {
+    return null;
+  }
+};
+
+/**
+ * Secret used to sign session tokens: AUTH_SECRET, or a random secret kept
+ * in the data directory so sessions survive restarts.
+ *
+ * @param {string} secretPath - File the generated secret is stored in
+ */
+export const loadAuthSecret = (secretPath) => {
+  if (process.env.AUTH_SECRET) {
+    return process.env.AUTH_SECRET;
+  }
+
+  if (fs.existsSync(secretPath)) {
+    return fs.readFileSync(secretPath, 'utf8').trim();
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+  console.warn('⚠️  AUTH_SECRET not set; generated a session secret in the data directory');
+  return secret;
+};
+
+/**
+ * Validate a signup or login body.
+ * Returns an error message, or null when the body is valid.
+ *
+ * @param {Object} body - { email, password, name? }
+ * @param {boolean} signup - Also check the password strength and name
+ */
+export const validateCredentials = (body, signup = false) => {
+  if (!body || typeof body !== 'object') {
+    return 'Request body must be a JSON object.';
+  }
+
+  const { email, password, name } = body;
+
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    return 'Please enter a valid email address.';
+  }
+
+  if (typeof password !== 'string' || !password) {
+    return 'Password is required.';
+  }
+
+  if (signup && (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH)) {
+    return `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters.`;
+  }
+
+  if (signup && name !== undefined && name !== null
+    && (typeof name !== 'string' || name.trim().length > MAX_NAME_LENGTH)) {
+    return `'name' must be a string of at most ${MAX_NAME_LENGTH} characters.`;
+  }
+
+  return null;
+};
+
+export const normalizeEmail = (email) => email.trim().toLowerCase();
+
+// Administrators are listed by email in ADMIN_EMAILS (comma separated)
+export const isAdmin = (user) => (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => normalizeEmail(email))
+  .includes(user.email);
+
+// Lectures and templates saved before accounts existed belong to the account
+// named by LEGACY_DATA_OWNER (an email); nobody gets them until it is set
+export const isLegacyDataOwner = (user) => Boolean(process.env.LEGACY_DATA_OWNER)
+  && normalizeEmail(process.env.LEGACY_DATA_OWNER) === user.email;
+
+// User fields returned to clients
+export const toPublicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  isAdmin: isAdmin(user),
+  createdAt: user.createdAt
+});
+
+/**
+ * User accounts persisted to a JSON file.
+ *
+ * @param {Object} options
+ * @param {string} options.storePath - JSON file the users are persisted to
+ */
+export const createUserStore = ({ storePath }) => {
+  const users = new Map(readJsonFile(storePath, []).map(user => [user.id, user]));
+
+  const persist = () => {
+    writeJsonFile(storePath, Array.from(users.values()));
+  };
+
+  const get = (id) => users.get(id) || null;
+
+  const findByEmail = (email) => Array.from(users.values())
+    .find(user => user.email === normalizeEmail(email)) || null;
+
+  // Returns null when the email is taken. Checked here, in the same step as
+  // the insert, because callers hash the password between their own check and this
+  const create = ({ email, name, passwordHash }) => {
+    if (findByEmail(email)) {
+      return null;
+    }
+
+    const user = {
+      id: crypto.randomUUID(),
+      email: normalizeEmail(email),
+      name: (name || '').trim(),
+      passwordHash: passwordHash,
+      sessionVersion: 0,
+      revokedTokens: {},
+      createdAt: new Date().toISOString()
+    };
+
+    users.set(user.id, user);
+    persist();
+    return user;
+  };
+
+  // Invalidate every session token issued to the user so far
+  const revokeSessions = (id) => {
+    const user = users.get(id);
+    if (user) {
+      user.sessionVersion = (user.sessionVersion || 0) + 1;
+      user.revokedTokens = {};
+      persist();
+    }
+    return user || null;
+  };
+
+  // Invalidate one session token. Revoked ids are kept, keyed to their
+  // expiry, until the token would have expired anyway.
+  const revokeToken = (id, tokenId, expiresAt) => {
+    const user = users.get(id);
+    if (user) {
+      const now = Date.now() / 1000;
+      user.revokedTokens = Object.fromEntries(Object.entries(user.revokedTokens || {})
+        .filter(([, expiry]) => expiry > now));
+      user.revokedTokens[tokenId] = expiresAt;
+      persist();
+    }
+    return user || null;
+  };
+
+  return {
+    get,
+    findByEmail,
+    create,
+    revokeSessions,
+    revokeToken
+  };
+};
+
+// Value of one cookie from the request's Cookie header
+const readCookie = (req, name) => {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+};
+
+/**
+ * The signed-in user of a request (HTTP or WebSocket upgrade) and the
+ * session token they presented, from the session cookie or an
+ * "Authorization: Bearer" header; null when there is none.
+ *
+ * @param {Object} req - Node/Express request
+ * @param {Object} deps
+ * @param {Object} deps.userStore - Store created by createUserStore()
+ * @param {string} deps.secret - From loadAuthSecret()
+ * @returns {{ user: Object, session: Object }|null} session is from verifySessionToken()
+ */
+export const getRequestSession = (req, { userStore, secret }) => {
+  const authorization = req.headers.authorization || '';
+  const token = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length)
+    : readCookie(req, SESSION_COOKIE);
+
+  const session = verifySessionToken(token, secret);
+  const user = session && userStore.get(session.userId);
+  if (!user || (user.sessionVersion || 0) !== session.version
+    || (user.revokedTokens && user.revokedTokens[session.tokenId])) {
+    return null;
+  }
+  return { user, session };
+};
+
+// The signed-in user of a request, see getRequestSession()
+export const authenticateRequest = (req, deps) => {
+  const current = getRequestSession(req, deps);
+  return current ? current.user : null;
+};
+
+/**
+ * Express middleware rejecting requests without a signed-in user with 401.
+ * The user is available to later handlers as req.user.
+ */
+export const createAuthMiddleware = (deps) => (req, res, next) => {
+  const user = authenticateRequest(req, deps);
+  if (!user) {
+    return res.status(401).json({
+      error: true,
+      message: 'Please sign in to continue.'
+    });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Whether a stored record (lecture, job, upload, template) belongs to the user
+export const ownedBy = (record, user) => Boolean(record) && Boolean(user) && record.userId === user.id;
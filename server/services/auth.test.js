@@ -0,0 +1,140 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  SESSION_COOKIE,
+  authenticateRequest,
+  createUserStore,
+  hashPassword,
+  isLegacyDataOwner,
+  signSessionToken,
+  validateCredentials,
+  verifySessionToken,
+  verifyUserPassword
+} from './auth.js';
+
+const SECRET = 'test-secret';
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+let storeCount = 0;
+const createStore = () => createUserStore({ storePath: path.join(tempDir, `users-${++storeCount}.json`) });
+
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+test('session tokens carry the user, a token id and the session version', () => {
+  const token = signSessionToken({ id: 'user-1', sessionVersion: 3 }, SECRET);
+  const session = verifySessionToken(token, SECRET);
+
+  assert.equal(session.userId, 'user-1');
+  assert.equal(session.version, 3);
+  assert.ok(session.tokenId);
+  assert.ok(session.expiresAt > Date.now() / 1000);
+  assert.notEqual(verifySessionToken(signSessionToken({ id: 'user-1' }, SECRET), SECRET).tokenId, session.tokenId);
+});
+
+test('forged, tampered and malformed tokens are rejected', () => {
+  const token = signSessionToken({ id: 'user-1' }, SECRET);
+  const [header, payload, signature] = token.split('.');
+  const otherPayload = Buffer.from(JSON.stringify({ sub: 'admin', jti: 'x', exp: 9e9 })).toString('base64url');
+
+  assert.equal(verifySessionToken(token, 'other-secret'), null);
+  assert.equal(verifySessionToken(`${header}.${otherPayload}.${signature}`, SECRET), null);
+  assert.equal(verifySessionToken('not-a-token', SECRET), null);
+  assert.equal(verifySessionToken(undefined, SECRET), null);
+});
+
+test('expired tokens are rejected', (t) => {
+  const token = signSessionToken({ id: 'user-1' }, SECRET);
+  t.mock.method(Date, 'now', () => Date.UTC(2100, 0, 1));
+  assert.equal(verifySessionToken(token, SECRET), null);
+});
+
+test('the user store refuses a second account with the same email', () => {
+  const store = createStore();
+  const user = store.create({ email: ' Student@Uni.edu ', name: 'Sam', passwordHash: 'hash' });
+
+  assert.equal(user.email, 'student@uni.edu');
+  assert.equal(store.create({ email: 'student@uni.edu', passwordHash: 'hash' }), null);
+  assert.equal(store.findByEmail('STUDENT@uni.edu').id, user.id);
+});
+
+test('verifyUserPassword checks the password, and fails without a user', async () => {
+  const user = { passwordHash: await hashPassword('correct horse') };
+  assert.ok(await verifyUserPassword(user, 'correct horse'));
+  assert.ok(!(await verifyUserPassword(user, 'wrong horse')));
+  assert.ok(!(await verifyUserPassword(null, 'correct horse')));
+});
+
+test('revoking a token signs out only that session', () => {
+  const store = createStore();
+  const user = store.create({ email: 'a@uni.edu', passwordHash: 'hash' });
+  const laptop = signSessionToken(user, SECRET);
+  const phone = signSessionToken(user, SECRET);
+  const deps = { userStore: store, secret: SECRET };
+
+  const session = verifySessionToken(laptop, SECRET);
+  store.revokeToken(user.id, session.tokenId, session.expiresAt);
+
+  assert.equal(authenticateRequest(bearer(laptop), deps), null);
+  assert.equal(authenticateRequest(bearer(phone), deps).id, user.id);
+});
+
+test('revoked token ids are forgotten once the token has expired', () => {
+  const store = createStore();
+  const user = store.create({ email: 'a@uni.edu', passwordHash: 'hash' });
+
+  store.revokeToken(user.id, 'expired', Date.now() / 1000 - 1);
+  store.revokeToken(user.id, 'current', Date.now() / 1000 + 60);
+  assert.deepEqual(Object.keys(store.get(user.id).revokedTokens), ['current']);
+});
+
+test('revoking all sessions signs out every device', () => {
+  const store = createStore();
+  const user = store.create({ email: 'a@uni.edu', passwordHash: 'hash' });
+  const tokens = [signSessionToken(user, SECRET), signSessionToken(user, SECRET)];
+  const deps = { userStore: store, secret: SECRET };
+
+  store.revokeSessions(user.id);
+  for (const token of tokens) {
+    assert.equal(authenticateRequest(bearer(token), deps), null);
+  }
+  assert.equal(authenticateRequest(bearer(signSessionToken(store.get(user.id), SECRET)), deps).id, user.id);
+});
+
+test('authenticateRequest reads the session cookie', () => {
+  const store = createStore();
+  const user = store.create({ email: 'a@uni.edu', passwordHash: 'hash' });
+  const token = signSessionToken(user, SECRET);
+  const req = { headers: { cookie: `theme=dark; ${SESSION_COOKIE}=${encodeURIComponent(token)}` } };
+
+  assert.equal(authenticateRequest(req, { userStore: store, secret: SECRET }).id, user.id);
+  assert.equal(authenticateRequest({ headers: {} }, { userStore: store, secret: SECRET }), null);
+});
+
+test('isLegacyDataOwner matches only the account named by LEGACY_DATA_OWNER', () => {
+  const saved = process.env.LEGACY_DATA_OWNER;
+  try {
+    delete process.env.LEGACY_DATA_OWNER;
+    assert.ok(!isLegacyDataOwner({ email: 'prof@uni.edu' }));
+
+    process.env.LEGACY_DATA_OWNER = ' Prof@Uni.edu ';
+    assert.ok(isLegacyDataOwner({ email: 'prof@uni.edu' }));
+    assert.ok(!isLegacyDataOwner({ email: 'stranger@example.com' }));
+  } finally {
+    if (saved === undefined) {
+      delete process.env.LEGACY_DATA_OWNER;
+    } else {
+      process.env.LEGACY_DATA_OWNER = saved;
+    }
+  }
+});
+
+test('validateCredentials checks the email, password and name', () => {
+  assert.equal(validateCredentials({ email: 'a@uni.edu', password: 'x' }), null);
+  assert.match(validateCredentials({ email: 'not-an-email', password: 'x' }), /valid email/);
+  assert.match(validateCredentials({ email: 'a@uni.edu', password: 'short' }, true), /between/);
+  assert.match(validateCredentials({ email: 'a@uni.edu', password: 'long enough', name: 42 }, true), /'name'/);
+});
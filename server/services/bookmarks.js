@@ -0,0 +1,108 @@
+// Bookmarks are made by the student while recording: "important" marks a
+// passage, "note" adds their own annotation. time is seconds from the start
+// of the recording.
+export const BOOKMARK_TYPES = ['important', 'note'];
+export const MAX_BOOKMARKS = 200;
+export const MAX_BOOKMARK_TEXT_LENGTH = 500;
+
+// 75 → "1:15", 3725 → "1:02:05"
+export const formatTimestamp = (seconds) => {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+};
+
+/**
+ * Validate the optional `bookmarks` request field.
+ * Returns { bookmarks } sorted by time (empty when not given) or { error }.
+ *
+ * @param {*} input - Array of { time, type?, text? }; type defaults to
+ *   "note" when there is text and "important" otherwise
+ */
+export const parseBookmarks = (input) => {
+  if (input === undefined || input === null) {
+    return { bookmarks: [], error: null };
+  }
+
+  if (!Array.isArray(input)) {
+    return { bookmarks: [], error: `'bookmarks' must be an array of { time, type, text }.` };
+  }
+
+  if (input.length > MAX_BOOKMARKS) {
+    return { bookmarks: [], error: `Too many bookmarks (${input.length}). Maximum is ${MAX_BOOKMARKS}.` };
+  }
+
+  const bookmarks = [];
+  for (const [index, bookmark] of input.entries()) {
+    if (!bookmark || typeof bookmark !== 'object') {
+      return { bookmarks: [], error: `Bookmark ${index + 1} must be an object.` };
+    }
+
+    const { time, type } = bookmark;
+    const text = typeof bookmark.text === 'string' ? bookmark.text.trim() : '';
+
+    if (typeof time !== 'number' || !Number.isFinite(time) || time < 0) {
+      return { bookmarks: [], error: `Bookmark ${index + 1} needs a 'time' in seconds from the start of the recording.` };
+    }
+
+    if (bookmark.text !== undefined && bookmark.text !== null && typeof bookmark.text !== 'string') {
+      return { bookmarks: [], error: `Bookmark ${index + 1} 'text' must be a string.` };
+    }
+
+    if (text.length > MAX_BOOKMARK_TEXT_LENGTH) {
+      return { bookmarks: [], error: `Bookmark ${index + 1} text is too long. Maximum is ${MAX_BOOKMARK_TEXT_LENGTH} characters.` };
+    }
+
+    const bookmarkType = type === undefined ? (text ? 'note' : 'important') : type;
+    if (!BOOKMARK_TYPES.includes(bookmarkType)) {
+      return { bookmarks: [], error: `Bookmark ${index + 1} 'type' must be one of: ${BOOKMARK_TYPES.join(', ')}.` };
+    }
+
+    if (bookmarkType === 'note' && !text) {
+      return { bookmarks: [], error: `Bookmark ${index + 1} is a note without text.` };
+    }
+
+    bookmarks.push({ time, type: bookmarkType, ...(text && { text }) });
+  }
+
+  bookmarks.sort((a, b) => a.time - b.time);
+  return { bookmarks, error: null };
+};
+
+// Marker placed in the transcript text sent to the model
+export const formatBookmarkMarker = (bookmark) => {
+  const at = formatTimestamp(bookmark.time);
+  if (bookmark.type === 'note') {
+    return `[STUDENT NOTE at ${at}: "${bookmark.text}"]`;
+  }
+  return bookmark.text
+    ? `[BOOKMARK at ${at}: marked important by the student, "${bookmark.text}"]`
+    : `[BOOKMARK at ${at}: marked important by the student]`;
+};
+
+/**
+ * Attach each bookmark to the timed block (sentence or speaker turn) that was
+ * being spoken when it was made: the last block starting at or before its
+ * time. Returns the blocks' texts with markers appended.
+ *
+ * @param {Array<{ startTime: number, text: string }>} blocks - In time order
+ * @param {Array} bookmarks - From parseBookmarks()
+ * @returns {string[]}
+ */
+export const annotateTimedBlocks = (blocks, bookmarks) => {
+  const markers = blocks.map(() => []);
+
+  let blockIndex = 0;
+  for (const bookmark of bookmarks) {
+    while (blockIndex + 1 < blocks.length && blocks[blockIndex + 1].startTime <= bookmark.time) {
+      blockIndex++;
+    }
+    markers[blockIndex].push(formatBookmarkMarker(bookmark));
+  }
+
+  return blocks.map((block, index) => [block.text, ...markers[index]].join(' '));
+};
@@ -0,0 +1,193 @@
+import fs from 'fs';
+import path from 'path';
+import { readJsonFile, writeJsonFile } from '../utils/jsonStore.js';
+import { hashText } from '../utils/hash.js';
+import { readNumber } from '../utils/env.js';
+import { buildNotesPrompt } from './notes.js';
+
+// What can be cached; each kind has its own directory and entry limit
+export const CACHE_KINDS = ['transcripts', 'notes'];
+
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+// Part of every key. Bump TRANSCRIPT_CACHE_VERSION when a change to the
+// transcription pipeline (segmenting, speaker matching, result mapping)
+// changes its output, and NOTES_CACHE_VERSION for changes to note generation
+// the prompt does not show (chunking, merging), so results cached before the
+// change are no longer served.
+export const TRANSCRIPT_CACHE_VERSION = 1;
+export const NOTES_CACHE_VERSION = 2;
+
+// CACHE_MAX_ENTRIES=0 turns the cache off
+const getMaxEntries = () => Math.floor(readNumber('CACHE_MAX_ENTRIES', 1000));
+
+/**
+ * Cache key for a transcript: the audio's SHA-256 plus everything about the
+ * recognition that changes the result.
+ *
+ * @param {string} contentHash - SHA-256 of the audio file
+ * @param {Object} provider - Transcription provider
+ * @param {Object} [options] - languageCode and diarization as passed to transcribeAudioFile()
+ */
+export const getTranscriptCacheKey = (contentHash, provider, options = {}) => hashText(JSON.stringify({
+  version: TRANSCRIPT_CACHE_VERSION,
+  audio: contentHash,
+  provider: provider.name,
+  model: provider.model || null,
+  languageCode: options.languageCode || 'en-US',
+  diarization: provider.supportsDiarization && options.diarization
+    ? { minSpeakers: options.diarization.minSpeakers, maxSpeakers: options.diarization.maxSpeakers }
+    : null
+}));
+
+/**
+ * Cache key for notes: the transcript's SHA-256, the prompt it is sent with
+ * (which covers the template, detail level, language, format, speakers and
+ * bookmarks) and the model.
+ *
+ * @param {string} transcript - Lecture transcript
+ * @param {Object} provider - LLM provider
+ * @param {Object} [options] - Options passed to generateNotes()
+ */
+export const getNotesCacheKey = (transcript, provider, options = {}) => hashText(JSON.stringify({
+  version: NOTES_CACHE_VERSION,
+  transcript: hashText(transcript),
+  prompt: hashText(buildNotesPrompt(transcript, options)),
+  provider: provider.name,
+  model: provider.model || null
+}));
+
+// Settle with the promise, or reject as soon as the signal aborts
+const unlessAborted = (promise, signal) => {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      return reject(signal.reason);
+    }
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+/**
+ * Content-addressed cache of transcripts and notes, shared by all users so a
+ * recording uploaded twice is only sent to the provider once. Every entry is
+ * a JSON file named by its key; past CACHE_MAX_ENTRIES per kind, the least
+ * recently used entries are removed.
+ *
+ * @param {Object} options
+ * @param {string} options.cacheDir - Directory the entries are stored in
+ */
+export const createResultCache = ({ cacheDir }) => {
+  // Results being computed, so identical requests arriving together share one call
+  const inFlight = new Map();
+
+  for (const kind of CACHE_KINDS) {
+    fs.mkdirSync(path.join(cacheDir, kind), { recursive: true });
+  }
+
+  const getEntryPath = (kind, key) => path.join(cacheDir, kind, `${key}.json`);
+
+  const get = (kind, key) => {
+    if (!KEY_PATTERN.test(key)) {
+      return null;
+    }
+    const entryPath = getEntryPath(kind, key);
+    const entry = readJsonFile(entryPath, null);
+    if (entry) {
+      // The modification time records the last use for eviction
+      const now = new Date();
+      fs.utimesSync(entryPath, now, now);
+    }
+    return entry;
+  };
+
+  // Remove the least recently used entries beyond the limit
+  const evict = (kind, maxEntries) => {
+    const dir = path.join(cacheDir, kind);
+    const files = fs.readdirSync(dir).filter(name => name.endsWith('.json'));
+    if (files.length <= maxEntries) {
+      return;
+    }
+
+    const oldest = files
+      .map(name => ({ name, usedAt: fs.statSync(path.join(dir, name)).mtimeMs }))
+      .sort((a, b) => a.usedAt - b.usedAt)
+      .slice(0, files.length - maxEntries);
+    for (const { name } of oldest) {
+      fs.rmSync(path.join(dir, name), { force: true });
+    }
+    console.log(`🧹 Evicted ${oldest.length} cached ${kind}`);
+  };
+
+  const set = (kind, key, value) => {
+    const entry = {
+      key: key,
+      createdAt: new Date().toISOString(),
+      value: value
+    };
+    writeJsonFile(getEntryPath(kind, key), entry);
+    evict(kind, getMaxEntries());
+    return entry;
+  };
+
+  /**
+   * Return the cached result for a key, or compute and cache it.
+   *
+   * @param {string} kind - One of CACHE_KINDS
+   * @param {string} key - From getTranscriptCacheKey() or getNotesCacheKey()
+   * @param {Function} compute - Produces the result on a miss
+   * @param {Object} [options]
+   * @param {boolean} [options.forceRefresh] - Ignore any cached result and replace it
+   * @param {Function} [options.isCacheable] - Whether a computed result may be
+   *   cached; empty results are not worth keeping
+   * @param {AbortSignal} [options.signal] - Stops waiting for an identical
+   *   request already in progress (compute() handles its own cancelling)
+   * @returns {Promise<{ value: *, cache: { hit: boolean, key: string, cachedAt: string|null } }>}
+   */
+  const getOrCompute = async (kind, key, compute, { forceRefresh = false, isCacheable = () => true, signal } = {}) => {
+    if (getMaxEntries() === 0) {
+      return { value: await compute(), cache: { hit: false, key: null, cachedAt: null } };
+    }
+
+    if (!forceRefresh) {
+      const entry = get(kind, key);
+      if (entry) {
+        console.log(`♻️  Using cached ${kind.replace(/s$/, '')} ${key.slice(0, 12)}`);
+        return { value: entry.value, cache: { hit: true, key, cachedAt: entry.createdAt } };
+      }
+
+      if (inFlight.has(`${kind}:${key}`)) {
+        try {
+          const entry = await unlessAborted(inFlight.get(`${kind}:${key}`), signal);
+          return { value: entry.value, cache: { hit: true, key, cachedAt: entry.createdAt } };
+        } catch (error) {
+          if (signal && signal.aborted) {
+            throw error;
+          }
+          // The other request failed or was cancelled; try again for this one
+        }
+      }
+    }
+
+    const pending = Promise.resolve()
+      .then(compute)
+      .then(value => (isCacheable(value) ? set(kind, key, value) : { value, createdAt: null }));
+    inFlight.set(`${kind}:${key}`, pending);
+    try {
+      const entry = await pending;
+      return { value: entry.value, cache: { hit: false, key, cachedAt: entry.createdAt } };
+    } finally {
+      if (inFlight.get(`${kind}:${key}`) === pending) {
+        inFlight.delete(`${kind}:${key}`);
+      }
+    }
+  };
+
+  return {
+    getOrCompute
+  };
+};
@@ -0,0 +1,181 @@
+import { after, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createResultCache, getNotesCacheKey, getTranscriptCacheKey } from './cache.js';
+import { DEFAULT_NOTE_STYLE } from './templates.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+const savedMaxEntries = process.env.CACHE_MAX_ENTRIES;
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  if (savedMaxEntries === undefined) {
+    delete process.env.CACHE_MAX_ENTRIES;
+  } else {
+    process.env.CACHE_MAX_ENTRIES = savedMaxEntries;
+  }
+});
+
+beforeEach((t) => {
+  delete process.env.CACHE_MAX_ENTRIES;
+  t.mock.method(console, 'log', () => {});
+});
+
+let cacheCount = 0;
+const createCache = () => createResultCache({ cacheDir: path.join(tempDir, `cache-${++cacheCount}`) });
+
+const AUDIO_HASH = 'a'.repeat(64);
+const google = { name: 'google', model: 'latest_long', supportsDiarization: true };
+const whisper = { name: 'whisper', model: 'base.en', supportsDiarization: false };
+
+// A promise with its resolve and reject functions
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+test('transcript keys change with everything that changes the transcript', () => {
+  const key = getTranscriptCacheKey(AUDIO_HASH, google);
+
+  assert.match(key, /^[a-f0-9]{64}$/);
+  assert.equal(getTranscriptCacheKey(AUDIO_HASH, google), key);
+  assert.notEqual(getTranscriptCacheKey('b'.repeat(64), google), key);
+  assert.notEqual(getTranscriptCacheKey(AUDIO_HASH, whisper), key);
+  assert.notEqual(getTranscriptCacheKey(AUDIO_HASH, { ...google, model: 'video' }), key);
+  assert.notEqual(getTranscriptCacheKey(AUDIO_HASH, google, { languageCode: 'de-DE' }), key);
+  assert.notEqual(getTranscriptCacheKey(AUDIO_HASH, google, { diarization: { minSpeakers: 2, maxSpeakers: 4 } }), key);
+  // Providers without diarization ignore the option
+  assert.equal(getTranscriptCacheKey(AUDIO_HASH, whisper, { diarization: { minSpeakers: 2 } }), getTranscriptCacheKey(AUDIO_HASH, whisper));
+});
+
+test('notes keys change with the transcript, prompt options and model', () => {
+  const gemini = { name: 'gemini', model: 'gemini-2.5-flash' };
+  const key = getNotesCacheKey('A transcript.', gemini);
+
+  assert.equal(getNotesCacheKey('A transcript.', gemini), key);
+  assert.notEqual(getNotesCacheKey('Another transcript.', gemini), key);
+  assert.notEqual(getNotesCacheKey('A transcript.', { ...gemini, model: 'gemini-2.5-pro' }), key);
+  assert.notEqual(getNotesCacheKey('A transcript.', gemini, { style: { ...DEFAULT_NOTE_STYLE, language: 'German' } }), key);
+});
+
+test('results are computed once and then served from the cache', async () => {
+  const cache = createCache();
+  const key = getTranscriptCacheKey(AUDIO_HASH, google);
+  let calls = 0;
+  const compute = async () => {
+    calls++;
+    return { transcript: 'Hello' };
+  };
+
+  const first = await cache.getOrCompute('transcripts', key, compute);
+  const second = await cache.getOrCompute('transcripts', key, compute);
+
+  assert.equal(calls, 1);
+  assert.deepEqual(first.cache.hit, false);
+  assert.deepEqual(second.value, { transcript: 'Hello' });
+  assert.equal(second.cache.hit, true);
+  assert.equal(second.cache.cachedAt, first.cache.cachedAt);
+
+  await cache.getOrCompute('transcripts', key, compute, { forceRefresh: true });
+  assert.equal(calls, 2);
+});
+
+test('results that are not cacheable are computed every time', async () => {
+  const cache = createCache();
+  const key = getTranscriptCacheKey(AUDIO_HASH, google);
+  let calls = 0;
+  const compute = async () => {
+    calls++;
+    return { transcript: '' };
+  };
+  const options = { isCacheable: (result) => Boolean(result.transcript) };
+
+  await cache.getOrCompute('transcripts', key, compute, options);
+  await cache.getOrCompute('transcripts', key, compute, options);
+  assert.equal(calls, 2);
+});
+
+test('identical requests arriving together share one computation', async () => {
+  const cache = createCache();
+  const key = getTranscriptCacheKey(AUDIO_HASH, google);
+  const result = deferred();
+  let calls = 0;
+  const compute = () => {
+    calls++;
+    return result.promise;
+  };
+
+  const first = cache.getOrCompute('transcripts', key, compute);
+  const second = cache.getOrCompute('transcripts', key, compute);
+  result.resolve({ transcript: 'Shared' });
+
+  assert.equal((await first).value.transcript, 'Shared');
+  assert.equal((await second).value.transcript, 'Shared');
+  assert.equal((await second).cache.hit, true);
+  assert.equal(calls, 1);
+});
+
+test('a request waiting for an identical one stops when it is aborted', async () => {
+  const cache = createCache();
+  const key = getTranscriptCacheKey(AUDIO_HASH, google);
+  const result = deferred();
+  const first = cache.getOrCompute('transcripts', key, () => result.promise);
+
+  const controller = new AbortController();
+  const second = cache.getOrCompute('transcripts', key, async () => ({ transcript: 'Own' }), { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(second, { name: 'AbortError' });
+
+  result.resolve({ transcript: 'First' });
+  assert.equal((await first).value.transcript, 'First');
+});
+
+test('a request waiting for an identical one computes its own result when that one fails', async () => {
+  const cache = createCache();
+  const key = getTranscriptCacheKey(AUDIO_HASH, google);
+  const result = deferred();
+  const first = cache.getOrCompute('transcripts', key, () => result.promise);
+  const second = cache.getOrCompute('transcripts', key, async () => ({ transcript: 'Retried' }));
+
+  result.reject(new Error('Provider failed'));
+  await assert.rejects(first, /Provider failed/);
+  assert.equal((await second).value.transcript, 'Retried');
+});
+
+test('the least recently used entries are evicted past CACHE_MAX_ENTRIES', async () => {
+  process.env.CACHE_MAX_ENTRIES = '2';
+  const cacheDir = path.join(tempDir, 'evicting');
+  const cache = createResultCache({ cacheDir });
+  const keys = ['1', '2', '3'].map(digit => digit.repeat(64));
+
+  for (const key of keys) {
+    await cache.getOrCompute('notes', key, async () => ({ notes: key }));
+    // Give every entry its own modification time
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  const remaining = fs.readdirSync(path.join(cacheDir, 'notes')).sort();
+  assert.deepEqual(remaining, [`${keys[1]}.json`, `${keys[2]}.json`]);
+});
+
+test('CACHE_MAX_ENTRIES=0 turns caching off', async () => {
+  process.env.CACHE_MAX_ENTRIES = '0';
+  const cache = createCache();
+  let calls = 0;
+  const compute = async () => {
+    calls++;
+    return { notes: 'x' };
+  };
+
+  await cache.getOrCompute('notes', 'f'.repeat(64), compute);
+  const second = await cache.getOrCompute('notes', 'f'.repeat(64), compute);
+  assert.equal(calls, 2);
+  assert.equal(second.cache.key, null);
+});
@@ -0,0 +1,492 @@
+import { Marked } from 'marked';
+import PDFDocument from 'pdfkit';
+import {
+  Document,
+  HeadingLevel,
+  Packer,
+  Paragraph,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType
+} from 'docx';
+import { formatTimestamp } from './bookmarks.js';
+import { SAFE_MARKDOWN_OPTIONS, escapeHtml, isSafeUrl } from '../../shared/markdownSafety.js';
+
+// Supported export formats with their file extension and content type
+export const EXPORT_FORMATS = {
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' }
+};
+
+// Raw HTML in the notes is shown as text and unsafe links are dropped, as in the app
+const markdown = new Marked(SAFE_MARKDOWN_OPTIONS);
+
+// Turn a title into a safe download filename
+export const toFilename = (title) => {
+  const slug = String(title || 'lecture-notes')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+  return slug || 'lecture-notes';
+};
+
+// Flatten inline markdown tokens into styled text runs
+const toRuns = (tokens, style = {}) => {
+  const runs = [];
+
+  for (const token of tokens || []) {
+    switch (token.type) {
+      case 'strong':
+        runs.push(...toRuns(token.tokens, { ...style, bold: true }));
+        break;
+      case 'em':
+        runs.push(...toRuns(token.tokens, { ...style, italic: true }));
+        break;
+      case 'del':
+        runs.push(...toRuns(token.tokens, style));
+        break;
+      case 'codespan':
+        runs.push({ ...style, text: token.text, code: true });
+        break;
+      case 'link':
+        // The lexer does not run walkTokens, so unsafe targets are dropped here
+        runs.push(...toRuns(token.tokens, isSafeUrl(token.href) ? { ...style, href: token.href } : style));
+        break;
+      case 'br':
+        runs.push({ ...style, text: '\n' });
+        break;
+      case 'text':
+        if (token.tokens) {
+          runs.push(...toRuns(token.tokens, style));
+        } else {
+          runs.push({ ...style, text: token.text });
+        }
+        break;
+      default:
+        runs.push({ ...style, text: token.text || token.raw || '' });
+    }
+  }
+
+  return runs;
+};
+
+const runsToText = (runs) => runs.map(run => run.text).join('');
+
+/**
+ * Parse notes markdown into a flat list of blocks that every renderer
+ * understands: heading, paragraph, listItem, quote, code, rule and table.
+ */
+export const parseNotes = (notes) => {
+  const blocks = [];
+
+  const walk = (tokens, depth = 0) => {
+    for (const token of tokens) {
+      switch (token.type) {
+        case 'heading':
+          blocks.push({ type: 'heading', depth: token.depth, runs: toRuns(token.tokens) });
+          break;
+        case 'paragraph':
+          blocks.push({ type: 'paragraph', runs: toRuns(token.tokens) });
+          break;
+        case 'list':
+          token.items.forEach((item, index) => {
+            const [first, ...rest] = item.tokens;
+            const inline = first && (first.type === 'text' || first.type === 'paragraph');
+
+            blocks.push({
+              type: 'listItem',
+              depth: depth,
+              ordered: token.ordered,
+              number: token.ordered ? Number(token.start || 1) + index : null,
+              runs: inline ? toRuns(first.tokens || [first]) : []
+            });
+            walk(inline ? rest : item.tokens, depth + 1);
+          });
+          break;
+        case 'blockquote':
+          for (const child of token.tokens) {
+            blocks.push({ type: 'quote', runs: toRuns(child.tokens || [child]) });
+          }
+          break;
+        case 'code':
+          blocks.push({ type: 'code', text: token.text });
+          break;
+        case 'hr':
+          blocks.push({ type: 'rule' });
+          break;
+        case 'table':
+          blocks.push({
+            type: 'table',
+            header: token.header.map(cell => toRuns(cell.tokens)),
+            rows: token.rows.map(row => row.map(cell => toRuns(cell.tokens)))
+          });
+          break;
+        case 'html':
+          blocks.push({ type: 'paragraph', runs: [{ text: token.text.trim() }] });
+          break;
+        default:
+          // space tokens and anything unrecognised carry no content
+          break;
+      }
+    }
+  };
+
+  walk(markdown.lexer(notes));
+  return blocks;
+};
+
+const renderText = (blocks) => blocks.map((block) => {
+  switch (block.type) {
+    case 'heading':
+      return `${block.depth <= 2 ? '\n' : ''}${runsToText(block.runs)}\n${block.depth <= 2 ? '='.repeat(runsToText(block.runs).length) : ''}`.trimEnd();
+    case 'listItem':
+      return `${'  '.repeat(block.depth)}${block.ordered ? `${block.number}.` : '•'} ${runsToText(block.runs)}`;
+    case 'quote':
+      return `  "${runsToText(block.runs)}"`;
+    case 'code':
+      return block.text.split('\n').map(line => `    ${line}`).join('\n');
+    case 'rule':
+      return '----------';
+    case 'table':
+      return [block.header, ...block.rows]
+        .map(row => row.map(runsToText).join(' | '))
+        .join('\n');
+    default:
+      return runsToText(block.runs);
+  }
+}).join('\n').trim() + '\n';
+
+const renderHtml = (notes, title) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+  h1, h2, h3 { color: #111827; line-height: 1.25; }
+  h2 { border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; }
+  code { background: #f3f4f6; padding: 0.1rem 0.3rem; border-radius: 0.25rem; }
+  pre { background: #f3f4f6; padding: 1rem; overflow-x: auto; }
+  blockquote { border-left: 4px solid #c7d2fe; margin-left: 0; padding-left: 1rem; color: #4b5563; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #d1d5db; padding: 0.25rem 0.5rem; }
+</style>
+</head>
+<body>
+${markdown.parse(notes)}
+</body>
+</html>
+`;
+
+const PDF_HEADING_SIZES = { 1: 20, 2: 16, 3: 13 };
+const PDF_BODY_SIZE = 11;
+
+const pdfFont = (run) => {
+  if (run.code) return 'Courier';
+  if (run.bold && run.italic) return 'Helvetica-BoldOblique';
+  if (run.bold) return 'Helvetica-Bold';
+  if (run.italic) return 'Helvetica-Oblique';
+  return 'Helvetica';
+};
+
+// The built-in PDF fonts only cover WinAnsi; map common arrows and drop
+// anything else (e.g. emoji) that would otherwise print as garbage
+const toPdfText = (text) => text
+  .replace(/→/g, '->')
+  .replace(/←/g, '<-')
+  .replace(/[^\x00-\xFF\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u2026\u20AC]/g, '');
+
+// Write styled runs as one flowing paragraph
+const writePdfRuns = (doc, runs, options = {}) => {
+  const printable = runs.length > 0 ? runs : [{ text: '' }];
+
+  printable.forEach((run, index) => {
+    doc.font(options.font || pdfFont(run))
+      .fillColor(run.href ? '#4338ca' : options.color || '#1f2937')
+      .text(toPdfText(run.text), {
+        ...options.textOptions,
+        link: run.href || null,
+        underline: Boolean(run.href),
+        continued: index < printable.length - 1
+      });
+  });
+};
+
+const renderPdf = (blocks, title) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ margin: 56, info: { Title: title } });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case 'heading':
+        doc.moveDown(block.depth <= 2 ? 0.8 : 0.5);
+        doc.fontSize(PDF_HEADING_SIZES[block.depth] || PDF_BODY_SIZE + 1);
+        writePdfRuns(doc, block.runs.map(run => ({ ...run, bold: true })));
+        doc.moveDown(0.3);
+        break;
+      case 'paragraph':
+        doc.fontSize(PDF_BODY_SIZE);
+        writePdfRuns(doc, block.runs);
+        doc.moveDown(0.5);
+        break;
+      case 'listItem': {
+        const indent = 14 + block.depth * 18;
+        const marker = block.ordered ? `${block.number}.` : '•';
+        const y = doc.y;
+
+        // Marker in the gutter, item text in a column to its right
+        doc.fontSize(PDF_BODY_SIZE).font('Helvetica').fillColor('#1f2937');
+        doc.text(marker, left + indent - 14, y, { width: 14 });
+        doc.x = left + indent;
+        doc.y = y;
+        writePdfRuns(doc, block.runs, {
+          textOptions: { width: doc.page.width - doc.page.margins.right - left - indent }
+        });
+        doc.x = left;
+        doc.moveDown(0.2);
+        break;
+      }
+      case 'quote':
+        doc.fontSize(PDF_BODY_SIZE);
+        writePdfRuns(doc, block.runs.map(run => ({ ...run, italic: true })), {
+          color: '#4b5563',
+          textOptions: { indent: 16 }
+        });
+        doc.moveDown(0.5);
+        break;
+      case 'code':
+        doc.fontSize(PDF_BODY_SIZE - 1).font('Courier').fillColor('#1f2937').text(toPdfText(block.text), { indent: 16 });
+        doc.moveDown(0.5);
+        break;
+      case 'rule':
+        doc.moveDown(0.5);
+        doc.moveTo(left, doc.y).lineTo(doc.page.width - doc.page.margins.right, doc.y).strokeColor('#d1d5db').stroke();
+        doc.moveDown(0.5);
+        break;
+      case 'table':
+        doc.fontSize(PDF_BODY_SIZE - 1);
+        writePdfRuns(doc, [{ text: block.header.map(runsToText).join('  |  '), bold: true }]);
+        for (const row of block.rows) {
+          writePdfRuns(doc, [{ text: row.map(runsToText).join('  |  ') }]);
+        }
+        doc.moveDown(0.5);
+        break;
+      default:
+        break;
+    }
+  }
+
+  doc.end();
+});
+
+const DOCX_HEADINGS = {
+  1: HeadingLevel.HEADING_1,
+  2: HeadingLevel.HEADING_2,
+  3: HeadingLevel.HEADING_3,
+  4: HeadingLevel.HEADING_4
+};
+
+const toTextRuns = (runs, overrides = {}) => runs.map(run => new TextRun({
+  text: run.text,
+  bold: run.bold,
+  italics: run.italic,
+  font: run.code ? 'Courier New' : undefined,
+  ...overrides
+}));
+
+const renderDocx = async (blocks, title) => {
+  const children = blocks.map((block) => {
+    switch (block.type) {
+      case 'heading':
+        return new Paragraph({
+          heading: DOCX_HEADINGS[block.depth] || HeadingLevel.HEADING_4,
+          children: toTextRuns(block.runs)
+        });
+      case 'listItem':
+        // Ordered items keep their number as text so numbering survives any template
+        return block.ordered
+          ? new Paragraph({
+            indent: { left: 360 * (block.depth + 1) },
+            children: [new TextRun(`${block.number}. `), ...toTextRuns(block.runs)]
+          })
+          : new Paragraph({
+            bullet: { level: Math.min(block.depth, 8) },
+            children: toTextRuns(block.runs)
+          });
+      case 'quote':
+        return new Paragraph({
+          indent: { left: 720 },
+          children: toTextRuns(block.runs, { italics: true })
+        });
+      case 'code':
+        return new Paragraph({
+          children: block.text.split('\n').map((line, index) => new TextRun({
+            text: line,
+            font: 'Courier New',
+            break: index > 0 ? 1 : 0
+          }))
+        });
+      case 'rule':
+        return new Paragraph({ border: { bottom: { style: 'single', size: 6, color: 'D1D5DB', space: 1 } } });
+      case 'table':
+        return new Table({
+          width: { size: 100, type: WidthType.PERCENTAGE },
+          rows: [block.header, ...block.rows].map((row, rowIndex) => new TableRow({
+            children: row.map(cell => new TableCell({
+              children: [new Paragraph({ children: toTextRuns(cell, rowIndex === 0 ? { bold: true } : {}) })]
+            }))
+          }))
+        });
+      default:
+        return new Paragraph({ children: toTextRuns(block.runs) });
+    }
+  });
+
+  const document = new Document({
+    title: title,
+    creator: 'Lecture to Notes',
+    sections: [{ children }]
+  });
+
+  return Packer.toBuffer(document);
+};
+
+const escapeCsv = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+// Matches "Term: definition" or "Term - definition" list items
+const DEFINITION_PATTERN = /^(.{1,80}?)\s*(?::|\s[-–—]\s)\s*(.+)$/;
+
+/**
+ * Build Anki-ready flashcards from the notes. List items of the form
+ * "**Term**: definition" become term → definition cards; if there are none,
+ * each section heading becomes a card whose back lists the section's bullets.
+ * Fronts and backs are HTML, with the notes' text escaped.
+ */
+export const buildFlashcards = (blocks) => {
+  const cards = [];
+
+  for (const block of blocks) {
+    if (block.type !== 'listItem' || block.runs.length === 0) {
+      continue;
+    }
+
+    const leadsWithBold = block.runs[0].bold;
+    const match = runsToText(block.runs).match(DEFINITION_PATTERN);
+    if (leadsWithBold && match) {
+      cards.push({ front: escapeHtml(match[1].trim()), back: escapeHtml(match[2].trim()) });
+    }
+  }
+
+  if (cards.length > 0) {
+    return cards;
+  }
+
+  let current = null;
+  for (const block of blocks) {
+    if (block.type === 'heading' && block.depth >= 2) {
+      current = { front: escapeHtml(runsToText(block.runs)), back: [] };
+      cards.push(current);
+    } else if (block.type === 'listItem' && current) {
+      current.back.push(escapeHtml(runsToText(block.runs)));
+    }
+  }
+
+  return cards
+    .filter(card => card.back.length > 0)
+    .map(card => ({ front: card.front, back: card.back.join('<br>') }));
+};
+
+// Cards as { front, back, tags } with HTML fronts and backs
+const renderAnkiCsv = (cards) => {
+  const rows = cards.map(card => [card.front, card.back, card.tags].map(escapeCsv).join(','));
+
+  // Anki reads these header lines when importing
+  return ['#separator:comma', '#html:true', '#columns:Front,Back,Tags', ...rows].join('\n') + '\n';
+};
+
+const renderCsv = (blocks, title) => {
+  const tag = toFilename(title);
+  return renderAnkiCsv(buildFlashcards(blocks).map(card => ({ ...card, tags: tag })));
+};
+
+// Citation shown on the back of study cards, e.g. "Lecture at 12:34"
+const describeSource = (source) => escapeHtml(source && source.startTime !== null
+  ? `Lecture at ${formatTimestamp(source.startTime)}`
+  : 'Lecture transcript');
+
+/**
+ * Render study materials as an Anki-ready CSV. Flashcards keep their
+ * front and back; quiz questions become cards with the answer (and, for
+ * multiple choice, the options) spelled out. Cards are tagged with the
+ * lecture and "flashcard" or "quiz".
+ *
+ * @param {Object} materials - From generateStudyMaterials()
+ * @param {string} [title] - Lecture title, used as a tag
+ * @returns {string}
+ */
+export const exportStudyDeck = (materials, title = 'Lecture Notes') => {
+  const tag = toFilename(title);
+  const withSource = (text, source) => `${escapeHtml(text)}<br><br><small>${describeSource(source)}</small>`;
+  const letter = (index) => String.fromCharCode(65 + index);
+
+  return renderAnkiCsv([
+    ...(materials.flashcards || []).map(card => ({
+      front: escapeHtml(card.front),
+      back: withSource(card.back, card.source),
+      tags: `${tag} flashcard`
+    })),
+    ...(materials.multipleChoice || []).map(question => ({
+      front: [escapeHtml(question.question), ...question.options.map((option, index) => `${letter(index)}. ${escapeHtml(option)}`)].join('<br>'),
+      back: withSource(
+        [`${letter(question.answerIndex)}. ${question.options[question.answerIndex]}`, question.explanation].filter(Boolean).join(' — '),
+        question.source
+      ),
+      tags: `${tag} quiz`
+    })),
+    ...(materials.shortAnswer || []).map(question => ({
+      front: escapeHtml(question.question),
+      back: withSource(question.answer, question.source),
+      tags: `${tag} quiz`
+    }))
+  ]);
+};
+
+/**
+ * Render notes markdown in the requested format.
+ *
+ * @param {string} notes - Notes markdown
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {string} [title] - Document title
+ * @returns {Promise<Buffer|string>}
+ */
+export const exportNotes = async (notes, format, title = 'Lecture Notes') => {
+  switch (format) {
+    case 'md':
+      return notes;
+    case 'html':
+      return renderHtml(notes, title);
+    case 'txt':
+      return renderText(parseNotes(notes));
+    case 'pdf':
+      return renderPdf(parseNotes(notes), title);
+    case 'docx':
+      return renderDocx(parseNotes(notes), title);
+    case 'csv':
+      return renderCsv(parseNotes(notes), title);
+    default:
+      throw new Error(`Unsupported export format '${format}'.`);
+  }
+};
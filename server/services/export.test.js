@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFlashcards, exportNotes, exportStudyDeck, parseNotes, toFilename } from './export.js';
+
+const NOTES = `# Sorting
+
+## Algorithms
+
+- **Quicksort**: picks a pivot and partitions
+- **Mergesort**: splits, sorts and merges
+
+See [the course page](https://uni.edu/cs101) and [this](javascript:alert(document.cookie)).
+
+<script>alert(1)</script>
+`;
+
+test('HTML exports escape raw HTML and drop unsafe links', async () => {
+  const html = await exportNotes(NOTES, 'html', 'Week <1>');
+
+  assert.match(html, /<title>Week &lt;1&gt;<\/title>/);
+  assert.doesNotMatch(html, /<script>|javascript:/);
+  assert.match(html, /&lt;script&gt;/);
+  assert.match(html, /href="https:\/\/uni.edu\/cs101"/);
+});
+
+test('PDF and DOCX runs keep safe links only', () => {
+  const paragraph = parseNotes(NOTES).find(block => block.type === 'paragraph' && block.runs.some(run => run.text === 'this'));
+  const links = paragraph.runs.filter(run => run.href);
+
+  assert.deepEqual(links.map(run => run.href), ['https://uni.edu/cs101']);
+  assert.ok(paragraph.runs.find(run => run.text === 'this'), 'the unsafe link\'s text is kept');
+});
+
+test('notes are parsed into headings, list items and paragraphs', () => {
+  const blocks = parseNotes(NOTES);
+  assert.deepEqual(blocks.slice(0, 3).map(block => block.type), ['heading', 'heading', 'listItem']);
+  assert.deepEqual(blocks[2].runs[0], { bold: true, text: 'Quicksort' });
+});
+
+test('text exports drop the markdown syntax', async () => {
+  const text = await exportNotes(NOTES, 'txt');
+  assert.match(text, /• Quicksort: picks a pivot/);
+  assert.doesNotMatch(text, /\*\*/);
+});
+
+test('PDF and DOCX exports are generated', async () => {
+  const pdf = await exportNotes(NOTES, 'pdf', 'Sorting');
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+
+  const docx = await exportNotes(NOTES, 'docx', 'Sorting');
+  assert.equal(docx.subarray(0, 2).toString(), 'PK');
+});
+
+test('flashcards are built from "**Term**: definition" items, HTML-escaped', () => {
+  const cards = buildFlashcards(parseNotes('- **<b>Heap</b>**: a tree where parents <= children'));
+  assert.deepEqual(cards, [{ front: '&lt;b&gt;Heap&lt;/b&gt;', back: 'a tree where parents &lt;= children' }]);
+});
+
+test('flashcards fall back to a card per section', () => {
+  const cards = buildFlashcards(parseNotes('## Stacks\n\n- LIFO\n- push and pop\n\n## Empty section'));
+  assert.deepEqual(cards, [{ front: 'Stacks', back: 'LIFO<br>push and pop' }]);
+});
+
+test('CSV exports are Anki-ready with quoted fields', async () => {
+  const csv = await exportNotes(NOTES, 'csv', 'Week 1');
+  const lines = csv.trim().split('\n');
+
+  assert.deepEqual(lines.slice(0, 3), ['#separator:comma', '#html:true', '#columns:Front,Back,Tags']);
+  assert.equal(lines[3], '"Quicksort","picks a pivot and partitions","week-1"');
+  assert.equal(lines[4], '"Mergesort","splits, sorts and merges","week-1"');
+});
+
+test('study decks cite where each card came from', () => {
+  const csv = exportStudyDeck({
+    flashcards: [{ front: 'Pivot', back: 'Partition element', source: { startTime: 754 } }],
+    multipleChoice: [{ question: 'Fastest?', options: ['Bubble', 'Quick'], answerIndex: 1, explanation: 'n log n', source: null }],
+    shortAnswer: []
+  }, 'Sorting');
+
+  assert.ok(csv.includes('"Pivot","Partition element<br><br><small>Lecture at 12:34</small>","sorting flashcard"'));
+  assert.ok(csv.includes('"Fastest?<br>A. Bubble<br>B. Quick","B. Quick — n log n<br><br><small>Lecture transcript</small>","sorting quiz"'));
+});
+
+test('toFilename makes a safe download name', () => {
+  assert.equal(toFilename('Week 1: Sorting & Searching!'), 'week-1-sorting-searching');
+  assert.equal(toFilename('../../'), 'lecture-notes');
+});
+
+test('unknown formats are rejected', async () => {
+  await assert.rejects(exportNotes(NOTES, 'exe'), /Unsupported export format/);
+});
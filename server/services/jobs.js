@@ -0,0 +1,358 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { readJsonFile, writeJsonFile } from '../utils/jsonStore.js';
+import { readNumber } from '../utils/env.js';
+
+// Stages every job runs through, in order. The upload stage completes
+// as soon as the job is created since multer has already stored the file.
+export const JOB_STAGES = ['upload', 'transcribe', 'structure'];
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Per-word and per-sentence data that resumed stages need but finished jobs do
+// not: their lecture keeps a copy, and the job store stays small
+const BULKY_OUTPUTS = {
+  transcribe: ['segments', 'words', 'sentences', 'speakerTurns']
+};
+
+// Hours finished jobs are kept after they end (JOB_RETENTION_HOURS); 0 keeps them
+const getRetentionMs = () => readNumber('JOB_RETENTION_HOURS', 7 * 24) * 60 * 60 * 1000;
+
+const createStage = () => ({
+  status: 'pending', // pending, running, completed, failed, skipped, cancelled
+  progress: 0,
+  startedAt: null,
+  completedAt: null,
+  durationMs: null,
+  error: null
+});
+
+// Overall progress as the average of all stage progress values
+const computeProgress = (job) => {
+  const total = JOB_STAGES.reduce((sum, stage) => sum + job.stages[stage].progress, 0);
+  return Math.round(total / JOB_STAGES.length);
+};
+
+/**
+ * Job details returned to clients, without the server path and name of its file.
+ */
+export const toPublicJob = (job) => {
+  const { path: filePath, filename, uploadId, ...file } = job.file;
+  return { ...job, file };
+};
+
+/**
+ * Create a persistent, sequential job queue.
+ *
+ * Each stage after `upload` is run by the matching handler, which receives the
+ * job and a context of { signal, reportProgress } and resolves with the stage
+ * output. Outputs are stored on `job.outputs[stage]` so a job interrupted by a
+ * restart resumes from its first unfinished stage. State changes are
+ * persisted; progress updates are not, since a restart reruns the stage.
+ * Once a job ends its bulky outputs (words, segments, ...) are dropped, and
+ * finished jobs are forgotten JOB_RETENTION_HOURS after they end.
+ *
+ * @param {Object} options
+ * @param {string} options.storePath - JSON file the job state is persisted to
+ * @param {Object<string, Function>} options.handlers - Stage handlers keyed by stage name
+ * @param {Function} [options.onComplete] - Called with each job that completes successfully
+ * @param {Function} [options.onFinish] - Called with each job once it has ended,
+ *   whether completed, failed or cancelled, e.g. to clean up its upload
+ */
+export const createJobQueue = ({ storePath, handlers, onComplete, onFinish }) => {
+  const jobs = new Map();
+  const pending = [];
+  const controllers = new Map();
+  let processing = false;
+
+  const persist = () => {
+    writeJsonFile(storePath, Array.from(jobs.values()));
+  };
+
+  const refresh = (job) => {
+    job.updatedAt = new Date().toISOString();
+    job.progress = computeProgress(job);
+  };
+
+  const touch = (job) => {
+    refresh(job);
+    persist();
+  };
+
+  const trimOutputs = (job) => {
+    for (const [stage, fields] of Object.entries(BULKY_OUTPUTS)) {
+      const output = job.outputs[stage];
+      if (output) {
+        fields.forEach(field => delete output[field]);
+      }
+    }
+  };
+
+  // Called once per job, after it reached a final status
+  const finish = (job) => {
+    trimOutputs(job);
+    if (onFinish) {
+      try {
+        onFinish(job);
+      } catch (hookError) {
+        console.error(`⚠️  Job ${job.id} cleanup failed: ${hookError.message}`);
+      }
+    }
+  };
+
+  // Forget finished jobs older than the retention period
+  const prune = () => {
+    const retentionMs = getRetentionMs();
+    if (retentionMs === 0) {
+      return 0;
+    }
+
+    const now = Date.now();
+    let removed = 0;
+    for (const job of Array.from(jobs.values())) {
+      if (!ACTIVE_STATUSES.includes(job.status) && now - Date.parse(job.completedAt || job.updatedAt) > retentionMs) {
+        jobs.delete(job.id);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} finished job(s)`);
+    }
+    return removed;
+  };
+
+  const runStage = async (job, stageName, signal) => {
+    const stage = job.stages[stageName];
+
+    if (stage.status === 'completed' || stage.status === 'skipped') {
+      return;
+    }
+
+    stage.status = 'running';
+    stage.progress = 0;
+    stage.error = null;
+    stage.startedAt = new Date().toISOString();
+    touch(job);
+
+    const startTime = Date.now();
+    const output = await handlers[stageName](job, {
+      signal,
+      reportProgress: (progress) => {
+        stage.progress = Math.max(0, Math.min(100, Math.round(progress)));
+        refresh(job);
+      }
+    });
+
+    signal.throwIfAborted();
+
+    stage.status = output && output.skipped ? 'skipped' : 'completed';
+    stage.progress = 100;
+    stage.completedAt = new Date().toISOString();
+    stage.durationMs = Date.now() - startTime;
+    job.outputs[stageName] = output;
+    touch(job);
+  };
+
+  const runJob = async (job) => {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    touch(job);
+    console.log(`⚙️  Job ${job.id} started`);
+
+    let currentStage = null;
+
+    try {
+      for (const stageName of JOB_STAGES) {
+        currentStage = stageName;
+        await runStage(job, stageName, controller.signal);
+      }
+
+      job.status = 'completed';
+      job.completedAt = new Date().toISOString();
+      console.log(`✅ Job ${job.id} completed`);
+
+      if (onComplete) {
+        try {
+          onComplete(job);
+        } catch (hookError) {
+          console.error(`⚠️  Job ${job.id} completion hook failed: ${hookError.message}`);
+        }
+      }
+    } catch (error) {
+      const stage = job.stages[currentStage];
+      stage.completedAt = new Date().toISOString();
+      stage.durationMs = stage.startedAt ? Date.now() - Date.parse(stage.startedAt) : null;
+
+      if (controller.signal.aborted) {
+        stage.status = 'cancelled';
+        job.status = 'cancelled';
+        console.log(`🛑 Job ${job.id} cancelled during ${currentStage}`);
+      } else {
+        stage.status = 'failed';
+        stage.error = error.message;
+        job.status = 'failed';
+        job.error = {
+          stage: currentStage,
+          message: error.message
+        };
+        console.error(`❌ Job ${job.id} failed during ${currentStage}:`, error.message);
+      }
+    } finally {
+      controllers.delete(job.id);
+      job.completedAt = job.completedAt || new Date().toISOString();
+      finish(job);
+      prune();
+      touch(job);
+    }
+  };
+
+  const processNext = async () => {
+    if (processing) {
+      return;
+    }
+    processing = true;
+
+    while (pending.length > 0) {
+      const job = jobs.get(pending.shift());
+      if (job && job.status === 'queued') {
+        await runJob(job);
+      }
+    }
+
+    processing = false;
+  };
+
+  const enqueue = (job) => {
+    pending.push(job.id);
+    setImmediate(processNext);
+  };
+
+  /**
+   * Create a job for an uploaded file and queue it for processing.
+   *
+   * @param {Object} file - Uploaded file info ({ filename, originalName, path, size, mimetype })
+   * @param {Object} [options] - Per-job options passed through to the stage handlers
+   * @param {string} [userId] - User the job (and its lecture) belongs to
+   * @returns {Object} The new job
+   */
+  const createJob = (file, options = {}, userId = null) => {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      userId: userId,
+      status: 'queued', // queued, running, completed, failed, cancelled
+      progress: 0,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+      file: file,
+      options: options,
+      stages: Object.fromEntries(JOB_STAGES.map(stage => [stage, createStage()])),
+      outputs: {},
+      error: null
+    };
+
+    job.stages.upload = {
+      ...job.stages.upload,
+      status: 'completed',
+      progress: 100,
+      startedAt: now,
+      completedAt: now,
+      durationMs: 0
+    };
+
+    jobs.set(job.id, job);
+    touch(job);
+    enqueue(job);
+
+    return job;
+  };
+
+  const getJob = (id) => jobs.get(id) || null;
+
+  // All jobs, or only a user's jobs, newest first
+  const listJobs = (userId) => Array.from(jobs.values())
+    .filter(job => !userId || job.userId === userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  // Whether a queued or running job still needs the file at this path
+  const isUsingFile = (filePath) => Array.from(jobs.values())
+    .some(job => ACTIVE_STATUSES.includes(job.status) && job.file.path === filePath);
+
+  /**
+   * Cancel a queued or running job.
+   *
+   * @returns {Object|null} The job, or null if it does not exist
+   */
+  const cancelJob = (id) => {
+    const job = jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    if (!ACTIVE_STATUSES.includes(job.status)) {
+      return job;
+    }
+
+    const controller = controllers.get(id);
+    if (controller) {
+      // The running stage notices the abort and marks the job cancelled
+      controller.abort();
+      job.cancelRequested = true;
+      touch(job);
+    } else {
+      job.status = 'cancelled';
+      job.completedAt = new Date().toISOString();
+      // The upload was only kept for this job
+      fs.rmSync(job.file.path, { force: true });
+      JOB_STAGES
+        .filter(stage => job.stages[stage].status === 'pending')
+        .forEach(stage => {
+          job.stages[stage].status = 'cancelled';
+        });
+      finish(job);
+      touch(job);
+      console.log(`🛑 Job ${job.id} cancelled before it started`);
+    }
+
+    return job;
+  };
+
+  // Restore persisted jobs and requeue any that were interrupted by a restart
+  for (const job of readJsonFile(storePath, [])) {
+    jobs.set(job.id, job);
+
+    if (ACTIVE_STATUSES.includes(job.status) && job.cancelRequested) {
+      job.status = 'cancelled';
+      finish(job);
+      continue;
+    }
+
+    if (ACTIVE_STATUSES.includes(job.status)) {
+      for (const stage of JOB_STAGES) {
+        if (job.stages[stage].status === 'running') {
+          job.stages[stage] = createStage();
+        }
+      }
+      job.status = 'queued';
+      pending.push(job.id);
+      console.log(`♻️  Resuming interrupted job ${job.id}`);
+    }
+  }
+
+  prune();
+  persist();
+  setImmediate(processNext);
+
+  return {
+    createJob,
+    getJob,
+    listJobs,
+    cancelJob,
+    isUsingFile
+  };
+};
@@ -0,0 +1,241 @@
+import { after, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJobQueue, toPublicJob } from './jobs.js';
+
+// Jobs run and log in the background, past the end of a test
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+let storeCount = 0;
+const createStorePath = () => path.join(tempDir, `jobs-${++storeCount}.json`);
+const readStore = (storePath) => JSON.parse(fs.readFileSync(storePath, 'utf8'));
+
+// A promise with its resolve and reject functions
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 100 && !check(); i++) {
+    await new Promise(setImmediate);
+  }
+  assert.ok(check(), 'condition not reached');
+};
+
+// Finished jobs drop parts of their outputs, so each gets its own copy
+const createTranscription = () => ({
+  transcript: 'Hello class.',
+  words: [{ word: 'Hello', startTime: 0 }, { word: 'class.', startTime: 0.5 }],
+  segments: [{ transcript: 'Hello class.' }],
+  sentences: [{ text: 'Hello class.', startTime: 0 }],
+  speakerTurns: [],
+  wordCount: 2
+});
+
+const createFile = (name = 'lecture.wav') => {
+  const filePath = path.join(tempDir, `${storeCount}-${name}`);
+  fs.writeFileSync(filePath, 'audio');
+  return { uploadId: 'upload-1', filename: name, originalName: name, path: filePath, size: 5, mimetype: 'audio/wav' };
+};
+
+const finishedStatuses = (finished) => finished.map(job => `${job.id}:${job.status}`);
+
+test('progress updates stay in memory; stage changes are saved', async () => {
+  const storePath = createStorePath();
+  const transcription = deferred();
+  let reportProgress;
+  const queue = createJobQueue({
+    storePath,
+    handlers: {
+      transcribe: (job, context) => {
+        reportProgress = context.reportProgress;
+        return transcription.promise;
+      },
+      structure: async () => ({ notes: '# Notes' })
+    }
+  });
+
+  const job = queue.createJob(createFile());
+  await waitFor(() => reportProgress);
+  const savedWhenStarted = fs.readFileSync(storePath, 'utf8');
+  assert.equal(readStore(storePath)[0].stages.transcribe.status, 'running');
+
+  reportProgress(50);
+  reportProgress(75);
+  assert.equal(job.stages.transcribe.progress, 75);
+  assert.equal(fs.readFileSync(storePath, 'utf8'), savedWhenStarted);
+
+  transcription.resolve(createTranscription());
+  await waitFor(() => job.status === 'completed');
+  assert.equal(readStore(storePath)[0].status, 'completed');
+});
+
+test('finished jobs keep their results but not the per-word data', async () => {
+  const storePath = createStorePath();
+  let completedWith;
+  const finished = [];
+  const queue = createJobQueue({
+    storePath,
+    handlers: {
+      transcribe: async () => createTranscription(),
+      structure: async () => ({ notes: '# Notes' })
+    },
+    onComplete: (job) => {
+      completedWith = structuredClone(job.outputs);
+    },
+    onFinish: (job) => finished.push({ ...job })
+  });
+
+  const job = queue.createJob(createFile());
+  await waitFor(() => job.status === 'completed');
+
+  // The completion hook saves the lecture with everything
+  assert.deepEqual(completedWith.transcribe.words, createTranscription().words);
+  assert.deepEqual(finishedStatuses(finished), [`${job.id}:completed`]);
+
+  const saved = readStore(storePath)[0];
+  assert.equal(saved.outputs.transcribe.transcript, 'Hello class.');
+  assert.equal(saved.outputs.transcribe.wordCount, 2);
+  assert.equal(saved.outputs.structure.notes, '# Notes');
+  for (const field of ['words', 'segments', 'sentences', 'speakerTurns']) {
+    assert.ok(!(field in saved.outputs.transcribe), field);
+    assert.ok(!(field in job.outputs.transcribe), field);
+  }
+});
+
+test('failed and cancelled jobs are finished too', async () => {
+  const running = deferred();
+  const finished = [];
+  const queue = createJobQueue({
+    storePath: createStorePath(),
+    handlers: {
+      transcribe: (job, { signal }) => {
+        if (job.options.fail) {
+          return Promise.reject(new Error('Speech API unavailable'));
+        }
+        return new Promise((resolve, reject) => {
+          running.resolve();
+          signal.addEventListener('abort', () => reject(signal.reason));
+        });
+      },
+      structure: async () => ({ notes: '# Notes' })
+    },
+    onFinish: (job) => finished.push({ ...job })
+  });
+
+  const failing = queue.createJob(createFile('failing.wav'), { fail: true });
+  const cancelledWhileRunning = queue.createJob(createFile('running.wav'));
+  const queuedFile = createFile('queued.wav');
+  const cancelledWhileQueued = queue.createJob(queuedFile);
+
+  await running.promise;
+  assert.equal(failing.status, 'failed');
+  assert.deepEqual(failing.error, { stage: 'transcribe', message: 'Speech API unavailable' });
+
+  queue.cancelJob(cancelledWhileQueued.id);
+  assert.equal(cancelledWhileQueued.status, 'cancelled');
+  assert.ok(!fs.existsSync(queuedFile.path), 'a queued job\'s upload is deleted');
+
+  queue.cancelJob(cancelledWhileRunning.id);
+  await waitFor(() => cancelledWhileRunning.status === 'cancelled');
+
+  assert.deepEqual(finishedStatuses(finished), [
+    `${failing.id}:failed`,
+    `${cancelledWhileQueued.id}:cancelled`,
+    `${cancelledWhileRunning.id}:cancelled`
+  ]);
+});
+
+test('a failing finish hook does not stop the queue', async () => {
+  const queue = createJobQueue({
+    storePath: createStorePath(),
+    handlers: {
+      transcribe: async () => createTranscription(),
+      structure: async () => ({ notes: '# Notes' })
+    },
+    onFinish: () => {
+      throw new Error('Upload store unavailable');
+    }
+  });
+
+  const first = queue.createJob(createFile('first.wav'));
+  const second = queue.createJob(createFile('second.wav'));
+  await waitFor(() => second.status === 'completed');
+  assert.equal(first.status, 'completed');
+});
+
+test('after a restart, interrupted jobs resume and cancelled ones finish', async () => {
+  const storePath = createStorePath();
+  const transcribed = createTranscription();
+  const now = new Date().toISOString();
+  const job = (id, fields) => ({
+    id,
+    userId: 'user-1',
+    status: 'running',
+    progress: 50,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: now,
+    completedAt: null,
+    file: createFile(`${id}.wav`),
+    options: {},
+    stages: {
+      upload: { status: 'completed', progress: 100 },
+      transcribe: { status: 'completed', progress: 100 },
+      structure: { status: 'running', progress: 40, startedAt: now }
+    },
+    outputs: { transcribe: transcribed },
+    error: null,
+    ...fields
+  });
+  fs.writeFileSync(storePath, JSON.stringify([job('resumed'), job('cancelled', { cancelRequested: true })]));
+
+  const calls = [];
+  const finished = [];
+  const queue = createJobQueue({
+    storePath,
+    handlers: {
+      transcribe: async () => {
+        calls.push('transcribe');
+        return createTranscription();
+      },
+      structure: async (current) => {
+        calls.push(`structure:${current.outputs.transcribe.sentences.length}`);
+        return { notes: '# Notes' };
+      }
+    },
+    onFinish: (current) => finished.push({ ...current })
+  });
+
+  assert.equal(queue.getJob('cancelled').status, 'cancelled');
+  await waitFor(() => queue.getJob('resumed').status === 'completed');
+
+  assert.deepEqual(calls, ['structure:1'], 'the saved transcript is reused');
+  assert.deepEqual(finishedStatuses(finished), ['cancelled:cancelled', 'resumed:completed']);
+});
+
+test('toPublicJob leaves out where the upload is stored', () => {
+  const job = {
+    id: 'job-1',
+    status: 'queued',
+    file: { uploadId: 'upload-1', filename: 'a.wav', path: '/srv/uploads/a.wav', originalName: 'Lecture.wav', size: 5 }
+  };
+
+  assert.deepEqual(toPublicJob(job).file, { originalName: 'Lecture.wav', size: 5 });
+  assert.equal(job.file.path, '/srv/uploads/a.wav');
+});
@@ -0,0 +1,396 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { readJsonFile, writeJsonFile } from '../utils/jsonStore.js';
+import { parseBookmarks } from './bookmarks.js';
+import { validateStructuredNotes } from './structuredNotes.js';
+import { STUDY_ITEM_KINDS } from './studyMaterials.js';
+
+// Fields clients may set on create/update
+const EDITABLE_FIELDS = [
+  'title', 'course', 'date', 'transcript', 'notes', 'metadata',
+  'words', 'sentences', 'speakerTurns', 'speakers', 'bookmarks', 'structuredNotes',
+  'studyMaterials'
+];
+
+const SNIPPET_RADIUS = 80; // characters either side of a search match
+
+// A calendar date, optionally followed by an ISO 8601 time and offset
+const DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// Use the first markdown heading of the notes as a title when none is given
+export const extractTitle = (notes) => {
+  const match = (notes || '').match(/^#{1,3}\s+(.+)$/m);
+  return match ? match[1].replace(/\*\*/g, '').trim() : null;
+};
+
+/**
+ * Normalize a lecture date to YYYY-MM-DD. Accepts a date or a full ISO 8601
+ * timestamp, whose calendar date is kept as written. Returns null for
+ * anything else, including impossible dates such as 2024-02-30.
+ */
+export const normalizeDate = (value) => {
+  const match = typeof value === 'string' && value.trim().match(DATE_PATTERN);
+  if (!match || Number.isNaN(Date.parse(value.trim()))) {
+    return null;
+  }
+  const day = match[1];
+  return new Date(`${day}T00:00:00Z`).toISOString().slice(0, 10) === day ? day : null;
+};
+
+const tokenize = (text) => text.toLowerCase().split(/\W+/).filter(token => token.length > 1);
+
+const countOccurrences = (haystack, needle) => {
+  let count = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    count++;
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return count;
+};
+
+// Excerpt of the text around the first occurrence of any search term
+const buildSnippet = (text, terms) => {
+  const lower = text.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(index => index !== -1);
+  if (positions.length === 0) {
+    return null;
+  }
+
+  const position = Math.min(...positions);
+  const start = Math.max(0, position - SNIPPET_RADIUS);
+  const end = Math.min(text.length, position + SNIPPET_RADIUS);
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+};
+
+// Lecture without the large text and timing fields, for list responses
+const toSummary = (lecture) => {
+  const { transcript, notes, structuredNotes, studyMaterials, words, sentences, speakerTurns, ...summary } = lecture;
+  return {
+    ...summary,
+    hasTranscript: Boolean(transcript),
+    hasNotes: Boolean(notes)
+  };
+};
+
+/**
+ * Validate a lecture payload. Returns an error message, or null if valid.
+ * An update (PATCH) that may clear the transcript or notes is also checked
+ * with validateLectureContent() against the lecture it changes.
+ *
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing fields (PATCH)
+ */
+export const validateLecture = (body, partial = false) => {
+  if (!body || typeof body !== 'object') {
+    return 'Request body must be a JSON object.';
+  }
+
+  for (const field of ['title', 'course', 'transcript', 'notes']) {
+    if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+      return `'${field}' must be a string.`;
+    }
+  }
+
+  // A new lecture gets defaults for missing fields; an update cannot remove them
+  if (partial) {
+    for (const field of ['course', 'transcript', 'notes', 'date']) {
+      if (body[field] === null) {
+        return `'${field}' cannot be null.`;
+      }
+    }
+    if (body.title !== undefined && (typeof body.title !== 'string' || !body.title.trim())) {
+      return `'title' cannot be empty.`;
+    }
+  }
+
+  if (body.date !== undefined && body.date !== null && !normalizeDate(body.date)) {
+    return `'date' must be a valid date (e.g. 2024-09-15).`;
+  }
+
+  if (body.metadata !== undefined && body.metadata !== null && typeof body.metadata !== 'object') {
+    return `'metadata' must be an object.`;
+  }
+
+  for (const field of ['words', 'sentences', 'speakerTurns']) {
+    if (body[field] !== undefined && !Array.isArray(body[field])) {
+      return `'${field}' must be an array.`;
+    }
+  }
+
+  // Speaker names keyed by speaker tag, e.g. { "1": "Professor" }
+  if (body.speakers !== undefined) {
+    if (!body.speakers || typeof body.speakers !== 'object' || Array.isArray(body.speakers)) {
+      return `'speakers' must be an object of names keyed by speaker tag.`;
+    }
+    if (Object.values(body.speakers).some(name => typeof name !== 'string' || !name.trim())) {
+      return 'Speaker names must be non-empty strings.';
+    }
+  }
+
+  // Bookmarks made while recording, see parseBookmarks()
+  if (body.bookmarks !== undefined) {
+    const { error } = parseBookmarks(body.bookmarks);
+    if (error) {
+      return error;
+    }
+  }
+
+  // Notes in the JSON format from /api/structure-notes, see structuredNotes.js
+  if (body.structuredNotes !== undefined && body.structuredNotes !== null) {
+    const errors = validateStructuredNotes(body.structuredNotes);
+    if (errors.length > 0) {
+      return `'structuredNotes' does not match the notes schema: ${errors[0]}`;
+    }
+  }
+
+  // Quizzes and flashcards from /api/study-materials
+  if (body.studyMaterials !== undefined && body.studyMaterials !== null
+    && (typeof body.studyMaterials !== 'object'
+      || !STUDY_ITEM_KINDS.every(kind => Array.isArray(body.studyMaterials[kind])))) {
+    return `'studyMaterials' must be an object with ${STUDY_ITEM_KINDS.join(', ')} arrays.`;
+  }
+
+  return partial ? null : validateLectureContent(body);
+};
+
+/**
+ * Check that a lecture keeps a transcript or notes. For an update, pass the
+ * stored lecture with the changes applied.
+ */
+export const validateLectureContent = (lecture) => (!lecture.transcript && !lecture.notes
+  ? 'A lecture needs a transcript or notes.'
+  : null);
+
+/**
+ * Persistent lecture library backed by a JSON file.
+ *
+ * @param {Object} options
+ * @param {string} options.storePath - JSON file the lectures are persisted to
+ * @param {string} options.audioDir - Directory kept lecture audio is stored in
+ */
+export const createLectureStore = ({ storePath, audioDir }) => {
+  const lectures = new Map(readJsonFile(storePath, []).map(lecture => [lecture.id, lecture]));
+
+  fs.mkdirSync(audioDir, { recursive: true });
+
+  const persist = () => {
+    writeJsonFile(storePath, Array.from(lectures.values()));
+  };
+
+  /**
+   * List lectures, newest first. With a query, only lectures matching every
+   * term in their title, course, transcript or notes are returned, ranked by
+   * relevance and with a snippet of the matching text.
+   *
+   * @param {Object} [filters]
+   * @param {string} [filters.q] - Full-text search query
+   * @param {string} [filters.course] - Exact course name
+   * @param {string} [filters.userId] - Only lectures owned by this user
+   */
+  const list = ({ q, course, userId } = {}) => {
+    let results = Array.from(lectures.values());
+
+    if (userId) {
+      results = results.filter(lecture => lecture.userId === userId);
+    }
+
+    if (course) {
+      results = results.filter(lecture => (lecture.course || '').toLowerCase() === course.toLowerCase());
+    }
+
+    const terms = q ? tokenize(q) : [];
+    if (terms.length === 0) {
+      return results
+        // String(): records saved before dates were validated may hold other types
+        .sort((a, b) => String(b.date || b.createdAt).localeCompare(String(a.date || a.createdAt)))
+        .map(toSummary);
+    }
+
+    return results
+      .map(lecture => {
+        const fields = {
+          title: (lecture.title || '').toLowerCase(),
+          course: (lecture.course || '').toLowerCase(),
+          notes: (lecture.notes || '').toLowerCase(),
+          transcript: (lecture.transcript || '').toLowerCase()
+        };
+
+        let score = 0;
+        for (const term of terms) {
+          const termScore = countOccurrences(fields.title, term) * 10
+            + countOccurrences(fields.course, term) * 5
+            + countOccurrences(fields.notes, term) * 2
+            + countOccurrences(fields.transcript, term);
+
+          if (termScore === 0) {
+            return null;
+          }
+          score += termScore;
+        }
+
+        return {
+          ...toSummary(lecture),
+          score: score,
+          snippet: buildSnippet(lecture.notes || '', terms) || buildSnippet(lecture.transcript || '', terms)
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+  };
+
+  const get = (id) => lectures.get(id) || null;
+
+  const create = (data, userId = null) => {
+    const now = new Date().toISOString();
+    const lecture = {
+      id: crypto.randomUUID(),
+      userId: userId,
+      title: data.title || extractTitle(data.notes) || 'Untitled lecture',
+      course: data.course || '',
+      date: normalizeDate(data.date) || now.slice(0, 10),
+      transcript: data.transcript || '',
+      notes: data.notes || '',
+      metadata: data.metadata || {},
+      words: data.words || [],
+      sentences: data.sentences || [],
+      speakerTurns: data.speakerTurns || [],
+      speakers: data.speakers || {},
+      bookmarks: data.bookmarks || [],
+      structuredNotes: data.structuredNotes || null,
+      studyMaterials: data.studyMaterials || null,
+      audio: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    lectures.set(lecture.id, lecture);
+    persist();
+    return lecture;
+  };
+
+  const update = (id, changes) => {
+    const lecture = lectures.get(id);
+    if (!lecture) {
+      return null;
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (changes[field] !== undefined) {
+        lecture[field] = changes[field];
+      }
+    }
+    if (changes.date !== undefined && changes.date !== null) {
+      lecture.date = normalizeDate(changes.date);
+    }
+    lecture.updatedAt = new Date().toISOString();
+
+    persist();
+    return lecture;
+  };
+
+  const getAudioPath = (id) => {
+    const lecture = lectures.get(id);
+    return lecture && lecture.audio ? path.join(audioDir, lecture.audio.filename) : null;
+  };
+
+  /**
+   * Move an audio file into the library and attach it to a lecture,
+   * replacing any audio it already had.
+   *
+   * @param {string} id - Lecture id
+   * @param {string} sourcePath - Path of the audio file to move
+   * @param {string} [mimetype] - MIME type reported to the player
+   */
+  const attachAudio = (id, sourcePath, mimetype) => {
+    const lecture = lectures.get(id);
+    if (!lecture) {
+      return null;
+    }
+
+    const previousPath = getAudioPath(id);
+    const filename = `${id}${path.extname(sourcePath).toLowerCase()}`;
+    const targetPath = path.join(audioDir, filename);
+
+    if (previousPath && previousPath !== targetPath) {
+      fs.rmSync(previousPath, { force: true });
+    }
+
+    try {
+      fs.renameSync(sourcePath, targetPath);
+    } catch (error) {
+      // rename fails across filesystems; fall back to copy + delete
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      fs.copyFileSync(sourcePath, targetPath);
+      fs.unlinkSync(sourcePath);
+    }
+
+    lecture.audio = {
+      filename: filename,
+      mimetype: mimetype || null,
+      size: fs.statSync(targetPath).size
+    };
+    lecture.updatedAt = new Date().toISOString();
+
+    persist();
+    return lecture;
+  };
+
+  // Delete a lecture's audio file, keeping the lecture
+  const detachAudio = (id) => {
+    const lecture = lectures.get(id);
+    if (!lecture) {
+      return null;
+    }
+
+    const audioPath = getAudioPath(id);
+    if (audioPath) {
+      fs.rmSync(audioPath, { force: true });
+    }
+    lecture.audio = null;
+    lecture.updatedAt = new Date().toISOString();
+
+    persist();
+    return lecture;
+  };
+
+  // Give lectures saved before accounts existed to a user
+  const claimUnowned = (userId) => {
+    const unowned = Array.from(lectures.values()).filter(lecture => !lecture.userId);
+    for (const lecture of unowned) {
+      lecture.userId = userId;
+    }
+    if (unowned.length > 0) {
+      persist();
+    }
+    return unowned.length;
+  };
+
+  const remove = (id) => {
+    const audioPath = getAudioPath(id);
+    const existed = lectures.delete(id);
+    if (existed) {
+      if (audioPath) {
+        fs.rmSync(audioPath, { force: true });
+      }
+      persist();
+    }
+    return existed;
+  };
+
+  return {
+    list,
+    get,
+    create,
+    update,
+    remove,
+    attachAudio,
+    detachAudio,
+    getAudioPath,
+    claimUnowned
+  };
+};
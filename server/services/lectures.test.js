@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractTitle, normalizeDate, validateLecture, validateLectureContent } from './lectures.js';
+
+test('normalizeDate keeps the calendar date of dates and ISO timestamps', () => {
+  assert.equal(normalizeDate('2024-09-15'), '2024-09-15');
+  assert.equal(normalizeDate(' 2024-09-15 '), '2024-09-15');
+  assert.equal(normalizeDate('2024-09-15T23:30:00Z'), '2024-09-15');
+  assert.equal(normalizeDate('2024-09-15T23:30:00.123+09:00'), '2024-09-15');
+  assert.equal(normalizeDate('2024-02-29'), '2024-02-29');
+});
+
+test('normalizeDate rejects anything that is not a real date', () => {
+  for (const value of ['2024-02-30', '2023-02-29', '2024-13-01', '15/09/2024', 'Sept 15, 2024', '2024-09-15 junk', '', null, 20240915]) {
+    assert.equal(normalizeDate(value), null, `${JSON.stringify(value)} should be rejected`);
+  }
+});
+
+test('validateLecture accepts a lecture with a transcript or notes', () => {
+  assert.equal(validateLecture({ transcript: 'Some words', date: '2024-09-15' }), null);
+  assert.equal(validateLecture({ notes: '# Notes', title: 'Week 1', course: 'CS101' }), null);
+  assert.equal(validateLecture({ notes: '# Notes', date: null, metadata: null }), null);
+});
+
+test('validateLecture requires content unless the update is partial', () => {
+  assert.equal(validateLecture({ title: 'Week 1' }), 'A lecture needs a transcript or notes.');
+  assert.equal(validateLecture({ title: 'Week 1' }, true), null);
+});
+
+test('validateLecture does not let an update remove fields a lecture always has', () => {
+  assert.equal(validateLecture({ title: null }, true), `'title' cannot be empty.`);
+  assert.equal(validateLecture({ title: '  ' }, true), `'title' cannot be empty.`);
+  assert.equal(validateLecture({ date: null }, true), `'date' cannot be null.`);
+  assert.equal(validateLecture({ notes: null }, true), `'notes' cannot be null.`);
+  assert.equal(validateLecture({ notes: '' }, true), null);
+});
+
+test('validateLectureContent requires a transcript or notes', () => {
+  assert.equal(validateLectureContent({ transcript: '', notes: '# Notes' }), null);
+  assert.equal(validateLectureContent({ transcript: '', notes: '' }), 'A lecture needs a transcript or notes.');
+});
+
+test('validateLecture rejects malformed fields', () => {
+  assert.equal(validateLecture(null), 'Request body must be a JSON object.');
+  assert.equal(validateLecture({ notes: 42 }), `'notes' must be a string.`);
+  assert.match(validateLecture({ notes: 'x', date: '2024-02-30' }), /'date' must be a valid date/);
+  assert.equal(validateLecture({ notes: 'x', metadata: 'fast' }), `'metadata' must be an object.`);
+  assert.equal(validateLecture({ notes: 'x', words: {} }), `'words' must be an array.`);
+  assert.match(validateLecture({ notes: 'x', speakers: ['Professor'] }), /'speakers' must be an object/);
+  assert.equal(validateLecture({ notes: 'x', speakers: { 1: ' ' } }), 'Speaker names must be non-empty strings.');
+  assert.match(validateLecture({ notes: 'x', studyMaterials: { flashcards: [] } }), /'studyMaterials' must be an object/);
+});
+
+test('extractTitle uses the first heading of the notes', () => {
+  assert.equal(extractTitle('Intro\n\n## **Sorting** algorithms\n# Later'), 'Sorting algorithms');
+  assert.equal(extractTitle('No headings here'), null);
+  assert.equal(extractTitle(undefined), null);
+});
@@ -0,0 +1,41 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// gemini-1.5-flash is available on the free tier and is the fastest option
+export const DEFAULT_GEMINI_MODEL = 'gemini-1.5-flash';
+
+/**
+ * Google Gemini provider.
+ *
+ * @param {Object} config
+ * @param {string} [config.apiKey] - GEMINI_API_KEY
+ * @param {string} [config.model] - Gemini model name
+ * @param {Object} config.caller - From createOutboundCaller(); caps, retries
+ *   and circuit-breaks the generateContent calls
+ */
+export const createGeminiProvider = ({ apiKey, model = DEFAULT_GEMINI_MODEL, caller }) => {
+  const geminiModel = apiKey
+    ? new GoogleGenerativeAI(apiKey).getGenerativeModel({ model })
+    : null;
+
+  return {
+    name: 'gemini',
+    model: model,
+    isConfigured: () => Boolean(geminiModel),
+    notConfiguredMessage: 'Gemini AI is not configured. Please add GEMINI_API_KEY to your environment variables.',
+
+    generate: async (prompt, options = {}) => {
+      const request = options.json
+        ? { contents: [{ role: 'user', parts: [{ text: prompt }] }], generationConfig: { responseMimeType: 'application/json' } }
+        : prompt;
+      const result = await caller.call(() => geminiModel.generateContent(request, { signal: options.signal }), { signal: options.signal });
+      const response = await result.response;
+      if (options.onUsage && response.usageMetadata) {
+        options.onUsage({
+          inputTokens: response.usageMetadata.promptTokenCount || 0,
+          outputTokens: response.usageMetadata.candidatesTokenCount || 0
+        });
+      }
+      return response.text();
+    }
+  };
+};
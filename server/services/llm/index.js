@@ -0,0 +1,66 @@
+import { createGeminiProvider, DEFAULT_GEMINI_MODEL } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createOllamaProvider } from './ollama.js';
+import { createMockProvider } from './mock.js';
+import { createOutboundCaller, getOutboundOptions } from '../resilience.js';
+
+export const getDefaultLlmProviderName = () => process.env.LLM_PROVIDER || 'gemini';
+
+/**
+ * Build the available LLM providers for note structuring.
+ *
+ * Every provider implements:
+ *   name                  - identifier used by LLM_PROVIDER and the request `provider` field
+ *   model                 - model name reported in note metadata
+ *   isConfigured()        - whether the provider can run in this environment
+ *   notConfiguredMessage  - error shown when it cannot
+ *   generate(prompt, { signal, json, onUsage }) → Promise<string>
+ *                         json asks for a JSON object response where the API supports it;
+ *                         onUsage is called with { inputTokens, outputTokens } when the
+ *                         API reports token usage
+ *
+ * @returns {Object<string, Object>} Providers keyed by name
+ */
+export const createLlmProviders = () => ({
+  gemini: createGeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL,
+    caller: createOutboundCaller({ name: 'Gemini', ...getOutboundOptions('GEMINI', 2) })
+  }),
+  openai: createOpenAIProvider({
+    baseUrl: process.env.OPENAI_BASE_URL || undefined,
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL
+  }),
+  ollama: createOllamaProvider({
+    baseUrl: process.env.OLLAMA_BASE_URL || undefined,
+    model: process.env.OLLAMA_MODEL,
+    contextLength: Number(process.env.OLLAMA_CONTEXT_LENGTH) || undefined
+  }),
+  mock: createMockProvider()
+});
+
+/**
+ * Pick the LLM provider for a request, falling back to LLM_PROVIDER.
+ * Returns { provider } or { status, error } ready to send to the client.
+ *
+ * @param {Object<string, Object>} providers - From createLlmProviders
+ * @param {string} [name] - Provider requested by the client
+ */
+export const resolveLlmProvider = (providers, name) => {
+  const providerName = name || getDefaultLlmProviderName();
+  const provider = providers[providerName];
+
+  if (!provider) {
+    return {
+      status: 400,
+      error: `Unknown notes provider '${providerName}'. Available providers: ${Object.keys(providers).join(', ')}.`
+    };
+  }
+
+  if (!provider.isConfigured()) {
+    return { status: 500, error: provider.notConfiguredMessage };
+  }
+
+  return { provider };
+};
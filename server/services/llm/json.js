@@ -0,0 +1,80 @@
+// Model calls allowed for one JSON response: the first answer plus repair
+// requests while it does not match the schema
+export const MAX_JSON_ATTEMPTS = 3;
+
+/**
+ * Pull the JSON object out of a model response. Code fences, text around
+ * the object and trailing commas are common deviations.
+ *
+ * @param {string} text - Model response
+ * @returns {Object|null} The parsed object, or null when there is none
+ */
+export const extractJson = (text) => {
+  const unfenced = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    return null;
+  }
+
+  const candidate = unfenced.slice(start, end + 1);
+  for (const attempt of [candidate, candidate.replace(/,\s*([}\]])/g, '$1')]) {
+    try {
+      return JSON.parse(attempt);
+    } catch (parseError) {
+      // Try the next repair
+    }
+  }
+  return null;
+};
+
+// Ask the model to fix a response that failed validation
+const buildRepairPrompt = (response, errors, { description, schema }) => `The following response was supposed to be ${description} as a JSON object, but it does not match the required schema.
+
+Problems found:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Required schema:
+
+${schema}
+
+Here is the response:
+
+${response}
+
+Respond with only the corrected JSON object, without markdown code fences. Keep the content and change only what is needed to match the schema.`;
+
+/**
+ * Request a JSON response and validate it, asking the model to repair its
+ * answer while it does not match the schema (up to MAX_JSON_ATTEMPTS calls).
+ *
+ * @param {Object} llmProvider - Provider from createLlmProviders()
+ * @param {string} prompt - Prompt asking for the JSON object
+ * @param {Object} options
+ * @param {Function} options.parse - (object) → { value, errors }; errors is empty when valid
+ * @param {string} options.description - What the JSON holds, e.g. "lecture notes"
+ * @param {string} options.schema - Schema description repeated in repair requests
+ * @param {AbortSignal} [options.signal] - Aborts the model requests
+ * @returns {Promise<{ value: *, repairs: number }>}
+ */
+export const generateJson = async (llmProvider, prompt, { parse, description, schema, signal }) => {
+  let response = await llmProvider.generate(prompt, { signal, json: true });
+
+  for (let attempt = 1; ; attempt++) {
+    const data = extractJson(response);
+    const { value, errors } = data === null
+      ? { value: null, errors: ['The response is not a valid JSON object.'] }
+      : parse(data);
+
+    if (errors.length === 0) {
+      return { value, repairs: attempt - 1 };
+    }
+
+    if (attempt === MAX_JSON_ATTEMPTS) {
+      throw new Error(`The model did not return ${description} matching the JSON schema after ${MAX_JSON_ATTEMPTS} attempts: ${errors.slice(0, 3).join(' ')}`);
+    }
+
+    console.log(`🔧 JSON ${description} failed validation (${errors.length} problem(s)), asking for a repair...`);
+    response = await llmProvider.generate(buildRepairPrompt(response, errors, { description, schema }), { signal, json: true });
+  }
+};
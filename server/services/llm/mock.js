@@ -0,0 +1,71 @@
+const MOCK_NOTES = `# Lecture Notes
+
+## Overview
+These notes were produced by the mock notes provider. They do not depend on the transcript and are intended for development and tests.
+
+## Main Concepts
+- **Concept one**: A placeholder for the first idea covered in the lecture
+- **Concept two**: A placeholder for the second idea covered in the lecture
+
+## Key Takeaways
+- The mock provider always returns the same notes
+- Set LLM_PROVIDER to gemini, openai or ollama for real notes`;
+
+const MOCK_STRUCTURED_NOTES = {
+  title: 'Lecture Notes',
+  summary: 'These notes were produced by the mock notes provider. They do not depend on the transcript and are intended for development and tests.',
+  sections: [
+    {
+      heading: 'Main Concepts',
+      bullets: [
+        '**Concept one**: A placeholder for the first idea covered in the lecture',
+        '**Concept two**: A placeholder for the second idea covered in the lecture'
+      ],
+      keyTerms: ['Concept one', 'Concept two'],
+      startTime: null
+    }
+  ],
+  takeaways: [
+    'The mock provider always returns the same notes',
+    'Set LLM_PROVIDER to gemini, openai or ollama for real notes'
+  ],
+  glossary: [
+    { term: 'Mock provider', definition: 'A notes provider that returns canned notes without calling a model.' }
+  ]
+};
+
+const MOCK_STUDY_MATERIALS = {
+  multipleChoice: [
+    {
+      question: 'What does the mock provider return?',
+      options: ['Canned content', 'Notes based on the transcript', 'An error', 'Nothing'],
+      answerIndex: 0,
+      explanation: 'The mock provider always returns the same content.',
+      source: 'P1'
+    }
+  ],
+  shortAnswer: [
+    { question: 'How do you get real study materials?', answer: 'Set LLM_PROVIDER to gemini, openai or ollama.', source: 'P1' }
+  ],
+  flashcards: [
+    { front: 'Mock provider', back: 'A notes provider that returns canned content without calling a model.', source: 'P1' }
+  ]
+};
+
+/**
+ * Offline provider that returns canned markdown notes for any prompt, or
+ * JSON notes or study materials when asked for JSON.
+ */
+export const createMockProvider = () => ({
+  name: 'mock',
+  model: 'mock',
+  isConfigured: () => true,
+  notConfiguredMessage: '',
+
+  generate: async (prompt, options = {}) => {
+    if (!options.json) {
+      return MOCK_NOTES;
+    }
+    return JSON.stringify(prompt.includes('study materials') ? MOCK_STUDY_MATERIALS : MOCK_STRUCTURED_NOTES, null, 2);
+  }
+});
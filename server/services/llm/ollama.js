@@ -0,0 +1,39 @@
+import { postJson } from './utils.js';
+
+/**
+ * Local Ollama server provider (https://ollama.com).
+ *
+ * @param {Object} config
+ * @param {string} [config.baseUrl] - Ollama server URL
+ * @param {string} config.model - Pulled model name, e.g. llama3.1
+ * @param {number} [config.contextLength] - Context window in tokens. Ollama's
+ *   default (2048) silently truncates lecture-length prompts.
+ */
+export const createOllamaProvider = ({ baseUrl = 'http://localhost:11434', model, contextLength = 16384 }) => ({
+  name: 'ollama',
+  model: model,
+  isConfigured: () => Boolean(model),
+  notConfiguredMessage: 'Ollama is not configured. Please set OLLAMA_MODEL to a model pulled on your Ollama server.',
+
+  generate: async (prompt, options = {}) => {
+    const data = await postJson(`${baseUrl.replace(/\/$/, '')}/api/generate`, {
+      model: model,
+      prompt: prompt,
+      stream: false,
+      options: { num_ctx: contextLength },
+      ...(options.json && { format: 'json' })
+    }, {
+      signal: options.signal,
+      providerName: 'Ollama'
+    });
+
+    if (options.onUsage && data.prompt_eval_count !== undefined) {
+      options.onUsage({
+        inputTokens: data.prompt_eval_count || 0,
+        outputTokens: data.eval_count || 0
+      });
+    }
+
+    return data.response || '';
+  }
+});
@@ -0,0 +1,42 @@
+import { postJson } from './utils.js';
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Provider for any OpenAI-compatible chat completions API: OpenAI itself,
+ * or a local llama.cpp / vLLM / LM Studio server via OPENAI_BASE_URL.
+ *
+ * @param {Object} config
+ * @param {string} [config.baseUrl] - API base URL including /v1
+ * @param {string} [config.apiKey] - Bearer token (optional for local servers)
+ * @param {string} config.model - Model name sent with each request
+ */
+export const createOpenAIProvider = ({ baseUrl = OPENAI_BASE_URL, apiKey, model }) => ({
+  name: 'openai',
+  model: model,
+  // Local servers usually need no key, but api.openai.com always does
+  isConfigured: () => Boolean(model) && (Boolean(apiKey) || baseUrl !== OPENAI_BASE_URL),
+  notConfiguredMessage: 'OpenAI-compatible provider is not configured. Please set OPENAI_MODEL and either OPENAI_API_KEY or OPENAI_BASE_URL for a local server.',
+
+  generate: async (prompt, options = {}) => {
+    const data = await postJson(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      model: model,
+      messages: [{ role: 'user', content: prompt }],
+      ...(options.json && { response_format: { type: 'json_object' } })
+    }, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      signal: options.signal,
+      providerName: 'OpenAI-compatible API'
+    });
+
+    if (options.onUsage && data.usage) {
+      options.onUsage({
+        inputTokens: data.usage.prompt_tokens || 0,
+        outputTokens: data.usage.completion_tokens || 0
+      });
+    }
+
+    const choice = data.choices && data.choices[0];
+    return choice && choice.message ? choice.message.content || '' : '';
+  }
+});
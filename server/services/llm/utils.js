@@ -0,0 +1,48 @@
+// Upper bound for a single HTTP completion request to a model server
+const getRequestTimeoutMs = () => Number(process.env.LLM_REQUEST_TIMEOUT_MS) || 120000;
+
+// Abort on the caller's signal or after the request timeout, whichever comes first
+const withRequestTimeout = (signal) => {
+  const timeout = AbortSignal.timeout(getRequestTimeoutMs());
+  return signal ? AbortSignal.any([signal, timeout]) : timeout;
+};
+
+/**
+ * POST JSON to a model server and return the parsed response.
+ * Non-2xx responses reject with an Error carrying the HTTP `status`.
+ *
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - JSON request body
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @param {string} options.providerName - Used in error messages
+ */
+export const postJson = async (url, body, { headers = {}, signal, providerName }) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: withRequestTimeout(signal)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`${providerName} did not respond within ${getRequestTimeoutMs() / 1000}s`);
+    }
+    if (error.name !== 'AbortError') {
+      error.message = `Could not reach ${providerName} at ${url}: ${error.cause ? error.cause.message : error.message}`;
+    }
+    throw error;
+  }
+
+  if (!response.ok) {
+    const details = (await response.text()).slice(0, 500);
+    const error = new Error(`${providerName} request failed with status ${response.status}: ${details}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+};
@@ -0,0 +1,296 @@
+import fs from 'fs';
+import path from 'path';
+import { extractAudioTrack, probeMedia } from './audio.js';
+import { hashFile } from '../utils/hash.js';
+
+// Audio formats the transcription providers accept directly
+export const AUDIO_EXTENSIONS = ['.webm', '.wav', '.mp3', '.ogg', '.opus', '.flac'];
+export const AUDIO_MIME_TYPES = [
+  'audio/webm',
+  'audio/wav',
+  'audio/wave',
+  'audio/x-wav',
+  'audio/mpeg',
+  'audio/mp3',
+  'audio/ogg',
+  'audio/opus',
+  'audio/flac',
+  'audio/x-flac'
+];
+
+// Video containers accepted for upload. .webm is shared with audio
+// recordings, so without ffprobe it only counts as video with a video/* MIME type.
+export const VIDEO_EXTENSIONS = ['.mp4', '.m4v', '.mkv', '.mov'];
+export const VIDEO_MIME_TYPES = [
+  'video/mp4',
+  'video/x-m4v',
+  'video/x-matroska',
+  'video/quicktime',
+  'video/webm'
+];
+
+export const UNSUPPORTED_UPLOAD_MESSAGE = 'Invalid file type. Only audio (webm, wav, mp3, ogg, flac) and video (mp4, mkv, mov, webm) files are allowed.';
+
+// Canonical transcription format: mono 16kHz FLAC. Speech engines read the
+// sample rate and encoding of FLAC and 16-bit WAV from the file header.
+const CANONICAL_SAMPLE_RATE = 16000;
+const HEADER_DESCRIBED_CODECS = ['flac', 'pcm_s16le'];
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 48000;
+
+// Containers recognized from an upload's first bytes, with the extensions and
+// MIME types that match them. The first of each is used when the upload's own
+// extension or MIME type does not match its content.
+const MEDIA_CONTAINERS = {
+  matroska: { extensions: ['.webm', '.mkv'], mimetypes: ['audio/webm', 'video/webm', 'video/x-matroska'] },
+  wav: { extensions: ['.wav'], mimetypes: ['audio/wav', 'audio/wave', 'audio/x-wav'] },
+  mp3: { extensions: ['.mp3'], mimetypes: ['audio/mpeg', 'audio/mp3'] },
+  ogg: { extensions: ['.ogg', '.opus'], mimetypes: ['audio/ogg', 'audio/opus'] },
+  flac: { extensions: ['.flac'], mimetypes: ['audio/flac', 'audio/x-flac'] },
+  mp4: { extensions: ['.mp4', '.m4v', '.mov'], mimetypes: ['video/mp4', 'video/x-m4v', 'video/quicktime'] }
+};
+
+// QuickTime files from older cameras start with one of these atoms instead of ftyp
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'wide', 'free', 'skip'];
+
+const SNIFF_BYTES = 12;
+
+// Container name for the first bytes of a file, or null when unrecognized
+const sniffContainer = (header) => {
+  const ascii = (start, end) => header.toString('latin1', start, end);
+
+  if (header.length >= 4 && header.readUInt32BE(0) === 0x1A45DFA3) {
+    return 'matroska';
+  }
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') {
+    return 'wav';
+  }
+  if (ascii(0, 4) === 'fLaC') {
+    return 'flac';
+  }
+  if (ascii(0, 4) === 'OggS') {
+    return 'ogg';
+  }
+  if (ascii(4, 8) === 'ftyp' || QUICKTIME_ATOMS.includes(ascii(4, 8))) {
+    return 'mp4';
+  }
+  // ID3 tag, or an MPEG audio frame header (frame sync with a non-zero layer; layer 0 is AAC)
+  if (ascii(0, 3) === 'ID3' || (header[0] === 0xFF && (header[1] & 0xE0) === 0xE0 && (header[1] & 0x06) !== 0)) {
+    return 'mp3';
+  }
+  return null;
+};
+
+/**
+ * Identify an uploaded file's container from its magic bytes rather than the
+ * extension or MIME type the client claimed.
+ *
+ * @returns {string|null} A key of MEDIA_CONTAINERS, or null when unrecognized
+ */
+export const detectMediaContainer = (filePath) => {
+  const header = Buffer.alloc(SNIFF_BYTES);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const bytesRead = fs.readSync(fd, header, 0, SNIFF_BYTES, 0);
+    return sniffContainer(header.subarray(0, bytesRead));
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+const unrecognizedMediaError = () => {
+  const error = new Error('The uploaded file is not an audio or video file we recognize. Its content does not match any supported format.');
+  error.code = 'UNRECOGNIZED_MEDIA';
+  return error;
+};
+
+// Rename the file and correct its MIME type when they do not match its content,
+// so providers that pick an encoding by extension read it correctly
+const matchFileToContent = (file, container) => {
+  const { extensions, mimetypes } = MEDIA_CONTAINERS[container];
+  const { name, ext } = path.parse(file.filename);
+  const mimetype = mimetypes.includes(file.mimetype) ? file.mimetype : mimetypes[0];
+
+  if (extensions.includes(ext.toLowerCase())) {
+    return { ...file, mimetype };
+  }
+
+  const filename = name + extensions[0];
+  const filePath = path.join(path.dirname(file.path), filename);
+  fs.renameSync(file.path, filePath);
+  console.log(`🔎 ${file.originalname} contains ${container} data; stored as ${filename}`);
+  return { ...file, filename, path: filePath, mimetype };
+};
+
+// Unique name an upload is stored under in the uploads directory
+export const createUploadFilename = (originalName) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return 'audio-' + uniqueSuffix + path.extname(originalName).toLowerCase();
+};
+
+// Each user's uploads are kept in their own subdirectory of the uploads directory
+export const getUserUploadsDir = (uploadsDir, userId) => {
+  const userDir = path.join(uploadsDir, userId);
+  fs.mkdirSync(userDir, { recursive: true });
+  return userDir;
+};
+
+const isVideoUpload = (file) => file.mimetype.startsWith('video/')
+  || VIDEO_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+
+export const isSupportedUpload = (file) => {
+  const fileExtension = path.extname(file.originalname).toLowerCase();
+  return AUDIO_MIME_TYPES.includes(file.mimetype)
+    || VIDEO_MIME_TYPES.includes(file.mimetype)
+    || AUDIO_EXTENSIONS.includes(fileExtension)
+    || VIDEO_EXTENSIONS.includes(fileExtension);
+};
+
+// Audio that can be transcribed as-is, without guessing its encoding
+const isCanonicalAudio = (audio) => HEADER_DESCRIBED_CODECS.includes(audio.codec)
+  && audio.channels === 1
+  && audio.sampleRate >= MIN_SAMPLE_RATE
+  && audio.sampleRate <= MAX_SAMPLE_RATE;
+
+// Media facts returned in upload responses
+const describeMedia = (probe) => ({
+  duration: probe.duration !== null ? Number(probe.duration.toFixed(2)) : null,
+  format: probe.format,
+  codec: probe.audio.codec,
+  sampleRate: probe.audio.sampleRate,
+  channels: probe.audio.channels,
+  bitRate: probe.audio.bitRate
+});
+
+const noAudioTrackError = () => {
+  const error = new Error('The uploaded file does not contain an audio track.');
+  error.code = 'NO_AUDIO_TRACK';
+  return error;
+};
+
+// Videos are replaced by their audio track, and audio in any other format
+// than mono FLAC/16-bit WAV is transcoded to mono 16kHz FLAC next to it in
+// the uploads directory. Without ffprobe, audio uploads are returned as-is.
+const normalizeUploadedMedia = async (file) => {
+  const isVideo = isVideoUpload(file);
+  let probe;
+
+  try {
+    probe = await probeMedia(file.path);
+  } catch (error) {
+    if (error.code !== 'COMMAND_NOT_FOUND' || isVideo) {
+      fs.rmSync(file.path, { force: true });
+      throw error;
+    }
+    console.warn('⚠️  ffprobe not found, skipping audio normalization');
+    return file;
+  }
+
+  if (!probe.audio) {
+    fs.rmSync(file.path, { force: true });
+    throw noAudioTrackError();
+  }
+
+  if (!probe.hasVideo && isCanonicalAudio(probe.audio)) {
+    return {
+      ...file,
+      media: { ...describeMedia(probe), normalized: false }
+    };
+  }
+
+  const { name, ext } = path.parse(file.filename);
+  const filename = ext.toLowerCase() === '.flac' ? `${name}-normalized.flac` : `${name}.flac`;
+  const outputPath = path.join(path.dirname(file.path), filename);
+
+  console.log(probe.hasVideo
+    ? `🎬 Extracting audio from video: ${file.originalname}`
+    : `🔄 Normalizing ${probe.audio.codec} audio (${probe.audio.sampleRate}Hz, ${probe.audio.channels}ch) to mono ${CANONICAL_SAMPLE_RATE}Hz FLAC`);
+
+  let normalized;
+  try {
+    await extractAudioTrack(file.path, outputPath, CANONICAL_SAMPLE_RATE);
+    normalized = await probeMedia(outputPath);
+  } catch (error) {
+    fs.rmSync(outputPath, { force: true });
+    throw error;
+  } finally {
+    // Only the normalized audio is kept
+    fs.rmSync(file.path, { force: true });
+  }
+
+  return {
+    ...file,
+    filename: filename,
+    path: outputPath,
+    size: fs.statSync(outputPath).size,
+    mimetype: 'audio/flac',
+    media: {
+      ...describeMedia(normalized),
+      normalized: true,
+      source: {
+        ...describeMedia(probe),
+        hasVideo: probe.hasVideo
+      }
+    },
+    ...(probe.hasVideo && {
+      extractedFrom: {
+        filename: file.filename,
+        size: file.size,
+        mimetype: file.mimetype
+      }
+    })
+  };
+};
+
+/**
+ * Check an uploaded file's content, then probe it and normalize it for
+ * transcription.
+ *
+ * Files whose magic bytes match no supported container are deleted and
+ * rejected; files whose extension does not match their content are renamed.
+ * The audio that will be transcribed is hashed so identical recordings can
+ * share cached transcripts.
+ *
+ * @param {Object} upload - Multer file ({ filename, originalname, path, size, mimetype })
+ * @returns {Promise<Object>} File info for the audio to transcribe, with
+ *   `contentHash` (SHA-256), `media` (duration, format, codec, sampleRate,
+ *   channels, bitRate, normalized, source) when probed and `extractedFrom`
+ *   describing the original video
+ */
+export const prepareUploadedMedia = async (upload) => {
+  const container = detectMediaContainer(upload.path);
+  if (!container) {
+    fs.rmSync(upload.path, { force: true });
+    throw unrecognizedMediaError();
+  }
+
+  const file = await normalizeUploadedMedia(matchFileToContent(upload, container));
+  return {
+    ...file,
+    contentHash: await hashFile(file.path)
+  };
+};
+
+// Map audio extraction failures to a { status, message } response, or null
+export const getMediaErrorResponse = (error) => {
+  if (error.code === 'NO_AUDIO_TRACK') {
+    return { status: 422, message: error.message };
+  }
+  if (error.code === 'UNRECOGNIZED_MEDIA') {
+    return { status: 415, message: error.message };
+  }
+  if (error.code === 'COMMAND_NOT_FOUND') {
+    return { status: 500, message: 'ffmpeg and ffprobe are required to process videos. Please install ffmpeg or set FFMPEG_PATH and FFPROBE_PATH.' };
+  }
+  return null;
+};
+
+export const describeUploadMessage = (file) => {
+  if (file.extractedFrom) {
+    return 'Audio extracted from uploaded video';
+  }
+  if (file.media && file.media.normalized) {
+    return 'Audio file uploaded and converted to mono 16kHz FLAC';
+  }
+  return 'Audio file uploaded successfully';
+};
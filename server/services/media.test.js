@@ -0,0 +1,64 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createUploadFilename, detectMediaContainer, isSupportedUpload } from './media.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-test-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// Write the bytes to a file with a misleading name, to show the name is not used
+const writeSample = (bytes) => {
+  const filePath = path.join(tempDir, `sample-${Math.random().toString(36).slice(2)}.bin`);
+  fs.writeFileSync(filePath, Buffer.concat([Buffer.from(bytes), Buffer.alloc(32)]));
+  return filePath;
+};
+
+const ascii = (text) => [...Buffer.from(text, 'latin1')];
+
+test('detectMediaContainer recognizes supported containers by their magic bytes', () => {
+  const samples = {
+    matroska: [0x1A, 0x45, 0xDF, 0xA3],
+    wav: [...ascii('RIFF'), 0x24, 0, 0, 0, ...ascii('WAVE')],
+    flac: ascii('fLaC'),
+    ogg: ascii('OggS'),
+    mp4: [0, 0, 0, 0x20, ...ascii('ftypisom')],
+    mp3: ascii('ID3')
+  };
+
+  for (const [container, bytes] of Object.entries(samples)) {
+    assert.equal(detectMediaContainer(writeSample(bytes)), container);
+  }
+});
+
+test('detectMediaContainer recognizes QuickTime files without an ftyp atom', () => {
+  assert.equal(detectMediaContainer(writeSample([0, 0, 0, 8, ...ascii('wide')])), 'mp4');
+  assert.equal(detectMediaContainer(writeSample([0, 0, 0, 8, ...ascii('moov')])), 'mp4');
+});
+
+test('detectMediaContainer tells MPEG audio frames from AAC ADTS frames', () => {
+  assert.equal(detectMediaContainer(writeSample([0xFF, 0xFB, 0x90, 0x64])), 'mp3');
+  assert.equal(detectMediaContainer(writeSample([0xFF, 0xF1, 0x50, 0x80])), null);
+});
+
+test('detectMediaContainer returns null for other content', () => {
+  assert.equal(detectMediaContainer(writeSample(ascii('<!DOCTYPE html>'))), null);
+  assert.equal(detectMediaContainer(writeSample([0x25, 0x50, 0x44, 0x46])), null); // %PDF
+  assert.equal(detectMediaContainer(writeSample(ascii('RIFF\0\0\0\0AVI '))), null);
+
+  const emptyPath = path.join(tempDir, 'empty.webm');
+  fs.writeFileSync(emptyPath, '');
+  assert.equal(detectMediaContainer(emptyPath), null);
+});
+
+test('isSupportedUpload accepts audio and video by MIME type or extension', () => {
+  assert.ok(isSupportedUpload({ originalname: 'lecture.bin', mimetype: 'audio/webm' }));
+  assert.ok(isSupportedUpload({ originalname: 'lecture.MKV', mimetype: 'application/octet-stream' }));
+  assert.ok(!isSupportedUpload({ originalname: 'slides.pdf', mimetype: 'application/pdf' }));
+});
+
+test('createUploadFilename keeps only the lower-cased extension of the original name', () => {
+  const filename = createUploadFilename('../../My Lecture.WAV');
+  assert.match(filename, /^audio-\d+-\d+\.wav$/);
+});
@@ -0,0 +1,521 @@
+import { defaultSpeakerLabel } from './transcription/index.js';
+import { annotateTimedBlocks, formatBookmarkMarker, formatTimestamp } from './bookmarks.js';
+import { DEFAULT_NOTE_STYLE } from './templates.js';
+import { buildJsonOutputInstruction, generateStructuredNotes, structuredNotesToMarkdown } from './structuredNotes.js';
+
+// Transcripts within these limits are structured in a single model call.
+// Longer ones are split into overlapping chunks (map-reduce).
+export const MAX_TRANSCRIPT_LENGTH = 100000; // characters (~25k words)
+export const MAX_TRANSCRIPT_WORDS = 25000; // words
+export const MIN_TRANSCRIPT_WORDS = 10;
+
+// Map-reduce chunking. MAX_NOTE_CHUNKS caps the model calls per transcript
+// (chunks + 1 merge) to prevent unexpected costs.
+export const NOTE_CHUNK_WORDS = 8000;
+export const NOTE_CHUNK_OVERLAP_WORDS = 300;
+export const MAX_NOTE_CHUNKS = 16;
+
+// JSON notes give each section a startTime, read from "[m:ss]" markers placed
+// in the transcript text at most this often
+const TIME_MARKER_INTERVAL_SECONDS = 60;
+
+export const countWords = (text) => text.split(/\s+/).filter(word => word.length > 0).length;
+
+const getSpeakerName = (speakers, speakerTag) => (speakers && speakers[speakerTag]) || defaultSpeakerLabel(speakerTag);
+
+// Render speaker turns as "Name: text" paragraphs
+export const formatSpeakerTranscript = (speakerTurns, speakers) => speakerTurns
+  .map(turn => `${getSpeakerName(speakers, turn.speakerTag)}: ${turn.text}`)
+  .join('\n\n');
+
+// The speaker with the most words is assumed to be the lecturer
+const findMainSpeaker = (speakerTurns) => {
+  const wordCounts = {};
+  for (const turn of speakerTurns) {
+    wordCounts[turn.speakerTag] = (wordCounts[turn.speakerTag] || 0) + countWords(turn.text);
+  }
+  return Object.keys(wordCounts).sort((a, b) => wordCounts[b] - wordCounts[a])[0];
+};
+
+// Notes requirements shared by the single-pass and merge prompts: the
+// template's instructions plus what this transcript needs on top
+const buildRequirements = (style, { qaInstruction, bookmarkInstruction } = {}) => {
+  const extras = [
+    qaInstruction && `**Q&A**: ${qaInstruction}`,
+    bookmarkInstruction && `**Student Bookmarks**: ${bookmarkInstruction}`
+  ].filter(Boolean);
+
+  const lines = [style.template.instructions];
+  if (extras.length > 0) {
+    lines.push('', 'Also:', ...extras.map(item => `- ${item}`));
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+const DETAIL_INSTRUCTIONS = {
+  brief: 'Keep the notes brief: only the essential points, without examples or asides unless they are crucial.',
+  standard: 'Make the notes clear, concise, and easy to study from. Focus on the most important information and maintain logical flow.',
+  detailed: 'Make the notes thorough: keep the definitions, explanations, examples and reasoning given in the lecture while maintaining a logical flow.'
+};
+
+// Detail level and output language
+const buildStyleInstructions = ({ detailLevel, language }) => [
+  DETAIL_INSTRUCTIONS[detailLevel],
+  language && `Write the notes in ${language}.`
+].filter(Boolean).join(' ');
+
+// Prefix "[m:ss]" to the first timed block of each marker interval
+const addTimeMarkers = (blocks, texts) => {
+  let nextMarkerTime = 0;
+  return texts.map((text, index) => {
+    const { startTime } = blocks[index];
+    if (startTime < nextMarkerTime) {
+      return text;
+    }
+    nextMarkerTime = startTime + TIME_MARKER_INTERVAL_SECONDS;
+    return `[${formatTimestamp(startTime)}] ${text}`;
+  });
+};
+
+// Annotated texts of timed blocks (sentences or speaker turns), as
+// "Name: text" paragraphs per speaker when diarized and as running text otherwise
+const formatTimedBlocks = (blocks, texts, speakers, hasSpeakers) => {
+  if (!hasSpeakers) {
+    return texts.join(' ');
+  }
+
+  const paragraphs = [];
+  blocks.forEach((block, index) => {
+    const previous = paragraphs[paragraphs.length - 1];
+    if (previous && previous.speakerTag === block.speakerTag) {
+      previous.text += ` ${texts[index]}`;
+    } else {
+      paragraphs.push({ speakerTag: block.speakerTag, text: texts[index] });
+    }
+  });
+  return formatSpeakerTranscript(paragraphs, speakers);
+};
+
+// Text sent to the model: speaker-labelled when diarization is available.
+// Bookmarks (and time markers for JSON notes) are placed in the text by time
+// using the sentences or speaker turns; without timings bookmarks are listed
+// in the prompt instead.
+const getSourceText = (transcript, { speakerTurns, speakers, sentences, bookmarks, style }) => {
+  const hasSpeakers = Array.isArray(speakerTurns) && speakerTurns.length > 0;
+  const hasBookmarks = Array.isArray(bookmarks) && bookmarks.length > 0;
+  const hasSentences = Array.isArray(sentences) && sentences.length > 0;
+  const wantsTimes = Boolean(style && style.format === 'json');
+  // Sentences are the finer timings when both are available
+  const timedBlocks = hasSentences ? sentences : hasSpeakers ? speakerTurns : null;
+
+  let text = hasSpeakers ? formatSpeakerTranscript(speakerTurns, speakers) : transcript;
+  let unplacedBookmarks = [];
+
+  if (timedBlocks && (hasBookmarks || wantsTimes)) {
+    let texts = hasBookmarks ? annotateTimedBlocks(timedBlocks, bookmarks) : timedBlocks.map(block => block.text);
+    if (wantsTimes) {
+      texts = addTimeMarkers(timedBlocks, texts);
+    }
+    text = formatTimedBlocks(timedBlocks, texts, speakers, hasSpeakers);
+  } else if (hasBookmarks) {
+    unplacedBookmarks = bookmarks;
+  }
+
+  return {
+    hasSpeakers: hasSpeakers,
+    lecturer: hasSpeakers ? getSpeakerName(speakers, findMainSpeaker(speakerTurns)) : null,
+    text: text,
+    hasBookmarks: hasBookmarks,
+    unplacedBookmarks: unplacedBookmarks,
+    hasTimeMarkers: wantsTimes && Boolean(timedBlocks)
+  };
+};
+
+// Last lines of the single-pass and merge prompts. JSON notes restate the
+// schema after the transcript, where the model is most likely to follow it.
+const buildClosing = (style, hasTimeMarkers, what) => (style.format === 'json'
+  ? `${buildJsonOutputInstruction(hasTimeMarkers)}
+
+Please provide the ${what} as JSON now:`
+  : `Please provide the ${what} now:`);
+
+const BOOKMARK_FORMAT = 'Cover the passage each bookmark refers to in extra detail and mark it with ⭐. Include every student note at the point in the notes it relates to, as a blockquote starting with "📝 My note:"';
+
+// Instruction for bookmarks in the transcript text, or listed when they
+// could not be placed (no timings)
+const buildBookmarkInstruction = ({ hasBookmarks, unplacedBookmarks }) => {
+  if (!hasBookmarks) {
+    return null;
+  }
+
+  if (unplacedBookmarks.length === 0) {
+    return `The transcript contains [BOOKMARK] and [STUDENT NOTE] markers the student added while recording, placed right after what was being said at the time. ${BOOKMARK_FORMAT}. Do not copy the markers themselves`;
+  }
+
+  const list = unplacedBookmarks.map(bookmark => `   - ${formatBookmarkMarker(bookmark)}`).join('\n');
+  return `The student added these bookmarks while recording. The transcript has no timings, so relate each one to the content it most likely refers to, using its time from the start of the recording as a guide. ${BOOKMARK_FORMAT}.
+${list}`;
+};
+
+/**
+ * Create detailed prompt for the notes model.
+ *
+ * @param {string} transcript - Lecture transcript
+ * @param {Object} [options]
+ * @param {Array} [options.speakerTurns] - Diarized turns; when present the prompt uses
+ *   the speaker-labelled transcript and asks for a separate Q&A section
+ * @param {Object} [options.speakers] - Display names keyed by speaker tag
+ * @param {Array} [options.bookmarks] - Student bookmarks from parseBookmarks()
+ * @param {Array} [options.sentences] - Timed sentences used to place the bookmarks
+ * @param {Object} [options.style] - Template, detail level, language and format from resolveNoteStyle()
+ */
+export const buildNotesPrompt = (transcript, options = {}) => {
+  const style = options.style || DEFAULT_NOTE_STYLE;
+  const source = getSourceText(transcript, options);
+  const { hasSpeakers, lecturer, text } = source;
+
+  const qaInstruction = hasSpeakers
+    ? `The transcript is labelled by speaker. ${lecturer} is the lecturer; other speakers are audience members. Do not mix audience questions into the main sections — put them in a dedicated "Q&A" section near the end (before any closing summary or takeaways), listing each question with a summary of the answer given`
+    : null;
+
+  return `You are an expert note-taker and educational content organizer. Your task is to transform the following lecture transcript into well-structured, organized notes.
+
+Please create notes following this template:
+
+${buildRequirements(style, { qaInstruction, bookmarkInstruction: buildBookmarkInstruction(source) })}
+${buildStyleInstructions(style)}
+
+Here is the transcript:
+
+${text}
+
+${buildClosing(style, source.hasTimeMarkers, 'structured notes')}`;
+};
+
+// Prompt for the notes of one chunk of a long transcript (map step)
+const buildChunkPrompt = (chunk, index, total, { hasSpeakers, lecturer, hasBookmarks, unplacedBookmarks, hasTimeMarkers }, style) => {
+  const questionsInstruction = hasSpeakers
+    ? `- The transcript is labelled by speaker. ${lecturer} is the lecturer; list any audience questions with a summary of the answer given under a final "Questions" heading
+`
+    : '';
+  // Bookmarks without timings are only given to the merge step
+  const bookmarkInstruction = hasBookmarks && unplacedBookmarks.length === 0
+    ? `- ${buildBookmarkInstruction({ hasBookmarks, unplacedBookmarks })}
+`
+    : '';
+  const timeInstruction = hasTimeMarkers
+    ? `- The transcript contains [m:ss] time markers. Start each section header with the marker at or just before the point where its topic begins, e.g. "## [12:34] Topic"
+`
+    : '';
+
+  return `You are an expert note-taker. The following is part ${index + 1} of ${total} of a long lecture transcript. Consecutive parts overlap slightly.
+
+Write detailed notes for this part only:
+- Organize the content into logical sections with clear headers (##, ###)
+- Use bullet points for key concepts, definitions, important facts and examples
+- Use **bold** for important terms
+- Do not write a title, overview or key takeaways; the notes for all parts will be merged later
+${questionsInstruction}${bookmarkInstruction}${timeInstruction}
+The notes for all parts will be merged into the template below, so capture everything it needs from this part (such as definitions, formulas or procedure steps):
+
+${style.template.instructions}
+
+Here is part ${index + 1} of the transcript:
+
+${chunk}
+
+Please provide the notes for this part now:`;
+};
+
+const formatPartialNotes = (partialNotes) => partialNotes
+  .map((notes, index) => `--- Notes for part ${index + 1} of ${partialNotes.length} ---\n\n${notes}`)
+  .join('\n\n');
+
+// Prompt combining the notes of consecutive parts into notes for their span
+// of the lecture, when all partial notes are too long for one merge prompt
+const buildGroupMergePrompt = (partialNotes, { hasSpeakers, hasBookmarks, unplacedBookmarks, hasTimeMarkers }) => {
+  const questionsInstruction = hasSpeakers
+    ? `- Keep the audience questions and answers under a single final "Questions" heading
+`
+    : '';
+  const bookmarkInstruction = hasBookmarks && unplacedBookmarks.length === 0
+    ? `- Keep the ⭐ marks and the "📝 My note:" blockquotes at the points they belong to
+`
+    : '';
+  const timeInstruction = hasTimeMarkers
+    ? `- Keep the [m:ss] time markers at the start of the section headers
+`
+    : '';
+
+  return `You are an expert note-taker. A long lecture transcript was split into consecutive, slightly overlapping parts and notes were written for each part. Below are the notes for ${partialNotes.length} consecutive parts. Combine them into one set of detailed notes for this span of the lecture; they will be merged with the notes for the rest of the lecture later.
+
+- Keep every concept, definition, fact, formula and example
+- Remove content repeated because of the overlap between parts, merge sections that cover the same topic, and keep the order in which topics were taught
+- Organize the content into sections with clear headers (##, ###), bullet points and **bold** important terms
+- Do not write a title, overview or key takeaways, and do not mention the parts themselves
+${questionsInstruction}${bookmarkInstruction}${timeInstruction}
+${formatPartialNotes(partialNotes)}
+
+Please provide the combined notes now:`;
+};
+
+// Prompt merging the per-chunk notes into one document (reduce step)
+const buildMergePrompt = (partialNotes, source, style) => {
+  const { hasSpeakers, hasBookmarks, unplacedBookmarks, hasTimeMarkers } = source;
+  const qaInstruction = hasSpeakers
+    ? 'Collect the audience questions from the "Questions" sections of the partial notes into a dedicated "Q&A" section near the end (before any closing summary or takeaways), listing each question with a summary of the answer given'
+    : null;
+  const bookmarkInstruction = hasBookmarks && unplacedBookmarks.length === 0
+    ? 'Keep the ⭐ marks and the "📝 My note:" blockquotes from the partial notes at the points they belong to'
+    : buildBookmarkInstruction(source);
+
+  return `You are an expert note-taker and educational content organizer. A long lecture transcript was split into ${partialNotes.length} consecutive, slightly overlapping parts and notes were written for each part. Your task is to merge these partial notes into a single, well-structured set of notes for the whole lecture.
+
+Please create notes following this template:
+
+${buildRequirements(style, { qaInstruction, bookmarkInstruction })}
+${buildStyleInstructions(style)} Remove content repeated because of the overlap between parts, merge sections that cover the same topic, and keep the order in which topics were taught. Do not mention the parts themselves.
+
+${formatPartialNotes(partialNotes)}
+
+${buildClosing(style, hasTimeMarkers, 'merged notes')}`;
+};
+
+// Longest run of words kept together when a transcript has no sentence
+// punctuation; small enough that chunk overlaps can still be built from it
+const MAX_UNIT_WORDS = NOTE_CHUNK_OVERLAP_WORDS / 3;
+
+// Split text into sentence-sized units, remembering where paragraphs
+// (or speaker turns) begin so chunks can break on topic boundaries
+const splitIntoUnits = (text) => {
+  const units = [];
+
+  for (const paragraph of text.split(/\n+/)) {
+    const sentences = paragraph.split(/(?<=[.!?])\s+/).filter(sentence => sentence.trim());
+
+    sentences.forEach((sentence, sentenceIndex) => {
+      const words = sentence.trim().split(/\s+/);
+      for (let start = 0; start < words.length; start += MAX_UNIT_WORDS) {
+        const unitWords = words.slice(start, start + MAX_UNIT_WORDS);
+        units.push({
+          text: unitWords.join(' '),
+          words: unitWords.length,
+          paragraphStart: sentenceIndex === 0 && start === 0
+        });
+      }
+    });
+  }
+
+  return units;
+};
+
+const joinUnits = (units) => units
+  .map((unit, index) => (index === 0 ? '' : unit.paragraphStart ? '\n\n' : ' ') + unit.text)
+  .join('');
+
+/**
+ * Plan how a transcript is sent to the model: one call when it fits within
+ * MAX_TRANSCRIPT_WORDS / MAX_TRANSCRIPT_LENGTH, otherwise chunks of about
+ * NOTE_CHUNK_WORDS that overlap by NOTE_CHUNK_OVERLAP_WORDS. Chunks end at a
+ * paragraph or speaker change once they are 80% full, else at a sentence.
+ *
+ * @param {string} text - Text to send (speaker-labelled when diarized)
+ * @returns {{ strategy: 'single'|'map-reduce', chunks: string[] }}
+ */
+export const planNoteChunks = (text) => {
+  if (countWords(text) <= MAX_TRANSCRIPT_WORDS && text.length <= MAX_TRANSCRIPT_LENGTH) {
+    return { strategy: 'single', chunks: [text] };
+  }
+
+  const chunks = [];
+  let current = [];
+  let currentWords = 0;
+  let hasNewContent = false;
+
+  for (const unit of splitIntoUnits(text)) {
+    const full = currentWords + unit.words > NOTE_CHUNK_WORDS;
+    const atTopicBoundary = unit.paragraphStart && currentWords >= NOTE_CHUNK_WORDS * 0.8;
+
+    if (hasNewContent && (full || atTopicBoundary)) {
+      chunks.push(joinUnits(current));
+
+      // Start the next chunk with the tail of this one for context
+      const overlap = [];
+      let overlapWords = 0;
+      for (let i = current.length - 1; i > 0 && overlapWords + current[i].words <= NOTE_CHUNK_OVERLAP_WORDS; i--) {
+        overlap.unshift(current[i]);
+        overlapWords += current[i].words;
+      }
+
+      current = overlap;
+      currentWords = overlapWords;
+      hasNewContent = false;
+    }
+
+    current.push(unit);
+    currentWords += unit.words;
+    hasNewContent = true;
+  }
+
+  if (hasNewContent) {
+    chunks.push(joinUnits(current));
+  }
+
+  return { strategy: 'map-reduce', chunks: chunks };
+};
+
+// Whether partial notes fit into one merge prompt, within the single-call limits
+const fitsOneMerge = (partialNotes) => {
+  const text = partialNotes.join('\n\n');
+  return countWords(text) <= MAX_TRANSCRIPT_WORDS && text.length <= MAX_TRANSCRIPT_LENGTH;
+};
+
+/**
+ * Split partial notes that are too long for one merge prompt into runs of
+ * consecutive notes that fit, each combined by one model call. Groups take
+ * at least two notes, so every round shrinks the list even if single notes
+ * are long; a group of one is passed on as is.
+ *
+ * @param {string[]} partialNotes - Notes for consecutive parts, in order
+ * @returns {string[][]} The notes, grouped
+ */
+export const planMergeGroups = (partialNotes) => {
+  const groups = [];
+  let group = [];
+
+  for (const notes of partialNotes) {
+    if (group.length >= 2 && !fitsOneMerge([...group, notes])) {
+      groups.push(group);
+      group = [];
+    }
+    group.push(notes);
+  }
+  groups.push(group);
+
+  return groups;
+};
+
+// Check a transcript against the note generation budget.
+// Returns null when it is acceptable, otherwise an error body for a 400 response.
+export const checkTranscriptLimits = (transcript, options = {}) => {
+  const transcriptWords = countWords(transcript);
+
+  if (transcriptWords < MIN_TRANSCRIPT_WORDS) {
+    return {
+      message: `Transcript is too short (less than ${MIN_TRANSCRIPT_WORDS} words). Please provide a longer transcript.`
+    };
+  }
+
+  const { chunks } = planNoteChunks(getSourceText(transcript, options).text);
+  if (chunks.length > MAX_NOTE_CHUNKS) {
+    const maxWords = MAX_NOTE_CHUNKS * (NOTE_CHUNK_WORDS - NOTE_CHUNK_OVERLAP_WORDS);
+    return {
+      message: `Transcript is too long (${transcriptWords} words would need ${chunks.length} chunks). Maximum is ${MAX_NOTE_CHUNKS} chunks (about ${maxWords} words) to prevent unexpected costs.`,
+      currentWords: transcriptWords,
+      maxWords: maxWords,
+      chunkCount: chunks.length,
+      maxChunks: MAX_NOTE_CHUNKS
+    };
+  }
+
+  return null;
+};
+
+// Final model call. JSON notes are validated against the schema, and
+// repaired when needed, before markdown is derived from them.
+const generateFinalNotes = async (llmProvider, prompt, style, signal) => {
+  if (style.format !== 'json') {
+    const notes = await llmProvider.generate(prompt, { signal });
+    return { notes, structuredNotes: null, schemaRepairs: 0 };
+  }
+
+  const { notes, repairs } = await generateStructuredNotes(llmProvider, prompt, { signal });
+  return { notes: structuredNotesToMarkdown(notes), structuredNotes: notes, schemaRepairs: repairs };
+};
+
+const requireText = (text, step) => {
+  if (!text || text.trim().length === 0) {
+    throw new Error(`Received an empty response from the model for ${step}.`);
+  }
+  return text;
+};
+
+/**
+ * Turn a transcript into structured markdown notes.
+ *
+ * Transcripts beyond the single-call limits are map-reduced: each chunk is
+ * summarized separately, then the partial notes are merged in a final call.
+ * Partial notes too long for one merge prompt are first combined in groups
+ * (see planMergeGroups()), which adds model calls to chunking.modelCalls.
+ * With style.format "json" the final call returns notes in the JSON schema
+ * (see structuredNotes.js) and the markdown is derived from them.
+ *
+ * @param {Object} llmProvider - Provider from createLlmProviders()
+ * @param {string} transcript - Lecture transcript
+ * @param {Object} [options] - Prompt options, see buildNotesPrompt()
+ * @param {AbortSignal} [options.signal] - Aborts the model requests
+ * @param {Function} [options.onProgress] - Called with { completed, total } model call counts
+ * @returns {Promise<{ notes: string, structuredNotes: Object|null, schemaRepairs: number, chunking: Object }>}
+ *   Markdown notes, the JSON notes in JSON mode (with the number of repair
+ *   requests they needed) and the chunking plan used
+ */
+export const generateNotes = async (llmProvider, transcript, options = {}) => {
+  const { signal, onProgress } = options;
+  const style = options.style || DEFAULT_NOTE_STYLE;
+  const source = getSourceText(transcript, options);
+  const { strategy, chunks } = planNoteChunks(source.text);
+
+  const chunking = {
+    strategy: strategy,
+    chunkCount: chunks.length,
+    chunkWords: chunks.map(countWords),
+    overlapWords: strategy === 'map-reduce' ? NOTE_CHUNK_OVERLAP_WORDS : 0,
+    modelCalls: strategy === 'map-reduce' ? chunks.length + 1 : 1
+  };
+
+  if (strategy === 'single') {
+    const result = await generateFinalNotes(llmProvider, buildNotesPrompt(transcript, options), style, signal);
+    return { ...result, chunking };
+  }
+
+  const partialNotes = [];
+  for (let i = 0; i < chunks.length; i++) {
+    if (onProgress) {
+      onProgress({ completed: i, total: chunking.modelCalls });
+    }
+    console.log(`🧩 Structuring chunk ${i + 1}/${chunks.length} (${chunking.chunkWords[i]} words)...`);
+    const partial = await llmProvider.generate(buildChunkPrompt(chunks[i], i, chunks.length, source, style), { signal });
+    partialNotes.push(requireText(partial, `part ${i + 1} of ${chunks.length}`));
+  }
+
+  let completed = chunks.length;
+  let mergeInput = partialNotes;
+  while (mergeInput.length > 2 && !fitsOneMerge(mergeInput)) {
+    const groups = planMergeGroups(mergeInput);
+    chunking.modelCalls += groups.filter(group => group.length > 1).length;
+    console.log(`🧵 Combining notes from ${mergeInput.length} parts into ${groups.length}...`);
+
+    const combined = [];
+    for (const group of groups) {
+      if (group.length === 1) {
+        combined.push(group[0]);
+        continue;
+      }
+      if (onProgress) {
+        onProgress({ completed, total: chunking.modelCalls });
+      }
+      const notes = await llmProvider.generate(buildGroupMergePrompt(group, source), { signal });
+      combined.push(requireText(notes, `combining ${group.length} parts`));
+      completed++;
+    }
+    mergeInput = combined;
+  }
+
+  if (onProgress) {
+    onProgress({ completed, total: chunking.modelCalls });
+  }
+  console.log(`🧵 Merging notes from ${mergeInput.length} parts...`);
+  const result = await generateFinalNotes(llmProvider, buildMergePrompt(mergeInput, source, style), style, signal);
+
+  return { ...result, chunking };
+};
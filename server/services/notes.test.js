@@ -0,0 +1,155 @@
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_NOTE_CHUNKS,
+  MAX_TRANSCRIPT_WORDS,
+  NOTE_CHUNK_OVERLAP_WORDS,
+  NOTE_CHUNK_WORDS,
+  checkTranscriptLimits,
+  countWords,
+  generateNotes,
+  planMergeGroups,
+  planNoteChunks
+} from './notes.js';
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+// Numbered ten-word sentences, so every word is unique and order can be checked
+const buildTranscript = (sentenceCount, sentencesPerParagraph = Infinity) => Array.from({ length: sentenceCount }, (_, i) => {
+  const sentence = Array.from({ length: 10 }, (__, j) => `w${i}x${j}`).join(' ') + '.';
+  return i > 0 && i % sentencesPerParagraph === 0 ? `\n\n${sentence}` : sentence;
+}).join(' ');
+
+test('planNoteChunks sends transcripts within the limits in one call', () => {
+  const text = buildTranscript(100);
+  assert.deepEqual(planNoteChunks(text), { strategy: 'single', chunks: [text] });
+});
+
+test('planNoteChunks splits long transcripts into overlapping chunks that cover every word', () => {
+  const text = buildTranscript(MAX_TRANSCRIPT_WORDS / 10 + 1000);
+  const { strategy, chunks } = planNoteChunks(text);
+
+  assert.equal(strategy, 'map-reduce');
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(countWords(chunk) <= NOTE_CHUNK_WORDS, 'chunk is within NOTE_CHUNK_WORDS');
+  }
+
+  // Each chunk starts with at most NOTE_CHUNK_OVERLAP_WORDS words of the previous one
+  for (let i = 1; i < chunks.length; i++) {
+    const previous = new Set(chunks[i - 1].split(/\s+/));
+    const repeated = chunks[i].split(/\s+/).filter(word => previous.has(word));
+    assert.ok(repeated.length > 0 && repeated.length <= NOTE_CHUNK_OVERLAP_WORDS);
+  }
+
+  const covered = new Set(chunks.flatMap(chunk => chunk.split(/\s+/)));
+  assert.equal(covered.size, countWords(text));
+});
+
+test('planNoteChunks ends chunks at a sentence', () => {
+  const { chunks } = planNoteChunks(buildTranscript(3000));
+  for (const chunk of chunks) {
+    assert.match(chunk, /\.$/);
+  }
+});
+
+test('planNoteChunks prefers to end a chunk at a paragraph once it is mostly full', () => {
+  // Paragraphs of 1,000 words; a break is reached at 7,000 words (over 80% full)
+  const { chunks } = planNoteChunks(buildTranscript(3000, 100));
+  const firstChunkWords = countWords(chunks[0]);
+  assert.ok(firstChunkWords >= NOTE_CHUNK_WORDS * 0.8 && firstChunkWords % 1000 === 0,
+    `first chunk has ${firstChunkWords} words`);
+});
+
+test('planNoteChunks still splits transcripts without sentence punctuation', () => {
+  const text = Array.from({ length: 30000 }, (_, i) => `word${i}`).join(' ');
+  const { chunks } = planNoteChunks(text);
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(countWords(chunk) <= NOTE_CHUNK_WORDS);
+  }
+});
+
+test('checkTranscriptLimits rejects transcripts that are too short or need too many chunks', () => {
+  assert.match(checkTranscriptLimits('Too short.').message, /too short/);
+  assert.equal(checkTranscriptLimits(buildTranscript(100)), null);
+
+  const tooLong = checkTranscriptLimits(buildTranscript(MAX_NOTE_CHUNKS * NOTE_CHUNK_WORDS / 10 + 1000));
+  assert.match(tooLong.message, /too long/);
+  assert.ok(tooLong.chunkCount > MAX_NOTE_CHUNKS);
+  assert.equal(tooLong.maxChunks, MAX_NOTE_CHUNKS);
+});
+
+const words = (count) => Array(count).fill('w').join(' ');
+
+// Group sizes in words, to keep failures readable
+const groupWords = (groups) => groups.map(group => group.map(countWords));
+
+test('planMergeGroups keeps consecutive notes together while they fit one prompt', () => {
+  const long = words(MAX_TRANSCRIPT_WORDS * 0.4);
+  const short = words(100);
+  const longWords = countWords(long);
+
+  assert.deepEqual(groupWords(planMergeGroups([long, long, long, long, short])), [[longWords, longWords], [longWords, longWords, 100]]);
+  assert.deepEqual(groupWords(planMergeGroups([short, short, short])), [[100, 100, 100]]);
+});
+
+test('planMergeGroups also keeps notes within the character limit', () => {
+  const wide = Array(MAX_TRANSCRIPT_WORDS / 10).fill('w'.repeat(15)).join(' ');
+  assert.deepEqual(planMergeGroups([wide, wide, wide, wide]).map(group => group.length), [2, 2]);
+});
+
+test('planMergeGroups takes at least two notes per group, even long ones', () => {
+  const tooLong = words(MAX_TRANSCRIPT_WORDS);
+  assert.deepEqual(planMergeGroups([tooLong, tooLong, tooLong]).map(group => group.length), [2, 1]);
+});
+
+// Provider answering each kind of prompt with notes of a fixed size
+const createProvider = (partialWords) => {
+  const prompts = [];
+  return {
+    prompts,
+    name: 'fake',
+    model: 'fake-1',
+    generate: async (prompt) => {
+      const kind = prompt.startsWith('You are an expert note-taker. The following is part')
+        ? 'part'
+        : prompt.includes('Combine them into one set of detailed notes') ? 'combine' : 'merge';
+      prompts.push({ kind, words: countWords(prompt) });
+      return kind === 'part' ? `## Part\n\n${words(partialWords)}` : `## ${kind}\n\n- notes`;
+    }
+  };
+};
+
+test('generateNotes merges partial notes in one call when they fit', async () => {
+  const provider = createProvider(1000);
+  const transcript = buildTranscript(MAX_TRANSCRIPT_WORDS / 10 + 1000);
+  const { notes, chunking } = await generateNotes(provider, transcript);
+
+  assert.equal(notes, '## merge\n\n- notes');
+  assert.deepEqual(provider.prompts.map(prompt => prompt.kind), [...chunking.chunkWords.map(() => 'part'), 'merge']);
+  assert.equal(chunking.modelCalls, chunking.chunkCount + 1);
+});
+
+test('generateNotes combines long partial notes in groups before the final merge', async () => {
+  const provider = createProvider(NOTE_CHUNK_WORDS);
+  const transcript = buildTranscript(MAX_NOTE_CHUNKS * (NOTE_CHUNK_WORDS - NOTE_CHUNK_OVERLAP_WORDS) / 10);
+  const progress = [];
+  const { chunking } = await generateNotes(provider, transcript, { onProgress: (update) => progress.push(update) });
+
+  const kinds = provider.prompts.map(prompt => prompt.kind);
+  const combines = kinds.filter(kind => kind === 'combine').length;
+  assert.ok(combines > 0);
+  assert.equal(kinds[kinds.length - 1], 'merge');
+  assert.equal(chunking.modelCalls, chunking.chunkCount + combines + 1);
+
+  // No prompt goes over the single-call budget (plus the prompt's own instructions)
+  for (const prompt of provider.prompts) {
+    assert.ok(prompt.words <= MAX_TRANSCRIPT_WORDS + 1000, `${prompt.kind} prompt has ${prompt.words} words`);
+  }
+
+  const last = progress[progress.length - 1];
+  assert.deepEqual(last, { completed: chunking.modelCalls - 1, total: chunking.modelCalls });
+});
@@ -0,0 +1,158 @@
+import fs from 'fs';
+import { resolveProvider, transcribeAudioFile } from './transcription/index.js';
+import { resolveLlmProvider } from './llm/index.js';
+import {
+  checkTranscriptLimits,
+  countWords,
+  generateNotes
+} from './notes.js';
+import { DEFAULT_NOTE_STYLE } from './templates.js';
+import { createTokenUsage, meterProvider } from './usage.js';
+import { getNotesCacheKey, getTranscriptCacheKey } from './cache.js';
+import { hashFile } from '../utils/hash.js';
+
+/**
+ * Stage handlers for the upload → transcribe → structure job pipeline.
+ * These mirror the /api/transcribe and /api/structure-notes routes.
+ *
+ * @param {Object} clients
+ * @param {Object} clients.transcriptionProviders - From createTranscriptionProviders()
+ * @param {Object} clients.llmProviders - From createLlmProviders()
+ * @param {Object} clients.usageLedger - Usage is billed to the job's user
+ * @param {Object} clients.resultCache - Transcripts and notes are reused unless
+ *   the job was created with forceRefresh
+ */
+export const createPipelineHandlers = ({ transcriptionProviders, llmProviders, usageLedger, resultCache }) => ({
+  transcribe: async (job, { signal, reportProgress }) => {
+    const filePath = job.file.path;
+    let succeeded = false;
+
+    try {
+      const { provider, error: providerError } = resolveProvider(transcriptionProviders, job.options.provider);
+      if (providerError) {
+        throw new Error(providerError);
+      }
+
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`Audio file '${job.file.filename}' not found. Please upload the file again.`);
+      }
+
+      // Jobs queued before audio was hashed on upload are hashed now
+      const contentHash = job.file.contentHash || await hashFile(filePath);
+      const { value: result, cache } = await resultCache.getOrCompute(
+        'transcripts',
+        getTranscriptCacheKey(contentHash, provider, { diarization: job.options.diarization }),
+        () => transcribeAudioFile(provider, filePath, {
+          diarization: job.options.diarization,
+          signal,
+          onProgress: ({ completed, total }) => reportProgress((completed / total) * 100)
+        }),
+        { forceRefresh: job.options.forceRefresh, isCacheable: (transcription) => Boolean(transcription.transcript), signal }
+      );
+
+      succeeded = true;
+      if (!cache.hit) {
+        usageLedger.record({ userId: job.userId, kind: 'transcription', provider: result.provider, audioSeconds: result.audioSeconds, jobId: job.id });
+      }
+
+      return {
+        transcript: result.transcript,
+        segments: result.segments,
+        words: result.words,
+        sentences: result.sentences,
+        speakerTurns: result.speakerTurns,
+        speakers: result.speakers,
+        wordCount: countWords(result.transcript),
+        confidence: parseFloat((result.confidence * 100).toFixed(2)),
+        method: result.method,
+        provider: result.provider,
+        audioSeconds: result.audioSeconds,
+        cache: cache
+      };
+    } finally {
+      // Unless the job keeps it for playback, the audio is not needed once
+      // transcription has finished, failed or been cancelled
+      if (!(succeeded && job.options.keepAudio) && fs.existsSync(filePath)) {
+        try {
+          fs.unlinkSync(filePath);
+          console.log(`🗑️  Deleted audio file: ${job.file.filename}`);
+        } catch (deleteError) {
+          console.error(`⚠️  Failed to delete audio file: ${deleteError.message}`);
+        }
+      }
+    }
+  },
+
+  structure: async (job, { signal, reportProgress }) => {
+    const { transcript, speakerTurns, speakers, sentences } = job.outputs.transcribe;
+    // Jobs queued before bookmarks and templates were supported have neither
+    const bookmarks = job.options.bookmarks || [];
+    const style = job.options.style || DEFAULT_NOTE_STYLE;
+
+    if (!transcript || transcript.trim().length === 0) {
+      return {
+        skipped: true,
+        reason: 'No speech detected in the audio file'
+      };
+    }
+
+    const { provider, error: providerError } = resolveLlmProvider(llmProviders, job.options.llmProvider);
+    if (providerError) {
+      throw new Error(providerError);
+    }
+
+    const limitError = checkTranscriptLimits(transcript, { speakerTurns, speakers, sentences, bookmarks, style });
+    if (limitError) {
+      throw new Error(limitError.message);
+    }
+
+    reportProgress(10);
+    const tokens = createTokenUsage();
+    const notesOptions = { speakerTurns, speakers, sentences, bookmarks, style };
+    let result;
+    let cache;
+    try {
+      ({ value: result, cache } = await resultCache.getOrCompute(
+        'notes',
+        getNotesCacheKey(transcript, provider, notesOptions),
+        () => generateNotes(meterProvider(provider, tokens), transcript, {
+          ...notesOptions,
+          signal,
+          onProgress: ({ completed, total }) => reportProgress(10 + (completed / total) * 90)
+        }),
+        { forceRefresh: job.options.forceRefresh, isCacheable: (generated) => Boolean(generated.notes && generated.notes.trim()), signal }
+      ));
+    } finally {
+      if (tokens.modelCalls > 0) {
+        usageLedger.record({ userId: job.userId, kind: 'notes', provider: provider.name, model: provider.model, tokens, jobId: job.id });
+      }
+    }
+    const { notes, structuredNotes, schemaRepairs, chunking } = result;
+
+    if (!notes || notes.trim().length === 0) {
+      throw new Error(`Failed to generate structured notes. Received empty response from ${provider.name}.`);
+    }
+
+    return {
+      notes: notes,
+      ...(structuredNotes && { structuredNotes }),
+      metadata: {
+        inputWords: countWords(transcript),
+        inputCharacters: transcript.length,
+        outputWords: countWords(notes),
+        outputCharacters: notes.length,
+        provider: provider.name,
+        model: provider.model,
+        chunking: chunking,
+        bookmarks: bookmarks.length,
+        template: { id: style.template.id, name: style.template.name },
+        detailLevel: style.detailLevel,
+        language: style.language,
+        format: style.format || 'markdown',
+        ...(structuredNotes && { schemaRepairs }),
+        usage: tokens,
+        cache: cache
+      }
+    };
+  }
+});
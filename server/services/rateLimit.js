@@ -0,0 +1,100 @@
+// Requests allowed per window for each group of routes, keyed by the signed-in
+// user (or the client IP for sign-in routes). Override a group with
+// RATE_LIMIT_<GROUP>=<requests>/<seconds>, e.g. RATE_LIMIT_TRANSCRIPTION=20/60,
+// or turn it off with RATE_LIMIT_<GROUP>=off.
+export const DEFAULT_RATE_LIMITS = {
+  // Sign up and sign in, per IP: slows down password guessing
+  auth: { max: 20, windowSeconds: 15 * 60, keyBy: 'ip' },
+  // Uploads, transcriptions and jobs
+  transcription: { max: 10, windowSeconds: 60, keyBy: 'user' },
+  // Note structuring and study materials
+  notes: { max: 10, windowSeconds: 60, keyBy: 'user' },
+  // Every other API request
+  api: { max: 300, windowSeconds: 60, keyBy: 'user' }
+};
+
+const RATE_LIMIT_PATTERN = /^(\d+)\s*\/\s*(\d+)$/;
+
+const getRateLimit = (group) => {
+  const defaults = DEFAULT_RATE_LIMITS[group];
+  const override = process.env[`RATE_LIMIT_${group.toUpperCase()}`];
+
+  if (!override) {
+    return defaults;
+  }
+  if (override === 'off') {
+    return null;
+  }
+
+  const match = RATE_LIMIT_PATTERN.exec(override);
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+    console.warn(`⚠️  Ignoring invalid RATE_LIMIT_${group.toUpperCase()} '${override}'. Expected <requests>/<seconds>.`);
+    return defaults;
+  }
+  return { ...defaults, max: Number(match[1]), windowSeconds: Number(match[2]) };
+};
+
+/**
+ * Express middleware limiting how often one user (or IP) can call a group of
+ * routes, in fixed windows. Rejected requests get 429 with Retry-After;
+ * every response carries RateLimit-Limit, RateLimit-Remaining and
+ * RateLimit-Reset headers.
+ *
+ * @param {string} group - Key of DEFAULT_RATE_LIMITS
+ */
+export const createRateLimiter = (group) => {
+  const limit = getRateLimit(group);
+  // key → { count, resetAt }
+  const windows = new Map();
+  let nextSweep = 0;
+
+  if (!limit) {
+    console.log(`🚦 Rate limit for ${group} routes is off`);
+    return (req, res, next) => next();
+  }
+
+  // Drop finished windows so the map does not grow with every client seen
+  const sweep = (now) => {
+    if (now < nextSweep) {
+      return;
+    }
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+    nextSweep = now + limit.windowSeconds * 1000;
+  };
+
+  return (req, res, next) => {
+    const now = Date.now();
+    sweep(now);
+
+    const key = limit.keyBy === 'user' && req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + limit.windowSeconds * 1000 };
+      windows.set(key, window);
+    }
+    window.count++;
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Limit': String(limit.max),
+      'RateLimit-Remaining': String(Math.max(0, limit.max - window.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (window.count > limit.max) {
+      console.warn(`🚦 Rate limit hit for ${group} routes by ${key}`);
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        error: true,
+        message: `Too many requests. Please wait ${resetSeconds}s and try again.`,
+        retryAfter: resetSeconds
+      });
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,111 @@
+import { afterEach, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from './rateLimit.js';
+
+const savedLimit = process.env.RATE_LIMIT_NOTES;
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  if (savedLimit === undefined) {
+    delete process.env.RATE_LIMIT_NOTES;
+  } else {
+    process.env.RATE_LIMIT_NOTES = savedLimit;
+  }
+});
+
+// Minimal Express response recording what the limiter sends
+const createResponse = () => {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    set: (name, value) => {
+      Object.assign(res.headers, typeof name === 'object' ? name : { [name]: value });
+      return res;
+    },
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    json: (body) => {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+};
+
+// Send one request through the limiter; returns the response and whether it was let through
+const send = (limiter, req) => {
+  const res = createResponse();
+  let passed = false;
+  limiter(req, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+};
+
+const alice = { user: { id: 'alice' }, ip: '10.0.0.1' };
+const bob = { user: { id: 'bob' }, ip: '10.0.0.1' };
+
+test('requests past the limit get 429 until the window ends', (t) => {
+  process.env.RATE_LIMIT_NOTES = '2/60';
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const limiter = createRateLimiter('notes');
+
+  assert.ok(send(limiter, alice).passed);
+  const second = send(limiter, alice);
+  assert.ok(second.passed);
+  assert.equal(second.res.headers['RateLimit-Remaining'], '0');
+
+  now += 15_000;
+  const third = send(limiter, alice);
+  assert.ok(!third.passed);
+  assert.equal(third.res.statusCode, 429);
+  assert.equal(third.res.headers['Retry-After'], '45');
+  assert.equal(third.res.body.retryAfter, 45);
+
+  now += 45_000;
+  const nextWindow = send(limiter, alice);
+  assert.ok(nextWindow.passed);
+  assert.equal(nextWindow.res.headers['RateLimit-Remaining'], '1');
+  assert.equal(nextWindow.res.headers['RateLimit-Reset'], '60');
+});
+
+test('each user has their own window', (t) => {
+  process.env.RATE_LIMIT_NOTES = '1/60';
+  t.mock.method(Date, 'now', () => 1_000_000);
+  const limiter = createRateLimiter('notes');
+
+  assert.ok(send(limiter, alice).passed);
+  assert.ok(!send(limiter, alice).passed);
+  assert.ok(send(limiter, bob).passed, 'another user on the same IP is not limited');
+});
+
+test('sign-in routes are limited per IP', (t) => {
+  t.mock.method(Date, 'now', () => 1_000_000);
+  const limiter = createRateLimiter('auth');
+
+  for (let i = 0; i < 20; i++) {
+    assert.ok(send(limiter, { ip: '10.0.0.2' }).passed);
+  }
+  assert.ok(!send(limiter, { ip: '10.0.0.2' }).passed);
+  assert.ok(send(limiter, { ip: '10.0.0.3' }).passed);
+});
+
+test('RATE_LIMIT_<GROUP>=off turns a limit off, and invalid values keep the default', () => {
+  process.env.RATE_LIMIT_NOTES = 'off';
+  const off = createRateLimiter('notes');
+  for (let i = 0; i < 50; i++) {
+    assert.ok(send(off, alice).passed);
+  }
+
+  process.env.RATE_LIMIT_NOTES = '0/60';
+  const invalid = createRateLimiter('notes');
+  assert.equal(send(invalid, alice).res.headers['RateLimit-Limit'], '10');
+});
@@ -0,0 +1,241 @@
+import { readNumber } from '../utils/env.js';
+
+// gRPC status codes (Speech-to-Text) and HTTP statuses (Gemini) worth retrying
+const TRANSIENT_GRPC_CODES = [4, 8, 13, 14]; // DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, INTERNAL, UNAVAILABLE
+const TRANSIENT_HTTP_STATUSES = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_MESSAGE_PATTERN = /RESOURCE_EXHAUSTED|UNAVAILABLE|rate limit|too many requests|per ?minute|overloaded|ECONNRESET|ETIMEDOUT|socket hang up/i;
+// Daily or monthly quotas come back with the same codes as rate limits, but
+// retrying within seconds cannot help
+const EXHAUSTED_QUOTA_PATTERN = /per ?day|daily|per ?month|monthly|billing/i;
+
+/**
+ * Whether an error from a Google API is temporary (per-minute rate limits,
+ * overload, network trouble) and the call is worth retrying.
+ */
+export const isTransientError = (error) => {
+  if (!error || error.name === 'AbortError' || error.code === 'CIRCUIT_OPEN') {
+    return false;
+  }
+  if (EXHAUSTED_QUOTA_PATTERN.test(error.message || '')) {
+    return false;
+  }
+  return TRANSIENT_GRPC_CODES.includes(error.code)
+    || TRANSIENT_HTTP_STATUSES.includes(error.status)
+    || TRANSIENT_MESSAGE_PATTERN.test(error.message || '');
+};
+
+/**
+ * Settings for createOutboundCaller(): the concurrency cap from
+ * <PREFIX>_MAX_CONCURRENT, and retry and circuit breaker settings shared by
+ * all callers from OUTBOUND_MAX_RETRIES, OUTBOUND_RETRY_BASE_MS,
+ * OUTBOUND_RETRY_MAX_MS, CIRCUIT_BREAKER_THRESHOLD and
+ * CIRCUIT_BREAKER_RESET_SECONDS.
+ *
+ * @param {string} prefix - e.g. "SPEECH" for SPEECH_MAX_CONCURRENT
+ * @param {number} defaultConcurrency - Cap when the variable is not set
+ */
+export const getOutboundOptions = (prefix, defaultConcurrency) => ({
+  maxConcurrent: Math.max(1, readNumber(`${prefix}_MAX_CONCURRENT`, defaultConcurrency)),
+  maxRetries: readNumber('OUTBOUND_MAX_RETRIES', 4),
+  baseDelayMs: readNumber('OUTBOUND_RETRY_BASE_MS', 500),
+  maxDelayMs: readNumber('OUTBOUND_RETRY_MAX_MS', 8000),
+  failureThreshold: readNumber('CIRCUIT_BREAKER_THRESHOLD', 5),
+  resetTimeoutMs: readNumber('CIRCUIT_BREAKER_RESET_SECONDS', 30) * 1000
+});
+
+// Resolve after `ms`, or reject as soon as the signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    return reject(signal.reason);
+  }
+  const timer = setTimeout(() => {
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+});
+
+/**
+ * Guard calls to an external API with:
+ *   - a concurrency cap: at most `maxConcurrent` calls in flight, the rest wait in order
+ *   - retries of transient errors with exponential backoff and full jitter
+ *   - a circuit breaker: after `failureThreshold` calls in a row fail even
+ *     after retrying, calls are refused for `resetTimeoutMs`, then a single
+ *     trial call decides whether to close the circuit again
+ *
+ * Refused calls reject with an Error whose code is 'CIRCUIT_OPEN', status
+ * 503 and `retryAfter` in seconds.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Service name for logs and error messages
+ * @param {number} options.maxConcurrent - Calls allowed in flight at once
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - Backoff before the first retry
+ * @param {number} options.maxDelayMs - Longest backoff between retries
+ * @param {number} options.failureThreshold - Failed calls in a row that open the circuit (0 disables it)
+ * @param {number} options.resetTimeoutMs - How long the circuit stays open
+ * @param {Function} [options.isRetryable] - Decides which errors are retried
+ */
+export const createOutboundCaller = ({
+  name,
+  maxConcurrent,
+  maxRetries,
+  baseDelayMs,
+  maxDelayMs,
+  failureThreshold,
+  resetTimeoutMs,
+  isRetryable = isTransientError
+}) => {
+  let active = 0;
+  const waiting = [];
+
+  let circuit = 'closed'; // closed, open, half-open
+  let consecutiveFailures = 0;
+  let openedAt = 0;
+
+  const acquire = (signal) => new Promise((resolve, reject) => {
+    if (active < maxConcurrent) {
+      active++;
+      return resolve();
+    }
+
+    const onAbort = () => {
+      const index = waiting.indexOf(waiter);
+      if (index !== -1) {
+        waiting.splice(index, 1);
+        reject(signal.reason);
+      }
+    };
+    // Granted a slot: stop listening, the signal may outlive many calls
+    const waiter = {
+      resolve: () => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }
+    };
+    waiting.push(waiter);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+
+  // Hand the slot straight to the next waiting call
+  const release = () => {
+    const next = waiting.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      active--;
+    }
+  };
+
+  const refuse = () => {
+    const retryAfter = Math.max(1, Math.ceil((openedAt + resetTimeoutMs - Date.now()) / 1000));
+    const error = new Error(`${name} is temporarily unavailable after repeated failures. Please try again in ${retryAfter}s.`);
+    error.code = 'CIRCUIT_OPEN';
+    error.status = 503;
+    error.retryAfter = retryAfter;
+    return error;
+  };
+
+  // Claim permission to call; in half-open state only one trial call is let through
+  const checkCircuit = () => {
+    if (circuit === 'open' && Date.now() - openedAt >= resetTimeoutMs) {
+      circuit = 'half-open';
+      console.log(`🔌 ${name} circuit half-open, sending a trial request`);
+      return true;
+    }
+    return circuit === 'closed';
+  };
+
+  const recordSuccess = () => {
+    if (circuit !== 'closed') {
+      console.log(`🔌 ${name} circuit closed`);
+    }
+    circuit = 'closed';
+    consecutiveFailures = 0;
+  };
+
+  const recordFailure = () => {
+    consecutiveFailures++;
+    if (failureThreshold > 0 && (circuit === 'half-open' || consecutiveFailures >= failureThreshold)) {
+      circuit = 'open';
+      openedAt = Date.now();
+      console.warn(`🔌 ${name} circuit open for ${resetTimeoutMs / 1000}s after ${consecutiveFailures} failure(s) in a row`);
+    }
+  };
+
+  /**
+   * Run `fn` under the concurrency cap, retrying transient errors.
+   *
+   * @param {Function} fn - Makes the call; invoked again for each retry
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops waiting and retrying
+   */
+  const call = async (fn, { signal } = {}) => {
+    if (!checkCircuit()) {
+      throw refuse();
+    }
+
+    await acquire(signal);
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const result = await fn();
+          recordSuccess();
+          return result;
+        } catch (error) {
+          if (signal && signal.aborted) {
+            // Cancelled by the caller: let the next call be the trial instead
+            if (circuit === 'half-open') {
+              circuit = 'open';
+            }
+            throw error;
+          }
+
+          if (!isRetryable(error)) {
+            // The service answered; a bad request says nothing about its health
+            if (circuit === 'half-open') {
+              recordSuccess();
+            }
+            throw error;
+          }
+
+          if (attempt >= maxRetries || circuit === 'half-open') {
+            recordFailure();
+            throw error;
+          }
+
+          const delay = Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+          console.warn(`🔁 ${name} call failed (${error.message}); retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+          await sleep(delay, signal);
+        }
+      }
+    } finally {
+      release();
+    }
+  };
+
+  const getState = () => ({
+    name,
+    circuit,
+    consecutiveFailures,
+    active,
+    waiting: waiting.length
+  });
+
+  return {
+    call,
+    getState
+  };
+};
@@ -0,0 +1,231 @@
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOutboundCaller, isTransientError } from './resilience.js';
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+const transient = () => Object.assign(new Error('Quota exceeded'), { code: 8 });
+
+// Retries without waiting, and a circuit that opens after 2 failed calls
+const createCaller = (options = {}) => createOutboundCaller({
+  name: 'Test API',
+  maxConcurrent: 2,
+  maxRetries: 2,
+  baseDelayMs: 0,
+  maxDelayMs: 0,
+  failureThreshold: 2,
+  resetTimeoutMs: 30_000,
+  ...options
+});
+
+test('isTransientError retries rate limits and outages but not bad requests', () => {
+  assert.ok(isTransientError(transient()));
+  assert.ok(isTransientError(Object.assign(new Error('Service Unavailable'), { status: 503 })));
+  assert.ok(isTransientError(new Error('socket hang up')));
+  assert.ok(!isTransientError(Object.assign(new Error('Invalid argument'), { code: 3 })));
+  assert.ok(!isTransientError(Object.assign(new Error('Aborted'), { name: 'AbortError' })));
+  assert.ok(!isTransientError(Object.assign(new Error('Open'), { code: 'CIRCUIT_OPEN', status: 503 })));
+});
+
+test('isTransientError retries per-minute limits but not daily or monthly quotas', () => {
+  assert.ok(isTransientError(new Error("Quota exceeded for quota metric 'Requests' and limit 'Requests per minute'")));
+  assert.ok(isTransientError(new Error('429 RESOURCE_EXHAUSTED: GenerateRequestsPerMinutePerProjectPerModel')));
+  assert.ok(!isTransientError(new Error('Quota exceeded for your project')), 'a bare quota message is not a rate limit');
+  assert.ok(!isTransientError(Object.assign(
+    new Error("8 RESOURCE_EXHAUSTED: Quota exceeded for quota metric 'Requests' and limit 'Requests per day'"),
+    { code: 8 }
+  )));
+  assert.ok(!isTransientError(Object.assign(
+    new Error('[429 Too Many Requests] Quota exceeded for metric: GenerateRequestsPerDayPerProjectPerModel-FreeTier'),
+    { status: 429 }
+  )));
+  assert.ok(!isTransientError(Object.assign(new Error('Monthly spending limit reached'), { status: 429 })));
+});
+
+test('transient errors are retried until the call succeeds', async () => {
+  const caller = createCaller();
+  let attempts = 0;
+  const result = await caller.call(async () => {
+    attempts++;
+    if (attempts < 3) {
+      throw transient();
+    }
+    return 'ok';
+  });
+
+  assert.equal(result, 'ok');
+  assert.equal(attempts, 3);
+  assert.equal(caller.getState().consecutiveFailures, 0);
+});
+
+test('other errors are thrown without retrying', async () => {
+  const caller = createCaller();
+  let attempts = 0;
+  await assert.rejects(caller.call(async () => {
+    attempts++;
+    throw new Error('Invalid argument');
+  }), /Invalid argument/);
+  assert.equal(attempts, 1);
+  assert.equal(caller.getState().circuit, 'closed');
+});
+
+test('the circuit opens after repeated failures, then a trial call closes it', async (t) => {
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const caller = createCaller();
+  let attempts = 0;
+  const failing = async () => {
+    attempts++;
+    throw transient();
+  };
+
+  await assert.rejects(caller.call(failing));
+  assert.equal(attempts, 3, 'first attempt and 2 retries');
+  assert.equal(caller.getState().circuit, 'closed');
+
+  await assert.rejects(caller.call(failing));
+  assert.equal(caller.getState().circuit, 'open');
+
+  // Refused without calling the service
+  await assert.rejects(caller.call(failing), (error) => {
+    assert.equal(error.code, 'CIRCUIT_OPEN');
+    assert.equal(error.status, 503);
+    assert.equal(error.retryAfter, 30);
+    return true;
+  });
+  assert.equal(attempts, 6);
+
+  now += 30_000;
+  assert.equal(await caller.call(async () => 'recovered'), 'recovered');
+  assert.equal(caller.getState().circuit, 'closed');
+});
+
+test('a failed trial call reopens the circuit without retrying', async (t) => {
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const caller = createCaller({ failureThreshold: 1 });
+  let attempts = 0;
+  const failing = async () => {
+    attempts++;
+    throw transient();
+  };
+
+  await assert.rejects(caller.call(failing));
+  assert.equal(caller.getState().circuit, 'open');
+
+  now += 30_000;
+  attempts = 0;
+  await assert.rejects(caller.call(failing), { code: 8 });
+  assert.equal(attempts, 1);
+  assert.equal(caller.getState().circuit, 'open');
+  await assert.rejects(caller.call(failing), { code: 'CIRCUIT_OPEN' });
+});
+
+test('only one trial call is let through while half-open', async (t) => {
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const caller = createCaller({ failureThreshold: 1 });
+  await assert.rejects(caller.call(async () => {
+    throw transient();
+  }));
+
+  now += 30_000;
+  let finishTrial;
+  const trial = caller.call(() => new Promise((resolve) => {
+    finishTrial = resolve;
+  }));
+  assert.equal(caller.getState().circuit, 'half-open');
+  await assert.rejects(caller.call(async () => 'second'), { code: 'CIRCUIT_OPEN' });
+
+  finishTrial('trial');
+  assert.equal(await trial, 'trial');
+  assert.equal(await caller.call(async () => 'second'), 'second');
+});
+
+test('a failureThreshold of 0 never opens the circuit', async () => {
+  const caller = createCaller({ failureThreshold: 0, maxRetries: 0 });
+  for (let i = 0; i < 5; i++) {
+    await assert.rejects(caller.call(async () => {
+      throw transient();
+    }));
+  }
+  assert.equal(caller.getState().circuit, 'closed');
+  assert.equal(caller.getState().consecutiveFailures, 5);
+});
+
+test('calls beyond maxConcurrent wait their turn in order', async () => {
+  const caller = createCaller({ maxConcurrent: 1 });
+  const started = [];
+  const finishers = [];
+  const run = (id) => caller.call(() => new Promise((resolve) => {
+    started.push(id);
+    finishers.push(() => resolve(id));
+  }));
+
+  const first = run('first');
+  const second = run('second');
+  await new Promise(setImmediate);
+  assert.deepEqual(started, ['first']);
+  assert.equal(caller.getState().active, 1);
+  assert.equal(caller.getState().waiting, 1);
+
+  finishers[0]();
+  assert.equal(await first, 'first');
+  await new Promise(setImmediate);
+  assert.deepEqual(started, ['first', 'second']);
+
+  finishers[1]();
+  assert.equal(await second, 'second');
+  assert.equal(caller.getState().active, 0);
+});
+
+test('an aborted call stops waiting for a slot', async () => {
+  const caller = createCaller({ maxConcurrent: 1 });
+  let finishFirst;
+  const first = caller.call(() => new Promise((resolve) => {
+    finishFirst = resolve;
+  }));
+
+  const controller = new AbortController();
+  let secondStarted = false;
+  const second = caller.call(async () => {
+    secondStarted = true;
+  }, { signal: controller.signal });
+
+  controller.abort();
+  await assert.rejects(second, { name: 'AbortError' });
+  assert.equal(caller.getState().waiting, 0);
+
+  finishFirst();
+  await first;
+  assert.ok(!secondStarted);
+  assert.equal(caller.getState().active, 0);
+});
+
+test('a call granted a slot stops listening to its abort signal', async (t) => {
+  const caller = createCaller({ maxConcurrent: 1 });
+  let finishFirst;
+  const first = caller.call(() => new Promise((resolve) => {
+    finishFirst = resolve;
+  }));
+
+  const controller = new AbortController();
+  const added = t.mock.method(controller.signal, 'addEventListener');
+  const removed = t.mock.method(controller.signal, 'removeEventListener');
+  const second = caller.call(async () => 'second', { signal: controller.signal });
+  assert.equal(added.mock.callCount(), 1);
+
+  await new Promise(setImmediate);
+  finishFirst();
+  await first;
+  assert.equal(await second, 'second');
+  assert.equal(removed.mock.callCount(), 1);
+  assert.equal(removed.mock.calls[0].arguments[1], added.mock.calls[0].arguments[1]);
+
+  // Aborting later is harmless
+  controller.abort();
+  assert.equal(caller.getState().active, 0);
+});
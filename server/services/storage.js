@@ -0,0 +1,319 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { readJsonFile, writeJsonFile } from '../utils/jsonStore.js';
+import { readNumber } from '../utils/env.js';
+
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const BYTES_PER_MB = 1024 * 1024;
+
+const readLimitBytes = (name) => {
+  const megabytes = readNumber(name, null);
+  return megabytes === null ? null : megabytes * BYTES_PER_MB;
+};
+
+/**
+ * Upload storage settings:
+ *   UPLOAD_RETENTION_HOURS      how long uploads that are never transcribed
+ *                               (or kept and never saved to a lecture) are
+ *                               kept; 0 keeps them until they are used
+ *   UPLOAD_SWEEP_MINUTES        how often expired and orphaned files are removed
+ *   UPLOAD_USER_LIMIT_MB        disk space one user's uploads may take up
+ *   UPLOAD_DISK_LIMIT_MB        disk space all uploads together may take up
+ * The disk limits are unlimited when not set.
+ */
+export const getStorageOptions = () => ({
+  retentionMs: readNumber('UPLOAD_RETENTION_HOURS', 24) * 60 * 60 * 1000,
+  sweepIntervalMs: Math.max(1, readNumber('UPLOAD_SWEEP_MINUTES', 15)) * 60 * 1000,
+  userLimitBytes: readLimitBytes('UPLOAD_USER_LIMIT_MB'),
+  diskLimitBytes: readLimitBytes('UPLOAD_DISK_LIMIT_MB')
+});
+
+// Total size of the files in a directory and its subdirectories
+const getDirectorySize = (dir) => {
+  if (!fs.existsSync(dir)) {
+    return 0;
+  }
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce((total, entry) => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return total + getDirectorySize(entryPath);
+    }
+    return total + (entry.isFile() ? fs.statSync(entryPath).size : 0);
+  }, 0);
+};
+
+const formatMB = (bytes) => Math.round(bytes / BYTES_PER_MB);
+
+/**
+ * Upload details returned to clients. The opaque `id` is what /api/transcribe
+ * and /api/lectures accept; server paths and filenames are never exposed.
+ */
+export const toPublicUpload = (upload, retentionMs = getStorageOptions().retentionMs) => ({
+  id: upload.id,
+  originalName: upload.originalName,
+  size: upload.size,
+  sizeInMB: (upload.size / BYTES_PER_MB).toFixed(2),
+  mimetype: upload.mimetype,
+  contentHash: upload.contentHash,
+  uploadedAt: upload.createdAt,
+  expiresAt: retentionMs > 0 ? new Date(Date.parse(upload.updatedAt) + retentionMs).toISOString() : null,
+  ...(upload.media && { media: upload.media }),
+  ...(upload.extractedFrom && { extractedFrom: upload.extractedFrom })
+});
+
+/**
+ * Managed storage for uploaded audio. Every upload in a user's uploads
+ * directory is registered under an opaque id, so requests name uploads by id
+ * and never by path. A periodic sweep removes uploads older than the
+ * retention period and files no upload or job refers to.
+ *
+ * @param {Object} options
+ * @param {string} options.storePath - JSON file the upload records are persisted to
+ * @param {string} options.uploadsDir - Directory with one subdirectory per user
+ * @param {string} options.partialDir - Directory of unfinished chunked uploads, skipped by the sweep
+ * @param {Object} options.uploadSessions - Store created by createUploadSessionStore()
+ * @param {Function} options.isInUse - Whether a job still needs the file at a path
+ */
+export const createUploadStorage = ({ storePath, uploadsDir, partialDir, uploadSessions, isInUse }) => {
+  const uploads = new Map(readJsonFile(storePath, []).map(upload => [upload.id, upload]));
+
+  const persist = () => {
+    writeJsonFile(storePath, Array.from(uploads.values()));
+  };
+
+  const getFilePath = (upload) => path.join(uploadsDir, upload.userId, upload.filename);
+
+  /**
+   * Register a file that was uploaded into its user's uploads directory.
+   *
+   * @param {Object} file - Prepared upload ({ filename, originalname, path, size, mimetype, contentHash, media?, extractedFrom? })
+   * @param {string} userId - User who uploaded it
+   * @returns {Object} The upload record
+   */
+  const register = (file, userId) => {
+    // Files only ever come from the user's own directory
+    if (file.path !== path.join(uploadsDir, userId, path.basename(file.filename))) {
+      throw new Error(`Upload ${file.filename} is not in the uploads directory of user ${userId}`);
+    }
+
+    const now = new Date().toISOString();
+    const upload = {
+      id: crypto.randomUUID(),
+      userId: userId,
+      filename: file.filename,
+      originalName: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size,
+      media: file.media || null,
+      extractedFrom: file.extractedFrom || null,
+      // SHA-256 of the audio, the key for cached transcripts
+      contentHash: file.contentHash || null,
+      createdAt: now,
+      // Retention counts from the last time the upload was used
+      updatedAt: now
+    };
+
+    uploads.set(upload.id, upload);
+    persist();
+    return upload;
+  };
+
+  // Anything that is not an id we issued is simply not found
+  const get = (id) => (typeof id === 'string' && UPLOAD_ID_PATTERN.test(id) && uploads.get(id)) || null;
+
+  // Path of an upload's file, or null when the upload or its file is gone
+  const getPath = (id) => {
+    const upload = get(id);
+    const filePath = upload && getFilePath(upload);
+    return filePath && fs.existsSync(filePath) ? filePath : null;
+  };
+
+  // Restart the retention period, e.g. when audio is kept after transcription
+  const touch = (id) => {
+    const upload = get(id);
+    if (upload) {
+      upload.updatedAt = new Date().toISOString();
+      persist();
+    }
+    return upload;
+  };
+
+  // Delete an upload and its file
+  const remove = (id) => {
+    const upload = get(id);
+    if (!upload) {
+      return false;
+    }
+    fs.rmSync(getFilePath(upload), { force: true });
+    uploads.delete(id);
+    persist();
+    return true;
+  };
+
+  // Forget an upload whose file was moved elsewhere, such as into the lecture library
+  const release = (id) => {
+    const existed = uploads.delete(id);
+    if (existed) {
+      persist();
+    }
+    return existed;
+  };
+
+  /**
+   * Check that `incomingBytes` more fit within the disk limits.
+   * Returns { status, error } when they do not, or null.
+   */
+  const checkSpace = (userId, incomingBytes) => {
+    const { userLimitBytes, diskLimitBytes } = getStorageOptions();
+
+    if (userLimitBytes !== null) {
+      const used = getDirectorySize(path.join(uploadsDir, userId)) + uploadSessions.getReservedBytes(userId);
+      if (used + incomingBytes > userLimitBytes) {
+        return {
+          status: 507,
+          error: `Your uploads would use more than your ${formatMB(userLimitBytes)}MB of storage (${formatMB(used)}MB in use). Transcribe or wait for older uploads to expire, then try again.`
+        };
+      }
+    }
+
+    if (diskLimitBytes !== null) {
+      const used = getDirectorySize(uploadsDir) - getDirectorySize(partialDir) + uploadSessions.getReservedBytes();
+      if (used + incomingBytes > diskLimitBytes) {
+        console.warn(`💾 Upload storage limit reached (${formatMB(used)}MB of ${formatMB(diskLimitBytes)}MB in use)`);
+        return {
+          status: 507,
+          error: 'The server is out of space for uploads. Please try again later.'
+        };
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Remove uploads older than the retention period, records whose file has
+   * gone, and files in the uploads directories that no upload or active job
+   * refers to once they are older than the retention period. Unfinished
+   * chunked uploads expire on their own schedule.
+   */
+  const sweep = () => {
+    const { retentionMs } = getStorageOptions();
+    const now = Date.now();
+    let expired = 0;
+    let orphaned = 0;
+
+    uploadSessions.removeExpired();
+
+    for (const upload of Array.from(uploads.values())) {
+      const filePath = getFilePath(upload);
+      const missing = !fs.existsSync(filePath);
+      // A job still waiting for or working on its upload keeps it
+      if (!missing && isInUse(filePath)) {
+        continue;
+      }
+      if (missing || (retentionMs > 0 && now - Date.parse(upload.updatedAt) > retentionMs)) {
+        fs.rmSync(filePath, { force: true });
+        uploads.delete(upload.id);
+        expired += missing ? 0 : 1;
+      }
+    }
+    persist();
+
+    if (retentionMs > 0) {
+      const known = new Set(Array.from(uploads.values()).map(getFilePath));
+      const removeIfOrphaned = (filePath) => {
+        if (known.has(filePath) || isInUse(filePath)) {
+          return;
+        }
+        const stats = fs.statSync(filePath);
+        if (stats.isFile() && now - stats.mtimeMs > retentionMs) {
+          fs.rmSync(filePath, { force: true });
+          orphaned++;
+        }
+      };
+
+      for (const entry of fs.readdirSync(uploadsDir, { withFileTypes: true })) {
+        const entryPath = path.join(uploadsDir, entry.name);
+        if (entryPath === partialDir) {
+          continue;
+        }
+        // Files at the top level were uploaded before per-user directories
+        if (!entry.isDirectory()) {
+          removeIfOrphaned(entryPath);
+          continue;
+        }
+        for (const name of fs.readdirSync(entryPath)) {
+          removeIfOrphaned(path.join(entryPath, name));
+        }
+      }
+    }
+
+    if (expired + orphaned > 0) {
+      console.log(`🧹 Removed ${expired} expired and ${orphaned} orphaned upload(s)`);
+    }
+    return { expired, orphaned };
+  };
+
+  // Sweep now and then every UPLOAD_SWEEP_MINUTES
+  const startSweeper = () => {
+    const runSweep = () => {
+      try {
+        sweep();
+      } catch (error) {
+        console.error(`⚠️  Upload sweep failed: ${error.message}`);
+      }
+    };
+
+    runSweep();
+    // The sweeper alone should not keep the process alive
+    setInterval(runSweep, getStorageOptions().sweepIntervalMs).unref();
+  };
+
+  return {
+    register,
+    get,
+    getPath,
+    touch,
+    remove,
+    release,
+    checkSpace,
+    sweep,
+    startSweeper
+  };
+};
+
+const sendFull = (res, full) => res.status(full.status).json({
+  error: true,
+  message: full.error
+});
+
+/**
+ * Express middleware answering 507 when an upload of the request's size
+ * would exceed the signed-in user's or the server's upload storage limit.
+ * Used before multer, so the declared Content-Length stands in for the file
+ * size; requests without one (chunked encoding) are checked by
+ * createUploadedFileLimitMiddleware() once the file is written.
+ */
+export const createStorageLimitMiddleware = (uploadStorage) => (req, res, next) => {
+  const full = uploadStorage.checkSpace(req.user.id, Number(req.headers['content-length']) || 0);
+  if (!full) {
+    return next();
+  }
+  sendFull(res, full);
+};
+
+/**
+ * Express middleware used after multer: deletes the uploaded file and
+ * answers 507 when, now that it is on disk, the user's or the server's
+ * upload storage limit is exceeded.
+ */
+export const createUploadedFileLimitMiddleware = (uploadStorage) => (req, res, next) => {
+  const full = req.file ? uploadStorage.checkSpace(req.user.id, 0) : null;
+  if (!full) {
+    return next();
+  }
+  fs.rmSync(req.file.path, { force: true });
+  sendFull(res, full);
+};
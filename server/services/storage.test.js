@@ -0,0 +1,84 @@
+import { after, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createUploadStorage } from './storage.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+const savedEnv = { ...process.env };
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+  for (const name of ['UPLOAD_RETENTION_HOURS', 'UPLOAD_USER_LIMIT_MB', 'UPLOAD_DISK_LIMIT_MB']) {
+    if (savedEnv[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = savedEnv[name];
+    }
+  }
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+const USER_ID = 'user-1';
+
+let storageCount = 0;
+const createStorage = ({ isInUse = () => false } = {}) => {
+  const dir = path.join(tempDir, `storage-${++storageCount}`);
+  const uploadsDir = path.join(dir, 'uploads');
+  fs.mkdirSync(path.join(uploadsDir, USER_ID), { recursive: true });
+  const storage = createUploadStorage({
+    storePath: path.join(dir, 'stored-uploads.json'),
+    uploadsDir,
+    partialDir: path.join(uploadsDir, 'partial'),
+    uploadSessions: { removeExpired: () => {}, getReservedBytes: () => 0 },
+    isInUse
+  });
+  return { storage, uploadsDir };
+};
+
+const writeUpload = (uploadsDir, filename, bytes = 10) => {
+  const filePath = path.join(uploadsDir, USER_ID, filename);
+  fs.writeFileSync(filePath, Buffer.alloc(bytes));
+  return { filename, originalname: filename, path: filePath, size: bytes, mimetype: 'audio/wav', contentHash: 'a'.repeat(64) };
+};
+
+test('expired uploads are swept unless a job is still using them', (t) => {
+  const inUse = new Set();
+  const { storage, uploadsDir } = createStorage({ isInUse: (filePath) => inUse.has(filePath) });
+  const jobFile = writeUpload(uploadsDir, 'job.wav');
+  const staleFile = writeUpload(uploadsDir, 'stale.wav');
+  const jobUpload = storage.register(jobFile, USER_ID);
+  const staleUpload = storage.register(staleFile, USER_ID);
+  inUse.add(jobFile.path);
+
+  const now = Date.now() + 25 * HOUR_MS;
+  t.mock.method(Date, 'now', () => now);
+
+  assert.deepEqual(storage.sweep(), { expired: 1, orphaned: 0 });
+  assert.equal(storage.get(staleUpload.id), null);
+  assert.ok(!fs.existsSync(staleFile.path));
+  assert.equal(storage.getPath(jobUpload.id), jobFile.path);
+
+  // Once the job has ended its upload expires like any other
+  inUse.clear();
+  assert.deepEqual(storage.sweep(), { expired: 1, orphaned: 0 });
+  assert.ok(!fs.existsSync(jobFile.path));
+});
+
+test('released uploads are forgotten but their file is left alone', () => {
+  const { storage, uploadsDir } = createStorage();
+  const file = writeUpload(uploadsDir, 'kept.wav');
+  const upload = storage.register(file, USER_ID);
+
+  assert.ok(storage.release(upload.id));
+  assert.equal(storage.get(upload.id), null);
+  assert.ok(fs.existsSync(file.path));
+  assert.equal(storage.remove(upload.id), false, 'removing a released upload does nothing');
+  assert.ok(fs.existsSync(file.path));
+});
@@ -0,0 +1,462 @@
+import { WebSocketServer } from 'ws';
+
+export const STREAMING_PATH = '/api/stream';
+
+// Phrases the fake recognizer "hears", one word per audio chunk
+const FAKE_SCRIPT = [
+  'Welcome to today\'s lecture.',
+  'We will start with a quick review of last week.',
+  'Then we move on to the main topic.',
+  'Please write down the key definitions as we go.'
+];
+
+// Google ends a streamingRecognize stream after about 5 minutes of audio, so
+// the recognizer moves to a new stream at the first WebM cluster boundary
+// after ROTATE_AFTER_MS. If none comes by FORCE_ROTATE_AFTER_MS, the new
+// stream replays the current cluster from its start, so a few seconds of
+// audio may be transcribed twice
+const ROTATE_AFTER_MS = 4 * 60 * 1000;
+const FORCE_ROTATE_AFTER_MS = 4.75 * 60 * 1000;
+
+// EBML id of a WebM Cluster; everything before the first one is the header
+const WEBM_CLUSTER_ID = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+
+// gRPC status Google ends streams with once they run too long or go silent
+const OUT_OF_RANGE = 11;
+
+// Live audio is metered by the time chunks keep arriving: the recorder sends
+// one every 250ms while it records and none while paused, so a gap longer
+// than MAX_CHUNK_GAP_MS counts as that much at most. Audio sent faster than
+// real time is metered by its size instead, at the highest bitrate browsers
+// record opus at (128 kbps).
+const MAX_CHUNK_GAP_MS = 1000;
+const MAX_AUDIO_BYTES_PER_SECOND = 16000;
+
+// Seconds of metered audio between quota checks while streaming
+const QUOTA_CHECK_INTERVAL_SECONDS = 60;
+
+/**
+ * Meter the audio forwarded to a recognizer, see MAX_CHUNK_GAP_MS.
+ *
+ * @param {number} [startedAt] - When the stream started, in milliseconds
+ */
+export const createAudioMeter = (startedAt = Date.now()) => {
+  let lastChunkAt = startedAt;
+  let flowMs = 0;
+  let bytes = 0;
+
+  return {
+    addChunk: (byteLength, now = Date.now()) => {
+      flowMs += Math.min(Math.max(0, now - lastChunkAt), MAX_CHUNK_GAP_MS);
+      lastChunkAt = now;
+      bytes += byteLength;
+    },
+    getSeconds: () => Number(Math.max(flowMs / 1000, bytes / MAX_AUDIO_BYTES_PER_SECOND).toFixed(2))
+  };
+};
+
+/**
+ * Recognizer backed by Google's streamingRecognize API.
+ *
+ * Recognizers share a small interface: write(chunk) feeds audio, end() flushes
+ * and closes the stream, and results are reported through the onResult,
+ * onError and onEnd callbacks. This one also calls onRestart({ restarts })
+ * whenever it continues on a new Google stream. Each new stream is primed
+ * with the WebM header from the first chunk and starts at a cluster; the
+ * previous stream is ended so it still delivers its final results.
+ */
+export const createGoogleRecognizer = (speechClient, { languageCode, onResult, onError, onEnd, onRestart }) => {
+  let stream = null;
+  let header = null;
+  // Bytes since the start of the latest cluster
+  let clusterParts = [];
+  let openedAt = 0;
+  let streamCount = 0;
+  let ending = false;
+
+  const open = () => {
+    const current = speechClient
+      .streamingRecognize({
+        config: {
+          encoding: 'WEBM_OPUS',
+          sampleRateHertz: 48000, // MediaRecorder encodes opus at 48kHz
+          languageCode: languageCode || 'en-US',
+          enableAutomaticPunctuation: true,
+        },
+        interimResults: true,
+      })
+      .on('data', (data) => {
+        const result = data.results && data.results[0];
+        const alternative = result && result.alternatives && result.alternatives[0];
+
+        // A retired stream still flushes final results; its interim ones are stale
+        if (alternative && alternative.transcript && (current === stream || result.isFinal)) {
+          onResult({
+            text: alternative.transcript,
+            isFinal: Boolean(result.isFinal)
+          });
+        }
+      })
+      .on('error', (error) => {
+        if (current !== stream) {
+          return;
+        }
+        stream = null;
+        // Google ended the stream early (too long or silent); the next chunk opens a new one
+        if (error.code === OUT_OF_RANGE) {
+          return ending ? onEnd() : undefined;
+        }
+        onError(error);
+      })
+      .on('end', () => {
+        if (current !== stream) {
+          return;
+        }
+        stream = null;
+        if (ending) {
+          onEnd();
+        }
+      });
+
+    streamCount++;
+    stream = current;
+    openedAt = Date.now();
+
+    if (streamCount > 1) {
+      current.write(header);
+      console.log(`🔁 Live transcription continued on stream ${streamCount}`);
+      if (onRestart) {
+        onRestart({ restarts: streamCount - 1 });
+      }
+    }
+  };
+
+  // Continue on a new stream from the start of the current cluster, since a
+  // stream cannot start mid-cluster
+  const reopen = () => {
+    open();
+    if (clusterParts.length > 0) {
+      stream.write(Buffer.concat(clusterParts));
+    }
+  };
+
+  // End the current stream without ending the recognizer
+  const retire = () => {
+    const retired = stream;
+    stream = null;
+    retired.end();
+  };
+
+  return {
+    write: (chunk) => {
+      if (ending) {
+        return;
+      }
+      if (!header) {
+        const clusterAt = chunk.indexOf(WEBM_CLUSTER_ID);
+        header = clusterAt > 0 ? chunk.subarray(0, clusterAt) : chunk;
+      }
+      const lastClusterAt = chunk.lastIndexOf(WEBM_CLUSTER_ID);
+      if (lastClusterAt !== -1) {
+        clusterParts = [chunk.subarray(lastClusterAt)];
+      } else if (clusterParts.length > 0) {
+        clusterParts.push(chunk);
+      }
+      if (!stream && streamCount === 0) {
+        open();
+        stream.write(chunk);
+        return;
+      }
+      if (!stream) {
+        reopen();
+        return;
+      }
+
+      const age = Date.now() - openedAt;
+      const clusterAt = age >= ROTATE_AFTER_MS ? chunk.indexOf(WEBM_CLUSTER_ID) : -1;
+      if (clusterAt === -1 && age < FORCE_ROTATE_AFTER_MS) {
+        stream.write(chunk);
+        return;
+      }
+
+      if (clusterAt === -1) {
+        stream.write(chunk);
+        retire();
+        reopen();
+        return;
+      }
+
+      // The audio before the boundary finishes the old stream
+      if (clusterAt > 0) {
+        stream.write(chunk.subarray(0, clusterAt));
+      }
+      retire();
+      open();
+      stream.write(chunk.subarray(clusterAt));
+    },
+    end: () => {
+      if (ending) {
+        return;
+      }
+      ending = true;
+      if (stream) {
+        stream.end();
+      } else {
+        onEnd();
+      }
+    },
+    destroy: () => {
+      ending = true;
+      if (stream) {
+        stream.destroy();
+        stream = null;
+      }
+    }
+  };
+};
+
+/**
+ * Recognizer that needs no API key: every audio chunk "recognizes" one more
+ * word of a fixed script as an interim result, and each finished sentence is
+ * emitted as a final result. Useful for developing and testing the pipeline.
+ */
+export const createFakeRecognizer = ({ onResult, onEnd }) => {
+  const words = FAKE_SCRIPT.join(' ').split(' ');
+  let position = 0;
+  let sentence = [];
+  let ended = false;
+
+  const flush = () => {
+    if (sentence.length > 0) {
+      onResult({ text: sentence.join(' '), isFinal: true });
+      sentence = [];
+    }
+  };
+
+  return {
+    write: () => {
+      if (ended) {
+        return;
+      }
+
+      const word = words[position % words.length];
+      position++;
+      sentence.push(word);
+
+      if (word.endsWith('.')) {
+        flush();
+      } else {
+        onResult({ text: sentence.join(' '), isFinal: false });
+      }
+    },
+    end: () => {
+      if (!ended) {
+        ended = true;
+        flush();
+        onEnd();
+      }
+    },
+    destroy: () => {
+      ended = true;
+    }
+  };
+};
+
+/**
+ * Whether a WebSocket upgrade comes from the app's own pages: the Origin a
+ * browser sends must be the server's own host or one of `allowedOrigins`.
+ * Browsers let any site open a WebSocket carrying the user's cookies, so
+ * this is what stops other sites streaming as the user. Requests without an
+ * Origin are not from a browser page and are let through.
+ *
+ * @param {Object} req - Upgrade request
+ * @param {string[]} [allowedOrigins] - Other origins serving the app, e.g. the Vite dev server
+ */
+export const isAllowedOrigin = (req, allowedOrigins = []) => {
+  const origin = req.headers.origin;
+  if (!origin) {
+    return true;
+  }
+  if (allowedOrigins.includes(origin)) {
+    return true;
+  }
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (parseError) {
+    return false;
+  }
+};
+
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+/**
+ * Attach the live transcription WebSocket endpoint to an HTTP server.
+ *
+ * Protocol: the client sends a JSON `{ type: 'start', languageCode }` message,
+ * then binary audio chunks from MediaRecorder, then `{ type: 'stop' }`. The
+ * server replies with `ready`, any number of `transcript` messages
+ * (`{ text, isFinal }`), `restarted` (`{ restarts }`) whenever recognition
+ * continues on a new upstream stream, and `end` once the recognizer has
+ * flushed, or `error` with a message.
+ *
+ * @param {http.Server} server - HTTP server returned by app.listen()
+ * @param {Object} options
+ * @param {Function} options.createRecognizer - Factory returning a recognizer, or null if unavailable
+ * @param {Function} [options.authenticate] - Returns the signed-in user of the
+ *   upgrade request; connections without one are refused with 401
+ * @param {string[]} [options.allowedOrigins] - Origins besides the server's own
+ *   whose pages may connect; others are refused with 403, see isAllowedOrigin()
+ * @param {Function} [options.checkQuota] - Called with the upgrade request and
+ *   { audioSeconds } not billed yet, on `start`, every
+ *   QUOTA_CHECK_INTERVAL_SECONDS of audio and whenever the recognizer moves to
+ *   a new stream; returns an error message when the user may not stream
+ * @param {Function} [options.onStreamEnd] - Called with the upgrade request and
+ *   { audioSeconds } metered by createAudioMeter() when a stream stops
+ */
+export const attachStreamingServer = (server, { createRecognizer, authenticate, allowedOrigins, checkQuota, onStreamEnd }) => {
+  const verifyClient = ({ req }, done) => {
+    if (!isAllowedOrigin(req, allowedOrigins)) {
+      console.warn(`🚫 Refused live transcription connection from ${req.headers.origin}`);
+      return done(false, 403, 'Forbidden');
+    }
+    if (authenticate && !authenticate(req)) {
+      return done(false, 401, 'Unauthorized');
+    }
+    done(true);
+  };
+
+  const wss = new WebSocketServer({
+    server,
+    path: STREAMING_PATH,
+    verifyClient
+  });
+
+  wss.on('connection', (socket, req) => {
+    let recognizer = null;
+    let chunkCount = 0;
+    // Audio forwarded on the current stream, for usage accounting
+    let meter = null;
+    let nextQuotaCheck = QUOTA_CHECK_INTERVAL_SECONDS;
+
+    const endStream = () => {
+      if (meter && onStreamEnd) {
+        onStreamEnd(req, { audioSeconds: meter.getSeconds() });
+      }
+      meter = null;
+    };
+
+    // Stop transcribing once the user's quota is used up; the recognizer
+    // still delivers the results of the audio it has
+    const enforceQuota = () => {
+      const quotaError = checkQuota && meter && recognizer ? checkQuota(req, { audioSeconds: meter.getSeconds() }) : null;
+      if (!quotaError) {
+        return;
+      }
+      console.warn(`🚫 Live transcription stopped after ${chunkCount} chunk(s): quota used up`);
+      send(socket, { type: 'error', message: quotaError });
+      // An ending recognizer ignores further chunks, and they are no longer metered
+      endStream();
+      recognizer.end();
+    };
+
+    console.log('🔴 Live transcription client connected');
+
+    const stopRecognizer = () => {
+      if (recognizer) {
+        recognizer.destroy();
+        recognizer = null;
+      }
+    };
+
+    socket.on('message', (data, isBinary) => {
+      if (isBinary) {
+        if (!recognizer) {
+          return send(socket, {
+            type: 'error',
+            message: 'Send a start message before streaming audio.'
+          });
+        }
+        chunkCount++;
+        recognizer.write(data);
+        if (meter) {
+          meter.addChunk(data.length);
+          if (meter.getSeconds() >= nextQuotaCheck) {
+            nextQuotaCheck = meter.getSeconds() + QUOTA_CHECK_INTERVAL_SECONDS;
+            enforceQuota();
+          }
+        }
+        return;
+      }
+
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        return send(socket, { type: 'error', message: 'Invalid message. Expected JSON.' });
+      }
+
+      if (message.type === 'start') {
+        stopRecognizer();
+        endStream();
+        chunkCount = 0;
+
+        const quotaError = checkQuota ? checkQuota(req, { audioSeconds: 0 }) : null;
+        if (quotaError) {
+          return send(socket, { type: 'error', message: quotaError });
+        }
+
+        recognizer = createRecognizer({
+          languageCode: message.languageCode,
+          onResult: (result) => send(socket, { type: 'transcript', ...result }),
+          onError: (error) => {
+            console.error('❌ Streaming recognition error:', error.message);
+            send(socket, {
+              type: 'error',
+              message: 'Live transcription failed. Your recording is still being saved.',
+              details: error.message
+            });
+            stopRecognizer();
+            endStream();
+          },
+          onRestart: ({ restarts }) => {
+            send(socket, { type: 'restarted', restarts });
+            // Checked once the chunk that started the new stream is written
+            setImmediate(enforceQuota);
+          },
+          onEnd: () => send(socket, { type: 'end' })
+        });
+
+        if (!recognizer) {
+          return send(socket, {
+            type: 'error',
+            message: 'Live transcription is not configured. Please add GOOGLE_SPEECH_API_KEY or set STREAMING_RECOGNIZER=fake.'
+          });
+        }
+
+        meter = createAudioMeter();
+        nextQuotaCheck = QUOTA_CHECK_INTERVAL_SECONDS;
+        send(socket, { type: 'ready' });
+      } else if (message.type === 'stop') {
+        endStream();
+        if (recognizer) {
+          console.log(`⏹️  Live transcription stopped after ${chunkCount} chunk(s)`);
+          recognizer.end();
+        } else {
+          send(socket, { type: 'end' });
+        }
+      }
+    });
+
+    socket.on('close', () => {
+      stopRecognizer();
+      endStream();
+      console.log('⚪ Live transcription client disconnected');
+    });
+  });
+
+  return wss;
+};
@@ -0,0 +1,231 @@
+import { after, before, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import WebSocket from 'ws';
+import { EventEmitter } from 'events';
+import { STREAMING_PATH, attachStreamingServer, createAudioMeter, createFakeRecognizer, createGoogleRecognizer, isAllowedOrigin } from './streaming.js';
+
+// Connections log as they close, which can be after their test has finished
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+test('isAllowedOrigin accepts the server\'s own origin and the listed ones', () => {
+  const req = (origin) => ({ headers: { host: 'notes.uni.edu', ...(origin && { origin }) } });
+
+  assert.ok(isAllowedOrigin(req('https://notes.uni.edu')));
+  assert.ok(isAllowedOrigin(req('http://localhost:5173'), ['http://localhost:5173']));
+  assert.ok(isAllowedOrigin(req(null)), 'clients other than browsers send no Origin');
+  assert.ok(!isAllowedOrigin(req('https://evil.example')));
+  assert.ok(!isAllowedOrigin(req('https://notes.uni.edu.evil.example')));
+  assert.ok(!isAllowedOrigin(req('null')));
+});
+
+test('the audio meter counts the time chunks keep arriving, not pauses', () => {
+  const meter = createAudioMeter(0);
+  // Ten seconds of 250ms chunks
+  for (let at = 250; at <= 10000; at += 250) {
+    meter.addChunk(1000, at);
+  }
+  assert.equal(meter.getSeconds(), 10);
+
+  // Paused for five minutes, then one more chunk
+  meter.addChunk(1000, 10000 + 5 * 60 * 1000);
+  assert.equal(meter.getSeconds(), 11);
+});
+
+test('the audio meter counts audio sent faster than real time by its size', () => {
+  const meter = createAudioMeter(0);
+  meter.addChunk(16000 * 90, 100);
+  assert.equal(meter.getSeconds(), 90);
+});
+
+describe('Google stream rotation', () => {
+  const CLUSTER_ID = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+  const header = Buffer.from('HEADER');
+  const cluster = (name) => Buffer.concat([CLUSTER_ID, Buffer.from(name)]);
+  const MINUTE_MS = 60 * 1000;
+
+  // Speech client whose streams record what was written to them
+  const createSpeechClient = () => {
+    const streams = [];
+    return {
+      streams,
+      streamingRecognize: () => {
+        const stream = new EventEmitter();
+        stream.written = [];
+        stream.ended = false;
+        stream.write = (chunk) => stream.written.push(Buffer.from(chunk).toString('latin1'));
+        stream.end = () => {
+          stream.ended = true;
+        };
+        streams.push(stream);
+        return stream;
+      }
+    };
+  };
+
+  const createRecognizer = (t) => {
+    let now = 0;
+    t.mock.method(Date, 'now', () => now);
+    const speechClient = createSpeechClient();
+    const restarts = [];
+    const recognizer = createGoogleRecognizer(speechClient, {
+      onResult: () => {},
+      onError: () => {},
+      onEnd: () => {},
+      onRestart: (info) => restarts.push(info)
+    });
+    return { recognizer, speechClient, restarts, advance: (ms) => { now += ms; } };
+  };
+
+  const text = (...parts) => Buffer.concat(parts).toString('latin1');
+
+  test('streams move on at the first cluster after four minutes', (t) => {
+    const { recognizer, speechClient, restarts, advance } = createRecognizer(t);
+    recognizer.write(Buffer.concat([header, cluster('A1')]));
+    advance(4 * MINUTE_MS);
+    recognizer.write(Buffer.from('A2'));
+    recognizer.write(Buffer.concat([Buffer.from('A3'), cluster('B1')]));
+
+    const [first, second] = speechClient.streams;
+    assert.deepEqual(first.written, [text(header, cluster('A1')), 'A2', 'A3']);
+    assert.ok(first.ended);
+    assert.deepEqual(second.written, [text(header), text(cluster('B1'))]);
+    assert.deepEqual(restarts, [{ restarts: 1 }]);
+  });
+
+  test('a forced rotation replays the current cluster from its start', (t) => {
+    const { recognizer, speechClient, advance } = createRecognizer(t);
+    recognizer.write(Buffer.concat([header, cluster('A1')]));
+    recognizer.write(Buffer.concat([Buffer.from('A2'), cluster('B1')]));
+    advance(5 * MINUTE_MS);
+    recognizer.write(Buffer.from('B2'));
+    recognizer.write(Buffer.from('B3'));
+
+    const [first, second] = speechClient.streams;
+    assert.deepEqual(first.written, [text(header, cluster('A1')), text(Buffer.from('A2'), cluster('B1')), 'B2']);
+    assert.ok(first.ended);
+    assert.deepEqual(second.written, [text(header), text(cluster('B1'), Buffer.from('B2')), 'B3']);
+  });
+
+  test('a stream Google ended is followed by one starting at a cluster', (t) => {
+    const { recognizer, speechClient } = createRecognizer(t);
+    recognizer.write(Buffer.concat([header, cluster('A1')]));
+    speechClient.streams[0].emit('error', Object.assign(new Error('Exceeded maximum allowed stream duration'), { code: 11 }));
+    recognizer.write(Buffer.from('A2'));
+
+    assert.deepEqual(speechClient.streams[1].written, [text(header), text(cluster('A1'), Buffer.from('A2'))]);
+  });
+});
+
+describe('WebSocket upgrades', () => {
+  let server;
+  let url;
+
+  before(async () => {
+    server = http.createServer();
+    attachStreamingServer(server, {
+      createRecognizer: createFakeRecognizer,
+      authenticate: (req) => (req.headers.authorization === 'Bearer good' ? { id: 'user-1' } : null),
+      allowedOrigins: ['http://localhost:5173']
+    });
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `ws://127.0.0.1:${server.address().port}${STREAMING_PATH}`;
+  });
+
+  after(() => server.close());
+
+  // Resolves with 'open' or the HTTP status the upgrade was refused with
+  const connect = (headers) => new Promise((resolve) => {
+    const socket = new WebSocket(url, { headers });
+    socket.on('open', () => {
+      socket.close();
+      resolve('open');
+    });
+    socket.on('unexpected-response', (req, res) => resolve(res.statusCode));
+    socket.on('error', () => {});
+  });
+
+  test('upgrades from another site are refused even with a valid session', async () => {
+    assert.equal(await connect({ authorization: 'Bearer good', origin: 'https://evil.example' }), 403);
+  });
+
+  test('upgrades from the app with a valid session are accepted', async () => {
+    assert.equal(await connect({ authorization: 'Bearer good', origin: 'http://localhost:5173' }), 'open');
+    assert.equal(await connect({ authorization: 'Bearer bad', origin: 'http://localhost:5173' }), 401);
+  });
+});
+
+describe('live transcription usage', () => {
+  let server;
+  let url;
+  const billed = [];
+  const quotaChecks = [];
+  let quotaSeconds = Infinity;
+
+  before(async () => {
+    server = http.createServer();
+    attachStreamingServer(server, {
+      createRecognizer: createFakeRecognizer,
+      checkQuota: (req, { audioSeconds }) => {
+        quotaChecks.push(audioSeconds);
+        return audioSeconds >= quotaSeconds ? 'You have used up your daily transcription quota.' : null;
+      },
+      onStreamEnd: (req, { audioSeconds }) => billed.push(audioSeconds)
+    });
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `ws://127.0.0.1:${server.address().port}${STREAMING_PATH}`;
+  });
+
+  after(() => server.close());
+
+  // Open a stream, send the chunks once ready and collect the server's messages until 'end'
+  const stream = (chunks, stop = true) => new Promise((resolve, reject) => {
+    const socket = new WebSocket(url);
+    const messages = [];
+    socket.on('open', () => socket.send(JSON.stringify({ type: 'start' })));
+    socket.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+      messages.push(message);
+      if (message.type === 'ready') {
+        chunks.forEach(chunk => socket.send(chunk));
+        if (stop) {
+          socket.send(JSON.stringify({ type: 'stop' }));
+        }
+      }
+      if (message.type === 'end') {
+        socket.close();
+      }
+    });
+    socket.on('close', () => resolve(messages));
+    socket.on('error', reject);
+  });
+
+  test('a stream is billed for the audio sent, not the time it was open', async () => {
+    billed.length = 0;
+    quotaSeconds = Infinity;
+    const messages = await stream([Buffer.alloc(16000 * 3), Buffer.alloc(16000 * 2)]);
+
+    assert.equal(messages.at(-1).type, 'end');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(billed, [5]);
+  });
+
+  test('a stream is stopped once it uses up the quota', async () => {
+    billed.length = 0;
+    quotaChecks.length = 0;
+    quotaSeconds = 90;
+    const chunks = Array.from({ length: 5 }, () => Buffer.alloc(16000 * 40));
+    const messages = await stream(chunks, false);
+
+    const error = messages.find(message => message.type === 'error');
+    assert.match(error.message, /used up/);
+    assert.equal(messages.at(-1).type, 'end');
+    // Checked on start, then at the first chunk a minute or more after the last check;
+    // the chunk after the stop is not metered
+    assert.deepEqual(quotaChecks, [0, 80, 160]);
+    assert.deepEqual(billed, [160]);
+  });
+});
@@ -0,0 +1,233 @@
+import { formatTimestamp } from './bookmarks.js';
+import { generateJson } from './llm/json.js';
+
+// Notes in the JSON format have this shape. startTime is in seconds from the
+// start of the recording, or null when the transcript has no timings.
+//
+// {
+//   title: string,
+//   summary: string,
+//   sections: [{ heading: string, bullets: string[], keyTerms: string[], startTime: number|null }],
+//   takeaways: string[],
+//   glossary: [{ term: string, definition: string }]
+// }
+export const NOTE_FORMATS = ['markdown', 'json'];
+
+// Content guidance used in place of a template for JSON notes
+export const STRUCTURED_NOTES_TEMPLATE = {
+  id: 'structured',
+  name: 'Structured (JSON)',
+  instructions: `1. **Title**: A clear, descriptive title for the lecture
+2. **Summary**: A brief 2-3 sentence overview of what the lecture covers
+3. **Sections**: The content organized into logical sections in the order taught, each with a heading, bullet points for its key concepts, facts and examples, and the key terms it introduces
+4. **Takeaways**: 3-5 key takeaways
+5. **Glossary**: The important terms of the lecture, each with a one-sentence definition`
+};
+
+const SCHEMA_DESCRIPTION = `{
+  "title": "string",
+  "summary": "string",
+  "sections": [
+    {
+      "heading": "string",
+      "bullets": ["string"],
+      "keyTerms": ["string"],
+      "startTime": "m:ss" or null
+    }
+  ],
+  "takeaways": ["string"],
+  "glossary": [{ "term": "string", "definition": "string" }]
+}`;
+
+/**
+ * Output instructions appended to the final notes prompt in JSON mode.
+ *
+ * @param {boolean} hasTimeMarkers - Whether the transcript text has [m:ss] markers
+ */
+export const buildJsonOutputInstruction = (hasTimeMarkers) => {
+  const startTime = hasTimeMarkers
+    ? 'Set each section\'s "startTime" to the [m:ss] time marker at or just before the point where its topic begins, written as "m:ss".'
+    : 'The transcript has no timings, so set every "startTime" to null.';
+
+  return `Respond with only a JSON object, without markdown code fences or any other text, matching this schema:
+
+${SCHEMA_DESCRIPTION}
+
+Bullets, takeaways and definitions may use markdown emphasis (**bold**) but not headers. ${startTime}`;
+};
+
+// "12:34" or "1:02:05" → seconds; null when not a timestamp
+const parseTimestamp = (value) => {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const [, hours = '0', minutes, seconds] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+};
+
+const trimString = (value) => (typeof value === 'string' ? value.trim() : value);
+
+// A single string where a list was expected becomes a one-item list
+const toList = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : [value];
+  return list.map(trimString).filter(item => item !== '');
+};
+
+// Fill in optional fields and convert "m:ss" start times before validating,
+// so small deviations do not cost a repair request
+const coerceStructuredNotes = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return data;
+  }
+
+  return {
+    title: trimString(data.title),
+    summary: trimString(data.summary),
+    sections: Array.isArray(data.sections)
+      ? data.sections.map((section) => {
+        if (!section || typeof section !== 'object') {
+          return section;
+        }
+        const startTime = typeof section.startTime === 'string'
+          ? parseTimestamp(section.startTime) ?? section.startTime
+          : section.startTime;
+        return {
+          heading: trimString(section.heading),
+          bullets: toList(section.bullets),
+          keyTerms: toList(section.keyTerms),
+          startTime: startTime === undefined ? null : startTime
+        };
+      })
+      : data.sections,
+    takeaways: toList(data.takeaways),
+    glossary: Array.isArray(data.glossary)
+      ? data.glossary.map(entry => (entry && typeof entry === 'object'
+        ? { term: trimString(entry.term), definition: trimString(entry.definition) }
+        : entry))
+      : toList(data.glossary)
+  };
+};
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const isTextList = (value) => Array.isArray(value) && value.every(isText);
+
+/**
+ * Check notes against the JSON notes schema.
+ * Returns a list of problems, empty when the notes are valid.
+ *
+ * @param {*} notes - Parsed notes object
+ * @returns {string[]}
+ */
+export const validateStructuredNotes = (notes) => {
+  if (!notes || typeof notes !== 'object' || Array.isArray(notes)) {
+    return ['The notes must be a JSON object.'];
+  }
+
+  const errors = [];
+
+  if (!isText(notes.title)) {
+    errors.push('"title" must be a non-empty string.');
+  }
+  if (!isText(notes.summary)) {
+    errors.push('"summary" must be a non-empty string.');
+  }
+
+  if (!Array.isArray(notes.sections) || notes.sections.length === 0) {
+    errors.push('"sections" must be a non-empty array.');
+  } else {
+    notes.sections.forEach((section, index) => {
+      const at = `sections[${index}]`;
+      if (!section || typeof section !== 'object' || Array.isArray(section)) {
+        errors.push(`${at} must be an object.`);
+        return;
+      }
+      if (!isText(section.heading)) {
+        errors.push(`${at}.heading must be a non-empty string.`);
+      }
+      if (!isTextList(section.bullets) || section.bullets.length === 0) {
+        errors.push(`${at}.bullets must be a non-empty array of strings.`);
+      }
+      if (!isTextList(section.keyTerms)) {
+        errors.push(`${at}.keyTerms must be an array of strings.`);
+      }
+      if (section.startTime !== null && !(typeof section.startTime === 'number' && Number.isFinite(section.startTime) && section.startTime >= 0)) {
+        errors.push(`${at}.startTime must be a time such as "12:34", or null.`);
+      }
+    });
+  }
+
+  if (!isTextList(notes.takeaways)) {
+    errors.push('"takeaways" must be an array of strings.');
+  }
+
+  if (!Array.isArray(notes.glossary)) {
+    errors.push('"glossary" must be an array of { term, definition } objects.');
+  } else {
+    notes.glossary.forEach((entry, index) => {
+      if (!entry || typeof entry !== 'object' || !isText(entry.term) || !isText(entry.definition)) {
+        errors.push(`glossary[${index}] must be an object with a non-empty "term" and "definition".`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Request notes in the JSON format, asking the model to repair its answer
+ * while it does not match the schema.
+ *
+ * @param {Object} llmProvider - Provider from createLlmProviders()
+ * @param {string} prompt - Final notes prompt, ending with buildJsonOutputInstruction()
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the model requests
+ * @returns {Promise<{ notes: Object, repairs: number }>}
+ */
+export const generateStructuredNotes = async (llmProvider, prompt, { signal } = {}) => {
+  const { value, repairs } = await generateJson(llmProvider, prompt, {
+    description: 'lecture notes',
+    schema: SCHEMA_DESCRIPTION,
+    signal,
+    parse: (data) => {
+      const notes = coerceStructuredNotes(data);
+      return { value: notes, errors: validateStructuredNotes(notes) };
+    }
+  });
+  return { notes: value, repairs };
+};
+
+/**
+ * Render notes in the JSON format as markdown.
+ *
+ * @param {Object} notes - Notes that passed validateStructuredNotes()
+ * @returns {string}
+ */
+export const structuredNotesToMarkdown = (notes) => {
+  const blocks = [`# ${notes.title}`, `## Overview\n${notes.summary}`];
+
+  for (const section of notes.sections) {
+    const heading = section.startTime === null
+      ? `## ${section.heading}`
+      : `## ${section.heading} (${formatTimestamp(section.startTime)})`;
+    const lines = [heading, ...section.bullets.map(bullet => `- ${bullet}`)];
+    if (section.keyTerms.length > 0) {
+      lines.push('', `**Key terms:** ${section.keyTerms.join(', ')}`);
+    }
+    blocks.push(lines.join('\n'));
+  }
+
+  if (notes.takeaways.length > 0) {
+    blocks.push(['## Key Takeaways', ...notes.takeaways.map(takeaway => `- ${takeaway}`)].join('\n'));
+  }
+
+  if (notes.glossary.length > 0) {
+    blocks.push(['## Glossary', ...notes.glossary.map(entry => `- **${entry.term}**: ${entry.definition}`)].join('\n'));
+  }
+
+  return blocks.join('\n\n');
+};
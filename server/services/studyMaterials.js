@@ -0,0 +1,238 @@
+import crypto from 'crypto';
+import { countWords, MAX_TRANSCRIPT_WORDS } from './notes.js';
+import { generateJson } from './llm/json.js';
+
+// Items generated when a request does not ask for specific counts, and the
+// most it may ask for
+export const STUDY_ITEM_KINDS = ['multipleChoice', 'shortAnswer', 'flashcards'];
+export const DEFAULT_STUDY_COUNTS = { multipleChoice: 8, shortAnswer: 5, flashcards: 15 };
+export const MAX_STUDY_COUNTS = { multipleChoice: 25, shortAnswer: 15, flashcards: 50 };
+
+// The transcript is numbered in passages of about this many words so each
+// item can cite the passage it came from
+const PASSAGE_WORDS = 60;
+
+const SCHEMA_DESCRIPTION = `{
+  "multipleChoice": [
+    { "question": "string", "options": ["string", "string", "string", "string"], "answerIndex": 0, "explanation": "string", "source": "P1" }
+  ],
+  "shortAnswer": [
+    { "question": "string", "answer": "string", "source": "P1" }
+  ],
+  "flashcards": [
+    { "front": "string", "back": "string", "source": "P1" }
+  ]
+}`;
+
+/**
+ * Validate the optional `counts` request field.
+ * Returns { counts } with defaults filled in, or { error }.
+ *
+ * @param {*} input - { multipleChoice?, shortAnswer?, flashcards? }
+ */
+export const parseStudyCounts = (input) => {
+  if (input === undefined || input === null) {
+    return { counts: { ...DEFAULT_STUDY_COUNTS }, error: null };
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { counts: null, error: `'counts' must be an object such as { "multipleChoice": 8, "shortAnswer": 5, "flashcards": 15 }.` };
+  }
+
+  const counts = {};
+  for (const kind of STUDY_ITEM_KINDS) {
+    const value = input[kind] === undefined ? DEFAULT_STUDY_COUNTS[kind] : input[kind];
+    if (!Number.isInteger(value) || value < 0 || value > MAX_STUDY_COUNTS[kind]) {
+      return { counts: null, error: `'counts.${kind}' must be a whole number from 0 to ${MAX_STUDY_COUNTS[kind]}.` };
+    }
+    counts[kind] = value;
+  }
+
+  if (STUDY_ITEM_KINDS.every(kind => counts[kind] === 0)) {
+    return { counts: null, error: 'At least one of the counts must be greater than 0.' };
+  }
+
+  return { counts, error: null };
+};
+
+/**
+ * Split a transcript into numbered passages (P1, P2, ...) of about
+ * PASSAGE_WORDS words. Timed sentences give each passage a startTime.
+ *
+ * @param {string} transcript - Transcript text
+ * @param {Array} [sentences] - Timed sentences from /api/transcribe
+ * @returns {Array<{ id: string, startTime: number|null, text: string }>}
+ */
+export const buildPassages = (transcript, sentences) => {
+  const units = Array.isArray(sentences) && sentences.length > 0
+    ? sentences.map(sentence => ({ text: sentence.text, startTime: sentence.startTime }))
+    : transcript.split(/(?<=[.!?])\s+/).filter(text => text.trim()).map(text => ({ text: text.trim(), startTime: null }));
+
+  const passages = [];
+  let current = null;
+  for (const unit of units) {
+    if (!current || countWords(current.text) >= PASSAGE_WORDS) {
+      current = { id: `P${passages.length + 1}`, startTime: unit.startTime, text: unit.text };
+      passages.push(current);
+    } else {
+      current.text += ` ${unit.text}`;
+    }
+  }
+  return passages;
+};
+
+const buildStudyPrompt = (passages, notes, counts) => {
+  const requested = [
+    counts.multipleChoice > 0 && `- ${counts.multipleChoice} multiple-choice questions, each with 4 options of which exactly one is correct ("answerIndex" is its 0-based position), plausible wrong options, and a one-sentence explanation of the answer`,
+    counts.shortAnswer > 0 && `- ${counts.shortAnswer} short-answer questions that need a one to three sentence answer, with a model answer`,
+    counts.flashcards > 0 && `- ${counts.flashcards} flashcards with a term, concept or question on the front and a concise definition or answer on the back`
+  ].filter(Boolean).join('\n');
+
+  const transcript = passages.map(passage => `[${passage.id}] ${passage.text}`).join('\n');
+
+  return `You are an expert teacher writing study materials for a student who attended a lecture. Use the notes to decide what matters most and the transcript for the details.
+
+Write:
+${requested}
+
+Cover the most important concepts across the whole lecture and avoid asking about the same fact twice. Base every item only on what was said in the lecture. Set "source" to the id of the transcript passage (such as "P12") the item is based on. Use an empty array for any kind not requested above.
+
+Here are the lecture notes:
+
+${notes}
+
+Here is the transcript, split into numbered passages:
+
+${transcript}
+
+Respond with only a JSON object, without markdown code fences or any other text, matching this schema:
+
+${SCHEMA_DESCRIPTION}
+
+Please provide the study materials as JSON now:`;
+};
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Check the model's study materials and attach the cited passages.
+ * Returns { value, errors }; items get an id and a source of
+ * { passage, startTime, text }.
+ *
+ * @param {Object} data - Parsed model response
+ * @param {Array} passages - From buildPassages()
+ * @param {Object} counts - From parseStudyCounts()
+ */
+const checkStudyMaterials = (data, passages, counts) => {
+  const errors = [];
+  const passagesById = new Map(passages.map(passage => [passage.id, passage]));
+
+  const resolveSource = (item, at) => {
+    const id = typeof item.source === 'string' ? item.source.trim().replace(/^\[|\]$/g, '').toUpperCase() : null;
+    const passage = passagesById.get(id);
+    if (!passage) {
+      errors.push(`${at}.source must be the id of a transcript passage, from P1 to P${passages.length}.`);
+      return null;
+    }
+    return { passage: passage.id, startTime: passage.startTime, text: passage.text };
+  };
+
+  const readItems = (kind, check) => {
+    const items = data[kind] === undefined || counts[kind] === 0 ? [] : data[kind];
+    if (!Array.isArray(items)) {
+      errors.push(`"${kind}" must be an array.`);
+      return [];
+    }
+    return items.map((item, index) => {
+      const at = `${kind}[${index}]`;
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        errors.push(`${at} must be an object.`);
+        return null;
+      }
+      return { id: crypto.randomUUID(), ...check(item, at), source: resolveSource(item, at) };
+    });
+  };
+
+  const value = {
+    multipleChoice: readItems('multipleChoice', (item, at) => {
+      const options = Array.isArray(item.options) ? item.options : [];
+      if (!isText(item.question)) {
+        errors.push(`${at}.question must be a non-empty string.`);
+      }
+      if (options.length < 3 || options.length > 6 || !options.every(isText)) {
+        errors.push(`${at}.options must be an array of 3 to 6 non-empty strings.`);
+      }
+      if (!Number.isInteger(item.answerIndex) || item.answerIndex < 0 || item.answerIndex >= options.length) {
+        errors.push(`${at}.answerIndex must be the 0-based position of the correct option.`);
+      }
+      return {
+        question: String(item.question || '').trim(),
+        options: options.map(option => String(option).trim()),
+        answerIndex: item.answerIndex,
+        explanation: isText(item.explanation) ? item.explanation.trim() : ''
+      };
+    }),
+    shortAnswer: readItems('shortAnswer', (item, at) => {
+      if (!isText(item.question) || !isText(item.answer)) {
+        errors.push(`${at} must have a non-empty "question" and "answer".`);
+      }
+      return { question: String(item.question || '').trim(), answer: String(item.answer || '').trim() };
+    }),
+    flashcards: readItems('flashcards', (item, at) => {
+      if (!isText(item.front) || !isText(item.back)) {
+        errors.push(`${at} must have a non-empty "front" and "back".`);
+      }
+      return { front: String(item.front || '').trim(), back: String(item.back || '').trim() };
+    })
+  };
+
+  if (errors.length === 0 && STUDY_ITEM_KINDS.every(kind => value[kind].length === 0)) {
+    errors.push('The response contains no questions or flashcards.');
+  }
+
+  return { value, errors };
+};
+
+// Check a transcript against the single-call budget for study materials.
+// Returns an error message, or null when it is acceptable.
+export const checkStudyTranscript = (transcript) => {
+  const words = countWords(transcript);
+  if (words > MAX_TRANSCRIPT_WORDS) {
+    return `Transcript is too long for study materials (${words} words). Maximum is ${MAX_TRANSCRIPT_WORDS} words.`;
+  }
+  return null;
+};
+
+/**
+ * Generate multiple-choice questions, short-answer questions and flashcards
+ * from a lecture's transcript and notes. Every item cites the transcript
+ * passage it is based on.
+ *
+ * @param {Object} llmProvider - Provider from createLlmProviders()
+ * @param {Object} lecture
+ * @param {string} lecture.transcript - Transcript text
+ * @param {string} lecture.notes - Notes markdown
+ * @param {Array} [lecture.sentences] - Timed sentences, to give citations a startTime
+ * @param {Object} counts - From parseStudyCounts()
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the model requests
+ * @returns {Promise<{ materials: Object, repairs: number }>}
+ */
+export const generateStudyMaterials = async (llmProvider, { transcript, notes, sentences }, counts, { signal } = {}) => {
+  const passages = buildPassages(transcript, sentences);
+
+  const { value, repairs } = await generateJson(llmProvider, buildStudyPrompt(passages, notes, counts), {
+    description: 'study materials',
+    schema: SCHEMA_DESCRIPTION,
+    signal,
+    parse: (data) => checkStudyMaterials(data, passages, counts)
+  });
+
+  return {
+    materials: {
+      ...value,
+      generatedAt: new Date().toISOString()
+    },
+    repairs
+  };
+};
@@ -0,0 +1,292 @@
+import crypto from 'crypto';
+import { readJsonFile, writeJsonFile } from '../utils/jsonStore.js';
+import { NOTE_FORMATS, STRUCTURED_NOTES_TEMPLATE } from './structuredNotes.js';
+
+export const DETAIL_LEVELS = ['brief', 'standard', 'detailed'];
+
+export const MAX_TEMPLATE_NAME_LENGTH = 80;
+export const MAX_TEMPLATE_DESCRIPTION_LENGTH = 300;
+export const MAX_TEMPLATE_INSTRUCTIONS_LENGTH = 5000;
+const MAX_LANGUAGE_LENGTH = 40;
+
+// Shipped with the app and read-only; duplicate one to customize it
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'standard',
+    name: 'Standard',
+    description: 'Title, overview, sections with bullet points and key takeaways.',
+    instructions: `1. **Main Title**: A clear, descriptive title for the lecture based on the content
+2. **Overview/Summary**: A brief 2-3 sentence overview of what the lecture covers
+3. **Main Sections**: Organize the content into logical sections with clear headers
+4. **Bullet Points**: Use bullet points to highlight key concepts, important facts, and main ideas
+5. **Key Takeaways**: A dedicated section at the end listing 3-5 key takeaways
+6. **Formatting**: Use proper markdown formatting with headers (##, ###), bullet points (-), and emphasis (**bold** for important terms)`
+  },
+  {
+    id: 'cornell',
+    name: 'Cornell notes',
+    description: 'Cue questions beside the notes for each topic, with a summary at the end.',
+    instructions: `Use the Cornell note-taking format:
+1. **Title**: A clear, descriptive title for the lecture as a # heading
+2. **Topics**: For each topic, a ## header followed by a two-column markdown table: "Cues" (short questions and key terms a student can quiz themselves with) and "Notes" (the matching facts, explanations and examples)
+3. **Summary**: A final "## Summary" section of 3-5 sentences tying the topics together
+4. **Formatting**: Use **bold** for important terms`
+  },
+  {
+    id: 'outline',
+    name: 'Outline',
+    description: 'A hierarchical outline of one-line bullet points.',
+    instructions: `Write a hierarchical outline:
+1. **Title**: A # heading with the lecture's title
+2. **Outline**: Nested bullet points (-) with at most four levels: main topics, subtopics, supporting points and details. Keep each bullet to a single line and write no prose paragraphs
+3. **Formatting**: Use **bold** for key terms`
+  },
+  {
+    id: 'math',
+    name: 'Math-heavy (LaTeX)',
+    description: 'Definitions, theorems and worked examples with formulas in LaTeX.',
+    instructions: `Write notes for a mathematics-heavy lecture:
+1. **Title**: A # heading with the lecture's title
+2. **Sections**: One ## section per topic, in the order taught
+3. **Definitions and Results**: State every definition, theorem, lemma and formula precisely, labelled in bold (e.g. **Definition**, **Theorem**), with proof sketches where the lecturer gave them
+4. **LaTeX**: Write all mathematics in LaTeX, inline as $...$ and displayed equations as $$...$$ on their own lines. Reconstruct formulas that were read aloud (e.g. "x squared over two" becomes $\\frac{x^2}{2}$)
+5. **Worked Examples**: Reproduce worked examples step by step
+6. **Key Results**: A final section listing the 3-5 results to remember`
+  },
+  {
+    id: 'lab',
+    name: 'Lab procedure',
+    description: 'Objective, materials, safety and numbered procedure steps.',
+    instructions: `Write notes for a lab session:
+1. **Title**: A # heading with the experiment or lab session name
+2. **Objective**: One or two sentences on the aim of the lab
+3. **Materials and Equipment**: A bullet list
+4. **Safety**: A bullet list of the safety precautions mentioned (omit the section if there were none)
+5. **Procedure**: Numbered steps in order, with quantities, settings and timings exactly as stated
+6. **Expected Results and Analysis**: What to observe or measure and how to analyse it
+7. **Tips and Common Mistakes**: A bullet list of the pitfalls mentioned`
+  },
+  {
+    id: 'tldr',
+    name: 'TL;DR',
+    description: 'A few sentences and at most five key points.',
+    instructions: `Write a very short summary:
+1. **Title**: A # heading with the lecture's title
+2. **TL;DR**: 3-5 sentences capturing the main point of the lecture
+3. **Key Points**: At most 5 bullet points
+Do not write any other sections.`
+  }
+].map(template => ({ ...template, builtIn: true }));
+
+export const DEFAULT_TEMPLATE_ID = 'standard';
+
+// Style used when a request does not choose one
+export const DEFAULT_NOTE_STYLE = {
+  template: BUILT_IN_TEMPLATES.find(template => template.id === DEFAULT_TEMPLATE_ID),
+  detailLevel: 'standard',
+  language: null,
+  format: 'markdown'
+};
+
+/**
+ * Validate a template create/update body.
+ * Returns an error message, or null when the body is valid.
+ *
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing fields (PATCH)
+ */
+export const validateTemplate = (body, partial = false) => {
+  if (!body || typeof body !== 'object') {
+    return 'Request body must be a JSON object.';
+  }
+
+  const limits = {
+    name: MAX_TEMPLATE_NAME_LENGTH,
+    description: MAX_TEMPLATE_DESCRIPTION_LENGTH,
+    instructions: MAX_TEMPLATE_INSTRUCTIONS_LENGTH
+  };
+
+  for (const [field, maxLength] of Object.entries(limits)) {
+    const value = body[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (typeof value !== 'string') {
+      return `'${field}' must be a string.`;
+    }
+    if (value.length > maxLength) {
+      return `'${field}' is too long. Maximum is ${maxLength} characters.`;
+    }
+  }
+
+  for (const field of ['name', 'instructions']) {
+    if ((!partial || body[field] !== undefined) && !(typeof body[field] === 'string' && body[field].trim())) {
+      return `'${field}' is required.`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Note templates: the built-in ones plus user templates persisted to a
+ * JSON file.
+ *
+ * @param {Object} options
+ * @param {string} options.storePath - JSON file user templates are persisted to
+ */
+export const createTemplateStore = ({ storePath }) => {
+  const templates = new Map(readJsonFile(storePath, []).map(template => [template.id, template]));
+
+  const persist = () => {
+    writeJsonFile(storePath, Array.from(templates.values()));
+  };
+
+  // Built-in templates first, then the user's own templates by name
+  const list = (userId) => [
+    ...BUILT_IN_TEMPLATES,
+    ...Array.from(templates.values())
+      .filter(template => template.userId === userId)
+      .sort((a, b) => a.name.localeCompare(b.name))
+  ];
+
+  // Built-in templates are visible to everyone, user templates only to their owner
+  const get = (id, userId) => {
+    const builtIn = BUILT_IN_TEMPLATES.find(template => template.id === id);
+    if (builtIn) {
+      return builtIn;
+    }
+    const template = templates.get(id);
+    return template && template.userId === userId ? template : null;
+  };
+
+  const create = (data, userId) => {
+    const now = new Date().toISOString();
+    const template = {
+      id: crypto.randomUUID(),
+      userId: userId,
+      name: data.name.trim(),
+      description: (data.description || '').trim(),
+      instructions: data.instructions.trim(),
+      builtIn: false,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    templates.set(template.id, template);
+    persist();
+    return template;
+  };
+
+  // Built-in templates are not stored here, so they cannot be updated or removed
+  const update = (id, changes) => {
+    const template = templates.get(id);
+    if (!template) {
+      return null;
+    }
+
+    for (const field of ['name', 'description', 'instructions']) {
+      if (typeof changes[field] === 'string') {
+        template[field] = changes[field].trim();
+      }
+    }
+    template.updatedAt = new Date().toISOString();
+
+    persist();
+    return template;
+  };
+
+  const remove = (id) => {
+    const existed = templates.delete(id);
+    if (existed) {
+      persist();
+    }
+    return existed;
+  };
+
+  // Give templates saved before accounts existed to a user
+  const claimUnowned = (userId) => {
+    const unowned = Array.from(templates.values()).filter(template => !template.userId);
+    for (const template of unowned) {
+      template.userId = userId;
+    }
+    if (unowned.length > 0) {
+      persist();
+    }
+    return unowned.length;
+  };
+
+  return {
+    list,
+    get,
+    create,
+    update,
+    remove,
+    claimUnowned
+  };
+};
+
+/**
+ * Resolve the `template`, `detailLevel`, `language` and `format` request fields.
+ * Returns { style } or { status, error } ready to send to the client.
+ *
+ * @param {Object} templateStore - Store created by createTemplateStore()
+ * @param {Object} fields
+ * @param {string} [fields.template] - Template id (default "standard")
+ * @param {string} [fields.detailLevel] - brief, standard or detailed
+ * @param {string} [fields.language] - Language to write the notes in, e.g. "Spanish"
+ * @param {string} [fields.format] - "markdown" (default) or "json"; JSON notes
+ *   follow a fixed schema, so they cannot be combined with a template
+ * @param {string} userId - Signed-in user; only their own templates can be used
+ */
+export const resolveNoteStyle = (templateStore, { template, detailLevel, language, format }, userId) => {
+  if (format !== undefined && format !== null && !NOTE_FORMATS.includes(format)) {
+    return {
+      status: 400,
+      error: `'format' must be one of: ${NOTE_FORMATS.join(', ')}.`
+    };
+  }
+
+  if (format === 'json' && template) {
+    return {
+      status: 400,
+      error: `JSON notes follow a fixed schema and cannot use a template. Omit 'template' when 'format' is "json".`
+    };
+  }
+
+  const templateId = template || DEFAULT_TEMPLATE_ID;
+  const found = format === 'json' ? STRUCTURED_NOTES_TEMPLATE : templateStore.get(templateId, userId);
+
+  if (!found) {
+    return {
+      status: 400,
+      error: `Unknown note template '${templateId}'. Available templates: ${templateStore.list(userId).map(item => item.id).join(', ')}.`
+    };
+  }
+
+  if (detailLevel !== undefined && detailLevel !== null && !DETAIL_LEVELS.includes(detailLevel)) {
+    return {
+      status: 400,
+      error: `'detailLevel' must be one of: ${DETAIL_LEVELS.join(', ')}.`
+    };
+  }
+
+  const languageName = typeof language === 'string' ? language.trim() : '';
+  if ((language !== undefined && language !== null && typeof language !== 'string')
+    || languageName.length > MAX_LANGUAGE_LENGTH
+    || (languageName && !/^[\p{L}\s()-]+$/u.test(languageName))) {
+    return {
+      status: 400,
+      error: `'language' must be a language name such as "English" or "Español" (at most ${MAX_LANGUAGE_LENGTH} characters).`
+    };
+  }
+
+  return {
+    style: {
+      template: { id: found.id, name: found.name, instructions: found.instructions },
+      detailLevel: detailLevel || 'standard',
+      language: languageName || null,
+      format: format || 'markdown'
+    }
+  };
+};
@@ -0,0 +1,79 @@
+import fs from 'fs';
+import path from 'path';
+import { roundTime } from './utils.js';
+
+const WORD_SECONDS = 0.4;
+
+// Used when no fixture file is configured
+const DEFAULT_FIXTURE = {
+  segments: [
+    {
+      transcript: 'Welcome back everyone. Today we are going to talk about how cells produce energy. The mitochondria is often called the powerhouse of the cell because it produces most of the ATP the cell needs.',
+      speakerTag: 1
+    },
+    {
+      transcript: 'Does that include plant cells as well?',
+      speakerTag: 2
+    },
+    {
+      transcript: 'Great question. Yes, plant cells have mitochondria too, in addition to chloroplasts which capture energy from sunlight.',
+      speakerTag: 1
+    }
+  ]
+};
+
+/**
+ * Deterministic transcription provider for development and tests.
+ *
+ * Returns the transcript from a JSON fixture file (`{ segments: [{ transcript,
+ * speakerTag? }] }` or `{ transcript }`) regardless of the audio, with each
+ * word given a fixed duration. No API keys or local tools are required.
+ *
+ * @param {Object} config
+ * @param {string} [config.fixturePath] - JSON fixture file; a built-in lecture is used otherwise
+ */
+export const createFixtureProvider = ({ fixturePath }) => ({
+  name: 'fixture',
+  model: fixturePath ? path.basename(fixturePath) : 'built-in',
+  supportsDiarization: true,
+  isConfigured: () => !fixturePath || fs.existsSync(fixturePath),
+  notConfiguredMessage: `Transcription fixture '${fixturePath}' not found. Please check TRANSCRIPTION_FIXTURE_PATH.`,
+
+  transcribe: async (filePath, options = {}) => {
+    const fixture = fixturePath
+      ? JSON.parse(fs.readFileSync(fixturePath, 'utf8'))
+      : DEFAULT_FIXTURE;
+
+    const fixtureSegments = fixture.segments || [{ transcript: fixture.transcript || '' }];
+    const segments = [];
+    const words = [];
+    let time = 0;
+
+    for (const fixtureSegment of fixtureSegments) {
+      const startTime = time;
+
+      for (const word of fixtureSegment.transcript.split(/\s+/).filter(Boolean)) {
+        words.push({
+          word: word,
+          startTime: roundTime(time),
+          endTime: roundTime(time + WORD_SECONDS),
+          ...(options.diarization && fixtureSegment.speakerTag ? { speakerTag: fixtureSegment.speakerTag } : {})
+        });
+        time += WORD_SECONDS;
+      }
+
+      segments.push({
+        startTime: roundTime(startTime),
+        endTime: roundTime(time),
+        transcript: fixtureSegment.transcript,
+        confidence: 1
+      });
+    }
+
+    if (options.onProgress) {
+      options.onProgress({ completed: 1, total: 1 });
+    }
+
+    return { segments, words, method: 'fixture' };
+  }
+});
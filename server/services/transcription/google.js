@@ -0,0 +1,291 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { splitAudio, splitAudioWithOverlap } from '../audio.js';
+import { roundTime } from './utils.js';
+
+// Google's synchronous recognize() only accepts ~60s of inline audio,
+// so long recordings are cut into segments just under that limit
+export const SEGMENT_SECONDS = 55;
+const SEGMENT_SAMPLE_RATE = 16000;
+
+// Each segment is diarized on its own, so with diarization neighbouring
+// segments share this much audio and speakers are matched across it
+export const DIARIZATION_OVERLAP_SECONDS = 10;
+
+// Convert a protobuf Duration ({ seconds, nanos }) to seconds
+const durationToSeconds = (duration) => {
+  if (!duration) {
+    return 0;
+  }
+  return Number(duration.seconds || 0) + (duration.nanos || 0) / 1e9;
+};
+
+const mapWord = (wordInfo, baseOffset) => ({
+  word: wordInfo.word,
+  startTime: roundTime(baseOffset + durationToSeconds(wordInfo.startTime)),
+  endTime: roundTime(baseOffset + durationToSeconds(wordInfo.endTime)),
+  ...(wordInfo.speakerTag ? { speakerTag: wordInfo.speakerTag } : {})
+});
+
+// Map Speech API results to transcript segments and word timings, shifting
+// them by the offset of the audio segment they were recognized from
+const mapResults = (results, baseOffset, options = {}) => {
+  const segments = [];
+  const words = [];
+  let previousEnd = 0;
+  let transcriptResults = results || [];
+
+  // With diarization the final result repeats every word of the request
+  // with a speaker tag, so its words replace the untagged ones
+  let speakerWords = null;
+  if (options.diarization && transcriptResults.length > 0) {
+    const lastResult = transcriptResults[transcriptResults.length - 1];
+    const lastAlternative = lastResult.alternatives && lastResult.alternatives[0];
+    const lastWords = (lastAlternative && lastAlternative.words) || [];
+
+    if (lastWords.some(wordInfo => wordInfo.speakerTag)) {
+      speakerWords = lastWords.map(wordInfo => mapWord(wordInfo, baseOffset));
+      if (transcriptResults.length > 1) {
+        transcriptResults = transcriptResults.slice(0, -1);
+      }
+    }
+  }
+
+  for (const result of transcriptResults) {
+    const alternative = result.alternatives && result.alternatives[0];
+    const resultEnd = durationToSeconds(result.resultEndTime);
+
+    if (alternative && alternative.transcript && alternative.transcript.trim()) {
+      segments.push({
+        startTime: roundTime(baseOffset + previousEnd),
+        endTime: roundTime(baseOffset + Math.max(resultEnd, previousEnd)),
+        transcript: alternative.transcript.trim(),
+        confidence: alternative.confidence || 0
+      });
+
+      if (!speakerWords) {
+        for (const wordInfo of alternative.words || []) {
+          words.push(mapWord(wordInfo, baseOffset));
+        }
+      }
+    }
+
+    previousEnd = Math.max(resultEnd, previousEnd);
+  }
+
+  return { segments, words: speakerWords || words };
+};
+
+// Recognition model requested from Speech-to-Text
+const RECOGNITION_MODEL = 'default';
+
+const buildConfig = (encoding, sampleRateHertz, options) => ({
+  encoding: encoding,
+  sampleRateHertz: sampleRateHertz,
+  languageCode: options.languageCode || 'en-US',
+  enableAutomaticPunctuation: true,
+  enableWordTimeOffsets: true,
+  model: RECOGNITION_MODEL,
+  useEnhanced: true,
+  ...(options.diarization && {
+    diarizationConfig: {
+      enableSpeakerDiarization: true,
+      minSpeakerCount: options.diarization.minSpeakers,
+      maxSpeakerCount: options.diarization.maxSpeakers,
+    }
+  }),
+});
+
+// Words compared across segments: lower case, without punctuation
+const normalizeWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+// Words recognized in both segments must start within this many seconds
+const MATCH_TOLERANCE_SECONDS = 0.5;
+
+/**
+ * Map the speaker tags of one diarized segment onto the tags already used for
+ * the recording, by the words both it and the previous segment recognized in
+ * their shared audio. Each speaker tag takes the recording's tag it shares the
+ * most words with; speakers not heard in the shared audio get a new tag.
+ *
+ * @param {Array} previousWords - Previous segment's words, already using the recording's tags
+ * @param {Array} currentWords - This segment's words with its own tags
+ * @param {Object} overlap - { start, end } of the shared audio in seconds
+ * @param {number} nextTag - First tag not yet used in the recording
+ * @returns {Map<number, number>} This segment's tags to the recording's tags
+ */
+export const matchSpeakerTags = (previousWords, currentWords, overlap, nextTag) => {
+  const inOverlap = (word) => word.speakerTag && word.startTime >= overlap.start && word.startTime < overlap.end;
+  const candidates = previousWords.filter(inOverlap);
+  const votes = new Map();
+
+  for (const word of currentWords.filter(inOverlap)) {
+    const text = normalizeWord(word.word);
+    const match = candidates.find(candidate => normalizeWord(candidate.word) === text
+      && Math.abs(candidate.startTime - word.startTime) <= MATCH_TOLERANCE_SECONDS);
+    if (match) {
+      const key = `${word.speakerTag}:${match.speakerTag}`;
+      votes.set(key, (votes.get(key) || 0) + 1);
+    }
+  }
+
+  // Most shared words first; every tag is used at most once
+  const mapping = new Map();
+  const taken = new Set();
+  const pairs = Array.from(votes.entries()).sort((a, b) => b[1] - a[1]);
+  for (const [key] of pairs) {
+    const [tag, previousTag] = key.split(':').map(Number);
+    if (!mapping.has(tag) && !taken.has(previousTag)) {
+      mapping.set(tag, previousTag);
+      taken.add(previousTag);
+    }
+  }
+
+  for (const tag of new Set(currentWords.map(word => word.speakerTag).filter(Boolean))) {
+    if (!mapping.has(tag)) {
+      mapping.set(tag, nextTag++);
+    }
+  }
+  return mapping;
+};
+
+/**
+ * Join diarized segments that overlap by DIARIZATION_OVERLAP_SECONDS into one
+ * transcript whose speaker tags hold across the whole recording. Every segment
+ * keeps the words from halfway into the audio it shares with the previous
+ * segment up to halfway into the audio it shares with the next.
+ *
+ * @param {Array<{ offset: number, segments: Array, words: Array }>} parts - Mapped results per segment
+ * @param {number} overlapSeconds - Audio shared by neighbouring segments
+ * @returns {{ segments: Array, words: Array }}
+ */
+export const joinDiarizedSegments = (parts, overlapSeconds) => {
+  const segments = [];
+  const words = [];
+  let nextTag = 1;
+  let previousWords = [];
+
+  parts.forEach((part, i) => {
+    const overlap = { start: part.offset, end: part.offset + overlapSeconds };
+    const mapping = i === 0
+      ? new Map(Array.from(new Set(part.words.map(word => word.speakerTag).filter(Boolean))).map(tag => [tag, tag]))
+      : matchSpeakerTags(previousWords, part.words, overlap, nextTag);
+    nextTag = Math.max(nextTag, ...Array.from(mapping.values()).map(tag => tag + 1));
+
+    const tagged = part.words.map(word => (word.speakerTag ? { ...word, speakerTag: mapping.get(word.speakerTag) } : word));
+    const keepFrom = i === 0 ? -Infinity : part.offset + overlapSeconds / 2;
+    const keepUntil = i === parts.length - 1 ? Infinity : parts[i + 1].offset + overlapSeconds / 2;
+    const kept = tagged.filter(word => word.startTime >= keepFrom && word.startTime < keepUntil);
+
+    // The results' text spans the shared audio too, so the segment's text is rebuilt from its words
+    if (kept.length > 0) {
+      const confidences = part.segments.map(segment => segment.confidence).filter(confidence => confidence > 0);
+      segments.push({
+        startTime: kept[0].startTime,
+        endTime: kept[kept.length - 1].endTime,
+        transcript: kept.map(word => word.word).join(' '),
+        confidence: confidences.length > 0
+          ? confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length
+          : 0
+      });
+    }
+    words.push(...kept);
+    previousWords = tagged;
+  });
+
+  return { segments, words };
+};
+
+// Transcribe pre-split segments one after another with recognize(). With
+// diarization the segments overlap and are joined by joinDiarizedSegments().
+const transcribeSegments = async (speechClient, caller, segmentPaths, options) => {
+  const encoding = options.diarization ? 'LINEAR16' : 'FLAC';
+  const stepSeconds = options.diarization ? SEGMENT_SECONDS - DIARIZATION_OVERLAP_SECONDS : SEGMENT_SECONDS;
+  const parts = [];
+
+  for (let i = 0; i < segmentPaths.length; i++) {
+    const offset = i * stepSeconds;
+
+    // Stop between segments if the caller cancelled
+    if (options.signal) {
+      options.signal.throwIfAborted();
+    }
+
+    if (options.onProgress) {
+      options.onProgress({ completed: i, total: segmentPaths.length });
+    }
+
+    const [response] = await caller.call(() => speechClient.recognize({
+      audio: { content: fs.readFileSync(segmentPaths[i]).toString('base64') },
+      config: buildConfig(encoding, SEGMENT_SAMPLE_RATE, options),
+    }), { signal: options.signal });
+
+    parts.push({ offset, ...mapResults(response.results, offset, options) });
+  }
+
+  if (options.onProgress) {
+    options.onProgress({ completed: segmentPaths.length, total: segmentPaths.length });
+  }
+
+  if (options.diarization) {
+    return joinDiarizedSegments(parts, DIARIZATION_OVERLAP_SECONDS);
+  }
+  return {
+    segments: parts.flatMap(part => part.segments),
+    words: parts.flatMap(part => part.words)
+  };
+};
+
+/**
+ * Transcription provider backed by Google Speech-to-Text.
+ *
+ * The file is split into SEGMENT_SECONDS segments with ffmpeg and each segment
+ * is recognized in sequence, with results shifted by their segment's offset
+ * in the original recording. ffmpeg is required: Google only accepts about a
+ * minute of inline audio, longer audio has to come from Cloud Storage. With
+ * diarization the segments overlap so speakers can be matched across them.
+ *
+ * @param {Object} deps
+ * @param {SpeechClient|null} deps.speechClient - Google Speech-to-Text client
+ * @param {Object} deps.caller - From createOutboundCaller(); caps, retries and
+ *   circuit-breaks the recognize calls
+ */
+export const createGoogleProvider = ({ speechClient, caller }) => ({
+  name: 'google',
+  model: RECOGNITION_MODEL,
+  supportsDiarization: true,
+  isConfigured: () => Boolean(speechClient),
+  notConfiguredMessage: 'Speech-to-Text API is not configured. Please add GOOGLE_SPEECH_API_KEY to your environment variables.',
+
+  transcribe: async (filePath, options = {}) => {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lecture-segments-'));
+
+    try {
+      let segmentPaths;
+      try {
+        segmentPaths = options.diarization
+          ? await splitAudioWithOverlap(filePath, workDir, {
+            segmentSeconds: SEGMENT_SECONDS,
+            overlapSeconds: DIARIZATION_OVERLAP_SECONDS,
+            sampleRate: SEGMENT_SAMPLE_RATE
+          })
+          : await splitAudio(filePath, workDir, {
+            segmentSeconds: SEGMENT_SECONDS,
+            sampleRate: SEGMENT_SAMPLE_RATE
+          });
+      } catch (error) {
+        if (error.code === 'COMMAND_NOT_FOUND') {
+          error.message = 'ffmpeg is required to transcribe with Google Speech-to-Text, which only accepts about a minute of audio per request. Please install ffmpeg or set FFMPEG_PATH.';
+        }
+        throw error;
+      }
+
+      console.log(`✂️  Split audio into ${segmentPaths.length} segment(s) of ${SEGMENT_SECONDS}s${options.diarization ? `, overlapping by ${DIARIZATION_OVERLAP_SECONDS}s` : ''}`);
+      const mapped = await transcribeSegments(speechClient, caller, segmentPaths, options);
+      return { ...mapped, method: 'segmented' };
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { joinDiarizedSegments, matchSpeakerTags } from './google.js';
+
+const word = (text, startTime, speakerTag) => ({ word: text, startTime, endTime: startTime + 0.4, speakerTag });
+
+test('matchSpeakerTags maps the new segment\'s tags to the speakers they share words with', () => {
+  const overlap = { start: 45, end: 55 };
+  const previous = [word('so', 46, 1), word('any', 48, 1), word('questions', 48.5, 1), word('yes', 51, 2), word('why', 52, 2)];
+  // The recognizer numbered the same speakers the other way round in this segment
+  const current = [word('so', 46.1, 2), word('any', 48.2, 2), word('questions?', 48.4, 2), word('Yes', 51.1, 1), word('why', 52, 1), word('hello', 60, 3)];
+
+  const mapping = matchSpeakerTags(previous, current, overlap, 3);
+  assert.deepEqual(Object.fromEntries(mapping), { 1: 2, 2: 1, 3: 3 });
+});
+
+test('matchSpeakerTags only counts words said at about the same time', () => {
+  const overlap = { start: 45, end: 55 };
+  const previous = [word('right', 46, 1)];
+  const current = [word('right', 50, 1)];
+
+  assert.deepEqual(Object.fromEntries(matchSpeakerTags(previous, current, overlap, 2)), { 1: 2 });
+});
+
+test('matchSpeakerTags gives every previous speaker to at most one new tag', () => {
+  const overlap = { start: 45, end: 55 };
+  const previous = [word('a', 46, 1), word('b', 47, 1), word('c', 48, 1)];
+  const current = [word('a', 46, 1), word('b', 47, 1), word('c', 48, 2)];
+
+  assert.deepEqual(Object.fromEntries(matchSpeakerTags(previous, current, overlap, 2)), { 1: 1, 2: 2 });
+});
+
+test('joinDiarizedSegments keeps each overlapping word once with consistent speaker tags', () => {
+  const parts = [
+    {
+      offset: 0,
+      segments: [{ confidence: 0.9 }],
+      words: [word('welcome', 1, 1), word('any', 47, 1), word('questions', 48, 1), word('yes', 52, 2)]
+    },
+    {
+      offset: 45,
+      segments: [{ confidence: 0.7 }],
+      words: [word('any', 47, 2), word('questions', 48, 2), word('yes', 52, 1), word('thanks', 60, 1)]
+    }
+  ];
+
+  const { segments, words } = joinDiarizedSegments(parts, 10);
+
+  assert.deepEqual(words.map(item => [item.word, item.speakerTag]), [
+    ['welcome', 1], ['any', 1], ['questions', 1], ['yes', 2], ['thanks', 2]
+  ]);
+  assert.deepEqual(segments.map(segment => segment.transcript), ['welcome any questions', 'yes thanks']);
+  assert.equal(segments[1].startTime, 52);
+  assert.equal(segments[1].confidence, 0.7);
+});
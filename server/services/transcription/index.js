@@ -0,0 +1,128 @@
+import { createGoogleProvider } from './google.js';
+import { createWhisperProvider } from './whisper.js';
+import { createFixtureProvider } from './fixture.js';
+import { buildSentences, buildSpeakerTurns, defaultSpeakerLabel, roundTime } from './utils.js';
+import { probeMedia } from '../audio.js';
+import { createOutboundCaller, getOutboundOptions } from '../resilience.js';
+
+export { parseDiarizationOptions, defaultSpeakerLabel } from './utils.js';
+
+export const getDefaultProviderName = () => process.env.TRANSCRIPTION_PROVIDER || 'google';
+
+/**
+ * Build the available transcription providers.
+ *
+ * Every provider implements:
+ *   name                  - identifier used by TRANSCRIPTION_PROVIDER and the `provider` request field
+ *   model                 - recognition model; part of the transcript cache key
+ *   supportsDiarization   - whether words can carry a speakerTag
+ *   isConfigured()        - whether the provider can run in this environment
+ *   notConfiguredMessage  - error shown when it cannot
+ *   transcribe(filePath, options) → Promise<{ segments, words, method }>
+ *
+ * @param {Object} deps
+ * @param {SpeechClient|null} deps.speechClient - Google Speech-to-Text client
+ * @returns {Object<string, Object>} Providers keyed by name
+ */
+export const createTranscriptionProviders = ({ speechClient }) => ({
+  google: createGoogleProvider({
+    speechClient,
+    caller: createOutboundCaller({ name: 'Speech-to-Text', ...getOutboundOptions('SPEECH', 4) })
+  }),
+  whisper: createWhisperProvider({
+    binaryPath: process.env.WHISPER_CPP_PATH || 'whisper-cli',
+    modelPath: process.env.WHISPER_MODEL_PATH
+  }),
+  fixture: createFixtureProvider({
+    fixturePath: process.env.TRANSCRIPTION_FIXTURE_PATH
+  })
+});
+
+/**
+ * Pick the provider for a request, falling back to TRANSCRIPTION_PROVIDER.
+ * Returns { provider } or { status, error } ready to send to the client.
+ *
+ * @param {Object<string, Object>} providers - From createTranscriptionProviders
+ * @param {string} [name] - Provider requested by the client
+ */
+export const resolveProvider = (providers, name) => {
+  const providerName = name || getDefaultProviderName();
+  const provider = providers[providerName];
+
+  if (!provider) {
+    return {
+      status: 400,
+      error: `Unknown transcription provider '${providerName}'. Available providers: ${Object.keys(providers).join(', ')}.`
+    };
+  }
+
+  if (!provider.isConfigured()) {
+    return { status: 500, error: provider.notConfiguredMessage };
+  }
+
+  return { provider };
+};
+
+// Length of the audio sent to the provider: the probed duration, or the end
+// of the last transcribed segment when ffprobe is unavailable
+const measureAudioSeconds = async (filePath, segments) => {
+  try {
+    const { duration } = await probeMedia(filePath);
+    if (duration !== null) {
+      return roundTime(duration);
+    }
+  } catch (probeError) {
+    // Fall back to the segment timings
+  }
+  return roundTime(segments.reduce((end, segment) => Math.max(end, segment.endTime || 0), 0));
+};
+
+/**
+ * Transcribe an audio file of any length with the given provider.
+ *
+ * @param {Object} provider - Transcription provider (see createTranscriptionProviders)
+ * @param {string} filePath - Path to the uploaded audio file
+ * @param {Object} [options]
+ * @param {string} [options.languageCode] - BCP-47 language code (default en-US)
+ * @param {Function} [options.onProgress] - Called with { completed, total } progress counts
+ * @param {AbortSignal} [options.signal] - Aborts transcription
+ * @param {Object} [options.diarization] - { minSpeakers, maxSpeakers } to label speakers
+ * @returns {Promise<{ transcript: string, segments: Array, words: Array, sentences: Array, speakerTurns: Array, speakers: Object, confidence: number, method: string, provider: string, audioSeconds: number }>}
+ */
+export const transcribeAudioFile = async (provider, filePath, options = {}) => {
+  if (options.diarization && !provider.supportsDiarization) {
+    console.warn(`⚠️  ${provider.name} does not support speaker diarization, ignoring`);
+  }
+
+  const { segments, words, method } = await provider.transcribe(filePath, {
+    ...options,
+    diarization: provider.supportsDiarization ? options.diarization : null
+  });
+
+  const speakerTurns = buildSpeakerTurns(words);
+  const speakers = {};
+  for (const turn of speakerTurns) {
+    speakers[turn.speakerTag] = defaultSpeakerLabel(turn.speakerTag);
+  }
+
+  const confidences = segments
+    .map(segment => segment.confidence)
+    .filter(conf => conf > 0);
+
+  const confidence = confidences.length > 0
+    ? confidences.reduce((sum, conf) => sum + conf, 0) / confidences.length
+    : 0;
+
+  return {
+    transcript: segments.map(segment => segment.transcript).join('\n'),
+    segments: segments.map((segment, index) => ({ index, ...segment })),
+    words: words,
+    sentences: buildSentences(words),
+    speakerTurns: speakerTurns,
+    speakers: speakers,
+    confidence: confidence,
+    method: method,
+    provider: provider.name,
+    audioSeconds: await measureAudioSeconds(filePath, segments)
+  };
+};
@@ -0,0 +1,110 @@
+// Speaker count bounds accepted by Google's diarization config
+const MIN_SPEAKER_COUNT = 1;
+const MAX_SPEAKER_COUNT = 10;
+
+export const roundTime = (seconds) => Number(seconds.toFixed(2));
+
+/**
+ * Validate diarization options from a request body.
+ *
+ * @param {Object} [input] - { enabled, minSpeakers, maxSpeakers }
+ * @returns {{ diarization: Object|null, error: string|null }}
+ */
+export const parseDiarizationOptions = (input) => {
+  if (!input || !input.enabled) {
+    return { diarization: null, error: null };
+  }
+
+  const minSpeakers = input.minSpeakers === undefined ? 2 : Number(input.minSpeakers);
+  const maxSpeakers = input.maxSpeakers === undefined ? Math.max(minSpeakers, 6) : Number(input.maxSpeakers);
+
+  for (const [name, value] of [['minSpeakers', minSpeakers], ['maxSpeakers', maxSpeakers]]) {
+    if (!Number.isInteger(value) || value < MIN_SPEAKER_COUNT || value > MAX_SPEAKER_COUNT) {
+      return {
+        diarization: null,
+        error: `'${name}' must be a whole number between ${MIN_SPEAKER_COUNT} and ${MAX_SPEAKER_COUNT}.`
+      };
+    }
+  }
+
+  if (minSpeakers > maxSpeakers) {
+    return { diarization: null, error: `'minSpeakers' cannot be greater than 'maxSpeakers'.` };
+  }
+
+  return { diarization: { minSpeakers, maxSpeakers }, error: null };
+};
+
+// Default display name for a speaker tag
+export const defaultSpeakerLabel = (speakerTag) => `Speaker ${speakerTag}`;
+
+/**
+ * Group speaker-tagged words into consecutive turns by the same speaker.
+ *
+ * @param {Array} words - Words with speakerTag set
+ * @returns {Array<{ index: number, speakerTag: number, startTime: number, endTime: number, text: string }>}
+ */
+export const buildSpeakerTurns = (words) => {
+  const turns = [];
+
+  for (const word of words) {
+    if (!word.speakerTag) {
+      continue;
+    }
+
+    const current = turns[turns.length - 1];
+    if (current && current.speakerTag === word.speakerTag) {
+      current.endTime = word.endTime;
+      current.text += ` ${word.word}`;
+    } else {
+      turns.push({
+        index: turns.length,
+        speakerTag: word.speakerTag,
+        startTime: word.startTime,
+        endTime: word.endTime,
+        text: word.word
+      });
+    }
+  }
+
+  return turns;
+};
+
+/**
+ * Group timed words into sentences using the punctuation added by
+ * enableAutomaticPunctuation.
+ *
+ * @param {Array<{ word: string, startTime: number, endTime: number }>} words
+ * @returns {Array<{ index: number, startTime: number, endTime: number, text: string }>}
+ */
+export const buildSentences = (words) => {
+  const sentences = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length > 0) {
+      sentences.push({
+        index: sentences.length,
+        startTime: current[0].startTime,
+        endTime: current[current.length - 1].endTime,
+        text: current.map(word => word.word).join(' '),
+        ...(current[0].speakerTag ? { speakerTag: current[0].speakerTag } : {})
+      });
+      current = [];
+    }
+  };
+
+  for (const word of words) {
+    // A change of speaker also ends the sentence
+    if (current.length > 0 && word.speakerTag && word.speakerTag !== current[0].speakerTag) {
+      flush();
+    }
+
+    current.push(word);
+    if (/[.?!]$/.test(word.word)) {
+      flush();
+    }
+  }
+  flush();
+
+  return sentences;
+};
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { convertToWav, runCommand } from '../audio.js';
+import { buildSentences, roundTime } from './utils.js';
+
+/**
+ * Offline transcription provider using a local whisper.cpp build.
+ *
+ * Audio is converted to 16kHz mono WAV with ffmpeg, then whisper.cpp is run
+ * with one word per output segment so word timings are available.
+ *
+ * @param {Object} config
+ * @param {string} config.binaryPath - whisper.cpp CLI (e.g. whisper-cli)
+ * @param {string} config.modelPath - ggml model file (e.g. ggml-base.en.bin)
+ */
+export const createWhisperProvider = ({ binaryPath, modelPath }) => ({
+  name: 'whisper',
+  model: modelPath ? path.basename(modelPath) : null,
+  supportsDiarization: false,
+  isConfigured: () => Boolean(modelPath) && fs.existsSync(modelPath),
+  notConfiguredMessage: 'Local Whisper transcription is not configured. Please set WHISPER_MODEL_PATH to a whisper.cpp ggml model file.',
+
+  transcribe: async (filePath, options = {}) => {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lecture-whisper-'));
+
+    try {
+      const wavPath = await convertToWav(filePath, path.join(workDir, 'audio.wav'));
+      const outputBase = path.join(workDir, 'transcript');
+
+      // whisper.cpp takes a bare language code ("en", not "en-US")
+      const language = (options.languageCode || 'en-US').split('-')[0];
+
+      if (options.onProgress) {
+        options.onProgress({ completed: 0, total: 1 });
+      }
+
+      console.log('🤫 Running whisper.cpp locally...');
+      await runCommand(binaryPath, [
+        '-m', modelPath,
+        '-f', wavPath,
+        '-l', language,
+        '-ml', '1', // one word per segment
+        '-sow', // split on words rather than tokens
+        '-oj', // JSON output
+        '-of', outputBase,
+        '-np' // no progress output
+      ], { signal: options.signal });
+
+      const output = JSON.parse(fs.readFileSync(`${outputBase}.json`, 'utf8'));
+
+      const words = (output.transcription || [])
+        .map(entry => ({
+          word: entry.text.trim(),
+          startTime: roundTime(entry.offsets.from / 1000),
+          endTime: roundTime(entry.offsets.to / 1000)
+        }))
+        .filter(word => word.word.length > 0);
+
+      // whisper.cpp reports no confidence or result boundaries, so sentences
+      // double as the transcript segments
+      const segments = buildSentences(words).map(sentence => ({
+        startTime: sentence.startTime,
+        endTime: sentence.endTime,
+        transcript: sentence.text,
+        confidence: 0
+      }));
+
+      if (options.onProgress) {
+        options.onProgress({ completed: 1, total: 1 });
+      }
+
+      return { segments, words, method: 'whisper.cpp' };
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+});
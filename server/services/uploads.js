@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { readJsonFile, writeJsonFile } from '../utils/jsonStore.js';
+import { hashFile } from '../utils/hash.js';
+import { createUploadFilename, getUserUploadsDir } from './media.js';
+
+// Size of the chunks clients send; the last chunk may be smaller
+export const UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024;
+
+// Unfinished uploads are discarded after a day without new chunks
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Session fields returned to clients
+const toPublicSession = (session) => ({
+  id: session.id,
+  userId: session.userId,
+  originalName: session.originalName,
+  mimetype: session.mimetype,
+  size: session.size,
+  offset: session.offset,
+  chunkSize: UPLOAD_CHUNK_SIZE,
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt,
+  expiresAt: new Date(Date.parse(session.updatedAt) + SESSION_TTL_MS).toISOString()
+});
+
+/**
+ * Resumable chunked uploads: create a session, append chunks at the current
+ * offset, then complete it to move the assembled file into the uploads
+ * directory of the user who started it. Sessions are persisted so uploads can
+ * resume after a restart.
+ *
+ * @param {Object} options
+ * @param {string} options.storePath - JSON file the sessions are persisted to
+ * @param {string} options.partialDir - Directory for partially uploaded files
+ * @param {string} options.uploadsDir - Directory whose per-user subdirectories
+ *   completed uploads are moved to
+ */
+export const createUploadSessionStore = ({ storePath, partialDir, uploadsDir }) => {
+  const sessions = new Map(readJsonFile(storePath, []).map(session => [session.id, session]));
+
+  fs.mkdirSync(partialDir, { recursive: true });
+
+  const persist = () => {
+    writeJsonFile(storePath, Array.from(sessions.values()));
+  };
+
+  // Sessions whose file is being verified by complete()
+  const completing = new Set();
+
+  const getPartPath = (id) => path.join(partialDir, `${id}.part`);
+
+  const discard = (id) => {
+    fs.rmSync(getPartPath(id), { force: true });
+    sessions.delete(id);
+  };
+
+  const removeExpired = () => {
+    const now = Date.now();
+    let removed = 0;
+    for (const session of sessions.values()) {
+      if (now - Date.parse(session.updatedAt) > SESSION_TTL_MS) {
+        discard(session.id);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      console.log(`🧹 Discarded ${removed} expired upload(s)`);
+      persist();
+    }
+  };
+
+  // The part file is the source of truth: a crash can leave a partly
+  // written chunk behind it (truncate) or lose the last offset update
+  for (const session of sessions.values()) {
+    const partPath = getPartPath(session.id);
+    const written = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+    if (written > session.size) {
+      fs.truncateSync(partPath, session.size);
+    }
+    session.offset = Math.min(written, session.size);
+  }
+  removeExpired();
+  persist();
+
+  /**
+   * Start an upload.
+   *
+   * @param {Object} data
+   * @param {string} data.originalName - Name of the file on the client
+   * @param {number} data.size - Total size in bytes
+   * @param {string} [data.mimetype] - MIME type reported by the client
+   * @param {string} [data.checksum] - SHA-256 (hex) of the whole file, verified on completion
+   * @param {string} data.userId - User uploading the file
+   */
+  const create = ({ originalName, size, mimetype, checksum, userId }) => {
+    removeExpired();
+
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      userId: userId,
+      originalName: originalName,
+      mimetype: mimetype || 'application/octet-stream',
+      size: size,
+      checksum: checksum ? checksum.toLowerCase() : null,
+      offset: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    fs.writeFileSync(getPartPath(session.id), '');
+    sessions.set(session.id, session);
+    persist();
+    return toPublicSession(session);
+  };
+
+  const get = (id) => {
+    const session = sessions.get(id);
+    return session ? toPublicSession(session) : null;
+  };
+
+  /**
+   * Append a chunk at the session's current offset. The caller checks the
+   * offset and chunk size first; writes are synchronous so two requests for
+   * the same session cannot interleave.
+   */
+  const appendChunk = (id, chunk) => {
+    const session = sessions.get(id);
+    if (!session) {
+      return null;
+    }
+
+    fs.appendFileSync(getPartPath(id), chunk);
+    session.offset += chunk.length;
+    session.updatedAt = new Date().toISOString();
+
+    persist();
+    return toPublicSession(session);
+  };
+
+  /**
+   * Verify a fully uploaded file and move it into the uploads directory.
+   * Resolves with { file, checksum } with file in multer's shape, or
+   * { status, error } when the upload is incomplete or its checksum does not
+   * match (the session is then discarded).
+   */
+  const complete = async (id) => {
+    const session = sessions.get(id);
+    if (!session) {
+      return null;
+    }
+
+    if (session.offset !== session.size) {
+      return { status: 409, error: `Upload is incomplete (${session.offset} of ${session.size} bytes received).` };
+    }
+
+    if (completing.has(id)) {
+      return { status: 409, error: 'Upload is already being completed.' };
+    }
+
+    const partPath = getPartPath(id);
+    let checksum;
+    completing.add(id);
+    try {
+      checksum = await hashFile(partPath);
+    } finally {
+      completing.delete(id);
+    }
+
+    // Cancelled while the file was being verified
+    if (!sessions.has(id)) {
+      return null;
+    }
+
+    if (session.checksum && session.checksum !== checksum) {
+      discard(id);
+      persist();
+      return { status: 422, error: 'Checksum mismatch: the uploaded file does not match the checksum given when the upload started. Please upload it again.' };
+    }
+
+    const filename = createUploadFilename(session.originalName);
+    const targetPath = path.join(getUserUploadsDir(uploadsDir, session.userId), filename);
+    fs.renameSync(partPath, targetPath);
+
+    sessions.delete(id);
+    persist();
+
+    return {
+      file: {
+        filename: filename,
+        originalname: session.originalName,
+        path: targetPath,
+        size: session.size,
+        mimetype: session.mimetype
+      },
+      checksum: checksum
+    };
+  };
+
+  // Bytes promised by a user's unfinished uploads (or everyone's), counted
+  // against disk limits before they arrive
+  const getReservedBytes = (userId) => Array.from(sessions.values())
+    .filter(session => !userId || session.userId === userId)
+    .reduce((total, session) => total + session.size, 0);
+
+  const remove = (id) => {
+    const existed = sessions.has(id);
+    if (existed) {
+      discard(id);
+      persist();
+    }
+    return existed;
+  };
+
+  return {
+    create,
+    get,
+    appendChunk,
+    complete,
+    remove,
+    removeExpired,
+    getReservedBytes
+  };
+};
@@ -0,0 +1,113 @@
+import { after, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createUploadSessionStore } from './uploads.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+let storeCount = 0;
+const createPaths = () => {
+  const dir = path.join(tempDir, `store-${++storeCount}`);
+  return {
+    storePath: path.join(dir, 'uploads.json'),
+    partialDir: path.join(dir, 'uploads', 'partial'),
+    uploadsDir: path.join(dir, 'uploads')
+  };
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const AUDIO = Buffer.from('0123456789abcdef');
+
+test('chunks are assembled into a file in the user\'s uploads directory', async () => {
+  const paths = createPaths();
+  const store = createUploadSessionStore(paths);
+  const session = store.create({ originalName: 'Lecture 1.mp3', size: AUDIO.length, mimetype: 'audio/mpeg', checksum: sha256(AUDIO).toUpperCase(), userId: 'user-1' });
+
+  assert.equal(session.offset, 0);
+  assert.equal(store.appendChunk(session.id, AUDIO.subarray(0, 10)).offset, 10);
+  assert.equal(store.appendChunk(session.id, AUDIO.subarray(10)).offset, AUDIO.length);
+
+  const { file, checksum } = await store.complete(session.id);
+  assert.equal(checksum, sha256(AUDIO));
+  assert.equal(path.dirname(file.path), path.join(paths.uploadsDir, 'user-1'));
+  assert.deepEqual(fs.readFileSync(file.path), AUDIO);
+  assert.equal(file.originalname, 'Lecture 1.mp3');
+  assert.equal(store.get(session.id), null);
+  assert.equal(fs.readdirSync(paths.partialDir).length, 0);
+});
+
+test('incomplete uploads cannot be completed', async () => {
+  const store = createUploadSessionStore(createPaths());
+  const session = store.create({ originalName: 'a.mp3', size: AUDIO.length, userId: 'user-1' });
+  store.appendChunk(session.id, AUDIO.subarray(0, 4));
+
+  assert.deepEqual(await store.complete(session.id), { status: 409, error: `Upload is incomplete (4 of ${AUDIO.length} bytes received).` });
+  assert.equal(store.get(session.id).offset, 4, 'the upload can still be resumed');
+});
+
+test('a checksum mismatch discards the upload', async () => {
+  const paths = createPaths();
+  const store = createUploadSessionStore(paths);
+  const session = store.create({ originalName: 'a.mp3', size: AUDIO.length, checksum: sha256('something else'), userId: 'user-1' });
+  store.appendChunk(session.id, AUDIO);
+
+  const result = await store.complete(session.id);
+  assert.equal(result.status, 422);
+  assert.match(result.error, /Checksum mismatch/);
+  assert.equal(store.get(session.id), null);
+  assert.equal(fs.readdirSync(paths.partialDir).length, 0);
+});
+
+test('after a restart uploads resume from the bytes on disk', () => {
+  const paths = createPaths();
+  const store = createUploadSessionStore(paths);
+  const session = store.create({ originalName: 'a.mp3', size: AUDIO.length, userId: 'user-1' });
+  store.appendChunk(session.id, AUDIO.subarray(0, 6));
+
+  // A crash after the chunk was written but before the offset was saved
+  fs.appendFileSync(path.join(paths.partialDir, `${session.id}.part`), AUDIO.subarray(6, 10));
+  assert.equal(createUploadSessionStore(paths).get(session.id).offset, 10);
+
+  // More bytes than the file has are cut off
+  fs.appendFileSync(path.join(paths.partialDir, `${session.id}.part`), Buffer.alloc(AUDIO.length));
+  assert.equal(createUploadSessionStore(paths).get(session.id).offset, AUDIO.length);
+  assert.equal(fs.statSync(path.join(paths.partialDir, `${session.id}.part`)).size, AUDIO.length);
+});
+
+test('unfinished uploads reserve space and expire after a day without chunks', (t) => {
+  const paths = createPaths();
+  const store = createUploadSessionStore(paths);
+  const first = store.create({ originalName: 'a.mp3', size: 100, userId: 'user-1' });
+  store.create({ originalName: 'b.mp3', size: 50, userId: 'user-2' });
+
+  assert.equal(store.getReservedBytes('user-1'), 100);
+  assert.equal(store.getReservedBytes(), 150);
+
+  const now = Date.now() + 25 * 60 * 60 * 1000;
+  t.mock.method(Date, 'now', () => now);
+  store.removeExpired();
+
+  assert.equal(store.get(first.id), null);
+  assert.equal(store.getReservedBytes(), 0);
+  assert.equal(fs.readdirSync(paths.partialDir).length, 0);
+});
+
+test('removed uploads are gone', () => {
+  const store = createUploadSessionStore(createPaths());
+  const session = store.create({ originalName: 'a.mp3', size: 10, userId: 'user-1' });
+
+  assert.ok(store.remove(session.id));
+  assert.equal(store.remove(session.id), false);
+  assert.equal(store.appendChunk(session.id, AUDIO), null);
+});
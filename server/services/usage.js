@@ -0,0 +1,313 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { readJsonFile, writeJsonFile } from '../utils/jsonStore.js';
+
+// What a ledger entry was recorded for
+export const USAGE_KINDS = ['transcription', 'liveTranscription', 'notes', 'studyMaterials'];
+
+// Limits a quota can set; a missing or empty limit means unlimited
+export const QUOTA_LIMITS = {
+  dailyAudioMinutes: 'QUOTA_DAILY_AUDIO_MINUTES',
+  monthlyAudioMinutes: 'QUOTA_MONTHLY_AUDIO_MINUTES',
+  dailyTokens: 'QUOTA_DAILY_TOKENS',
+  monthlyTokens: 'QUOTA_MONTHLY_TOKENS'
+};
+
+// Token count for providers that do not report usage (about 4 characters per token)
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+export const createTokenUsage = () => ({
+  inputTokens: 0,
+  outputTokens: 0,
+  modelCalls: 0,
+  // Some calls were counted with estimateTokens()
+  estimated: false
+});
+
+/**
+ * Wrap an LLM provider so the tokens of every completed call are added to
+ * `usage` (from createTokenUsage()).
+ */
+export const meterProvider = (provider, usage) => ({
+  ...provider,
+  generate: async (prompt, options = {}) => {
+    let reported = null;
+    const text = await provider.generate(prompt, {
+      ...options,
+      onUsage: (counts) => {
+        reported = counts;
+      }
+    });
+
+    usage.inputTokens += reported ? reported.inputTokens : estimateTokens(prompt);
+    usage.outputTokens += reported ? reported.outputTokens : estimateTokens(text);
+    usage.modelCalls++;
+    usage.estimated = usage.estimated || !reported;
+    return text;
+  }
+});
+
+// Periods are calendar days and months in UTC
+const startOfNextDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+const startOfNextMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+const toDayKey = (date) => date.toISOString().slice(0, 10);
+const toMonthKey = (date) => date.toISOString().slice(0, 7);
+
+// Daily totals are only needed for daily quotas; a month of them is kept
+const DAY_RETENTION = 31;
+// Entries kept per user for the "recent requests" list
+const RECENT_ENTRIES = 20;
+
+const emptyTotals = () => ({
+  requests: 0,
+  audioSeconds: 0,
+  inputTokens: 0,
+  outputTokens: 0
+});
+
+const addToTotals = (totals, entry) => {
+  totals.requests++;
+  totals.audioSeconds = Number((totals.audioSeconds + entry.audioSeconds).toFixed(2));
+  totals.inputTokens += entry.inputTokens;
+  totals.outputTokens += entry.outputTokens;
+  return totals;
+};
+
+// Totals overall and by kind
+const addToSummary = (summary, entry) => {
+  addToTotals(summary, entry);
+  addToTotals(summary.byKind[entry.kind] || (summary.byKind[entry.kind] = emptyTotals()), entry);
+  return summary;
+};
+
+const copySummary = (summary) => (summary
+  ? { ...summary, byKind: Object.fromEntries(Object.entries(summary.byKind).map(([kind, totals]) => [kind, { ...totals }])) }
+  : { ...emptyTotals(), byKind: {} });
+
+/**
+ * Usage ledger persisted to a JSON file: totals per user for every day and
+ * month, built from one entry per request that sent audio to a transcription
+ * provider or text to an LLM. Only the most recent entries are kept, and
+ * daily totals for DAY_RETENTION days.
+ *
+ * @param {Object} options
+ * @param {string} options.storePath - JSON file the totals are persisted to
+ */
+export const createUsageLedger = ({ storePath }) => {
+  // days[YYYY-MM-DD][userId] and months[YYYY-MM][userId] are totals with
+  // byKind; recent[userId] holds the user's latest entries, oldest first
+  const ledger = { days: {}, months: {}, recent: {} };
+
+  const persist = () => {
+    writeJsonFile(storePath, ledger);
+  };
+
+  const addEntry = (entry) => {
+    const createdAt = new Date(entry.createdAt);
+    for (const [periods, key] of [[ledger.days, toDayKey(createdAt)], [ledger.months, toMonthKey(createdAt)]]) {
+      const byUser = periods[key] || (periods[key] = {});
+      addToSummary(byUser[entry.userId] || (byUser[entry.userId] = copySummary(null)), entry);
+    }
+
+    const recent = ledger.recent[entry.userId] || (ledger.recent[entry.userId] = []);
+    recent.push(entry);
+    recent.splice(0, recent.length - RECENT_ENTRIES);
+  };
+
+  // Drop daily totals older than DAY_RETENTION days
+  const pruneDays = (now = new Date()) => {
+    const oldestKept = toDayKey(new Date(now.getTime() - DAY_RETENTION * 24 * 60 * 60 * 1000));
+    for (const key of Object.keys(ledger.days)) {
+      if (key < oldestKept) {
+        delete ledger.days[key];
+      }
+    }
+  };
+
+  const stored = readJsonFile(storePath, null);
+  if (Array.isArray(stored)) {
+    // Ledgers from before totals were kept are a list of every entry
+    stored.forEach(addEntry);
+    pruneDays();
+    persist();
+  } else if (stored) {
+    Object.assign(ledger, stored);
+  }
+
+  /**
+   * @param {Object} data
+   * @param {string} data.userId - User the usage is billed to
+   * @param {string} data.kind - One of USAGE_KINDS
+   * @param {string} data.provider - Provider name
+   * @param {string} [data.model] - LLM model
+   * @param {number} [data.audioSeconds]
+   * @param {Object} [data.tokens] - From createTokenUsage()
+   * @param {string} [data.jobId]
+   */
+  const record = ({ userId, kind, provider, model, audioSeconds = 0, tokens, jobId }) => {
+    const entry = {
+      id: crypto.randomUUID(),
+      userId: userId,
+      kind: kind,
+      provider: provider,
+      model: model || null,
+      audioSeconds: audioSeconds,
+      inputTokens: tokens ? tokens.inputTokens : 0,
+      outputTokens: tokens ? tokens.outputTokens : 0,
+      estimatedTokens: Boolean(tokens && tokens.estimated),
+      jobId: jobId || null,
+      createdAt: new Date().toISOString()
+    };
+
+    addEntry(entry);
+    pruneDays();
+    persist();
+    return entry;
+  };
+
+  // A user's totals for the UTC day or month containing `date`, overall and by kind
+  const summarizeDay = (date, userId) => copySummary((ledger.days[toDayKey(date)] || {})[userId]);
+  const summarizeMonth = (date, userId) => copySummary((ledger.months[toMonthKey(date)] || {})[userId]);
+
+  /**
+   * Totals per user for a month (YYYY-MM), most tokens first.
+   */
+  const summarizeByUser = (month) => Object.entries(ledger.months[month] || {})
+    .map(([userId, { byKind, ...totals }]) => ({ userId, ...totals }))
+    .sort((a, b) => (b.inputTokens + b.outputTokens) - (a.inputTokens + a.outputTokens)
+      || b.audioSeconds - a.audioSeconds);
+
+  // The user's most recent entries, newest first
+  const listRecent = (userId, limit = RECENT_ENTRIES) => (ledger.recent[userId] || [])
+    .slice(-limit)
+    .reverse();
+
+  return {
+    record,
+    summarizeDay,
+    summarizeMonth,
+    summarizeByUser,
+    listRecent
+  };
+};
+
+const parseLimit = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const limit = Number(value);
+  return Number.isFinite(limit) && limit >= 0 ? limit : null;
+};
+
+/**
+ * The quota limits that apply to a user. Defaults come from the QUOTA_*
+ * environment variables; QUOTAS_FILE can point at a JSON file overriding them
+ * per user, keyed by email or user id:
+ *
+ *   { "prof@uni.edu": { "monthlyAudioMinutes": 3000, "monthlyTokens": null } }
+ *
+ * Both are read at call time so limits can change without a restart.
+ */
+export const getQuotaLimits = (user) => {
+  let overrides = {};
+  if (process.env.QUOTAS_FILE && fs.existsSync(process.env.QUOTAS_FILE)) {
+    try {
+      const file = JSON.parse(fs.readFileSync(process.env.QUOTAS_FILE, 'utf8'));
+      overrides = file[user.email] || file[user.id] || {};
+    } catch (error) {
+      console.error(`⚠️  Failed to read QUOTAS_FILE: ${error.message}`);
+    }
+  }
+
+  return Object.fromEntries(Object.entries(QUOTA_LIMITS).map(([name, envName]) => [
+    name,
+    name in overrides ? parseLimit(overrides[name]) : parseLimit(process.env[envName])
+  ]));
+};
+
+/**
+ * The user's usage this day and month against their limits.
+ */
+export const getQuotaStatus = (ledger, user, now = new Date()) => {
+  const limits = getQuotaLimits(user);
+  const today = ledger.summarizeDay(now, user.id);
+  const month = ledger.summarizeMonth(now, user.id);
+
+  const used = {
+    dailyAudioMinutes: today.audioSeconds / 60,
+    monthlyAudioMinutes: month.audioSeconds / 60,
+    dailyTokens: today.inputTokens + today.outputTokens,
+    monthlyTokens: month.inputTokens + month.outputTokens
+  };
+
+  const quotas = Object.fromEntries(Object.keys(QUOTA_LIMITS).map(name => [name, {
+    limit: limits[name],
+    used: Number(used[name].toFixed(2)),
+    remaining: limits[name] === null ? null : Number(Math.max(0, limits[name] - used[name]).toFixed(2)),
+    resetsAt: (name.startsWith('daily') ? startOfNextDay(now) : startOfNextMonth(now)).toISOString()
+  }]));
+
+  return { today, month, quotas };
+};
+
+const RESOURCE_QUOTAS = {
+  audio: ['dailyAudioMinutes', 'monthlyAudioMinutes'],
+  tokens: ['dailyTokens', 'monthlyTokens']
+};
+
+const QUOTA_DESCRIPTIONS = {
+  dailyAudioMinutes: ['daily transcription quota', 'minutes of audio today'],
+  monthlyAudioMinutes: ['monthly transcription quota', 'minutes of audio this month'],
+  dailyTokens: ['daily notes quota', 'model tokens today'],
+  monthlyTokens: ['monthly notes quota', 'model tokens this month']
+};
+
+/**
+ * The first quota the user has used up for any of the given resources.
+ * Returns { quota, message }, or null when none is exhausted.
+ *
+ * @param {Object} ledger - From createUsageLedger()
+ * @param {Object} user - Signed-in user
+ * @param {string[]} resources - "audio" (transcription) and/or "tokens" (LLM)
+ * @param {Object} [pending] - Usage not recorded yet, such as a live stream in progress
+ * @param {number} [pending.audioSeconds]
+ */
+export const findExhaustedQuota = (ledger, user, resources, pending = {}) => {
+  const { quotas } = getQuotaStatus(ledger, user);
+  const pendingMinutes = (pending.audioSeconds || 0) / 60;
+
+  for (const name of resources.flatMap(resource => RESOURCE_QUOTAS[resource])) {
+    const quota = quotas[name];
+    const used = RESOURCE_QUOTAS.audio.includes(name) ? Number((quota.used + pendingMinutes).toFixed(2)) : quota.used;
+    if (quota.limit === null || used < quota.limit) {
+      continue;
+    }
+
+    const [label, unit] = QUOTA_DESCRIPTIONS[name];
+    console.warn(`🚫 ${user.email} has used up the ${label} (${used}/${quota.limit})`);
+    return {
+      quota: { name, ...quota, used, remaining: 0 },
+      message: `You have used up your ${label}: ${used} of ${quota.limit} ${unit}. It resets at ${quota.resetsAt}.`
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Express middleware answering 429 when the user has used up a quota for
+ * any of the resources the route consumes.
+ */
+export const createQuotaMiddleware = (ledger, resources) => (req, res, next) => {
+  const exhausted = findExhaustedQuota(ledger, req.user, resources);
+  if (!exhausted) {
+    return next();
+  }
+
+  res.set('Retry-After', String(Math.ceil((Date.parse(exhausted.quota.resetsAt) - Date.now()) / 1000)));
+  res.status(429).json({
+    error: true,
+    message: exhausted.message,
+    quota: exhausted.quota
+  });
+};
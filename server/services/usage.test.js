@@ -0,0 +1,181 @@
+import { after, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { QUOTA_LIMITS, createUsageLedger, findExhaustedQuota, getQuotaStatus } from './usage.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-test-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const QUOTA_ENV = [...Object.values(QUOTA_LIMITS), 'QUOTAS_FILE'];
+const savedEnv = Object.fromEntries(QUOTA_ENV.map(name => [name, process.env[name]]));
+
+beforeEach(() => {
+  QUOTA_ENV.forEach(name => delete process.env[name]);
+});
+
+after(() => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+});
+
+let ledgerCount = 0;
+const createLedger = () => createUsageLedger({ storePath: path.join(tempDir, `usage-${++ledgerCount}.json`) });
+
+const user = { id: 'user-1', email: 'student@uni.edu' };
+const tokens = (inputTokens, outputTokens) => ({ inputTokens, outputTokens, estimated: false });
+
+test('record adds to the user\'s daily and monthly totals, overall and by kind', () => {
+  const ledger = createLedger();
+  ledger.record({ userId: user.id, kind: 'transcription', provider: 'google', audioSeconds: 90.5 });
+  ledger.record({ userId: user.id, kind: 'notes', provider: 'gemini', tokens: tokens(1000, 200) });
+  ledger.record({ userId: 'user-2', kind: 'notes', provider: 'gemini', tokens: tokens(5, 5) });
+
+  const today = ledger.summarizeDay(new Date(), user.id);
+  assert.equal(today.requests, 2);
+  assert.equal(today.audioSeconds, 90.5);
+  assert.equal(today.inputTokens, 1000);
+  assert.equal(today.outputTokens, 200);
+  assert.deepEqual(Object.keys(today.byKind).sort(), ['notes', 'transcription']);
+  assert.equal(today.byKind.transcription.audioSeconds, 90.5);
+
+  assert.deepEqual(ledger.summarizeMonth(new Date(), user.id), today);
+  assert.equal(ledger.summarizeDay(new Date('2000-01-01'), user.id).requests, 0);
+});
+
+test('summaries are copies the caller cannot use to change the ledger', () => {
+  const ledger = createLedger();
+  ledger.record({ userId: user.id, kind: 'notes', provider: 'mock', tokens: tokens(10, 10) });
+
+  const summary = ledger.summarizeDay(new Date(), user.id);
+  summary.inputTokens = 0;
+  summary.byKind.notes.inputTokens = 0;
+  assert.equal(ledger.summarizeDay(new Date(), user.id).byKind.notes.inputTokens, 10);
+});
+
+test('summarizeByUser lists each user\'s month, most tokens first', () => {
+  const ledger = createLedger();
+  ledger.record({ userId: 'light', kind: 'notes', provider: 'mock', tokens: tokens(10, 0) });
+  ledger.record({ userId: 'heavy', kind: 'notes', provider: 'mock', tokens: tokens(500, 50) });
+
+  const month = new Date().toISOString().slice(0, 7);
+  const byUser = ledger.summarizeByUser(month);
+  assert.deepEqual(byUser.map(entry => entry.userId), ['heavy', 'light']);
+  assert.equal(byUser[0].inputTokens, 500);
+  assert.equal(byUser[0].byKind, undefined);
+  assert.deepEqual(ledger.summarizeByUser('1999-01'), []);
+});
+
+test('listRecent keeps the 20 latest entries, newest first', () => {
+  const ledger = createLedger();
+  for (let i = 1; i <= 25; i++) {
+    ledger.record({ userId: user.id, kind: 'transcription', provider: 'google', audioSeconds: i });
+  }
+
+  const recent = ledger.listRecent(user.id);
+  assert.equal(recent.length, 20);
+  assert.equal(recent[0].audioSeconds, 25);
+  assert.equal(recent[19].audioSeconds, 6);
+  assert.equal(ledger.summarizeDay(new Date(), user.id).requests, 25);
+});
+
+test('totals are persisted and reloaded', () => {
+  const storePath = path.join(tempDir, 'persisted.json');
+  createUsageLedger({ storePath }).record({ userId: user.id, kind: 'notes', provider: 'mock', tokens: tokens(7, 3) });
+
+  const reloaded = createUsageLedger({ storePath });
+  assert.equal(reloaded.summarizeMonth(new Date(), user.id).inputTokens, 7);
+});
+
+test('ledgers stored as a list of entries are migrated to totals', () => {
+  const storePath = path.join(tempDir, 'legacy.json');
+  const now = new Date();
+  const longAgo = new Date(now.getTime() - 400 * 24 * 60 * 60 * 1000);
+  const entry = (createdAt, audioSeconds) => ({
+    id: `entry-${audioSeconds}`, userId: user.id, kind: 'transcription', provider: 'google', model: null,
+    audioSeconds, inputTokens: 0, outputTokens: 0, estimatedTokens: false, jobId: null, createdAt: createdAt.toISOString()
+  });
+  fs.writeFileSync(storePath, JSON.stringify([entry(longAgo, 30), entry(now, 60)]));
+
+  const ledger = createUsageLedger({ storePath });
+  assert.equal(ledger.summarizeDay(now, user.id).audioSeconds, 60);
+  assert.equal(ledger.summarizeMonth(longAgo, user.id).audioSeconds, 30);
+  // Daily totals older than the retention period are dropped
+  assert.equal(ledger.summarizeDay(longAgo, user.id).requests, 0);
+  assert.ok(!Array.isArray(JSON.parse(fs.readFileSync(storePath, 'utf8'))));
+});
+
+test('getQuotaStatus reports usage against the limits and when they reset', () => {
+  process.env.QUOTA_DAILY_AUDIO_MINUTES = '2';
+  process.env.QUOTA_MONTHLY_TOKENS = '1000';
+
+  const ledger = createLedger();
+  ledger.record({ userId: user.id, kind: 'transcription', provider: 'google', audioSeconds: 90 });
+  ledger.record({ userId: user.id, kind: 'notes', provider: 'gemini', tokens: tokens(300, 100) });
+
+  const now = new Date(Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), new Date().getUTCDate(), 12));
+  const { quotas } = getQuotaStatus(ledger, user, now);
+
+  assert.deepEqual(quotas.dailyAudioMinutes, {
+    limit: 2,
+    used: 1.5,
+    remaining: 0.5,
+    resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString()
+  });
+  assert.equal(quotas.monthlyTokens.used, 400);
+  assert.equal(quotas.monthlyTokens.remaining, 600);
+  assert.equal(quotas.monthlyTokens.resetsAt, new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString());
+  assert.equal(quotas.dailyTokens.limit, null);
+  assert.equal(quotas.dailyTokens.remaining, null);
+});
+
+test('QUOTAS_FILE overrides the default limits per user', () => {
+  process.env.QUOTA_MONTHLY_AUDIO_MINUTES = '10';
+  process.env.QUOTA_MONTHLY_TOKENS = '10';
+  process.env.QUOTAS_FILE = path.join(tempDir, 'quotas.json');
+  fs.writeFileSync(process.env.QUOTAS_FILE, JSON.stringify({
+    [user.email]: { monthlyAudioMinutes: 3000, monthlyTokens: null }
+  }));
+
+  const { quotas } = getQuotaStatus(createLedger(), user);
+  assert.equal(quotas.monthlyAudioMinutes.limit, 3000);
+  assert.equal(quotas.monthlyTokens.limit, null);
+
+  const other = getQuotaStatus(createLedger(), { id: 'user-2', email: 'other@uni.edu' }).quotas;
+  assert.equal(other.monthlyAudioMinutes.limit, 10);
+});
+
+test('findExhaustedQuota reports the first used-up quota for the requested resources', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  process.env.QUOTA_DAILY_AUDIO_MINUTES = '1';
+
+  const ledger = createLedger();
+  assert.equal(findExhaustedQuota(ledger, user, ['audio']), null);
+
+  ledger.record({ userId: user.id, kind: 'transcription', provider: 'google', audioSeconds: 60 });
+  const exhausted = findExhaustedQuota(ledger, user, ['audio', 'tokens']);
+  assert.equal(exhausted.quota.name, 'dailyAudioMinutes');
+  assert.match(exhausted.message, /daily transcription quota: 1 of 1 minutes/);
+
+  // Notes requests only need tokens, which are unlimited
+  assert.equal(findExhaustedQuota(ledger, user, ['tokens']), null);
+});
+
+test('findExhaustedQuota counts audio not recorded yet', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  process.env.QUOTA_DAILY_AUDIO_MINUTES = '2';
+
+  const ledger = createLedger();
+  ledger.record({ userId: user.id, kind: 'transcription', provider: 'google', audioSeconds: 60 });
+
+  assert.equal(findExhaustedQuota(ledger, user, ['audio'], { audioSeconds: 59 }), null);
+  const exhausted = findExhaustedQuota(ledger, user, ['audio'], { audioSeconds: 60 });
+  assert.equal(exhausted.quota.used, 2);
+  assert.equal(exhausted.quota.remaining, 0);
+});
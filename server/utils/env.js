@@ -0,0 +1,6 @@
+// Numeric setting from the environment; the fallback is used when the
+// variable is unset, not a number or negative
+export const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) && value >= 0 ? value : fallback;
+};
@@ -0,0 +1,14 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+// SHA-256 (hex) of a string
+export const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// SHA-256 (hex) of a file, computed without reading it into memory
+export const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', (data) => hash.update(data))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
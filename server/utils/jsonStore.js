@@ -0,0 +1,22 @@
+import fs from 'fs';
+import path from 'path';
+
+// Read a JSON file, returning the fallback if it is missing or unreadable
+export const readJsonFile = (filePath, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`⚠️  Failed to read ${path.basename(filePath)}: ${error.message}`);
+    }
+    return fallback;
+  }
+};
+
+// Write JSON via a temp file + rename so a crash never leaves a half-written file
+export const writeJsonFile = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
@@ -0,0 +1,27 @@
+// Rendering of untrusted markdown (model output, user edits), shared by the
+// client's notes view and the server's exports so both apply the same rules.
+
+export const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Links the notes may point at; anything else (e.g. javascript:) is dropped.
+// Paths must not start with // or /\, which browsers read as another host.
+export const SAFE_URL_PATTERN = /^(https?:|mailto:|#|\/(?![/\\]))/i;
+
+export const isSafeUrl = (href) => SAFE_URL_PATTERN.test(href || '');
+
+// Options for a Marked instance: raw HTML is shown as text rather than
+// injected, and unsafe link and image targets are replaced with '#'
+export const SAFE_MARKDOWN_OPTIONS = {
+  renderer: {
+    html: (token) => escapeHtml(token.text)
+  },
+  walkTokens: (token) => {
+    if ((token.type === 'link' || token.type === 'image') && !isSafeUrl(token.href)) {
+      token.href = '#';
+    }
+  }
+};
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Marked } from 'marked';
+import { SAFE_MARKDOWN_OPTIONS, escapeHtml, isSafeUrl } from './markdownSafety.js';
+
+const markdown = new Marked(SAFE_MARKDOWN_OPTIONS);
+
+test('isSafeUrl allows web, mail, anchor and same-site links only', () => {
+  for (const href of ['https://uni.edu', 'HTTP://uni.edu', 'mailto:prof@uni.edu', '#summary', '/lectures/1']) {
+    assert.ok(isSafeUrl(href), href);
+  }
+  for (const href of ['javascript:alert(1)', ' javascript:alert(1)', 'data:text/html,x', '//evil.example', '/\\evil.example', 'vbscript:x', '', undefined]) {
+    assert.ok(!isSafeUrl(href), String(href));
+  }
+});
+
+test('unsafe link and image targets are replaced', () => {
+  const html = markdown.parse('[click](javascript:alert(1)) ![img](data:image/svg+xml,x) [ok](https://uni.edu)');
+  assert.doesNotMatch(html, /javascript:|data:/);
+  assert.match(html, /href="#"/);
+  assert.match(html, /href="https:\/\/uni.edu"/);
+});
+
+test('raw HTML is shown as text', () => {
+  const html = markdown.parse('<img src=x onerror="alert(1)">\n\nText <b>bold</b>');
+  assert.doesNotMatch(html, /<img|<b>/);
+  assert.match(html, /&lt;img src=x onerror=&quot;alert\(1\)&quot;&gt;/);
+  assert.equal(escapeHtml('<a href="x">&</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+});